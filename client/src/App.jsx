@@ -7,6 +7,11 @@ import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import Analysis from './pages/Analysis';
 import History from './pages/History';
+import Compare from './pages/Compare';
+import Project from './pages/Project';
+import Settings from './pages/Settings';
+import Acr from './pages/Acr';
+import Fixes from './pages/Fixes';
 import PrivateRoute from './components/PrivateRoute';
 
 function App() {
@@ -19,7 +24,12 @@ function App() {
             <Route path="/register" element={<Register />} />
             <Route path="/dashboard" element={<PrivateRoute><Dashboard /></PrivateRoute>} />
             <Route path="/analysis/:id" element={<PrivateRoute><Analysis /></PrivateRoute>} />
+            <Route path="/analysis/:id/acr" element={<PrivateRoute><Acr /></PrivateRoute>} />
+            <Route path="/analysis/:id/fixes" element={<PrivateRoute><Fixes /></PrivateRoute>} />
             <Route path="/history" element={<PrivateRoute><History /></PrivateRoute>} />
+            <Route path="/projects/:id" element={<PrivateRoute><Project /></PrivateRoute>} />
+            <Route path="/compare" element={<PrivateRoute><Compare /></PrivateRoute>} />
+            <Route path="/settings" element={<PrivateRoute><Settings /></PrivateRoute>} />
             <Route path="/" element={<Navigate to="/login" />} />
           </Routes>
         </div>
@@ -0,0 +1,190 @@
+// client/src/components/ChatPanel.jsx
+// Follow-up questions about an analysis. Answers stream in from the
+// server as newline-delimited JSON events and are saved with the analysis.
+import { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+
+// Text with ``` code blocks shown as code
+const MessageContent = ({ content }) =>
+  content.split('```').map((part, index) =>
+    index % 2 === 1 ? (
+      <pre key={index} className="text-sm font-mono bg-gray-100 rounded-lg p-3 my-2 overflow-x-auto">
+        <code>{part.replace(/^[^\n]*\n/, '')}</code>
+      </pre>
+    ) : (
+      part.trim() && <p key={index} className="whitespace-pre-wrap">{part.trim()}</p>
+    )
+  );
+
+const ChatPanel = ({ analysisId, initialMessages }) => {
+  const { user } = useAuth();
+  const [messages, setMessages] = useState(initialMessages || []);
+  const [draft, setDraft] = useState('');
+  const [streaming, setStreaming] = useState(false);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [messages]);
+
+  const ask = async (e) => {
+    e.preventDefault();
+    const question = draft.trim();
+    if (!question || streaming) return;
+
+    const previous = messages;
+    const history = [...messages, { role: 'user', content: question }];
+    const showReply = (content) => setMessages([...history, { role: 'assistant', content }]);
+    setDraft('');
+    setError('');
+    setStatus('Waiting for the answer...');
+    setStreaming(true);
+    showReply('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/analysis/${analysisId}/chat`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${user.token}`
+        },
+        body: JSON.stringify({ message: question })
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || 'Failed to send question');
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let reply = '';
+      let saved = null;
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines.filter(Boolean)) {
+          const event = JSON.parse(line);
+          if (event.type === 'error') throw new Error(event.message);
+          if (event.type === 'text') {
+            reply += event.text;
+            showReply(reply);
+          }
+          if (event.type === 'done') saved = event.message;
+        }
+      }
+      if (!saved) throw new Error('The answer was cut off');
+
+      setMessages([...history, saved]);
+      setStatus('Answer received.');
+    } catch (err) {
+      // Nothing is saved when an answer fails, so the question can be resent
+      setMessages(previous);
+      setDraft(question);
+      setError(err.message);
+      setStatus('');
+    } finally {
+      setStreaming(false);
+    }
+  };
+
+  const clearConversation = async () => {
+    if (!window.confirm('Clear this conversation?')) return;
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/analysis/${analysisId}/chat`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${user.token}`
+        }
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || 'Failed to clear conversation');
+      }
+      setMessages([]);
+      setStatus('Conversation cleared.');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <section aria-labelledby="chat-heading" className="bg-white rounded-xl shadow-sm p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 id="chat-heading" className="text-lg font-semibold text-gray-900">Ask about this analysis</h3>
+        {messages.length > 0 && (
+          <button
+            onClick={clearConversation}
+            disabled={streaming}
+            className="px-3 py-1.5 text-sm rounded-lg font-medium bg-gray-100 text-gray-800 hover:bg-gray-200 disabled:opacity-50"
+          >
+            Clear conversation
+          </button>
+        )}
+      </div>
+
+      {messages.length > 0 && (
+        <ol
+          ref={listRef}
+          aria-label="Conversation"
+          aria-busy={streaming}
+          className="max-h-96 overflow-y-auto space-y-3 mb-4"
+        >
+          {messages.map((message, index) => (
+            <li
+              key={index}
+              className={`rounded-lg p-3 text-gray-800 ${message.role === 'user' ? 'bg-blue-50 ml-8' : 'bg-gray-50 mr-8'}`}
+            >
+              <p className="text-xs font-medium text-gray-500 mb-1">
+                {message.role === 'user' ? 'You' : `AI${message.model ? ` (${message.model})` : ''}`}
+              </p>
+              {message.content
+                ? <MessageContent content={message.content} />
+                : <p className="text-gray-500 italic">Thinking...</p>}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <form onSubmit={ask}>
+        <label htmlFor="chat-message" className="block text-sm font-medium text-gray-700 mb-1">
+          Your question
+        </label>
+        <textarea
+          id="chat-message"
+          rows={3}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          maxLength={2000}
+          placeholder='e.g. "Why is this h3 flagged?" or "How do I make our modal accessible?"'
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <button
+          type="submit"
+          disabled={streaming || !draft.trim()}
+          className="mt-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition font-medium disabled:bg-gray-400 disabled:cursor-not-allowed"
+        >
+          {streaming ? 'Answering...' : 'Ask'}
+        </button>
+      </form>
+
+      {error && (
+        <div role="alert" className="mt-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+      <p role="status" className="sr-only">{status}</p>
+    </section>
+  );
+};
+
+export default ChatPanel;
@@ -0,0 +1,26 @@
+// client/src/components/DiffView.jsx
+// A unified diff with added and removed lines highlighted. The +/- markers
+// stay in the text, so the change doesn't rely on colour alone.
+
+const lineClass = (line) => {
+  if (line.startsWith('+++') || line.startsWith('---')) return 'text-gray-500';
+  if (line.startsWith('@@')) return 'text-indigo-700';
+  if (line.startsWith('+')) return 'bg-green-100 text-green-900';
+  if (line.startsWith('-')) return 'bg-red-100 text-red-900';
+  return 'text-gray-800';
+};
+
+const DiffView = ({ diff, label }) => (
+  <pre
+    aria-label={label}
+    className="text-sm font-mono bg-white border border-gray-200 rounded-lg p-3 overflow-x-auto"
+  >
+    {diff.replace(/\n$/, '').split('\n').map((line, index) => (
+      <span key={index} className={`block px-1 ${lineClass(line)}`}>
+        {line || ' '}
+      </span>
+    ))}
+  </pre>
+);
+
+export default DiffView;
@@ -0,0 +1,67 @@
+// client/src/components/TrendChart.jsx
+// A small SVG line chart of values across a project's runs, oldest first
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 40 };
+
+const TrendChart = ({ runs, series, max, label }) => {
+  const values = runs.flatMap((run) => series.map((s) => s.value(run)));
+  const top = max ?? Math.max(4, ...values);
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (index) =>
+    PADDING.left + (runs.length > 1 ? (index / (runs.length - 1)) * innerWidth : innerWidth / 2);
+  const y = (value) => PADDING.top + innerHeight - (value / top) * innerHeight;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((t) => Math.round(t * top));
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={label}>
+        {ticks.map((tick) => (
+          <g key={tick}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} stroke="#E5E7EB" />
+            <text x={PADDING.left - 8} y={y(tick) + 4} textAnchor="end" fontSize="11" fill="#4B5563">
+              {tick}
+            </text>
+          </g>
+        ))}
+        {runs.map((run, index) => (
+          <text key={run._id} x={x(index)} y={HEIGHT - 8} textAnchor="middle" fontSize="11" fill="#4B5563">
+            {new Date(run.createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+          </text>
+        ))}
+        {series.map((s) => (
+          <g key={s.key}>
+            <polyline
+              fill="none"
+              stroke={s.color}
+              strokeWidth="2"
+              points={runs.map((run, index) => `${x(index)},${y(s.value(run))}`).join(' ')}
+            />
+            {runs.map((run, index) => (
+              <circle key={run._id} cx={x(index)} cy={y(s.value(run))} r="3.5" fill={s.color}>
+                <title>
+                  {s.label}: {s.value(run)} ({new Date(run.createdAt).toLocaleString()})
+                </title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      {series.length > 1 && (
+        <figcaption className="flex flex-wrap gap-4 mt-2 text-sm text-gray-700">
+          {series.map((s) => (
+            <span key={s.key} className="flex items-center">
+              <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: s.color }} />
+              {s.label}
+            </span>
+          ))}
+        </figcaption>
+      )}
+    </figure>
+  );
+};
+
+export default TrendChart;
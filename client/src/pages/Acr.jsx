@@ -0,0 +1,349 @@
+// frontend/src/pages/Acr.jsx
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+
+const CONFORMANCE_LEVELS = [
+  'Supports',
+  'Partially Supports',
+  'Does Not Support',
+  'Not Applicable',
+  'Not Evaluated'
+];
+
+const CONFORMANCE_COLORS = {
+  'Supports': 'bg-green-100 text-green-800 border-green-200',
+  'Partially Supports': 'bg-yellow-100 text-yellow-800 border-yellow-200',
+  'Does Not Support': 'bg-red-100 text-red-800 border-red-200',
+  'Not Applicable': 'bg-gray-100 text-gray-700 border-gray-200',
+  'Not Evaluated': 'bg-gray-100 text-gray-700 border-gray-200'
+};
+
+const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const Acr = () => {
+  const { id } = useParams();
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+  const [acr, setAcr] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchAcr = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/analysis/${id}/acr`, {
+          headers: {
+            'Authorization': `Bearer ${user.token}`
+          }
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to fetch conformance report');
+        }
+
+        setAcr(data);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAcr();
+  }, [id, user.token]);
+
+  const updateField = (field, value) => setAcr({ ...acr, [field]: value });
+
+  const updateProduct = (field, value) =>
+    setAcr({ ...acr, product: { ...acr.product, [field]: value } });
+
+  const updateCriterion = (criterion, changes) =>
+    setAcr({
+      ...acr,
+      criteria: acr.criteria.map((c) => (c.criterion === criterion ? { ...c, ...changes } : c))
+    });
+
+  const resetCriterion = (c) =>
+    updateCriterion(c.criterion, {
+      conformance: c.automated.conformance,
+      remarks: c.automated.remarks
+    });
+
+  // Only criteria that differ from the automated draft are stored as edits
+  const isEdited = (c) =>
+    c.conformance !== c.automated.conformance || c.remarks !== c.automated.remarks;
+
+  const saveAcr = async () => {
+    setSaving(true);
+    setError('');
+    setStatus('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/analysis/${id}/acr`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${user.token}`
+        },
+        body: JSON.stringify({
+          product: acr.product,
+          contact: acr.contact,
+          notes: acr.notes,
+          evaluationMethods: acr.evaluationMethods,
+          criteria: acr.criteria
+            .filter(isEdited)
+            .map(({ criterion, conformance, remarks }) => ({ criterion, conformance, remarks }))
+        })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to save conformance report');
+      }
+
+      setAcr(data);
+      setStatus('Report saved.');
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Saves the edits first so the export includes them
+  const exportAcr = async (format) => {
+    if (!(await saveAcr())) return;
+
+    const filename = `accesswai-acr-${id}.${format}`;
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/analysis/${id}/acr/export?format=${format}`, {
+        headers: {
+          'Authorization': `Bearer ${user.token}`
+        }
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to download ${filename}`);
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!acr) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <p className="text-red-600 mb-4">{error}</p>
+          <button onClick={() => navigate(`/analysis/${id}`)} className="text-blue-600 hover:underline">
+            Back to Analysis
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const counts = CONFORMANCE_LEVELS.map((level) => ({
+    level,
+    count: acr.criteria.filter((c) => c.conformance === level).length
+  }));
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-10">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex justify-between items-center">
+            <button
+              onClick={() => navigate(`/analysis/${id}`)}
+              className="flex items-center text-gray-600 hover:text-gray-900"
+            >
+              <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              Analysis
+            </button>
+            <button onClick={logout} className="px-4 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">
+              Logout
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="bg-white rounded-xl shadow-sm p-6 mb-6">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Accessibility Conformance Report</h1>
+          <p className="text-gray-600 mb-4">
+            A VPAT® 2.5 (WCAG edition) draft from this analysis. Automated checks only cover some
+            success criteria, so review each one and add remarks before publishing.
+          </p>
+          <ul className="flex flex-wrap gap-2 mb-4">
+            {counts.map(({ level, count }) => (
+              <li key={level} className={`px-2 py-1 rounded text-sm font-medium border ${CONFORMANCE_COLORS[level]}`}>
+                {level}: {count}
+              </li>
+            ))}
+          </ul>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={saveAcr}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition font-medium disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              onClick={() => exportAcr('html')}
+              disabled={saving}
+              className="px-4 py-2 rounded-lg font-medium bg-gray-100 text-gray-800 hover:bg-gray-200 disabled:opacity-50"
+            >
+              Export HTML
+            </button>
+            <button
+              onClick={() => exportAcr('pdf')}
+              disabled={saving}
+              className="px-4 py-2 rounded-lg font-medium bg-gray-100 text-gray-800 hover:bg-gray-200 disabled:opacity-50"
+            >
+              Export PDF
+            </button>
+          </div>
+          {error && (
+            <div role="alert" className="mt-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+              {error}
+            </div>
+          )}
+          <p role="status" className="mt-2 text-sm text-green-700">{status}</p>
+        </div>
+
+        {/* Product Information */}
+        <section className="bg-white rounded-xl shadow-sm p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Product Information</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label htmlFor="acr-name" className="block text-sm font-medium text-gray-700 mb-1">Product name</label>
+              <input
+                id="acr-name"
+                type="text"
+                value={acr.product.name}
+                onChange={(e) => updateProduct('name', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="acr-version" className="block text-sm font-medium text-gray-700 mb-1">Version</label>
+              <input
+                id="acr-version"
+                type="text"
+                value={acr.product.version}
+                onChange={(e) => updateProduct('version', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          {[
+            { id: 'acr-description', label: 'Product description', value: acr.product.description, onChange: (value) => updateProduct('description', value) },
+            { id: 'acr-contact', label: 'Contact information', value: acr.contact, onChange: (value) => updateField('contact', value) },
+            { id: 'acr-notes', label: 'Notes', value: acr.notes, onChange: (value) => updateField('notes', value) },
+            { id: 'acr-methods', label: 'Evaluation methods used', value: acr.evaluationMethods, onChange: (value) => updateField('evaluationMethods', value) }
+          ].map((field) => (
+            <div key={field.id} className="mb-4 last:mb-0">
+              <label htmlFor={field.id} className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+              <textarea
+                id={field.id}
+                rows={3}
+                value={field.value}
+                onChange={(e) => field.onChange(e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          ))}
+        </section>
+
+        {/* Criteria by Level */}
+        {acr.levels.map((level) => (
+          <section key={level} className="bg-white rounded-xl shadow-sm p-6 mb-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Level {level} Success Criteria</h2>
+            <ul className="divide-y divide-gray-100">
+              {acr.criteria.filter((c) => c.level === level).map((c) => (
+                <li key={c.criterion} className="py-4">
+                  <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                    <h3 className="font-medium text-gray-900">
+                      <a href={c.url} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                        {c.criterion} {c.name}
+                      </a>
+                    </h3>
+                    <span className="text-sm text-gray-500">
+                      Automated: {c.automated.conformance}
+                    </span>
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                    <div>
+                      <label htmlFor={`conformance-${c.criterion}`} className="sr-only">
+                        Conformance level for {c.criterion}
+                      </label>
+                      <select
+                        id={`conformance-${c.criterion}`}
+                        value={c.conformance}
+                        onChange={(e) => updateCriterion(c.criterion, { conformance: e.target.value })}
+                        className={`w-full px-3 py-2 rounded-lg border text-sm font-medium ${CONFORMANCE_COLORS[c.conformance]}`}
+                      >
+                        {CONFORMANCE_LEVELS.map((option) => (
+                          <option key={option} value={option}>{option}</option>
+                        ))}
+                      </select>
+                      {isEdited(c) && (
+                        <button
+                          onClick={() => resetCriterion(c)}
+                          className="mt-2 text-sm text-blue-600 hover:underline"
+                        >
+                          Reset to automated
+                        </button>
+                      )}
+                    </div>
+                    <div className="md:col-span-3">
+                      <label htmlFor={`remarks-${c.criterion}`} className="sr-only">
+                        Remarks and explanations for {c.criterion}
+                      </label>
+                      <textarea
+                        id={`remarks-${c.criterion}`}
+                        rows={2}
+                        value={c.remarks}
+                        onChange={(e) => updateCriterion(c.criterion, { remarks: e.target.value })}
+                        className={`${inputClass} text-sm`}
+                      />
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))}
+      </main>
+    </div>
+  );
+};
+
+export default Acr;
@@ -2,6 +2,40 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import DiffView from '../components/DiffView';
+import ChatPanel from '../components/ChatPanel';
+
+const EXPORT_FORMATS = [
+  { key: 'pdf', label: 'Audit report (PDF)', path: 'report?format=pdf', file: 'accesswai-report', extension: 'pdf' },
+  { key: 'html', label: 'Audit report (HTML)', path: 'report?format=html', file: 'accesswai-report', extension: 'html' },
+  { key: 'sarif', label: 'SARIF (code scanning)', path: 'export?format=sarif', file: 'accesswai', extension: 'sarif' },
+  { key: 'junit', label: 'JUnit XML (test reports)', path: 'export?format=junit', file: 'accesswai', extension: 'xml' },
+  { key: 'csv', label: 'CSV (spreadsheets)', path: 'export?format=csv', file: 'accesswai', extension: 'csv' },
+  { key: 'json', label: 'JSON', path: 'export?format=json', file: 'accesswai', extension: 'json' }
+];
+
+// How a suggested patch did when the rules were re-run on the patched file
+const FIX_STATUS = {
+  fixed: {
+    label: 'Fixes the issue',
+    className: 'bg-green-100 text-green-800 border-green-200',
+    description: 'The rules no longer report this issue in the patched file.'
+  },
+  'not-fixed': {
+    label: "Doesn't fix the issue",
+    className: 'bg-red-100 text-red-800 border-red-200',
+    description: 'The rules still report this issue in the patched file.'
+  },
+  unverified: {
+    label: 'Not verified',
+    className: 'bg-gray-100 text-gray-700 border-gray-200',
+    description: "This issue can't be re-checked in a single file. Review the patch yourself."
+  },
+  invalid: {
+    label: "Patch doesn't apply",
+    className: 'bg-red-100 text-red-800 border-red-200'
+  }
+};
 
 const Analysis = () => {
   const { id } = useParams();
@@ -11,6 +45,12 @@ const Analysis = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [selectedSeverity, setSelectedSeverity] = useState('all');
+  const [groupBy, setGroupBy] = useState('severity');
+  const [newOnly, setNewOnly] = useState(false);
+  const [baselineBusy, setBaselineBusy] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [fixes, setFixes] = useState({});
+  const [fixing, setFixing] = useState(null);
 
   useEffect(() => {
     fetchAnalysis();
@@ -56,9 +96,324 @@ const Analysis = () => {
     return 'text-red-600';
   };
 
-  const filteredIssues = selectedSeverity === 'all'
+  const filteredIssues = (selectedSeverity === 'all'
     ? analysis?.issues
-    : analysis?.issues.filter(i => i.severity === selectedSeverity);
+    : analysis?.issues.filter(i => i.severity === selectedSeverity)
+  )?.filter(i => !newOnly || !i.baseline);
+
+  // Marks this run as (or stops it being) the project's baseline
+  const toggleBaseline = async () => {
+    setBaselineBusy(true);
+    try {
+      const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+      const response = await fetch(`${API_BASE_URL}/api/analysis/${id}/baseline`, {
+        method: analysis.isProjectBaseline ? 'DELETE' : 'POST',
+        headers: {
+          'Authorization': `Bearer ${user.token}`
+        }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to update baseline');
+      }
+      setAnalysis({ ...analysis, isProjectBaseline: !analysis.isProjectBaseline });
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setBaselineBusy(false);
+    }
+  };
+
+  // Downloads an authenticated API response as a file
+  const downloadFile = async (path, filename) => {
+    try {
+      const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+      const response = await fetch(`${API_BASE_URL}${path}`, {
+        headers: {
+          'Authorization': `Bearer ${user.token}`
+        }
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to download ${filename}`);
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const downloadBaseline = () =>
+    downloadFile(`/api/analysis/${id}/baseline`, 'accesswai-baseline.json');
+
+  const exportAnalysis = (format) => {
+    setExportOpen(false);
+    downloadFile(`/api/analysis/${id}/${format.path}`, `${format.file}-${id}.${format.extension}`);
+  };
+
+  // Asks the AI provider for a patch for one issue
+  const suggestFix = async (issue) => {
+    setFixing(issue._id);
+    try {
+      const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+      const response = await fetch(`${API_BASE_URL}/api/analysis/${id}/issues/${issue._id}/fix`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${user.token}`
+        }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to suggest a fix');
+      }
+      setFixes((current) => ({ ...current, [issue._id]: data }));
+    } catch (err) {
+      setFixes((current) => ({ ...current, [issue._id]: { error: err.message } }));
+    } finally {
+      setFixing(null);
+    }
+  };
+
+  const renderFix = (issue) => {
+    const fix = fixes[issue._id] || issue.fix;
+    if (!fix) return null;
+    if (!fix.status) {
+      return (
+        <p role="alert" className="mt-3 text-sm text-red-700">{fix.error}</p>
+      );
+    }
+
+    const status = FIX_STATUS[fix.status];
+    return (
+      <div className="mt-3 bg-gray-50 rounded-lg p-4 border border-gray-200">
+        <div className="flex flex-wrap items-center gap-2 mb-2">
+          <p className="text-sm font-medium text-gray-700">Suggested patch</p>
+          <span className={`px-2 py-0.5 rounded text-xs font-medium border ${status.className}`}>
+            {status.label}
+          </span>
+          {fix.model && <span className="text-xs text-gray-500">by {fix.model}</span>}
+        </div>
+        <p className="text-sm text-gray-600 mb-2">{fix.error || status.description}</p>
+        {fix.introduced?.length > 0 && (
+          <div className="text-sm text-orange-800 mb-2">
+            <p>The patch introduces new issues:</p>
+            <ul className="list-disc ml-5">
+              {fix.introduced.map((introduced, index) => (
+                <li key={index}>
+                  {introduced.type} (line {introduced.line}): {introduced.description}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {fix.diff && <DiffView diff={fix.diff} label={`Suggested patch for ${issue.type} in ${issue.file}`} />}
+        {fix.explanation && <p className="text-sm text-gray-700 mt-2">{fix.explanation}</p>}
+      </div>
+    );
+  };
+
+  const renderIssue = (issue, key) => (
+    <div key={key} className="bg-white rounded-lg shadow-sm p-6 border-l-4" style={{
+      borderLeftColor: issue.severity === 'critical' ? '#DC2626' :
+        issue.severity === 'high' ? '#EA580C' :
+          issue.severity === 'medium' ? '#D97706' : '#2563EB'
+    }}>
+      <div className="flex items-start justify-between mb-3">
+        <div className="flex items-center space-x-3">
+          <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${getSeverityColor(issue.severity)}`}>
+            {issue.severity.toUpperCase()}
+          </span>
+          <h3 className="text-lg font-semibold text-gray-900">{issue.type}</h3>
+          {issue.source === 'dom' && (
+            <span
+              className="px-2 py-0.5 rounded text-xs font-medium bg-purple-50 text-purple-700 border border-purple-200"
+              title="Found on the rendered page"
+            >
+              DOM
+            </span>
+          )}
+          {issue.baseline && (
+            <span
+              className="px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-600 border border-gray-200"
+              title="Already present in the project's baseline"
+            >
+              Baseline
+            </span>
+          )}
+          {issue.component && (
+            <span
+              className="px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700 border border-gray-200"
+              title={`Found in markup rendered by ${issue.component.name} (${issue.component.file}:${issue.component.line})`}
+            >
+              via {issue.component.name}
+            </span>
+          )}
+        </div>
+        <span className="text-sm text-gray-500">
+          {issue.file}:{issue.line}{issue.column ? `:${issue.column}` : ''}
+        </span>
+      </div>
+
+      <p className="text-gray-700 mb-3">{issue.description}</p>
+
+      {issue.contrast && (
+        <div className="flex items-center gap-3 mb-3 text-sm text-gray-700">
+          <span
+            className="px-3 py-1 rounded border border-gray-300 font-medium"
+            style={{ color: issue.contrast.foreground, backgroundColor: issue.contrast.background }}
+          >
+            Sample text
+          </span>
+          <span>
+            {issue.contrast.foreground} on {issue.contrast.background} • {issue.contrast.ratio}:1
+            (needs {issue.contrast.required}:1)
+          </span>
+        </div>
+      )}
+
+      {(issue.wcag?.length > 0 || issue.helpUrl) && (
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          {issue.wcag?.map((criterion) => (
+            <a
+              key={criterion.criterion}
+              href={criterion.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="px-2 py-1 rounded text-xs font-medium bg-indigo-50 text-indigo-700 border border-indigo-200 hover:bg-indigo-100"
+            >
+              WCAG {criterion.criterion} {criterion.name} ({criterion.level})
+            </a>
+          ))}
+          {issue.helpUrl && (
+            <a
+              href={issue.helpUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-xs text-blue-600 hover:underline"
+            >
+              Learn more{issue.ruleId ? ` about ${issue.ruleId}` : ''}
+            </a>
+          )}
+        </div>
+      )}
+
+      <div className="bg-gray-50 rounded-lg p-4 mb-3">
+        <p className="text-sm font-medium text-gray-700 mb-2">Code:</p>
+        <code className="text-sm text-gray-900 block overflow-x-auto">{issue.code}</code>
+      </div>
+
+      <div className="bg-green-50 rounded-lg p-4 border border-green-200">
+        <p className="text-sm font-medium text-green-900 mb-1">💡 How to fix:</p>
+        <p className="text-sm text-green-800">{issue.suggestion}</p>
+      </div>
+
+      <button
+        onClick={() => suggestFix(issue)}
+        disabled={fixing !== null}
+        className="mt-3 px-3 py-1.5 text-sm rounded-lg font-medium bg-purple-100 text-purple-800 hover:bg-purple-200 disabled:opacity-50"
+      >
+        {fixing === issue._id ? 'Suggesting fix...' : (fixes[issue._id] || issue.fix) ? 'Suggest another fix' : 'Suggest fix'}
+      </button>
+      {renderFix(issue)}
+    </div>
+  );
+
+  const renderItems = (items) => (
+    <ul className="list-disc pl-5 space-y-1 text-gray-700">
+      {items.map((item, index) => (
+        <li key={index}>
+          <span className="font-medium text-gray-900">{item.title}</span>
+          {item.detail && `: ${item.detail}`}
+        </li>
+      ))}
+    </ul>
+  );
+
+  const renderRecommendations = ({ health, blockers, quickWins, longTerm, principles }) => {
+    const issuesById = new Map(analysis.issues.map((issue) => [issue._id, issue]));
+    return (
+      <div className="space-y-4">
+        <section>
+          <h4 className="font-semibold text-gray-900 mb-1">Overall health</h4>
+          <p className="text-gray-700">{health}</p>
+        </section>
+        {blockers.length > 0 && (
+          <section>
+            <h4 className="font-semibold text-gray-900 mb-1">Top blockers</h4>
+            <ol className="list-decimal pl-5 space-y-2 text-gray-700">
+              {blockers.map((blocker, index) => {
+                const linked = blocker.issueIds.map((issueId) => issuesById.get(issueId)).filter(Boolean);
+                return (
+                  <li key={index}>
+                    <span className="font-medium text-gray-900">{blocker.title}</span>
+                    {blocker.impact && `: ${blocker.impact}`}
+                    {linked.length > 0 && (
+                      <ul className="mt-1 text-sm text-gray-500">
+                        {linked.slice(0, 5).map((issue) => (
+                          <li key={issue._id}>
+                            {issue.type} at {issue.file}:{issue.line}
+                          </li>
+                        ))}
+                        {linked.length > 5 && <li>and {linked.length - 5} more</li>}
+                      </ul>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          </section>
+        )}
+        {quickWins.length > 0 && (
+          <section>
+            <h4 className="font-semibold text-gray-900 mb-1">Quick wins</h4>
+            {renderItems(quickWins)}
+          </section>
+        )}
+        {longTerm.length > 0 && (
+          <section>
+            <h4 className="font-semibold text-gray-900 mb-1">Long-term plan</h4>
+            {renderItems(longTerm)}
+          </section>
+        )}
+        {principles.length > 0 && (
+          <section>
+            <h4 className="font-semibold text-gray-900 mb-1">WCAG principles affected</h4>
+            <dl className="text-gray-700 space-y-1">
+              {principles.map((entry) => (
+                <div key={entry.principle}>
+                  <dt className="inline font-medium text-gray-900">{entry.principle}: </dt>
+                  <dd className="inline">{entry.explanation}</dd>
+                </div>
+              ))}
+            </dl>
+          </section>
+        )}
+      </div>
+    );
+  };
+
+  // Issues mapped to several criteria appear once under each of them
+  const issuesByCriterion = () => {
+    const groups = {};
+    filteredIssues?.forEach((issue) => {
+      const criteria = issue.wcag?.length
+        ? issue.wcag
+        : [{ criterion: 'other', name: 'Not mapped to a WCAG criterion' }];
+      criteria.forEach((criterion) => {
+        if (!groups[criterion.criterion]) {
+          groups[criterion.criterion] = { ...criterion, issues: [] };
+        }
+        groups[criterion.criterion].issues.push(issue);
+      });
+    });
+    return Object.values(groups).sort((a, b) =>
+      a.criterion.localeCompare(b.criterion, undefined, { numeric: true })
+    );
+  };
 
   if (loading) {
     return (
@@ -108,10 +463,116 @@ const Analysis = () => {
         <div className="bg-white rounded-xl shadow-sm p-6 mb-6">
           <h1 className="text-3xl font-bold text-gray-900 mb-2">{analysis.projectName}</h1>
           <p className="text-gray-600">
-            Analyzed {analysis.filesAnalyzed} files • {new Date(analysis.createdAt).toLocaleDateString()}
+            Analyzed {analysis.filesAnalyzed} files
+            {analysis.mode === 'dom' && ` and ${analysis.pagesRendered} rendered pages`} • {new Date(analysis.createdAt).toLocaleDateString()}
           </p>
+          {analysis.repository?.commit && (
+            <p className="mt-1 text-sm text-gray-500">
+              {analysis.repository.url}
+              {analysis.repository.branch && ` @ ${analysis.repository.branch}`} •{' '}
+              <code className="font-mono">{analysis.repository.commit.slice(0, 7)}</code>
+            </p>
+          )}
+          {analysis.config && (
+            <div className="mt-3 text-sm text-gray-500 space-y-1">
+              <p>
+                Target: WCAG 2.1 Level {analysis.config.level} • Configuration:{' '}
+                {analysis.config.source === 'default' ? 'defaults' : analysis.config.source}
+              </p>
+              {Object.keys(analysis.config.rules || {}).length > 0 && (
+                <p>
+                  Rule overrides:{' '}
+                  {Object.entries(analysis.config.rules)
+                    .map(([ruleId, setting]) => `${ruleId} (${setting})`)
+                    .join(', ')}
+                </p>
+              )}
+              {analysis.config.ignore?.length > 0 && (
+                <p>Ignored paths: {analysis.config.ignore.join(', ')}</p>
+              )}
+            </div>
+          )}
+          <div className="flex flex-wrap gap-2 mt-4">
+            {analysis.projectId && (
+              <button
+                onClick={toggleBaseline}
+                disabled={baselineBusy}
+                className="px-3 py-1.5 text-sm rounded-lg font-medium bg-gray-100 text-gray-800 hover:bg-gray-200 disabled:opacity-50"
+              >
+                {analysis.isProjectBaseline ? 'Stop using as baseline' : 'Set as project baseline'}
+              </button>
+            )}
+            <button
+              onClick={downloadBaseline}
+              className="px-3 py-1.5 text-sm rounded-lg font-medium bg-gray-100 text-gray-800 hover:bg-gray-200"
+            >
+              Download accesswai-baseline.json
+            </button>
+            <button
+              onClick={() => navigate(`/analysis/${id}/acr`)}
+              className="px-3 py-1.5 text-sm rounded-lg font-medium bg-gray-100 text-gray-800 hover:bg-gray-200"
+            >
+              Conformance report (VPAT)
+            </button>
+            <button
+              onClick={() => navigate(`/analysis/${id}/fixes`)}
+              className="px-3 py-1.5 text-sm rounded-lg font-medium bg-gray-100 text-gray-800 hover:bg-gray-200"
+            >
+              Automatic fixes
+            </button>
+            <div
+              className="relative"
+              onKeyDown={(e) => e.key === 'Escape' && setExportOpen(false)}
+            >
+              <button
+                onClick={() => setExportOpen(!exportOpen)}
+                aria-expanded={exportOpen}
+                aria-controls="export-formats"
+                className="px-3 py-1.5 text-sm rounded-lg font-medium bg-gray-100 text-gray-800 hover:bg-gray-200"
+              >
+                Export ▾
+              </button>
+              {exportOpen && (
+                <ul
+                  id="export-formats"
+                  className="absolute left-0 mt-1 w-56 bg-white border border-gray-200 rounded-lg shadow-lg py-1 z-20"
+                >
+                  {EXPORT_FORMATS.map((format) => (
+                    <li key={format.key}>
+                      <button
+                        onClick={() => exportAnalysis(format)}
+                        className="w-full text-left px-4 py-2 text-sm text-gray-800 hover:bg-gray-100"
+                      >
+                        {format.label}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
         </div>
 
+        {/* Gate */}
+        {analysis.gate && (
+          <div
+            className={`rounded-xl p-6 mb-6 border ${analysis.gate.passed ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}
+          >
+            <h2 className={`text-lg font-semibold ${analysis.gate.passed ? 'text-green-900' : 'text-red-900'}`}>
+              {analysis.gate.passed ? 'Passed' : 'Failed'}:{' '}
+              {analysis.gate.failing} new issue{analysis.gate.failing === 1 ? '' : 's'} at {analysis.gate.failOn} severity or above
+            </h2>
+            <p className="text-sm text-gray-700 mt-1">
+              {analysis.baseline
+                ? `Compared with the ${analysis.baseline.source === 'file' ? 'accesswai-baseline.json in the project' : 'project\'s baseline run'} (${analysis.baseline.issues} issues): ${analysis.summary.baseline} issues already in the baseline, ${analysis.issues.length - analysis.summary.baseline} new.`
+                : 'No baseline was set, so every issue counts as new.'}
+              {analysis.scoreBreakdown && (
+                <> New issues cost {analysis.scoreBreakdown.newPenalty} points of the score; baseline issues {analysis.scoreBreakdown.baselinePenalty}.</>
+              )}
+            </p>
+          </div>
+        )}
+
         {/* Score Card */}
         <div className="bg-linear-to-r from-blue-600 to-indigo-600 rounded-xl shadow-lg p-8 mb-6 text-white">
           <div className="flex items-center justify-between">
@@ -147,9 +608,14 @@ const Analysis = () => {
             <div className="text-sm text-gray-600 mt-1">Low Priority</div>
           </div>
         </div>
+        {analysis.summary.suppressed > 0 && (
+          <p className="text-sm text-gray-600 -mt-2 mb-6">
+            {analysis.summary.suppressed} finding{analysis.summary.suppressed > 1 ? 's' : ''} suppressed by inline comments (listed below the issues)
+          </p>
+        )}
 
         {/* AI Suggestions */}
-        {analysis.aiSuggestions && (
+        {(analysis.recommendations?.health || analysis.aiSuggestions) && (
           <div className="bg-linear-to-r from-purple-50 to-pink-50 rounded-xl shadow-sm p-6 mb-6 border border-purple-200">
             <div className="flex items-start">
               <div className="flex shrink-0">
@@ -159,12 +625,25 @@ const Analysis = () => {
               </div>
               <div className="ml-4 flex-1">
                 <h3 className="text-lg font-semibold text-gray-900 mb-2">AI-Powered Recommendations</h3>
-                <div className="text-gray-700 whitespace-pre-line">{analysis.aiSuggestions}</div>
+                {analysis.ai?.provider && (
+                  <p className="text-sm text-gray-600 mb-2">
+                    {analysis.ai.provider === 'fallback'
+                      ? 'Built-in recommendations (no AI model)'
+                      : `Written by ${analysis.ai.model || analysis.ai.provider}`}
+                    {analysis.ai.error && ` because ${analysis.ai.error}`}
+                  </p>
+                )}
+                {analysis.recommendations?.health
+                  ? renderRecommendations(analysis.recommendations)
+                  : <div className="text-gray-700 whitespace-pre-line">{analysis.aiSuggestions}</div>}
               </div>
             </div>
           </div>
         )}
 
+        {/* Follow-up Chat */}
+        <ChatPanel analysisId={id} initialMessages={analysis.chat} />
+
         {/* Issues Filter */}
         <div className="bg-white rounded-xl shadow-sm p-6 mb-6">
           <div className="flex flex-wrap gap-2">
@@ -204,40 +683,105 @@ const Analysis = () => {
               Low ({analysis.summary.low})
             </button>
           </div>
+          <div className="flex items-center gap-2 mt-4 text-sm">
+            <span className="text-gray-600">Group by:</span>
+            <button
+              onClick={() => setGroupBy('severity')}
+              aria-pressed={groupBy === 'severity'}
+              className={`px-3 py-1 rounded-lg font-medium transition ${groupBy === 'severity' ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              Severity
+            </button>
+            <button
+              onClick={() => setGroupBy('wcag')}
+              aria-pressed={groupBy === 'wcag'}
+              className={`px-3 py-1 rounded-lg font-medium transition ${groupBy === 'wcag' ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              WCAG criterion
+            </button>
+            {analysis.summary.baseline > 0 && (
+              <label className="flex items-center ml-4 text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={newOnly}
+                  onChange={(e) => setNewOnly(e.target.checked)}
+                  className="h-4 w-4 mr-2 text-blue-600 border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                />
+                New issues only
+              </label>
+            )}
+          </div>
         </div>
 
         {/* Issues List */}
-        <div className="space-y-4">
-          {filteredIssues?.map((issue, index) => (
-            <div key={index} className="bg-white rounded-lg shadow-sm p-6 border-l-4" style={{
-              borderLeftColor: issue.severity === 'critical' ? '#DC2626' :
-                issue.severity === 'high' ? '#EA580C' :
-                  issue.severity === 'medium' ? '#D97706' : '#2563EB'
-            }}>
-              <div className="flex items-start justify-between mb-3">
-                <div className="flex items-center space-x-3">
-                  <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${getSeverityColor(issue.severity)}`}>
-                    {issue.severity.toUpperCase()}
-                  </span>
-                  <h3 className="text-lg font-semibold text-gray-900">{issue.type}</h3>
+        {groupBy === 'wcag' ? (
+          <div className="space-y-8">
+            {issuesByCriterion().map((group) => (
+              <section key={group.criterion}>
+                <h2 className="text-xl font-semibold text-gray-900 mb-3">
+                  {group.url ? (
+                    <a href={group.url} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                      {group.criterion} {group.name}
+                    </a>
+                  ) : (
+                    group.name
+                  )}
+                  {group.level && <span className="ml-2 text-sm font-medium text-gray-500">Level {group.level}</span>}
+                  <span className="ml-2 text-sm font-medium text-gray-500">({group.issues.length})</span>
+                </h2>
+                <div className="space-y-4">
+                  {group.issues.map((issue, index) => renderIssue(issue, `${group.criterion}-${index}`))}
                 </div>
-                <span className="text-sm text-gray-500">{issue.file}:{issue.line}</span>
-              </div>
-
-              <p className="text-gray-700 mb-3">{issue.description}</p>
+              </section>
+            ))}
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {filteredIssues?.map((issue, index) => renderIssue(issue, index))}
+          </div>
+        )}
 
-              <div className="bg-gray-50 rounded-lg p-4 mb-3">
-                <p className="text-sm font-medium text-gray-700 mb-2">Code:</p>
-                <code className="text-sm text-gray-900 block overflow-x-auto">{issue.code}</code>
-              </div>
+        {/* Suppressed Findings */}
+        {analysis.suppressedIssues?.length > 0 && (
+          <details className="bg-white rounded-xl shadow-sm p-6 mt-6">
+            <summary className="cursor-pointer text-lg font-semibold text-gray-900">
+              Suppressed Findings ({analysis.suppressedIssues.length})
+            </summary>
+            <p className="text-sm text-gray-600 mt-2 mb-4">
+              These findings were silenced by accesswai-disable comments and do not count towards the score.
+            </p>
+            <ul className="space-y-2">
+              {analysis.suppressedIssues.map((issue, index) => (
+                <li key={index} className="text-sm border-l-4 border-gray-300 pl-3">
+                  <span className="font-medium text-gray-900">{issue.type}</span>{' '}
+                  <span className="text-gray-500">
+                    {issue.file}:{issue.line} • {issue.suppressedBy?.directive} (line {issue.suppressedBy?.line})
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
 
-              <div className="bg-green-50 rounded-lg p-4 border border-green-200">
-                <p className="text-sm font-medium text-green-900 mb-1">💡 How to fix:</p>
-                <p className="text-sm text-green-800">{issue.suggestion}</p>
-              </div>
-            </div>
-          ))}
-        </div>
+        {/* Unused Suppressions */}
+        {analysis.unusedSuppressions?.length > 0 && (
+          <div className="bg-yellow-50 rounded-xl border border-yellow-200 p-6 mt-6">
+            <h2 className="text-lg font-semibold text-yellow-900 mb-2">
+              Unused Suppressions ({analysis.unusedSuppressions.length})
+            </h2>
+            <p className="text-sm text-yellow-800 mb-4">
+              These comments no longer silence any finding and can be removed.
+            </p>
+            <ul className="space-y-1 text-sm text-yellow-900">
+              {analysis.unusedSuppressions.map((suppression, index) => (
+                <li key={index}>
+                  {suppression.file}:{suppression.line} • {suppression.directive}
+                  {suppression.rules?.length > 0 && ` ${suppression.rules.join(', ')}`}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
       </main>
     </div>
   );
@@ -0,0 +1,217 @@
+// frontend/src/pages/Compare.jsx
+import React, { useState, useEffect } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const SEVERITY_STYLES = {
+  critical: 'bg-red-100 text-red-800 border-red-200',
+  high: 'bg-orange-100 text-orange-800 border-orange-200',
+  medium: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+  low: 'bg-blue-100 text-blue-800 border-blue-200'
+};
+
+// For issues, fewer is better: a negative delta is shown in green
+const deltaColor = (delta, higherIsBetter = false) => {
+  if (delta === 0) return 'text-gray-600';
+  return (delta > 0) === higherIsBetter ? 'text-green-700' : 'text-red-700';
+};
+
+const formatDelta = (delta) => (delta > 0 ? `+${delta}` : `${delta}`);
+
+const Compare = () => {
+  const [searchParams] = useSearchParams();
+  const base = searchParams.get('base');
+  const head = searchParams.get('head');
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [view, setView] = useState('new');
+
+  useEffect(() => {
+    const fetchComparison = async () => {
+      try {
+        const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+        const response = await fetch(
+          `${API_BASE_URL}/api/analysis/compare?base=${base}&head=${head}`,
+          {
+            headers: {
+              'Authorization': `Bearer ${user.token}`
+            }
+          }
+        );
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to compare analyses');
+        }
+
+        setComparison(data);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchComparison();
+  }, [base, head, user.token]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <p className="text-red-600 mb-4">{error}</p>
+          <button onClick={() => navigate('/history')} className="text-blue-600 hover:underline">
+            Back to History
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const lists = {
+    new: { label: 'New', issues: comparison.newIssues },
+    resolved: { label: 'Resolved', issues: comparison.resolvedIssues },
+    persisting: { label: 'Persisting', issues: comparison.persistingIssues }
+  };
+
+  const renderRun = (run, label) => (
+    <div className="flex-1">
+      <p className="text-sm font-medium text-gray-500 uppercase">{label}</p>
+      <button
+        onClick={() => navigate(`/analysis/${run._id}`)}
+        className="text-lg font-semibold text-gray-900 hover:underline text-left"
+      >
+        {run.projectName}
+      </button>
+      <p className="text-sm text-gray-600">
+        {new Date(run.createdAt).toLocaleString()}
+        {run.repository?.commit && ` • ${run.repository.commit.slice(0, 7)}`}
+        {' '}• Score {run.accessibilityScore}
+      </p>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-10">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex justify-between items-center">
+            <button
+              onClick={() => navigate('/history')}
+              className="flex items-center text-gray-600 hover:text-gray-900"
+            >
+              <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              History
+            </button>
+            <button onClick={logout} className="px-4 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">
+              Logout
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Runs */}
+        <div className="bg-white rounded-xl shadow-sm p-6 mb-6">
+          <h1 className="text-3xl font-bold text-gray-900 mb-4">Compare Analyses</h1>
+          <div className="flex flex-col md:flex-row md:items-center gap-4">
+            {renderRun(comparison.base, 'Base')}
+            <span className="text-2xl text-gray-400" aria-hidden="true">→</span>
+            {renderRun(comparison.head, 'Head')}
+            <div className="text-right">
+              <p className="text-sm text-gray-500">Score change</p>
+              <p className={`text-4xl font-bold ${deltaColor(comparison.scoreDelta, true)}`}>
+                {formatDelta(comparison.scoreDelta)}
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* Severity Deltas */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          {SEVERITIES.map((severity) => {
+            const counts = comparison.severities[severity];
+            return (
+              <div key={severity} className="bg-white rounded-lg shadow-sm p-6">
+                <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${SEVERITY_STYLES[severity]}`}>
+                  {severity.toUpperCase()}
+                </span>
+                <div className="mt-3 flex items-baseline gap-2">
+                  <span className="text-3xl font-bold text-gray-900">{counts.head}</span>
+                  <span className={`text-sm font-semibold ${deltaColor(counts.delta)}`}>
+                    {formatDelta(counts.delta)}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-600 mt-1">
+                  {counts.new} new • {counts.resolved} resolved
+                </p>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Issue Lists */}
+        <div className="bg-white rounded-xl shadow-sm p-6 mb-6">
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(lists).map(([key, list]) => (
+              <button
+                key={key}
+                onClick={() => setView(key)}
+                aria-pressed={view === key}
+                className={`px-4 py-2 rounded-lg font-medium transition ${view === key ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+              >
+                {list.label} ({list.issues.length})
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {lists[view].issues.length === 0 ? (
+          <p className="text-center text-gray-600 py-8">No {lists[view].label.toLowerCase()} issues.</p>
+        ) : (
+          <div className="space-y-3">
+            {lists[view].issues.map((issue, index) => (
+              <div key={`${issue.fingerprint}-${index}`} className="bg-white rounded-lg shadow-sm p-4">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="flex items-center gap-3">
+                    <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${SEVERITY_STYLES[issue.severity] || SEVERITY_STYLES.low}`}>
+                      {issue.severity.toUpperCase()}
+                    </span>
+                    <h3 className="font-semibold text-gray-900">{issue.type}</h3>
+                  </div>
+                  <span className="text-sm text-gray-500">
+                    {issue.file}:{issue.line}
+                    {issue.previousLine !== undefined && issue.previousLine !== issue.line && (
+                      <span> (was line {issue.previousLine})</span>
+                    )}
+                  </span>
+                </div>
+                <p className="text-gray-700 mt-2">{issue.description}</p>
+                <code className="text-sm text-gray-900 bg-gray-50 rounded p-2 mt-2 block overflow-x-auto">{issue.code}</code>
+              </div>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Compare;
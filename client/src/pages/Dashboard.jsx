@@ -1,16 +1,97 @@
 // frontend/src/pages/Dashboard.jsx
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
+const STAGE_LABELS = {
+  extract: 'Extracting files',
+  scan: 'Scanning for issues',
+  ai: 'Generating AI suggestions',
+  score: 'Scoring results'
+};
+
+const POLL_INTERVAL = 1000;
+
 const Dashboard = () => {
+  const [source, setSource] = useState('zip');
   const [file, setFile] = useState(null);
+  const [repoUrl, setRepoUrl] = useState('');
+  const [gitRef, setGitRef] = useState('');
+  const [searchParams] = useSearchParams();
+  const [projects, setProjects] = useState([]);
+  const [projectId, setProjectId] = useState(searchParams.get('project') || '');
   const [projectName, setProjectName] = useState('');
+  const [renderPages, setRenderPages] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState('');
+  const [job, setJob] = useState(null);
   const { user, logout } = useAuth();
   const navigate = useNavigate();
 
+  const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+
+  useEffect(() => {
+    const fetchProjects = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/projects`, {
+          headers: {
+            'Authorization': `Bearer ${user.token}`
+          }
+        });
+        const data = await response.json();
+        if (response.ok) setProjects(data);
+      } catch (err) {
+        console.error('Failed to fetch projects:', err);
+      }
+    };
+
+    fetchProjects();
+  }, [API_BASE_URL, user.token]);
+
+  // Follow the queued analysis until it finishes
+  const jobId = job?._id;
+  useEffect(() => {
+    if (!jobId) return;
+    let timer;
+    let cancelled = false;
+
+    const poll = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/analysis/jobs/${jobId}`, {
+          headers: {
+            'Authorization': `Bearer ${user.token}`
+          }
+        });
+        const data = await response.json();
+        if (cancelled) return;
+
+        if (!response.ok) {
+          throw new Error(data.message || 'Could not fetch analysis progress');
+        }
+
+        setJob(data);
+        if (data.status === 'completed') {
+          navigate(`/analysis/${data.analysisId}`);
+        } else if (data.status === 'failed') {
+          throw new Error(data.error || 'Analysis failed');
+        } else {
+          timer = setTimeout(poll, POLL_INTERVAL);
+        }
+      } catch (err) {
+        if (cancelled) return;
+        setError(err.message);
+        setJob(null);
+        setUploading(false);
+      }
+    };
+
+    poll();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [jobId, API_BASE_URL, user.token, navigate]);
+
   const handleFileChange = (e) => {
     const selectedFile = e.target.files[0];
     if (selectedFile) {
@@ -28,39 +109,60 @@ const Dashboard = () => {
     }
   };
 
-  const handleUpload = async () => {
-    if (!file) {
+  // Both sources queue a job; the effect above follows it
+  const startAnalysis = async () => {
+    const mode = renderPages ? 'dom' : 'static';
+    if (source === 'git') {
+      return fetch(`${API_BASE_URL}/api/analysis/repository`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${user.token}`
+        },
+        body: JSON.stringify({ repoUrl, ref: gitRef.trim(), projectId, projectName, mode })
+      });
+    }
+
+    const formData = new FormData();
+    formData.append('project', file);
+    if (projectId) formData.append('projectId', projectId);
+    formData.append('projectName', projectName);
+    formData.append('mode', mode);
+
+    return fetch(`${API_BASE_URL}/api/analysis/upload`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${user.token}`
+      },
+      body: formData
+    });
+  };
+
+  const handleAnalyze = async () => {
+    if (source === 'zip' && !file) {
       setError('Please select a file to upload');
       return;
     }
+    if (source === 'git' && !repoUrl.trim()) {
+      setError('Please enter a repository URL');
+      return;
+    }
 
     setUploading(true);
     setError('');
+    setJob(null);
 
     try {
-      const formData = new FormData();
-      formData.append('project', file);
-      formData.append('projectName', projectName);
-
-      const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
-      const response = await fetch(`${API_BASE_URL}/api/analysis/upload`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${user.token}`
-        },
-        body: formData
-      });
-
+      const response = await startAnalysis();
       const data = await response.json();
 
       if (!response.ok) {
         throw new Error(data.message || 'Upload failed');
       }
 
-      navigate(`/analysis/${data._id}`);
+      setJob(data);
     } catch (err) {
       setError(err.message);
-    } finally {
       setUploading(false);
     }
   };
@@ -79,6 +181,12 @@ const Dashboard = () => {
               >
                 History
               </button>
+              <button
+                onClick={() => navigate('/settings')}
+                className="text-gray-700 hover:text-gray-900 font-medium"
+              >
+                Settings
+              </button>
               <span className="text-gray-800">{user?.name}</span>
               <button
                 onClick={logout}
@@ -110,65 +218,181 @@ const Dashboard = () => {
             </div>
           )}
 
-          <div className="space-y-6">
-            {/* Project Name */}
+          {/* Source Tabs */}
+          <div role="tablist" aria-label="Project source" className="flex mb-8 border-b border-gray-200">
+            {[
+              { id: 'zip', label: 'Upload ZIP' },
+              { id: 'git', label: 'Git Repository' }
+            ].map((tab) => (
+              <button
+                key={tab.id}
+                role="tab"
+                id={`source-tab-${tab.id}`}
+                aria-selected={source === tab.id}
+                aria-controls="source-panel"
+                onClick={() => {
+                  setSource(tab.id);
+                  setError('');
+                }}
+                disabled={uploading}
+                className={`px-4 py-2 -mb-px font-medium border-b-2 transition ${
+                  source === tab.id
+                    ? 'border-blue-600 text-blue-700'
+                    : 'border-transparent text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+
+          <div
+            role="tabpanel"
+            id="source-panel"
+            aria-labelledby={`source-tab-${source}`}
+            className="space-y-6"
+          >
+            {/* Project */}
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Project Name
+              <label htmlFor="project" className="block text-sm font-medium text-gray-700 mb-2">
+                Project
               </label>
-              <input
-                type="text"
-                value={projectName}
-                onChange={(e) => setProjectName(e.target.value)}
-                placeholder="My Awesome Project"
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              />
+              <select
+                id="project"
+                value={projectId}
+                onChange={(e) => setProjectId(e.target.value)}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">New project…</option>
+                {projects.map((project) => (
+                  <option key={project._id} value={project._id}>
+                    {project.name}
+                  </option>
+                ))}
+              </select>
             </div>
 
-            {/* File Upload */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Upload Project (ZIP)
-              </label>
-              <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center hover:border-blue-500 transition">
+            {/* Project Name */}
+            {!projectId && (
+              <div>
+                <label htmlFor="project-name" className="block text-sm font-medium text-gray-700 mb-2">
+                  Project Name
+                </label>
                 <input
-                  type="file"
-                  accept=".zip"
-                  onChange={handleFileChange}
-                  className="hidden"
-                  id="file-upload"
+                  type="text"
+                  id="project-name"
+                  value={projectName}
+                  onChange={(e) => setProjectName(e.target.value)}
+                  placeholder={source === 'git' ? 'Defaults to the repository name' : 'My Awesome Project'}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 />
-                <label
-                  htmlFor="file-upload"
-                  className="cursor-pointer flex flex-col items-center"
-                >
-                  <svg
-                    className="w-12 h-12 text-gray-400 mb-4"
-                    fill="none"
-                    stroke="currentColor"
-                    viewBox="0 0 24 24"
-                  >
-                    <path
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      strokeWidth={2}
-                      d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"
-                    />
-                  </svg>
-                  <span className="text-lg text-gray-700 font-medium">
-                    {file ? file.name : 'Click to upload or drag and drop'}
-                  </span>
-                  <span className="text-sm text-gray-500 mt-2">
-                    ZIP file containing HTML, JSX, JS, TS, or TSX files
-                  </span>
+                <p className="text-sm text-gray-500 mt-2">
+                  Runs with the same name, ignoring case and spacing, go into the same project
+                </p>
+              </div>
+            )}
+
+            {/* File Upload */}
+            {source === 'zip' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Upload Project (ZIP)
                 </label>
+                <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center hover:border-blue-500 transition">
+                  <input
+                    type="file"
+                    accept=".zip"
+                    onChange={handleFileChange}
+                    className="hidden"
+                    id="file-upload"
+                  />
+                  <label
+                    htmlFor="file-upload"
+                    className="cursor-pointer flex flex-col items-center"
+                  >
+                    <svg
+                      className="w-12 h-12 text-gray-400 mb-4"
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"
+                      />
+                    </svg>
+                    <span className="text-lg text-gray-700 font-medium">
+                      {file ? file.name : 'Click to upload or drag and drop'}
+                    </span>
+                    <span className="text-sm text-gray-500 mt-2">
+                      ZIP file containing HTML, JSX, TSX, JS, TS, Vue, Svelte, Angular templates, Markdown/MDX, CSS or SCSS files
+                    </span>
+                  </label>
+                </div>
+              </div>
+            )}
+
+            {/* Git Repository */}
+            {source === 'git' && (
+              <div className="space-y-6">
+                <div>
+                  <label htmlFor="repo-url" className="block text-sm font-medium text-gray-700 mb-2">
+                    Repository URL
+                  </label>
+                  <input
+                    type="text"
+                    id="repo-url"
+                    value={repoUrl}
+                    onChange={(e) => setRepoUrl(e.target.value)}
+                    placeholder="https://github.com/org/repo.git"
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <p className="text-sm text-gray-500 mt-2">
+                    An https, ssh or git URL, or a file:// URL or path to a repository on the server
+                  </p>
+                </div>
+                <div>
+                  <label htmlFor="git-ref" className="block text-sm font-medium text-gray-700 mb-2">
+                    Branch or Commit
+                  </label>
+                  <input
+                    type="text"
+                    id="git-ref"
+                    value={gitRef}
+                    onChange={(e) => setGitRef(e.target.value)}
+                    placeholder="Default branch"
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <p className="text-sm text-gray-500 mt-2">
+                    A branch, tag or full commit SHA. Files matched by the repository&apos;s .gitignore are skipped.
+                  </p>
+                </div>
               </div>
+            )}
+
+            {/* Analysis Mode */}
+            <div className="flex items-start">
+              <input
+                type="checkbox"
+                id="render-pages"
+                checked={renderPages}
+                onChange={(e) => setRenderPages(e.target.checked)}
+                className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+              />
+              <label htmlFor="render-pages" className="ml-3 text-sm text-gray-700">
+                <span className="font-medium">Also analyze rendered pages</span>
+                <span className="block text-gray-500">
+                  Loads built HTML (e.g. a dist/ folder) into a headless DOM to check duplicate ids, ARIA references, label targets and landmarks
+                </span>
+              </label>
             </div>
 
             {/* Upload Button */}
             <button
-              onClick={handleUpload}
-              disabled={!file || uploading}
+              onClick={handleAnalyze}
+              disabled={(source === 'zip' ? !file : !repoUrl.trim()) || uploading}
               className="w-full bg-blue-600 text-white py-4 rounded-lg font-medium text-lg hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {uploading ? (
@@ -189,12 +413,55 @@ const Dashboard = () => {
                       d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
                     />
                   </svg>
-                  Analyzing...
+                  {job ? 'Analyzing...' : source === 'git' ? 'Queuing...' : 'Uploading...'}
                 </span>
               ) : (
                 'Analyze Project'
               )}
             </button>
+
+            {/* Job Progress */}
+            {job && (
+              <div>
+                <div className="flex justify-between text-sm text-gray-700 mb-2">
+                  <span>
+                    {job.status === 'queued'
+                      ? 'Waiting in queue'
+                      : STAGE_LABELS[job.stage] || 'Starting analysis'}
+                  </span>
+                  <span>{job.progress}%</span>
+                </div>
+                <div
+                  role="progressbar"
+                  aria-label="Analysis progress"
+                  aria-valuenow={job.progress}
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  className="w-full h-2 bg-gray-200 rounded-full overflow-hidden"
+                >
+                  <div
+                    className="h-full bg-blue-600 transition-all duration-500"
+                    style={{ width: `${job.progress}%` }}
+                  />
+                </div>
+                <ol className="mt-3 flex justify-between text-xs text-gray-500">
+                  {job.stages.map((stage) => (
+                    <li
+                      key={stage.name}
+                      className={
+                        stage.status === 'completed'
+                          ? 'text-green-700'
+                          : stage.status === 'running'
+                          ? 'text-blue-700 font-medium'
+                          : ''
+                      }
+                    >
+                      {STAGE_LABELS[stage.name]}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
           </div>
 
           {/* Info Cards */}
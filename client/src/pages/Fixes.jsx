@@ -0,0 +1,268 @@
+// frontend/src/pages/Fixes.jsx
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import DiffView from '../components/DiffView';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+
+const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// "TrashIcon = Delete" lines to { TrashIcon: 'Delete' }
+const parseLabels = (text) =>
+  text.split('\n').reduce((labels, line, index) => {
+    if (!line.trim()) return labels;
+    const [name, ...label] = line.split('=');
+    if (!name.trim() || !label.join('=').trim()) {
+      throw new Error(`Icon labels line ${index + 1}: use "IconName = Label"`);
+    }
+    return { ...labels, [name.trim()]: label.join('=').trim() };
+  }, {});
+
+const Fixes = () => {
+  const { id } = useParams();
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+  const [lang, setLang] = useState('en');
+  const [labelsText, setLabelsText] = useState('');
+  const [options, setOptions] = useState({ lang: 'en', labels: {} });
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [downloading, setDownloading] = useState(false);
+
+  useEffect(() => {
+    const fetchPreview = async () => {
+      setLoading(true);
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/analysis/${id}/autofix`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${user.token}`
+          },
+          body: JSON.stringify({ ...options, format: 'json' })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to load fixes');
+        }
+
+        setPreview(data);
+        setSelected(data.fixes.filter((f) => f.applicable).map((f) => f.issueId));
+        setError('');
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPreview();
+  }, [id, user.token, options]);
+
+  const applyOptions = (e) => {
+    e.preventDefault();
+    try {
+      setOptions({ lang: lang.trim(), labels: parseLabels(labelsText) });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleFix = (issueId) =>
+    setSelected(
+      selected.includes(issueId)
+        ? selected.filter((s) => s !== issueId)
+        : [...selected, issueId]
+    );
+
+  const download = async (format) => {
+    const filename = format === 'zip' ? `accesswai-fixed-${id}.zip` : `accesswai-fixes-${id}.patch`;
+    setDownloading(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/analysis/${id}/autofix`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${user.token}`
+        },
+        body: JSON.stringify({ ...options, issues: selected, format })
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || `Failed to download ${filename}`);
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const applicable = preview ? preview.fixes.filter((f) => f.applicable) : [];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-10">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex justify-between items-center">
+            <button
+              onClick={() => navigate(`/analysis/${id}`)}
+              className="flex items-center text-gray-600 hover:text-gray-900"
+            >
+              <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              Analysis
+            </button>
+            <button onClick={logout} className="px-4 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">
+              Logout
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="bg-white rounded-xl shadow-sm p-6 mb-6">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Automatic Fixes</h1>
+          <p className="text-gray-600 mb-4">
+            Mechanical fixes for some issues, applied to the files this analysis scanned. Placeholders
+            such as empty alt text are marked TODO, so review the changes before merging them.
+          </p>
+          <form onSubmit={applyOptions} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="fix-lang" className="block text-sm font-medium text-gray-700 mb-1">
+                Page language
+              </label>
+              <input
+                id="fix-lang"
+                type="text"
+                value={lang}
+                onChange={(e) => setLang(e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label htmlFor="fix-labels" className="block text-sm font-medium text-gray-700 mb-1">
+                Icon button labels
+              </label>
+              <textarea
+                id="fix-labels"
+                rows={3}
+                value={labelsText}
+                onChange={(e) => setLabelsText(e.target.value)}
+                placeholder={'TrashIcon = Delete\nfa-xmark = Close'}
+                aria-describedby="fix-labels-help"
+                className={`${inputClass} font-mono text-sm`}
+              />
+              <p id="fix-labels-help" className="mt-1 text-sm text-gray-500">
+                One icon per line: a component, class or icon name, then the button&apos;s label.
+              </p>
+            </div>
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition font-medium disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                Update preview
+              </button>
+            </div>
+          </form>
+          {error && (
+            <div role="alert" className="mt-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+              {error}
+            </div>
+          )}
+        </div>
+
+        {loading && !preview && (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          </div>
+        )}
+
+        {preview && (
+          <>
+            <section className="bg-white rounded-xl shadow-sm p-6 mb-6" aria-busy={loading}>
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Fixes ({selected.length} of {applicable.length} selected)
+                </h2>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    onClick={() => download('zip')}
+                    disabled={downloading || selected.length === 0}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition font-medium disabled:bg-gray-400 disabled:cursor-not-allowed"
+                  >
+                    Download fixed project
+                  </button>
+                  <button
+                    onClick={() => download('patch')}
+                    disabled={downloading || selected.length === 0}
+                    className="px-4 py-2 rounded-lg font-medium bg-gray-100 text-gray-800 hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    Download .patch
+                  </button>
+                </div>
+              </div>
+              {preview.fixes.length === 0 ? (
+                <p className="text-gray-600">None of this analysis&apos; issues have an automatic fix.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {preview.fixes.map((fix) => (
+                    <li key={fix.issueId} className="py-3 flex items-start gap-3">
+                      <input
+                        id={`fix-${fix.issueId}`}
+                        type="checkbox"
+                        checked={selected.includes(fix.issueId)}
+                        onChange={() => toggleFix(fix.issueId)}
+                        disabled={!fix.applicable}
+                        aria-describedby={`fix-${fix.issueId}-detail`}
+                        className="mt-1 h-4 w-4"
+                      />
+                      <div>
+                        <label htmlFor={`fix-${fix.issueId}`} className="font-medium text-gray-900">
+                          {fix.type}
+                        </label>
+                        <p className="text-sm text-gray-500 font-mono">{fix.file}:{fix.line}</p>
+                        <p
+                          id={`fix-${fix.issueId}-detail`}
+                          className={`text-sm ${fix.applicable ? 'text-gray-700' : 'text-gray-500 italic'}`}
+                        >
+                          {fix.applicable ? fix.description : `Can't be fixed automatically: ${fix.reason}`}
+                        </p>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+
+            {preview.patch && (
+              <section className="bg-white rounded-xl shadow-sm p-6 mb-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-2">Changes</h2>
+                <p className="text-sm text-gray-600 mb-4">Every applicable fix, before any are deselected.</p>
+                <DiffView diff={preview.patch} label='Changes made by the automatic fixes' />
+              </section>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Fixes;
@@ -9,15 +9,17 @@ const History = () => {
   const [analyses, setAnalyses] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const [selected, setSelected] = useState([]);
+  const [projects, setProjects] = useState([]);
 
   const fetchHistory = async () => {
     try {
       const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
-      const response = await fetch(`${API_BASE_URL}/api/analysis/history`, {
-        headers: {
-          Authorization: `Bearer ${user.token}`,
-        },
-      });
+      const headers = { Authorization: `Bearer ${user.token}` };
+      const [response, projectsResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}/api/analysis/history`, { headers }),
+        fetch(`${API_BASE_URL}/api/projects`, { headers }),
+      ]);
 
       const data = await response.json();
 
@@ -26,6 +28,7 @@ const History = () => {
       }
 
       setAnalyses(data);
+      if (projectsResponse.ok) setProjects(await projectsResponse.json());
     } catch (err) {
       setError(err.message);
     } finally {
@@ -56,11 +59,168 @@ const History = () => {
       }
 
       setAnalyses(analyses.filter((a) => a._id !== id));
+      setSelected(selected.filter((s) => s !== id));
     } catch (err) {
       alert(err.message);
     }
   };
 
+  // Keeps at most two analyses selected, dropping the oldest pick
+  const toggleSelected = (id) => {
+    setSelected((current) =>
+      current.includes(id)
+        ? current.filter((s) => s !== id)
+        : [...current, id].slice(-2),
+    );
+  };
+
+  // The earlier run is the base
+  const handleCompare = () => {
+    const [base, head] = analyses
+      .filter((a) => selected.includes(a._id))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    navigate(`/compare?base=${base._id}&head=${head._id}`);
+  };
+
+  const renderAnalysis = (analysis) => (
+    <div
+      key={analysis._id}
+      className="bg-white rounded-xl shadow-sm hover:shadow-md transition p-6"
+    >
+      <div className="flex items-center justify-between">
+        <div className="flex-1">
+          <div className="flex items-center space-x-4 mb-2">
+            <h3 className="text-xl font-semibold text-gray-900">
+              {analysis.projectName}
+            </h3>
+            <span
+              className={`px-3 py-1 rounded-full text-sm font-semibold ${getScoreColor(analysis.accessibilityScore)}`}
+            >
+              Score: {analysis.accessibilityScore}/100
+            </span>
+          </div>
+
+          <div className="flex items-center space-x-6 text-sm text-gray-600">
+            <span className="flex items-center">
+              <svg
+                className="w-4 h-4 mr-1"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M8 7v8a2 2 0 002 2h6M8 7V5a2 2 0 012-2h4.586a1 1 0 01.707.293l4.414 4.414a1 1 0 01.293.707V15a2 2 0 01-2 2h-2M8 7H6a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2v-2"
+                />
+              </svg>
+              {analysis.filesAnalyzed} files
+            </span>
+            <span className="flex items-center">
+              <svg
+                className="w-4 h-4 mr-1"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
+                />
+              </svg>
+              {new Date(analysis.createdAt).toLocaleDateString()}
+            </span>
+          </div>
+
+          <div className="flex items-center space-x-4 mt-3">
+            <span className="text-sm">
+              <span className="font-semibold text-red-600">
+                {analysis.summary.critical}
+              </span>{" "}
+              Critical
+            </span>
+            <span className="text-sm">
+              <span className="font-semibold text-orange-600">
+                {analysis.summary.high}
+              </span>{" "}
+              High
+            </span>
+            <span className="text-sm">
+              <span className="font-semibold text-yellow-600">
+                {analysis.summary.medium}
+              </span>{" "}
+              Medium
+            </span>
+            <span className="text-sm">
+              <span className="font-semibold text-blue-600">
+                {analysis.summary.low}
+              </span>{" "}
+              Low
+            </span>
+          </div>
+        </div>
+
+        <div className="flex items-center space-x-2 ml-4">
+          <label className="flex items-center mr-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={selected.includes(analysis._id)}
+              onChange={() => toggleSelected(analysis._id)}
+              className="h-4 w-4 mr-2 text-blue-600 border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+            />
+            Compare
+          </label>
+          <button
+            onClick={() => navigate(`/analysis/${analysis._id}`)}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition font-medium"
+          >
+            View Details
+          </button>
+          <button
+            onClick={() => handleDelete(analysis._id)}
+            className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition"
+            title="Delete analysis"
+          >
+            <svg
+              className="w-5 h-5"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
+              />
+            </svg>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  // Runs grouped by project, most recently analyzed project first
+  const groups = [];
+  analyses.forEach((analysis) => {
+    const id = analysis.projectId || analysis.projectName;
+    let group = groups.find((g) => g.id === id);
+    if (!group) {
+      const project = projects.find((p) => p._id === analysis.projectId);
+      group = {
+        id,
+        project,
+        name: project?.name || analysis.projectName,
+        analyses: [],
+      };
+      groups.push(group);
+    }
+    group.analyses.push(analysis);
+  });
+
   const getScoreColor = (score) => {
     if (score >= 90) return "text-green-600 bg-green-100";
     if (score >= 70) return "text-yellow-600 bg-yellow-100";
@@ -153,116 +313,39 @@ const History = () => {
           </div>
         ) : (
           <div className="space-y-4">
-            {analyses.map((analysis) => (
-              <div
-                key={analysis._id}
-                className="bg-white rounded-xl shadow-sm hover:shadow-md transition p-6"
+            <div className="flex items-center justify-between bg-white rounded-xl shadow-sm px-6 py-4">
+              <p className="text-sm text-gray-600">
+                Select two analyses to see what changed between them.
+              </p>
+              <button
+                onClick={handleCompare}
+                disabled={selected.length !== 2}
+                className="px-4 py-2 bg-gray-900 text-white rounded-lg hover:bg-gray-700 transition font-medium disabled:opacity-50 disabled:cursor-not-allowed"
               >
-                <div className="flex items-center justify-between">
-                  <div className="flex-1">
-                    <div className="flex items-center space-x-4 mb-2">
-                      <h3 className="text-xl font-semibold text-gray-900">
-                        {analysis.projectName}
-                      </h3>
-                      <span
-                        className={`px-3 py-1 rounded-full text-sm font-semibold ${getScoreColor(analysis.accessibilityScore)}`}
-                      >
-                        Score: {analysis.accessibilityScore}/100
-                      </span>
-                    </div>
-
-                    <div className="flex items-center space-x-6 text-sm text-gray-600">
-                      <span className="flex items-center">
-                        <svg
-                          className="w-4 h-4 mr-1"
-                          fill="none"
-                          stroke="currentColor"
-                          viewBox="0 0 24 24"
-                        >
-                          <path
-                            strokeLinecap="round"
-                            strokeLinejoin="round"
-                            strokeWidth={2}
-                            d="M8 7v8a2 2 0 002 2h6M8 7V5a2 2 0 012-2h4.586a1 1 0 01.707.293l4.414 4.414a1 1 0 01.293.707V15a2 2 0 01-2 2h-2M8 7H6a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2v-2"
-                          />
-                        </svg>
-                        {analysis.filesAnalyzed} files
-                      </span>
-                      <span className="flex items-center">
-                        <svg
-                          className="w-4 h-4 mr-1"
-                          fill="none"
-                          stroke="currentColor"
-                          viewBox="0 0 24 24"
-                        >
-                          <path
-                            strokeLinecap="round"
-                            strokeLinejoin="round"
-                            strokeWidth={2}
-                            d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
-                          />
-                        </svg>
-                        {new Date(analysis.createdAt).toLocaleDateString()}
-                      </span>
-                    </div>
-
-                    <div className="flex items-center space-x-4 mt-3">
-                      <span className="text-sm">
-                        <span className="font-semibold text-red-600">
-                          {analysis.summary.critical}
-                        </span>{" "}
-                        Critical
-                      </span>
-                      <span className="text-sm">
-                        <span className="font-semibold text-orange-600">
-                          {analysis.summary.high}
-                        </span>{" "}
-                        High
-                      </span>
-                      <span className="text-sm">
-                        <span className="font-semibold text-yellow-600">
-                          {analysis.summary.medium}
-                        </span>{" "}
-                        Medium
-                      </span>
-                      <span className="text-sm">
-                        <span className="font-semibold text-blue-600">
-                          {analysis.summary.low}
-                        </span>{" "}
-                        Low
-                      </span>
-                    </div>
-                  </div>
-
-                  <div className="flex items-center space-x-2 ml-4">
-                    <button
-                      onClick={() => navigate(`/analysis/${analysis._id}`)}
-                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition font-medium"
-                    >
-                      View Details
-                    </button>
+                Compare Selected ({selected.length}/2)
+              </button>
+            </div>
+            {groups.map((group) => (
+              <section key={group.id} className="space-y-3">
+                <div className="flex items-center justify-between pt-4">
+                  <h2 className="text-lg font-semibold text-gray-900">
+                    {group.name}
+                    <span className="ml-2 text-sm font-medium text-gray-500">
+                      {group.analyses.length} run
+                      {group.analyses.length === 1 ? "" : "s"}
+                    </span>
+                  </h2>
+                  {group.project && (
                     <button
-                      onClick={() => handleDelete(analysis._id)}
-                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition"
-                      title="Delete analysis"
+                      onClick={() => navigate(`/projects/${group.id}`)}
+                      className="text-sm font-medium text-blue-600 hover:underline"
                     >
-                      <svg
-                        className="w-5 h-5"
-                        fill="none"
-                        stroke="currentColor"
-                        viewBox="0 0 24 24"
-                      >
-                        <path
-                          strokeLinecap="round"
-                          strokeLinejoin="round"
-                          strokeWidth={2}
-                          d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
-                        />
-                      </svg>
+                      View trend
                     </button>
-                  </div>
+                  )}
                 </div>
-              </div>
+                {group.analyses.map(renderAnalysis)}
+              </section>
             ))}
           </div>
         )}
@@ -0,0 +1,229 @@
+// frontend/src/pages/Project.jsx
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import TrendChart from '../components/TrendChart';
+
+const SEVERITY_SERIES = [
+  { key: 'critical', label: 'Critical', color: '#DC2626', value: (run) => run.summary.critical },
+  { key: 'high', label: 'High', color: '#EA580C', value: (run) => run.summary.high },
+  { key: 'medium', label: 'Medium', color: '#CA8A04', value: (run) => run.summary.medium },
+  { key: 'low', label: 'Low', color: '#2563EB', value: (run) => run.summary.low }
+];
+
+const SCORE_SERIES = [
+  { key: 'score', label: 'Score', color: '#4F46E5', value: (run) => run.accessibilityScore }
+];
+
+const Project = () => {
+  const { id } = useParams();
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+  const [project, setProject] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchProject = async () => {
+      try {
+        const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+        const response = await fetch(`${API_BASE_URL}/api/projects/${id}`, {
+          headers: {
+            'Authorization': `Bearer ${user.token}`
+          }
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to fetch project');
+        }
+
+        setProject(data);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProject();
+  }, [id, user.token]);
+
+  const getScoreColor = (score) => {
+    if (score >= 90) return 'text-green-600';
+    if (score >= 70) return 'text-yellow-600';
+    if (score >= 50) return 'text-orange-600';
+    return 'text-red-600';
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <p className="text-red-600 mb-4">{error}</p>
+          <button onClick={() => navigate('/history')} className="text-blue-600 hover:underline">
+            Back to History
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const { runs } = project;
+  const latest = runs[runs.length - 1];
+  const newestFirst = [...runs].reverse();
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-10">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex justify-between items-center">
+            <button
+              onClick={() => navigate('/history')}
+              className="flex items-center text-gray-600 hover:text-gray-900"
+            >
+              <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              History
+            </button>
+            <button onClick={logout} className="px-4 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">
+              Logout
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Project Header */}
+        <div className="bg-white rounded-xl shadow-sm p-6 mb-6 flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">{project.name}</h1>
+            <p className="text-gray-600">
+              {runs.length} run{runs.length === 1 ? '' : 's'}
+              {latest && ` • Latest ${new Date(latest.createdAt).toLocaleDateString()}`}
+            </p>
+          </div>
+          <div className="flex items-center gap-4">
+            {latest && (
+              <div className={`text-5xl font-bold ${getScoreColor(latest.accessibilityScore)}`}>
+                {latest.accessibilityScore}
+              </div>
+            )}
+            <button
+              onClick={() => navigate(`/dashboard?project=${project._id}`)}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition font-medium"
+            >
+              New Run
+            </button>
+          </div>
+        </div>
+
+        {runs.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-sm p-12 text-center text-gray-600">
+            No runs yet. Analyze a project into {project.name} to start its timeline.
+          </div>
+        ) : (
+          <>
+            {/* Trend Charts */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+              <section className="bg-white rounded-xl shadow-sm p-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Accessibility Score</h2>
+                <TrendChart
+                  runs={runs}
+                  series={SCORE_SERIES}
+                  max={100}
+                  label={`Accessibility score over ${runs.length} runs, from ${runs[0].accessibilityScore} to ${latest.accessibilityScore}`}
+                />
+              </section>
+              <section className="bg-white rounded-xl shadow-sm p-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Issues by Severity</h2>
+                <TrendChart
+                  runs={runs}
+                  series={SEVERITY_SERIES}
+                  label={`Issue counts per severity over ${runs.length} runs`}
+                />
+              </section>
+            </div>
+
+            {/* Runs */}
+            <section className="bg-white rounded-xl shadow-sm p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Runs</h2>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left">
+                  <thead className="text-gray-600 border-b border-gray-200">
+                    <tr>
+                      <th scope="col" className="py-2 pr-4 font-medium">Date</th>
+                      <th scope="col" className="py-2 pr-4 font-medium">Score</th>
+                      {SEVERITY_SERIES.map((s) => (
+                        <th key={s.key} scope="col" className="py-2 pr-4 font-medium">{s.label}</th>
+                      ))}
+                      <th scope="col" className="py-2 pr-4 font-medium">Source</th>
+                      <th scope="col" className="py-2"><span className="sr-only">Actions</span></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {newestFirst.map((run, index) => {
+                      const previous = newestFirst[index + 1];
+                      return (
+                        <tr key={run._id} className="border-b border-gray-100">
+                          <td className="py-2 pr-4 text-gray-900">
+                            {new Date(run.createdAt).toLocaleString()}
+                            {run._id === project.baselineAnalysisId && (
+                              <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-600 border border-gray-200">
+                                Baseline
+                              </span>
+                            )}
+                          </td>
+                          <td className={`py-2 pr-4 font-semibold ${getScoreColor(run.accessibilityScore)}`}>
+                            {run.accessibilityScore}
+                          </td>
+                          {SEVERITY_SERIES.map((s) => (
+                            <td key={s.key} className="py-2 pr-4 text-gray-900">{s.value(run)}</td>
+                          ))}
+                          <td className="py-2 pr-4 text-gray-600">
+                            {run.repository?.commit
+                              ? `${run.repository.branch || 'commit'} @ ${run.repository.commit.slice(0, 7)}`
+                              : 'ZIP upload'}
+                          </td>
+                          <td className="py-2 text-right whitespace-nowrap">
+                            {previous && (
+                              <button
+                                onClick={() => navigate(`/compare?base=${previous._id}&head=${run._id}`)}
+                                className="text-gray-700 hover:underline mr-4"
+                              >
+                                Compare with previous
+                              </button>
+                            )}
+                            <button
+                              onClick={() => navigate(`/analysis/${run._id}`)}
+                              className="text-blue-600 hover:underline"
+                            >
+                              View
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </section>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Project;
@@ -0,0 +1,297 @@
+// frontend/src/pages/Settings.jsx
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+
+const Settings = () => {
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [name, setName] = useState('');
+  const [createdToken, setCreatedToken] = useState(null);
+  const [aiSettings, setAiSettings] = useState(null);
+  const [aiError, setAiError] = useState('');
+
+  useEffect(() => {
+    const fetchTokens = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/tokens`, {
+          headers: {
+            'Authorization': `Bearer ${user.token}`
+          }
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to fetch API tokens');
+        }
+
+        setTokens(data);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTokens();
+  }, [user.token]);
+
+  useEffect(() => {
+    const fetchAiSettings = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/settings/ai`, {
+          headers: {
+            'Authorization': `Bearer ${user.token}`
+          }
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to fetch AI settings');
+        }
+
+        setAiSettings(data);
+      } catch (err) {
+        setAiError(err.message);
+      }
+    };
+
+    fetchAiSettings();
+  }, [user.token]);
+
+  const handleProviderChange = async (provider) => {
+    setAiError('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/settings/ai`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${user.token}`
+        },
+        body: JSON.stringify({ provider: provider || null })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to save AI settings');
+      }
+
+      setAiSettings(data);
+    } catch (err) {
+      setAiError(err.message);
+    }
+  };
+
+  const providerName = (id) => {
+    const provider = aiSettings.providers.find((p) => p.id === id);
+    return provider.model ? `${provider.label} (${provider.model})` : provider.label;
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/tokens`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${user.token}`
+        },
+        body: JSON.stringify({ name })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to create API token');
+      }
+
+      const { token, ...created } = data;
+      setTokens([created, ...tokens]);
+      setCreatedToken(token);
+      setName('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Anything using it will stop working.`)) return;
+    setError('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/tokens/${token._id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${user.token}`
+        }
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || 'Failed to revoke API token');
+      }
+
+      setTokens(tokens.filter((t) => t._id !== token._id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm sticky top-0 z-10">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex justify-between items-center">
+            <button
+              onClick={() => navigate('/dashboard')}
+              className="flex items-center text-gray-600 hover:text-gray-900"
+            >
+              <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              Dashboard
+            </button>
+            <button onClick={logout} className="px-4 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">
+              Logout
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-6">Settings</h1>
+
+        {/* AI Provider */}
+        <section className="bg-white rounded-xl shadow-sm p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">AI Recommendations</h2>
+          <p className="text-gray-600 mb-4">
+            Choose who writes the recommendations for your analyses. Issue summaries and code excerpts are
+            sent to the provider; the built-in option sends nothing.
+          </p>
+
+          {aiError && (
+            <div role="alert" className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+              {aiError}
+            </div>
+          )}
+
+          {aiSettings && (
+            <>
+              <label htmlFor="ai-provider" className="block text-sm font-medium text-gray-700 mb-1">Provider</label>
+              <select
+                id="ai-provider"
+                value={aiSettings.provider || ''}
+                onChange={(e) => handleProviderChange(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">Server default: {providerName(aiSettings.defaultProvider)}</option>
+                {aiSettings.providers.map((provider) => (
+                  <option key={provider.id} value={provider.id} disabled={!provider.available}>
+                    {providerName(provider.id)}{provider.available ? '' : ' (not configured)'}
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
+        </section>
+
+        {/* API Tokens */}
+        <section className="bg-white rounded-xl shadow-sm p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">API Tokens</h2>
+          <p className="text-gray-600 mb-4">
+            Tokens let the <code className="bg-gray-100 px-1 rounded">accesswai</code> CLI and CI jobs upload
+            projects to your account.
+          </p>
+
+          {error && (
+            <div role="alert" className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+              {error}
+            </div>
+          )}
+
+          {createdToken && (
+            <div role="status" className="mb-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+              <p className="text-green-800 font-medium mb-2">
+                Copy your new token now. It won't be shown again.
+              </p>
+              <code className="block break-all bg-white border border-green-200 rounded px-3 py-2 text-sm text-gray-900">
+                {createdToken}
+              </code>
+            </div>
+          )}
+
+          <form onSubmit={handleCreate} className="flex gap-3 mb-6">
+            <label htmlFor="token-name" className="sr-only">Token name</label>
+            <input
+              id="token-name"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Token name, e.g. GitHub Actions"
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              type="submit"
+              disabled={!name.trim()}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition font-medium disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+              Create Token
+            </button>
+          </form>
+
+          {loading ? (
+            <p className="text-gray-600">Loading tokens...</p>
+          ) : tokens.length === 0 ? (
+            <p className="text-gray-600">No API tokens yet.</p>
+          ) : (
+            <table className="w-full text-sm text-left">
+              <thead className="text-gray-600 border-b border-gray-200">
+                <tr>
+                  <th scope="col" className="py-2 pr-4 font-medium">Name</th>
+                  <th scope="col" className="py-2 pr-4 font-medium">Token</th>
+                  <th scope="col" className="py-2 pr-4 font-medium">Created</th>
+                  <th scope="col" className="py-2 pr-4 font-medium">Last used</th>
+                  <th scope="col" className="py-2"><span className="sr-only">Actions</span></th>
+                </tr>
+              </thead>
+              <tbody>
+                {tokens.map((token) => (
+                  <tr key={token._id} className="border-b border-gray-100">
+                    <td className="py-2 pr-4 text-gray-900">{token.name}</td>
+                    <td className="py-2 pr-4 text-gray-600 font-mono">{token.prefix}…</td>
+                    <td className="py-2 pr-4 text-gray-600">{new Date(token.createdAt).toLocaleDateString()}</td>
+                    <td className="py-2 pr-4 text-gray-600">
+                      {token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : 'Never'}
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => handleRevoke(token)}
+                        className="text-red-600 hover:underline"
+                      >
+                        Revoke
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,13 @@
+// backend/ai/env.js
+// A non-negative number from the environment, or the default when it's unset
+// or invalid
+export const envNumber = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === "") return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    console.warn(`${name} must be a non-negative number; using ${fallback}`);
+    return fallback;
+  }
+  return number;
+};
@@ -0,0 +1,138 @@
+// backend/ai/fallback.js
+import { WCAG_PRINCIPLES } from "./recommendations.js";
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+const QUICK_WINS = {
+  "Missing Alt Text": {
+    title: "Add alt attributes to images",
+    detail:
+      "This is one of the easiest and most impactful fixes. Every <img> tag should have an alt attribute describing the image.",
+  },
+  "Missing Form Label": {
+    title: "Label your form inputs",
+    detail:
+      "Wrap inputs with <label> tags or add aria-label attributes. This helps screen reader users understand what each field is for.",
+  },
+  "Missing Language Attribute": {
+    title: "Add lang attribute to HTML",
+    detail:
+      'Simply add lang="en" (or your language code) to your <html> tag. This helps screen readers pronounce content correctly.',
+  },
+  "Button Without Text": {
+    title: "Add text to buttons",
+    detail:
+      "Ensure all buttons have visible text or aria-label attributes so users know what the button does.",
+  },
+};
+
+const LONG_TERM = [
+  {
+    title: "Regular Testing",
+    detail:
+      "Use tools like WAVE, axe DevTools, or Lighthouse to continuously check accessibility.",
+  },
+  {
+    title: "Keyboard Navigation",
+    detail:
+      "Ensure all interactive elements can be accessed and used with just a keyboard.",
+  },
+  {
+    title: "Color Contrast",
+    detail:
+      "Maintain at least 4.5:1 contrast ratio for normal text, 3:1 for large text.",
+  },
+  {
+    title: "Semantic HTML",
+    detail:
+      "Use proper HTML5 elements (<header>, <nav>, <main>, <footer>) instead of generic divs.",
+  },
+  {
+    title: "ARIA Best Practices",
+    detail: "Only use ARIA when semantic HTML isn't sufficient.",
+  },
+];
+
+const healthSummary = (summary) => {
+  if (summary.total === 0) {
+    return "Great news! No accessibility issues were detected in your project. Keep up the excellent work in maintaining accessible code!";
+  }
+  if (summary.critical > 0) {
+    return `Attention Required: Your project has ${plural(summary.critical, "critical accessibility issue")} that need immediate attention. These issues can prevent users with disabilities from accessing your content.`;
+  }
+  if (summary.high > 0) {
+    return `Good Progress: While there are no critical issues, you have ${plural(summary.high, "high-priority item")} that should be addressed soon to improve accessibility.`;
+  }
+  return "Looking Good: Your project has only minor accessibility improvements to make. You're on the right track!";
+};
+
+// The critical and high issue types with the most issues, critical first
+const topBlockers = (issues) => {
+  const groups = new Map();
+  issues
+    .filter((i) => i.severity === "critical" || i.severity === "high")
+    .forEach((issue) => {
+      const key = `${issue.severity}:${issue.type}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(issue);
+    });
+  return [...groups.values()]
+    .sort(
+      (a, b) =>
+        (a[0].severity === "critical" ? 0 : 1) -
+          (b[0].severity === "critical" ? 0 : 1) || b.length - a.length,
+    )
+    .slice(0, 3)
+    .map((group) => {
+      const [first] = group;
+      const files = [...new Set(group.map((i) => i.file))];
+      return {
+        title: `${first.type} (${first.severity})`,
+        impact: `${plural(group.length, "issue")} in ${files.slice(0, 3).join(", ")}${files.length > 3 ? ` and ${plural(files.length - 3, "more file")}` : ""}. Fix: ${first.suggestion}`,
+        issueIds: group.map((i) => i._id).filter(Boolean),
+      };
+    });
+};
+
+const affectedPrinciples = (issues) =>
+  WCAG_PRINCIPLES.map((principle) => {
+    const matching = issues.filter((i) =>
+      (i.wcag || []).some((c) => c.principle === principle),
+    );
+    const criteria = [
+      ...new Set(
+        matching.flatMap((i) =>
+          (i.wcag || [])
+            .filter((c) => c.principle === principle)
+            .map((c) => `${c.criterion} ${c.name}`),
+        ),
+      ),
+    ];
+    return (
+      matching.length > 0 && {
+        principle,
+        explanation: `${plural(matching.length, "issue")} ${matching.length === 1 ? "affects" : "affect"} ${criteria.slice(0, 3).join(", ")}${criteria.length > 3 ? " and more" : ""}.`,
+      }
+    );
+  }).filter(Boolean);
+
+// Generate intelligent fallback recommendations without AI, in the
+// structure described in recommendations.js
+export const generateFallbackRecommendations = (issues) => {
+  const summary = {
+    critical: issues.filter((i) => i.severity === "critical").length,
+    high: issues.filter((i) => i.severity === "high").length,
+    total: issues.length,
+  };
+  const issueTypes = new Set(issues.map((i) => i.type));
+
+  return {
+    health: healthSummary(summary),
+    blockers: topBlockers(issues),
+    quickWins: Object.entries(QUICK_WINS)
+      .filter(([type]) => issueTypes.has(type))
+      .map(([, win]) => win),
+    longTerm: LONG_TERM,
+    principles: affectedPrinciples(issues),
+  };
+};
@@ -0,0 +1,49 @@
+// backend/ai/gemini.js
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { envNumber } from "./env.js";
+
+export const settings = () => ({
+  model: process.env.GEMINI_MODEL || "gemini-2.5-flash",
+  timeoutMs: envNumber("GEMINI_TIMEOUT_MS", 30000),
+  retries: envNumber("GEMINI_RETRIES", 2),
+  maxInputTokens: envNumber("GEMINI_MAX_INPUT_TOKENS", 8000),
+  // Gemini 2.5 counts its thinking against the output budget
+  maxOutputTokens: envNumber("GEMINI_MAX_OUTPUT_TOKENS", 8192),
+});
+
+export default {
+  id: "gemini",
+  label: "Google Gemini",
+  settings,
+  isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+  generate: async (prompt, { model, maxOutputTokens }, signal) => {
+    const result = await new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
+      .getGenerativeModel({ model, generationConfig: { maxOutputTokens } })
+      .generateContent(prompt, { signal });
+    return result.response.text();
+  },
+  // Chat messages become Gemini's system instruction and user/model turns
+  stream: async function* (messages, { model, maxOutputTokens }, signal) {
+    const system = messages
+      .filter((m) => m.role === "system")
+      .map((m) => m.content)
+      .join("\n\n");
+    const contents = messages
+      .filter((m) => m.role !== "system")
+      .map((m) => ({
+        role: m.role === "assistant" ? "model" : "user",
+        parts: [{ text: m.content }],
+      }));
+    const result = await new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
+      .getGenerativeModel({
+        model,
+        generationConfig: { maxOutputTokens },
+        ...(system && { systemInstruction: system }),
+      })
+      .generateContentStream({ contents }, { signal });
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  },
+};
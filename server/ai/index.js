@@ -0,0 +1,129 @@
+// backend/ai/index.js
+// Text generation behind one interface. AI_PROVIDER picks the server's
+// default and users may choose another configured provider in Settings.
+// "fallback" generates recommendations without a model, so no code is sent
+// anywhere.
+import gemini from "./gemini.js";
+import openai from "./openai.js";
+
+export { generateFallbackRecommendations } from "./fallback.js";
+
+const fallback = {
+  id: "fallback",
+  label: "Built-in (no AI)",
+  settings: () => ({}),
+  isConfigured: () => true,
+};
+
+const PROVIDERS = { gemini, openai, fallback };
+
+export const AI_PROVIDERS = Object.keys(PROVIDERS);
+
+export const defaultProviderId = () => {
+  const configured = process.env.AI_PROVIDER;
+  if (configured && PROVIDERS[configured]?.isConfigured()) return configured;
+  if (configured && !PROVIDERS[configured]) {
+    console.warn(`Unknown AI_PROVIDER "${configured}"`);
+  }
+  // Without AI_PROVIDER, Gemini is used when it has a key
+  return !configured && gemini.isConfigured() ? "gemini" : "fallback";
+};
+
+// The user's choice when the server has it configured, else the default
+export const selectProvider = (preferred) =>
+  PROVIDERS[preferred]?.isConfigured()
+    ? PROVIDERS[preferred]
+    : PROVIDERS[defaultProviderId()];
+
+export const listProviders = () =>
+  Object.values(PROVIDERS).map((provider) => ({
+    id: provider.id,
+    label: provider.label,
+    model: provider.settings().model || null,
+    available: provider.isConfigured(),
+  }));
+
+// Roughly four characters per token for English text and code
+export const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Builds the largest prompt that fits the provider's input budget.
+// build(n) returns the prompt with n sample items, for n down to 0.
+export const fitPrompt = (build, maxItems, maxInputTokens) => {
+  for (let count = maxItems; count > 0; count--) {
+    const prompt = build(count);
+    if (estimateTokens(prompt) <= maxInputTokens) return prompt;
+  }
+  return build(0);
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Timeouts, rate limits, server errors and dropped connections may pass on
+// a second try; anything else (a bad key, an unknown model) won't
+const isRetryable = (error) =>
+  error.timedOut ||
+  error.status === 429 ||
+  error.status >= 500 ||
+  /fetch failed/i.test(error.message);
+
+// Sends a prompt to a provider, retrying with backoff. Throws when every
+// attempt fails or the model returns nothing.
+export const generateText = async (provider, prompt) => {
+  const settings = provider.settings();
+  for (let attempt = 0; ; attempt++) {
+    const signal = AbortSignal.timeout(settings.timeoutMs);
+    try {
+      const text = await provider.generate(prompt, settings, signal);
+      if (!text.trim()) throw new Error("the model returned an empty response");
+      return text;
+    } catch (err) {
+      let error = err;
+      if (signal.aborted) {
+        error = new Error(`timed out after ${settings.timeoutMs}ms`);
+        error.timedOut = true;
+      }
+      if (attempt >= settings.retries || !isRetryable(error)) throw error;
+      await wait(1000 * 2 ** attempt);
+    }
+  }
+};
+
+// Streams a reply to chat messages ({ role: "system" | "user" |
+// "assistant", content }), passing each piece to onText, and returns the
+// whole reply. Retries like generateText, but only while nothing has been
+// streamed yet. Aborting `signal` cancels the request.
+export const streamText = async (provider, messages, onText, signal) => {
+  const settings = provider.settings();
+  for (let attempt = 0; ; attempt++) {
+    const timeout = AbortSignal.timeout(settings.timeoutMs);
+    let text = "";
+    try {
+      const pieces = provider.stream(
+        messages,
+        settings,
+        signal ? AbortSignal.any([signal, timeout]) : timeout,
+      );
+      for await (const piece of pieces) {
+        text += piece;
+        onText(piece);
+      }
+      if (!text.trim()) throw new Error("the model returned an empty response");
+      return text;
+    } catch (err) {
+      let error = err;
+      if (timeout.aborted) {
+        error = new Error(`timed out after ${settings.timeoutMs}ms`);
+        error.timedOut = true;
+      }
+      if (
+        signal?.aborted ||
+        text ||
+        attempt >= settings.retries ||
+        !isRetryable(error)
+      ) {
+        throw error;
+      }
+      await wait(1000 * 2 ** attempt);
+    }
+  }
+};
@@ -0,0 +1,87 @@
+// backend/ai/openai.js
+// Any server with an OpenAI-style /chat/completions endpoint: OpenAI itself,
+// or a local llama.cpp, Ollama or vLLM server so no code leaves the network
+import { envNumber } from "./env.js";
+
+export const settings = () => ({
+  baseUrl: (process.env.OPENAI_BASE_URL || "").replace(/\/+$/, ""),
+  model: process.env.OPENAI_MODEL,
+  // Local models are slower and have smaller context windows
+  timeoutMs: envNumber("OPENAI_TIMEOUT_MS", 120000),
+  retries: envNumber("OPENAI_RETRIES", 1),
+  maxInputTokens: envNumber("OPENAI_MAX_INPUT_TOKENS", 4000),
+  maxOutputTokens: envNumber("OPENAI_MAX_OUTPUT_TOKENS", 1500),
+});
+
+const request = async (
+  messages,
+  { baseUrl, model, maxOutputTokens },
+  signal,
+  stream = false,
+) => {
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(process.env.OPENAI_API_KEY && {
+        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+      }),
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      max_tokens: maxOutputTokens,
+      ...(stream && { stream }),
+    }),
+    signal,
+  });
+  if (!response.ok) {
+    const error = new Error(
+      `${response.status} ${response.statusText} from ${baseUrl}`,
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+};
+
+export default {
+  id: "openai",
+  label: "OpenAI-compatible",
+  settings,
+  isConfigured: () =>
+    Boolean(process.env.OPENAI_BASE_URL && process.env.OPENAI_MODEL),
+  generate: async (prompt, settings, signal) => {
+    const response = await request(
+      [{ role: "user", content: prompt }],
+      settings,
+      signal,
+    );
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || "";
+  },
+  // Yields the reply as the server streams it in server-sent events.
+  // Servers that ignore "stream" send the whole reply as JSON instead.
+  stream: async function* (messages, settings, signal) {
+    const response = await request(messages, settings, signal, true);
+    if (response.headers.get("content-type")?.includes("application/json")) {
+      const data = await response.json();
+      yield data.choices?.[0]?.message?.content || "";
+      return;
+    }
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line.startsWith("data:")) continue;
+        const data = line.slice(5).trim();
+        if (data === "[DONE]") return;
+        const text = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  },
+};
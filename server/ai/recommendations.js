@@ -0,0 +1,100 @@
+// backend/ai/recommendations.js
+// The recommendations' structure, shared by the AI step and the built-in
+// fallback:
+// { health, blockers: [{ title, impact, issueIds }],
+//   quickWins: [{ title, detail }], longTerm: [{ title, detail }],
+//   principles: [{ principle, explanation }] }
+// Models are asked for it as JSON; their reply is validated here before it
+// is stored.
+import { PRINCIPLES } from "../rules/wcag.js";
+
+export const WCAG_PRINCIPLES = Object.values(PRINCIPLES);
+
+const LIMITS = { blockers: 3, quickWins: 6, longTerm: 6, text: 1000 };
+
+// The JSON object in a reply: a ```json block, else from the first { to
+// the last }
+const extractJson = (text) => {
+  const fenced = /```(?:json)?[^\n]*\n([\s\S]*?)```/.exec(text);
+  const body = fenced ? fenced[1] : text;
+  const start = body.indexOf("{");
+  const end = body.lastIndexOf("}");
+  if (start === -1 || end < start) throw new Error("no JSON object found");
+  try {
+    return JSON.parse(body.slice(start, end + 1));
+  } catch (err) {
+    throw new Error(`invalid JSON (${err.message})`);
+  }
+};
+
+// Fields are shown as plain text, so Markdown emphasis is dropped
+const plainText = (value) =>
+  typeof value === "string"
+    ? value
+        .replace(/\*\*|__/g, "")
+        .replace(/^#+\s*/gm, "")
+        .trim()
+        .slice(0, LIMITS.text)
+    : "";
+
+const listOf = (value, name) => {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) throw new Error(`"${name}" must be a list`);
+  return value.filter((item) => item && typeof item === "object");
+};
+
+const items = (value, name, limit) =>
+  listOf(value, name)
+    .map((item) => ({
+      title: plainText(item.title),
+      detail: plainText(item.detail),
+    }))
+    .filter((item) => item.title)
+    .slice(0, limit);
+
+// Validates a model's reply. Blockers name issues by their "ref" in the
+// prompt's sample, which become the sample issues' ids. Throws with a
+// readable message when the reply can't be used.
+export const parseRecommendations = (text, sample) => {
+  const data = extractJson(text);
+  if (typeof data !== "object" || data === null || Array.isArray(data)) {
+    throw new Error("the reply isn't a JSON object");
+  }
+  const health = plainText(data.health);
+  if (!health) throw new Error('"health" is missing');
+
+  const blockers = listOf(data.blockers, "blockers")
+    .map((blocker) => ({
+      title: plainText(blocker.title),
+      impact: plainText(blocker.impact),
+      issueIds: [
+        ...new Set(
+          (Array.isArray(blocker.issues) ? blocker.issues : [])
+            .map((ref) => sample[Number(ref) - 1]?._id)
+            .filter(Boolean),
+        ),
+      ],
+    }))
+    .filter((blocker) => blocker.title)
+    .slice(0, LIMITS.blockers);
+
+  const principles = listOf(data.principles, "principles")
+    .map((entry) => ({
+      principle: WCAG_PRINCIPLES.find(
+        (name) =>
+          name.toLowerCase() === String(entry.principle).trim().toLowerCase(),
+      ),
+      explanation: plainText(entry.explanation),
+    }))
+    .filter((entry) => entry.principle && entry.explanation);
+
+  return {
+    health,
+    blockers,
+    quickWins: items(data.quickWins, "quickWins", LIMITS.quickWins),
+    longTerm: items(data.longTerm, "longTerm", LIMITS.longTerm),
+    principles: WCAG_PRINCIPLES.map((name) =>
+      principles.find((entry) => entry.principle === name),
+    ).filter(Boolean),
+  };
+};
@@ -0,0 +1,482 @@
+// backend/analyzer/acr.js
+// A draft Accessibility Conformance Report in the VPAT 2.x WCAG format.
+// Each success criterion up to the analysis' target level gets a
+// conformance level from the automated checks: which rules mapped to it
+// ran, which reported issues and which passed. People then review the
+// draft, override levels and add remarks before exporting it.
+import { getRules } from "../rules/index.js";
+import {
+  WCAG_CRITERIA,
+  LEVELS,
+  describeCriterion,
+  isKnownCriterion,
+} from "../rules/wcag.js";
+import { analysisConfig } from "./config.js";
+import { analysisRoot, relativePath } from "./fingerprint.js";
+import { escapeHtml, formatDate, STYLES } from "./report.js";
+import {
+  createPdf,
+  heading,
+  paragraph,
+  table,
+  writeRuns,
+} from "./reportPdf.js";
+
+export const CONFORMANCE_LEVELS = [
+  "Supports",
+  "Partially Supports",
+  "Does Not Support",
+  "Not Applicable",
+  "Not Evaluated",
+];
+
+// The VPAT's definitions, printed with the report
+const TERMS = {
+  Supports:
+    "The functionality of the product has at least one method that meets the criterion without known defects or meets with equivalent facilitation.",
+  "Partially Supports":
+    "Some functionality of the product does not meet the criterion.",
+  "Does Not Support":
+    "The majority of product functionality does not meet the criterion.",
+  "Not Applicable": "The criterion is not relevant to the product.",
+  "Not Evaluated": "The product has not been evaluated against the criterion.",
+};
+
+const MAX_REMARKS = 5000;
+const MAX_FIELD = 2000;
+const PRODUCT_FIELDS = ["name", "version", "description"];
+const TEXT_FIELDS = ["contact", "notes", "evaluationMethods"];
+
+const compareCriteria = (a, b) => {
+  const left = a.split(".").map(Number);
+  const right = b.split(".").map(Number);
+  return left[0] - right[0] || left[1] - right[1] || left[2] - right[2];
+};
+
+// The rules that ran for an analysis, or null for analyses from before
+// they were recorded
+const rulesThatRan = (analysis) =>
+  analysis.rulesRun
+    ? getRules().filter((rule) => analysis.rulesRun.includes(rule.id))
+    : null;
+
+// Issues from before rule ids were stored only name their rule's type
+const reportedBy = (issue, rule) =>
+  issue.ruleId ? issue.ruleId === rule.id : issue.type === rule.type;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+// Conformance and remarks for one criterion from the automated checks.
+// A criterion no rule checks is Not Evaluated; one whose checks all passed
+// Supports; one where every check found issues Does Not Support; anything
+// in between Partially Supports. When the analysis didn't record which
+// rules ran (ran is null), only checks with issues are known, so a
+// criterion without any is Not Evaluated.
+const evaluateCriterion = (criterion, ran, issues, suppressed, root) => {
+  const checks = (ran || getRules()).filter((rule) =>
+    rule.wcag.includes(criterion),
+  );
+  if (checks.length === 0) {
+    return {
+      conformance: "Not Evaluated",
+      remarks:
+        "Not covered by AccessWAI's automated checks; needs manual review.",
+      failed: [],
+      passed: [],
+    };
+  }
+
+  const found = (list) =>
+    list.filter((issue) =>
+      (issue.wcag || []).some((c) => c.criterion === criterion),
+    );
+  const criterionIssues = found(issues);
+  const failed = checks.filter((rule) =>
+    criterionIssues.some((issue) => reportedBy(issue, rule)),
+  );
+  const others = checks.filter((rule) => !failed.includes(rule));
+  const passed = ran ? others : [];
+
+  if (!ran && failed.length === 0) {
+    return {
+      conformance: "Not Evaluated",
+      remarks:
+        "This analysis didn't record which automated checks ran; run a new analysis or review manually.",
+      failed: [],
+      passed: [],
+    };
+  }
+
+  const remarks = [];
+  if (failed.length === 0) {
+    remarks.push(
+      `Automated checks found no issues (${passed.map((rule) => rule.type).join(", ")}); confirm with manual review.`,
+    );
+  } else {
+    const details = failed.map((rule) => {
+      const ruleIssues = criterionIssues.filter((issue) =>
+        reportedBy(issue, rule),
+      );
+      const files = [
+        ...new Set(ruleIssues.map((issue) => relativePath(issue.file, root))),
+      ];
+      const where =
+        files.length > 3
+          ? `${files.slice(0, 3).join(", ")} and ${plural(files.length - 3, "other file")}`
+          : files.join(", ");
+      return `${rule.type}: ${plural(ruleIssues.length, "issue")} in ${where}`;
+    });
+    remarks.push(`Automated checks found issues. ${details.join("; ")}.`);
+    if (passed.length > 0) {
+      remarks.push(`Passed: ${passed.map((rule) => rule.type).join(", ")}.`);
+    }
+    if (!ran && others.length > 0) {
+      remarks.push(
+        `Whether ${others.map((rule) => rule.type).join(", ")} ran wasn't recorded.`,
+      );
+    }
+  }
+  const suppressedCount = found(suppressed).length;
+  if (suppressedCount > 0) {
+    remarks.push(
+      `${plural(suppressedCount, "finding")} suppressed in the source code.`,
+    );
+  }
+
+  let conformance = "Partially Supports";
+  if (failed.length === 0) conformance = "Supports";
+  else if (others.length === 0) conformance = "Does Not Support";
+
+  return {
+    conformance,
+    remarks: remarks.join(" "),
+    failed: failed.map((rule) => rule.id),
+    passed: passed.map((rule) => rule.id),
+  };
+};
+
+const defaultEvaluationMethods = (analysis) => {
+  const scope =
+    analysis.mode === "dom"
+      ? `${plural(analysis.filesAnalyzed || 0, "source file")} and ${plural(analysis.pagesRendered || 0, "rendered page")}`
+      : plural(analysis.filesAnalyzed || 0, "source file");
+  return `Automated analysis of ${scope} with AccessWAI on ${formatDate(new Date(analysis.createdAt || Date.now()))}. Automated checks cover only some success criteria; criteria marked Not Evaluated need manual testing, including with assistive technology.`;
+};
+
+// The draft with any saved edits applied. Each criterion keeps its
+// automated result so an edit can be compared with or reset to it.
+export const buildAcr = (analysis) => {
+  const edits = analysis.acr || {};
+  const edited = new Map(
+    (edits.criteria || []).map((entry) => [entry.criterion, entry]),
+  );
+  const { level } = analysisConfig(analysis);
+  const levels = LEVELS.slice(0, LEVELS.indexOf(level) + 1);
+  const rules = rulesThatRan(analysis);
+  const root = analysisRoot(analysis);
+
+  const criteria = Object.keys(WCAG_CRITERIA)
+    .filter((criterion) => levels.includes(WCAG_CRITERIA[criterion].level))
+    .sort(compareCriteria)
+    .map((criterion) => {
+      const automated = evaluateCriterion(
+        criterion,
+        rules,
+        analysis.issues || [],
+        analysis.suppressedIssues || [],
+        root,
+      );
+      const edit = edited.get(criterion);
+      return {
+        ...describeCriterion(criterion),
+        conformance: edit?.conformance || automated.conformance,
+        remarks: edit?.remarks ?? automated.remarks,
+        edited: Boolean(edit),
+        automated,
+      };
+    });
+
+  return {
+    analysisId: analysis._id,
+    product: {
+      name: edits.product?.name || analysis.projectName,
+      version:
+        edits.product?.version ??
+        (analysis.repository?.commit
+          ? analysis.repository.commit.slice(0, 7)
+          : ""),
+      description: edits.product?.description ?? "",
+    },
+    reportDate: new Date(edits.updatedAt || Date.now()),
+    contact: edits.contact ?? "",
+    notes: edits.notes ?? "",
+    evaluationMethods:
+      edits.evaluationMethods || defaultEvaluationMethods(analysis),
+    levels,
+    criteria,
+  };
+};
+
+const checkText = (value, field, max = MAX_FIELD) => {
+  if (value === undefined) return undefined;
+  if (typeof value !== "string") throw new Error(`${field} must be text`);
+  if (value.length > max) {
+    throw new Error(`${field} must be at most ${max} characters`);
+  }
+  return value;
+};
+
+// Validates edits sent by the editor and returns what to store on the
+// analysis. Throws with a readable message when they're malformed.
+export const parseAcrEdits = (body = {}) => {
+  const product = {};
+  PRODUCT_FIELDS.forEach((field) => {
+    product[field] = checkText(body.product?.[field], `product.${field}`);
+  });
+  const edits = { product, updatedAt: new Date() };
+  TEXT_FIELDS.forEach((field) => {
+    edits[field] = checkText(body[field], field);
+  });
+
+  if (body.criteria !== undefined && !Array.isArray(body.criteria)) {
+    throw new Error("criteria must be an array");
+  }
+  edits.criteria = (body.criteria || []).map((entry) => {
+    if (!isKnownCriterion(entry?.criterion)) {
+      throw new Error(`Unknown WCAG criterion "${entry?.criterion}"`);
+    }
+    if (
+      entry.conformance !== undefined &&
+      !CONFORMANCE_LEVELS.includes(entry.conformance)
+    ) {
+      throw new Error(
+        `${entry.criterion}: conformance must be one of ${CONFORMANCE_LEVELS.join(", ")}`,
+      );
+    }
+    return {
+      criterion: entry.criterion,
+      conformance: entry.conformance,
+      remarks: checkText(
+        entry.remarks,
+        `${entry.criterion} remarks`,
+        MAX_REMARKS,
+      ),
+    };
+  });
+  return edits;
+};
+
+const acrTitle = (acr) =>
+  `${acr.product.name} Accessibility Conformance Report`;
+
+const LEVEL_TABLES = {
+  A: "Table 1: Success Criteria, Level A",
+  AA: "Table 2: Success Criteria, Level AA",
+  AAA: "Table 3: Success Criteria, Level AAA",
+};
+
+const ACR_STYLES = `
+  td.conformance { white-space: nowrap; font-weight: 600; }
+  dl.details { grid-template-columns: max-content 1fr; }
+  .draft { color: #4B5563; font-style: italic; }
+`;
+
+export const renderAcrHtml = (acr) => {
+  const details = [
+    [
+      "Name of Product/Version",
+      `${acr.product.name}${acr.product.version ? ` ${acr.product.version}` : ""}`,
+    ],
+    ["Report Date", formatDate(acr.reportDate)],
+    ["Product Description", acr.product.description],
+    ["Contact Information", acr.contact],
+    ["Notes", acr.notes],
+    ["Evaluation Methods Used", acr.evaluationMethods],
+  ];
+
+  const tables = acr.levels
+    .map((level) => {
+      const rows = acr.criteria
+        .filter((c) => c.level === level)
+        .map(
+          (c) => `
+          <tr>
+            <th scope="row"><a href="${escapeHtml(c.url)}">${escapeHtml(c.criterion)} ${escapeHtml(c.name)}</a> (Level ${escapeHtml(c.level)})</th>
+            <td class="conformance">${escapeHtml(c.conformance)}</td>
+            <td>${escapeHtml(c.remarks)}</td>
+          </tr>`,
+        )
+        .join("");
+      return `
+      <table>
+        <caption>${escapeHtml(LEVEL_TABLES[level])}</caption>
+        <thead>
+          <tr>
+            <th scope="col">Criteria</th>
+            <th scope="col">Conformance Level</th>
+            <th scope="col">Remarks and Explanations</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>`;
+    })
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(acrTitle(acr))}</title>
+  <style>${STYLES}${ACR_STYLES}</style>
+</head>
+<body>
+  <main>
+    <header>
+      <h1>${escapeHtml(acrTitle(acr))}</h1>
+      <p class="meta">Based on VPAT® Version 2.5 (WCAG edition)</p>
+    </header>
+
+    <section aria-labelledby="details">
+      <h2 id="details">Product Information</h2>
+      <dl class="details">
+        ${details
+          .filter(([, value]) => value)
+          .map(
+            ([term, value]) =>
+              `<dt>${escapeHtml(term)}</dt><dd>${escapeHtml(value)}</dd>`,
+          )
+          .join("\n        ")}
+      </dl>
+    </section>
+
+    <section aria-labelledby="standards">
+      <h2 id="standards">Applicable Standards/Guidelines</h2>
+      <table>
+        <caption>Standards and guidelines covered by this report</caption>
+        <thead>
+          <tr><th scope="col">Standard/Guideline</th><th scope="col">Included In Report</th></tr>
+        </thead>
+        <tbody>
+          <tr>
+            <th scope="row">Web Content Accessibility Guidelines 2.1</th>
+            <td>${LEVELS.map((level) => `Level ${level} (${acr.levels.includes(level) ? "Yes" : "No"})`).join(", ")}</td>
+          </tr>
+        </tbody>
+      </table>
+    </section>
+
+    <section aria-labelledby="terms">
+      <h2 id="terms">Terms</h2>
+      <dl class="details">
+        ${CONFORMANCE_LEVELS.map(
+          (term) =>
+            `<dt>${escapeHtml(term)}</dt><dd>${escapeHtml(TERMS[term])}</dd>`,
+        ).join("\n        ")}
+      </dl>
+    </section>
+
+    <section aria-labelledby="report">
+      <h2 id="report">WCAG 2.1 Report</h2>
+      ${tables}
+    </section>
+
+    <footer>
+      <p class="draft">Drafted from automated AccessWAI results and reviewed by the publisher. “VPAT” is a registered service mark of the Information Technology Industry Council (ITI).</p>
+    </footer>
+  </main>
+</body>
+</html>
+`;
+};
+
+export const renderAcrPdf = (acr) =>
+  createPdf(
+    { title: acrTitle(acr), subject: "Accessibility Conformance Report" },
+    (doc, root) => {
+      const section = doc.struct("Sect");
+      root.add(section);
+      heading(doc, section, "H1", acrTitle(acr));
+      paragraph(doc, section, "Based on VPAT® Version 2.5 (WCAG edition)");
+
+      heading(doc, section, "H2", "Product Information");
+      [
+        [
+          "Name of Product/Version",
+          `${acr.product.name}${acr.product.version ? ` ${acr.product.version}` : ""}`,
+        ],
+        ["Report Date", formatDate(acr.reportDate)],
+        ["Product Description", acr.product.description],
+        ["Contact Information", acr.contact],
+        ["Notes", acr.notes],
+        ["Evaluation Methods Used", acr.evaluationMethods],
+      ]
+        .filter(([, value]) => value)
+        .forEach(([term, value]) => {
+          writeRuns(doc, [{ text: `${term}: `, bold: true }, { text: value }], {
+            parent: section,
+          });
+          doc.moveDown(0.4);
+        });
+
+      heading(doc, section, "H2", "Applicable Standards/Guidelines");
+      table(
+        doc,
+        section,
+        ["Standard/Guideline", "Included In Report"],
+        [
+          [
+            {
+              text: "Web Content Accessibility Guidelines 2.1",
+              type: "TH",
+              scope: "Row",
+            },
+            LEVELS.map(
+              (level) =>
+                `Level ${level} (${acr.levels.includes(level) ? "Yes" : "No"})`,
+            ).join(", "),
+          ],
+        ],
+      );
+
+      heading(doc, section, "H2", "Terms");
+      CONFORMANCE_LEVELS.forEach((term) => {
+        writeRuns(
+          doc,
+          [{ text: `${term}: `, bold: true }, { text: TERMS[term] }],
+          {
+            parent: section,
+          },
+        );
+        doc.moveDown(0.4);
+      });
+      section.end();
+
+      const report = doc.struct("Sect");
+      root.add(report);
+      doc.addPage();
+      heading(doc, report, "H2", "WCAG 2.1 Report");
+      acr.levels.forEach((level) => {
+        heading(doc, report, "H3", LEVEL_TABLES[level]);
+        table(
+          doc,
+          report,
+          ["Criteria", "Conformance Level", "Remarks and Explanations"],
+          acr.criteria
+            .filter((c) => c.level === level)
+            .map((c) => [
+              {
+                text: `${c.criterion} ${c.name} (Level ${c.level})`,
+                type: "TH",
+                scope: "Row",
+              },
+              c.conformance,
+              c.remarks,
+            ]),
+          [130, 95, "*"],
+        );
+      });
+      report.end();
+    },
+  );
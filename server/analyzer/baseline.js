@@ -0,0 +1,82 @@
+// backend/analyzer/baseline.js
+// A baseline lists the issues a project already had, by fingerprint, so
+// later runs can tell them apart from newly introduced ones. It comes from
+// an accesswai-baseline.json committed to the project or from an analysis
+// marked as the project's baseline.
+import { SEVERITIES } from "../rules/index.js";
+import { analysisFingerprints } from "./fingerprint.js";
+
+export const BASELINE_FILE = "accesswai-baseline.json";
+const BASELINE_VERSION = 1;
+
+// The exported file: one entry per issue (a fingerprint can repeat), with
+// enough context for a person reading it
+export const createBaseline = (analysis) => {
+  const fingerprints = analysisFingerprints(analysis);
+  return {
+    version: BASELINE_VERSION,
+    projectName: analysis.projectName,
+    analysisId: analysis._id,
+    createdAt: analysis.createdAt,
+    issues: analysis.issues.map((issue, index) => ({
+      fingerprint: fingerprints[index],
+      ruleId: issue.ruleId,
+      severity: issue.severity,
+      file: issue.file,
+      line: issue.line,
+    })),
+  };
+};
+
+// Returns the fingerprints listed in a baseline file. Throws with a
+// readable message when the file is malformed.
+export const parseBaseline = (content, source = BASELINE_FILE) => {
+  let raw;
+  try {
+    raw = JSON.parse(content);
+  } catch (err) {
+    throw new Error(`${source}: invalid JSON (${err.message})`);
+  }
+  if (
+    typeof raw !== "object" ||
+    raw === null ||
+    !Array.isArray(raw.issues) ||
+    raw.issues.some((issue) => typeof issue?.fingerprint !== "string")
+  ) {
+    throw new Error(
+      `${source}: expected an "issues" array of { fingerprint } entries`,
+    );
+  }
+  if (raw.version !== BASELINE_VERSION) {
+    throw new Error(
+      `${source}: unsupported version ${raw.version} (expected ${BASELINE_VERSION})`,
+    );
+  }
+  return raw.issues.map((issue) => issue.fingerprint);
+};
+
+// Sets issue.baseline on each issue. A fingerprint listed twice in the
+// baseline covers two matching issues; any more of them are new.
+export const classifyIssues = (issues, fingerprints = []) => {
+  const remaining = new Map();
+  fingerprints.forEach((fingerprint) =>
+    remaining.set(fingerprint, (remaining.get(fingerprint) || 0) + 1),
+  );
+  issues.forEach((issue) => {
+    const count = remaining.get(issue.fingerprint) || 0;
+    issue.baseline = count > 0;
+    if (count > 0) remaining.set(issue.fingerprint, count - 1);
+  });
+  return issues;
+};
+
+// A run fails when it introduces an issue at least as severe as failOn;
+// baseline issues never fail it
+export const evaluateGate = (issues, failOn) => {
+  const threshold = SEVERITIES.indexOf(failOn);
+  const failing = issues.filter(
+    (issue) =>
+      !issue.baseline && SEVERITIES.indexOf(issue.severity) <= threshold,
+  ).length;
+  return { passed: failing === 0, failOn, failing };
+};
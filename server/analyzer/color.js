@@ -0,0 +1,146 @@
+// backend/analyzer/color.js
+import colorNames from "color-name";
+
+// Colors are { r, g, b, a } with channels 0-255 and alpha 0-1
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const parseHex = (hex) => {
+  let digits = hex.slice(1);
+  if (digits.length === 3 || digits.length === 4) {
+    digits = [...digits].map((d) => d + d).join("");
+  }
+  if (digits.length !== 6 && digits.length !== 8) return null;
+  const value = parseInt(digits, 16);
+  if (Number.isNaN(value)) return null;
+  return digits.length === 6
+    ? { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255, a: 1 }
+    : {
+        r: parseInt(digits.slice(0, 2), 16),
+        g: parseInt(digits.slice(2, 4), 16),
+        b: parseInt(digits.slice(4, 6), 16),
+        a: parseInt(digits.slice(6, 8), 16) / 255,
+      };
+};
+
+const parseChannel = (part) =>
+  part.endsWith("%")
+    ? clamp((parseFloat(part) / 100) * 255, 0, 255)
+    : clamp(parseFloat(part), 0, 255);
+
+const parseAlpha = (part) => {
+  if (part === undefined) return 1;
+  return part.endsWith("%")
+    ? clamp(parseFloat(part) / 100, 0, 1)
+    : clamp(parseFloat(part), 0, 1);
+};
+
+const hslToRgb = (h, s, l) => {
+  const hue = (((h % 360) + 360) % 360) / 360;
+  if (s === 0) return { r: l * 255, g: l * 255, b: l * 255 };
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const toChannel = (t) => {
+    let x = t;
+    if (x < 0) x += 1;
+    if (x > 1) x -= 1;
+    if (x < 1 / 6) return p + (q - p) * 6 * x;
+    if (x < 1 / 2) return q;
+    if (x < 2 / 3) return p + (q - p) * (2 / 3 - x) * 6;
+    return p;
+  };
+  return {
+    r: toChannel(hue + 1 / 3) * 255,
+    g: toChannel(hue) * 255,
+    b: toChannel(hue - 1 / 3) * 255,
+  };
+};
+
+// Accepts hex, rgb()/rgba(), hsl()/hsla() (comma or space syntax) and named
+// colors. Returns null for anything we can't resolve statically
+// (currentColor, gradients, var() leftovers...).
+export const parseColor = (input) => {
+  if (!input) return null;
+  const value = input.trim().toLowerCase();
+
+  if (value === "transparent") return { r: 0, g: 0, b: 0, a: 0 };
+  if (value.startsWith("#")) return parseHex(value);
+  if (colorNames[value]) {
+    const [r, g, b] = colorNames[value];
+    return { r, g, b, a: 1 };
+  }
+
+  const fn = /^(rgba?|hsla?)\(([^)]*)\)$/.exec(value);
+  if (!fn) return null;
+  const parts = fn[2]
+    .replace(/\s*\/\s*/, " / ")
+    .split(/[\s,]+/)
+    .filter((p) => p && p !== "/");
+  if (parts.length < 3) return null;
+
+  if (fn[1].startsWith("rgb")) {
+    const color = {
+      r: parseChannel(parts[0]),
+      g: parseChannel(parts[1]),
+      b: parseChannel(parts[2]),
+      a: parseAlpha(parts[3]),
+    };
+    return [color.r, color.g, color.b, color.a].some(Number.isNaN)
+      ? null
+      : color;
+  }
+
+  const h = parseFloat(parts[0]);
+  const s = clamp(parseFloat(parts[1]) / 100, 0, 1);
+  const l = clamp(parseFloat(parts[2]) / 100, 0, 1);
+  if ([h, s, l].some(Number.isNaN)) return null;
+  return { ...hslToRgb(h, s, l), a: parseAlpha(parts[3]) };
+};
+
+// Paints a (possibly translucent) color over an opaque backdrop
+export const blend = (top, bottom) => {
+  const a = top.a;
+  return {
+    r: top.r * a + bottom.r * (1 - a),
+    g: top.g * a + bottom.g * (1 - a),
+    b: top.b * a + bottom.b * (1 - a),
+    a: 1,
+  };
+};
+
+const channelLuminance = (channel) => {
+  const c = channel / 255;
+  return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+};
+
+// https://www.w3.org/TR/WCAG21/#dfn-relative-luminance
+export const relativeLuminance = ({ r, g, b }) =>
+  0.2126 * channelLuminance(r) +
+  0.7152 * channelLuminance(g) +
+  0.0722 * channelLuminance(b);
+
+export const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+// https://www.w3.org/TR/WCAG21/#dfn-contrast-ratio
+export const contrastRatio = (foreground, background) => {
+  const bg = background.a < 1 ? blend(background, WHITE) : background;
+  const fg = foreground.a < 1 ? blend(foreground, bg) : foreground;
+  const l1 = relativeLuminance(fg);
+  const l2 = relativeLuminance(bg);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+};
+
+const toHexPair = (channel) =>
+  Math.round(channel).toString(16).padStart(2, "0");
+
+export const formatColor = (color) =>
+  `#${toHexPair(color.r)}${toHexPair(color.g)}${toHexPair(color.b)}${
+    color.a < 1 ? toHexPair(color.a * 255) : ""
+  }`;
+
+// 18pt, or 14pt bold (https://www.w3.org/TR/WCAG21/#dfn-large-scale)
+export const isLargeText = (fontSizePx, fontWeight) =>
+  fontSizePx >= 24 || (fontSizePx >= 18.66 && fontWeight >= 700);
+
+// Minimum ratios for WCAG 1.4.3 Contrast (Minimum)
+export const requiredContrast = (large) => (large ? 3 : 4.5);
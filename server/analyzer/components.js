@@ -0,0 +1,491 @@
+// backend/analyzer/components.js
+import path from "path";
+import { normalizeAttrName } from "./parsers.js";
+
+// Custom components that wrap native elements (<IconButton>, <TextField>)
+// hide the markup rules need to see. This module finds component
+// definitions across the project, works out which props each one forwards
+// to the native elements it renders, and expands a call site into the
+// markup it would produce so rules can check it.
+
+const RESOLVE_EXTENSIONS = [".jsx", ".tsx", ".js", ".ts", ".mjs"];
+const MAX_DEPTH = 5;
+
+// Icon components render an <svg> with no text of their own
+const ICON_PACKAGES =
+  /^(react-icons|lucide-react|@heroicons\/|@mui\/icons-material|@fortawesome\/|@tabler\/icons|react-feather|@radix-ui\/react-icons)/;
+const isIconName = (name) => /Icon$|^Icon/.test(name);
+
+const isComponentName = (name) => /^[A-Z]/.test(name || "");
+
+// forwardRef(fn), memo(fn), React.memo(React.forwardRef(fn))...
+const unwrapComponent = (node) => {
+  if (!node) return null;
+  if (
+    node.type === "ArrowFunctionExpression" ||
+    node.type === "FunctionExpression" ||
+    node.type === "FunctionDeclaration"
+  ) {
+    return node;
+  }
+  if (node.type === "CallExpression") {
+    const callee =
+      node.callee.type === "MemberExpression"
+        ? node.callee.property.name
+        : node.callee.name;
+    if (["forwardRef", "memo"].includes(callee)) {
+      return unwrapComponent(node.arguments[0]);
+    }
+  }
+  if (node.type === "TSAsExpression" || node.type === "TSSatisfiesExpression") {
+    return unwrapComponent(node.expression);
+  }
+  return null;
+};
+
+const literalValue = (node) => {
+  if (node.type === "StringLiteral") return node.value;
+  if (node.type === "NumericLiteral" || node.type === "BooleanLiteral") {
+    return String(node.value);
+  }
+  return undefined;
+};
+
+// How the first parameter exposes props: `props` (props.alt), a
+// destructuring pattern ({ alt = "", ...rest }) or nothing
+const readProps = (fn) => {
+  const props = {
+    param: null,
+    bindings: new Map(),
+    defaults: new Map(),
+    rest: null,
+  };
+  const [param] = fn.params;
+  if (!param) return props;
+
+  if (param.type === "Identifier") {
+    props.param = param.name;
+    return props;
+  }
+
+  const pattern = param.type === "AssignmentPattern" ? param.left : param;
+  if (pattern.type !== "ObjectPattern") return props;
+
+  pattern.properties.forEach((prop) => {
+    if (prop.type === "RestElement") {
+      props.rest = prop.argument.name;
+      return;
+    }
+    if (prop.computed) return;
+    const key =
+      prop.key.type === "Identifier" ? prop.key.name : String(prop.key.value);
+    let { value } = prop;
+    if (value.type === "AssignmentPattern") {
+      const fallback = literalValue(value.right);
+      if (fallback !== undefined) props.defaults.set(key, fallback);
+      value = value.left;
+    }
+    if (value.type === "Identifier") props.bindings.set(value.name, key);
+  });
+  return props;
+};
+
+const createDefinition = (name, fn, file, parsed) => {
+  const elements = parsed.elements.filter(
+    (el) => el.start >= fn.start && el.end <= fn.end,
+  );
+  const inside = new Set(elements);
+  return {
+    name,
+    file: file.name,
+    line: fn.loc.start.line,
+    props: readProps(fn),
+    roots: elements.filter((el) => !inside.has(el.parent)),
+  };
+};
+
+// Collects a module's component definitions, imports and exports
+const indexModule = (file, parsed) => {
+  const module = {
+    components: new Map(),
+    imports: new Map(),
+    exports: new Map(),
+    exportAll: [],
+  };
+  const fallbackName = path.posix
+    .basename(file.name)
+    .replace(/\.[^.]+$/, "")
+    .replace(/^index$/, path.posix.basename(path.posix.dirname(file.name)));
+
+  const define = (name, node) => {
+    const fn = unwrapComponent(node);
+    if (fn && isComponentName(name)) {
+      module.components.set(name, createDefinition(name, fn, file, parsed));
+    }
+  };
+
+  const declare = (declaration, exported) => {
+    if (!declaration) return;
+    if (declaration.type === "FunctionDeclaration" && declaration.id) {
+      define(declaration.id.name, declaration);
+      if (exported) {
+        module.exports.set(declaration.id.name, { local: declaration.id.name });
+      }
+    } else if (declaration.type === "VariableDeclaration") {
+      declaration.declarations.forEach((declarator) => {
+        if (declarator.id.type !== "Identifier") return;
+        define(declarator.id.name, declarator.init);
+        if (exported) {
+          module.exports.set(declarator.id.name, {
+            local: declarator.id.name,
+          });
+        }
+      });
+    }
+  };
+
+  parsed.ast.program.body.forEach((statement) => {
+    switch (statement.type) {
+      case "ImportDeclaration":
+        statement.specifiers.forEach((specifier) => {
+          module.imports.set(specifier.local.name, {
+            source: statement.source.value,
+            imported:
+              specifier.type === "ImportDefaultSpecifier"
+                ? "default"
+                : specifier.type === "ImportNamespaceSpecifier"
+                  ? "*"
+                  : specifier.imported.name || specifier.imported.value,
+          });
+        });
+        break;
+      case "ExportNamedDeclaration":
+        declare(statement.declaration, true);
+        statement.specifiers.forEach((specifier) => {
+          const exported = specifier.exported.name || specifier.exported.value;
+          if (statement.source) {
+            module.exports.set(exported, {
+              source: statement.source.value,
+              imported: specifier.local?.name || "*",
+            });
+          } else {
+            module.exports.set(exported, { local: specifier.local.name });
+          }
+        });
+        break;
+      case "ExportAllDeclaration":
+        module.exportAll.push(statement.source.value);
+        break;
+      case "ExportDefaultDeclaration": {
+        const { declaration } = statement;
+        if (declaration.type === "Identifier") {
+          module.exports.set("default", { local: declaration.name });
+        } else if (declaration.id) {
+          declare(declaration, false);
+          module.exports.set("default", { local: declaration.id.name });
+        } else if (unwrapComponent(declaration)) {
+          const name = isComponentName(fallbackName)
+            ? fallbackName
+            : "DefaultExport";
+          module.components.set(
+            "default",
+            createDefinition(name, unwrapComponent(declaration), file, parsed),
+          );
+          module.exports.set("default", { local: "default" });
+        }
+        break;
+      }
+      default:
+        declare(statement, false);
+    }
+  });
+
+  return module;
+};
+
+const resolveModulePath = (fromFile, source, modules) => {
+  if (!source.startsWith(".")) return null;
+  const base = path.posix.join(path.posix.dirname(fromFile), source);
+  const candidates = [
+    base,
+    ...RESOLVE_EXTENSIONS.map((ext) => `${base}${ext}`),
+    ...RESOLVE_EXTENSIONS.map((ext) => `${base}/index${ext}`),
+  ];
+  return candidates.find((candidate) => modules.has(candidate)) || null;
+};
+
+// Builds the project-wide component lookup from every parsed script file
+export const buildComponentIndex = (parsedFiles) => {
+  const modules = new Map();
+  parsedFiles.forEach(({ file, parsed }) => {
+    if (parsed.ast?.type === "File") {
+      modules.set(file.name, indexModule(file, parsed));
+    }
+  });
+
+  const resolveExport = (fileName, name, seen) => {
+    const module = modules.get(fileName);
+    const key = `${fileName}#${name}`;
+    if (!module || seen.has(key)) return null;
+    seen.add(key);
+
+    const entry = module.exports.get(name);
+    if (entry?.local) return resolveLocal(fileName, entry.local, seen);
+    if (entry?.source) {
+      const target = resolveModulePath(fileName, entry.source, modules);
+      return target ? resolveExport(target, entry.imported, seen) : null;
+    }
+    for (const source of module.exportAll) {
+      const target = resolveModulePath(fileName, source, modules);
+      const found = target && resolveExport(target, name, seen);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  const resolveLocal = (fileName, name, seen) => {
+    const module = modules.get(fileName);
+    if (module.components.has(name)) return module.components.get(name);
+    const imported = module.imports.get(name);
+    if (!imported || imported.imported === "*") return null;
+    const target = resolveModulePath(fileName, imported.source, modules);
+    return target ? resolveExport(target, imported.imported, seen) : null;
+  };
+
+  // True for components `fileName` imports from an icon library
+  const isIconImport = (fileName, tag) => {
+    const imported = modules.get(fileName)?.imports.get(tag.split(".")[0]);
+    return Boolean(imported && ICON_PACKAGES.test(imported.source));
+  };
+
+  // True for components imported from an icon library, or passed in
+  // through an `icon`-style prop
+  const isIcon = (definition, tag) => {
+    const [head] = tag.split(".");
+    if (modules.get(definition.file)?.imports.has(head)) {
+      return isIconImport(definition.file, tag);
+    }
+    const prop = definition.props.bindings.get(head);
+    return (
+      prop !== undefined &&
+      isIconName(prop.replace(/^./, (c) => c.toUpperCase()))
+    );
+  };
+
+  // <IconButton> or <UI.IconButton> as written in `fileName`
+  const resolve = (fileName, tag) => {
+    if (!modules.has(fileName)) return null;
+    const [head, member] = tag.split(".");
+    if (!member) return resolveLocal(fileName, head, new Set());
+
+    const imported = modules.get(fileName).imports.get(head);
+    if (imported?.imported !== "*") return null;
+    const target = resolveModulePath(fileName, imported.source, modules);
+    return target ? resolveExport(target, member, new Set()) : null;
+  };
+
+  return { resolve, isIcon, isIconImport };
+};
+
+// The prop an expression reads, e.g. `alt` or `props.alt` -> "alt"
+const propReference = (expression, props) => {
+  if (!expression) return null;
+  if (expression.type === "Identifier") {
+    return props.bindings.get(expression.name) ?? null;
+  }
+  if (
+    expression.type === "MemberExpression" &&
+    !expression.computed &&
+    expression.object.type === "Identifier" &&
+    expression.object.name === props.param
+  ) {
+    return expression.property.name;
+  }
+  return null;
+};
+
+// {...props} or {...rest}: forwards every prop not destructured by name
+const forwardsProps = (spreadArgument, props) =>
+  spreadArgument.type === "Identifier" &&
+  (spreadArgument.name === props.param || spreadArgument.name === props.rest);
+
+const propAttr = (callSite, key) => callSite.attrs[normalizeAttrName(key)];
+
+// Props of a definition that end up on a given native element, for messages
+export const forwardedProps = (element) => [...new Set(element.forwarded)];
+
+// Accessibility props the call site passes that never reach the element
+export const droppedProps = (element) =>
+  Object.values(element.callSite.attrs)
+    .map((attr) => attr.name)
+    .filter((name) => /^(aria-|alt$|title$|role$)/.test(name))
+    .filter(
+      (name) =>
+        !Object.values(element.attrs).some((attr) => attr.prop === name),
+    );
+
+// `{label && <label />}` or `{label ? <label /> : null}` only renders when
+// the prop is set. Returns the source ranges that the call site leaves out.
+const omittedRanges = (children, props, site) =>
+  children
+    .filter((child) => child.type === "expression")
+    .map((child) => child.expression)
+    .filter((expression) => {
+      const test =
+        expression.type === "LogicalExpression" && expression.operator === "&&"
+          ? expression.left
+          : expression.type === "ConditionalExpression"
+            ? expression.test
+            : null;
+      const prop = propReference(test, props);
+      return (
+        prop !== null &&
+        !propAttr(site, prop) &&
+        !site.spread &&
+        !props.defaults.has(prop)
+      );
+    })
+    .map((expression) => [expression.start, expression.end]);
+
+// Renders a call site through its component definition. Returns the
+// synthetic elements (each with `callSite`, `component` and the `origin`
+// element in the definition), or an empty list when the component can't
+// be resolved.
+export const expandComponent = (callSite, fileName, components) => {
+  const expanded = [];
+
+  const instantiate = (node, parent, site, definition, depth) => {
+    const { props } = definition;
+
+    if (node.type === "text") return [{ ...node, parent }];
+    if (node.type === "element" && node.isComponent) {
+      if (components.isIcon(definition, node.tag)) {
+        return [
+          { ...node, tag: "svg", isComponent: false, children: [], parent },
+        ];
+      }
+    }
+    if (node.type === "expression") {
+      const prop = propReference(node.expression, props);
+      if (prop === "children") {
+        return site.spread && site.children.length === 0
+          ? [{ type: "expression", parent }]
+          : site.children;
+      }
+      return [{ type: "expression", parent }];
+    }
+
+    const element = {
+      ...node,
+      attrs: {},
+      spread: false,
+      spreads: [],
+      children: [],
+      parent,
+      origin: node.origin || node,
+      callSite,
+      component: {
+        name: definition.name,
+        file: definition.file,
+        line: node.line,
+      },
+      forwarded: [],
+    };
+
+    node.spreads.forEach((argument) => {
+      if (!forwardsProps(argument, props)) {
+        element.spread = true;
+        return;
+      }
+      element.forwarded.push(`...${argument.name}`);
+      if (site.spread) element.spread = true;
+      const named = new Set(
+        [...props.bindings.values()].map((key) => normalizeAttrName(key)),
+      );
+      Object.entries(site.attrs).forEach(([name, attr]) => {
+        if (argument.name === props.rest && named.has(name)) return;
+        element.attrs[name] = { ...attr, prop: attr.name };
+      });
+    });
+
+    Object.entries(node.attrs).forEach(([name, attr]) => {
+      const prop = attr.dynamic ? propReference(attr.expression, props) : null;
+      if (prop === null) {
+        element.attrs[name] = attr;
+        return;
+      }
+      element.forwarded.push(prop);
+      const passed = propAttr(site, prop);
+      if (passed) {
+        element.attrs[name] = { ...passed, name: attr.name, prop };
+      } else if (site.spread) {
+        element.attrs[name] = { ...attr, value: null, dynamic: true, prop };
+      } else if (props.defaults.has(prop)) {
+        element.attrs[name] = {
+          ...attr,
+          value: props.defaults.get(prop),
+          dynamic: false,
+          prop,
+        };
+      } else {
+        delete element.attrs[name];
+      }
+    });
+
+    const omitted = omittedRanges(node.children, props, site);
+    element.children =
+      node.children.length === 0 &&
+      element.forwarded.some((p) => p.startsWith("..."))
+        ? site.children
+        : node.children
+            .filter(
+              (child) =>
+                child.type !== "element" ||
+                !omitted.some(
+                  ([start, end]) => child.start >= start && child.end <= end,
+                ),
+            )
+            .flatMap((child) =>
+              instantiate(child, element, site, definition, depth),
+            );
+
+    if (element.isComponent) {
+      const nested =
+        depth < MAX_DEPTH && components.resolve(definition.file, element.tag);
+      if (nested && nested !== definition) {
+        return nested.roots.flatMap((root) =>
+          instantiate(root, parent, element, nested, depth + 1),
+        );
+      }
+    }
+
+    expanded.push(element);
+    return [element];
+  };
+
+  const definition = components.resolve(fileName, callSite.tag);
+  if (!definition) return [];
+  // A component rendering itself (recursion) is left alone
+  if (definition.file === fileName && definition.roots.includes(callSite)) {
+    return [];
+  }
+  definition.roots.forEach((root) =>
+    instantiate(root, callSite.parent, callSite, definition, 1),
+  );
+  return expanded.sort((a, b) => a.start - b.start);
+};
+
+// The markup a component call site renders, for reading its text: an empty
+// <svg> for icon library components, else its definition's expanded root
+// elements. Null when that can't be known, including for components inside
+// markup that was itself expanded.
+export const renderComponent = (callSite, fileName, components) => {
+  if (callSite.component) return null;
+  if (components.isIconImport(fileName, callSite.tag)) {
+    return [{ ...callSite, tag: "svg", isComponent: false, children: [] }];
+  }
+  const roots = expandComponent(callSite, fileName, components).filter(
+    (el) => el.parent === callSite.parent,
+  );
+  return roots.length > 0 ? roots : null;
+};
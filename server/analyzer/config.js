@@ -0,0 +1,170 @@
+// backend/analyzer/config.js
+import { LEVELS } from "../rules/wcag.js";
+import { SEVERITIES, getRule } from "../rules/index.js";
+
+export const CONFIG_FILE = ".accesswairc.json";
+
+export const DEFAULT_CONFIG = {
+  level: "AA",
+  rules: {},
+  ignore: ["node_modules/"],
+  failOn: "high",
+};
+
+// Projects usually zip their top-level folder, so the "root" is that single
+// folder when every entry lives inside it
+export const getProjectRoot = (paths) => {
+  const firstSegments = new Set(paths.map((p) => p.split("/")[0]));
+  if (firstSegments.size !== 1) return "";
+  const [segment] = firstSegments;
+  return paths.every((p) => p.startsWith(`${segment}/`)) ? `${segment}/` : "";
+};
+
+const globToRegExp = (pattern) => {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      source += ".*";
+      i++;
+      if (pattern[i + 1] === "/") i++;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return source;
+};
+
+// gitignore-style matching: "dist/" matches that directory at any depth,
+// patterns containing a slash are anchored at the project root
+const ignoreMatcher = (pattern) => {
+  const isDirectory = pattern.endsWith("/");
+  const trimmed = pattern.replace(/^\/|\/$/g, "");
+  const anchored = pattern.startsWith("/") || trimmed.includes("/");
+  const prefix = anchored ? "^" : "(^|/)";
+  const suffix = isDirectory ? "/" : "(/|$)";
+  return new RegExp(`${prefix}${globToRegExp(trimmed)}${suffix}`);
+};
+
+export const isIgnored = (relativePath, config) =>
+  config.ignore.some((pattern) => ignoreMatcher(pattern).test(relativePath));
+
+// Validates a user-supplied config and merges it over the defaults.
+// Throws with a readable message when the config is malformed.
+export const resolveConfig = (raw = {}, source = "default") => {
+  if (typeof raw !== "object" || raw === null || Array.isArray(raw)) {
+    throw new Error(`${source}: configuration must be a JSON object`);
+  }
+
+  const config = {
+    level: DEFAULT_CONFIG.level,
+    rules: {},
+    ignore: [...DEFAULT_CONFIG.ignore],
+    failOn: DEFAULT_CONFIG.failOn,
+    source,
+  };
+
+  if (raw.level !== undefined) {
+    if (!LEVELS.includes(raw.level)) {
+      throw new Error(`${source}: "level" must be one of ${LEVELS.join(", ")}`);
+    }
+    config.level = raw.level;
+  }
+
+  if (raw.rules !== undefined) {
+    if (
+      typeof raw.rules !== "object" ||
+      raw.rules === null ||
+      Array.isArray(raw.rules)
+    ) {
+      throw new Error(`${source}: "rules" must be an object`);
+    }
+    Object.entries(raw.rules).forEach(([ruleId, setting]) => {
+      if (!getRule(ruleId)) {
+        throw new Error(`${source}: unknown rule "${ruleId}"`);
+      }
+      if (setting !== "off" && !SEVERITIES.includes(setting)) {
+        throw new Error(
+          `${source}: rule "${ruleId}" must be "off" or one of ${SEVERITIES.join(", ")}`,
+        );
+      }
+      config.rules[ruleId] = setting;
+    });
+  }
+
+  if (raw.ignore !== undefined) {
+    if (
+      !Array.isArray(raw.ignore) ||
+      raw.ignore.some((p) => typeof p !== "string")
+    ) {
+      throw new Error(`${source}: "ignore" must be an array of path patterns`);
+    }
+    config.ignore.push(...raw.ignore.filter((p) => p.trim() !== ""));
+  }
+
+  if (raw.failOn !== undefined) {
+    if (!SEVERITIES.includes(raw.failOn)) {
+      throw new Error(
+        `${source}: "failOn" must be one of ${SEVERITIES.join(", ")}`,
+      );
+    }
+    config.failOn = raw.failOn;
+  }
+
+  return config;
+};
+
+// Looks for .accesswairc.json, then an "accesswai" key in package.json.
+// readFile(path) returns the file's text or null when it doesn't exist.
+export const loadProjectConfig = (readFile) => {
+  const rcContent = readFile(CONFIG_FILE);
+  if (rcContent !== null) {
+    let raw;
+    try {
+      raw = JSON.parse(rcContent);
+    } catch (err) {
+      throw new Error(`${CONFIG_FILE}: invalid JSON (${err.message})`);
+    }
+    return resolveConfig(raw, CONFIG_FILE);
+  }
+
+  const packageContent = readFile("package.json");
+  if (packageContent !== null) {
+    try {
+      const pkg = JSON.parse(packageContent);
+      if (pkg.accesswai !== undefined) {
+        return resolveConfig(pkg.accesswai, "package.json");
+      }
+    } catch (err) {
+      // A broken package.json is the project's problem, not a config error
+      if (!(err instanceof SyntaxError)) throw err;
+    }
+  }
+
+  return resolveConfig();
+};
+
+const levelRank = (level) => LEVELS.indexOf(level);
+
+// Drops rules that are off or above the target level and applies severity
+// overrides
+export const applyConfig = (rules, config) =>
+  rules
+    .filter((rule) => config.rules[rule.id] !== "off")
+    .filter((rule) => levelRank(rule.level) <= levelRank(config.level))
+    .map((rule) =>
+      config.rules[rule.id]
+        ? { ...rule, severity: config.rules[rule.id] }
+        : rule,
+    );
+
+// The config an analysis ran with, as stored on it. Older analyses may not
+// have one.
+export const analysisConfig = (analysis) => {
+  const config = { ...DEFAULT_CONFIG, ...analysis.config };
+  return { ...config, rules: config.rules || {} };
+};
@@ -0,0 +1,147 @@
+// backend/analyzer/dom.js
+import { JSDOM } from "jsdom";
+import { collectSuppressions, applySuppressions } from "./suppressions.js";
+import { createIssue, byPosition } from "./engine.js";
+import { isDocumentFile } from "./parsers.js";
+import { getRules } from "../rules/index.js";
+
+const BUILD_DIRS = /(^|\/)(dist|build|out|public|_site)\//;
+
+// Picks the pages to render: built HTML when the project has a build output
+// folder, otherwise every HTML file in the upload
+export const findPages = (files) => {
+  const pages = files.filter(
+    (f) => isDocumentFile(f.name) && !/(^|\/)node_modules\//.test(f.name),
+  );
+  const built = pages.filter((f) => BUILD_DIRS.test(f.name));
+  return built.length > 0 ? built : pages;
+};
+
+const collapse = (text) => text.replace(/\s+/g, " ").trim().slice(0, 200);
+
+// Maps a DOM node back to where it was written in the page source. Nodes
+// the parser created itself (implied <tbody>, <head>...) have no location.
+const locate = (dom, content, node) => {
+  const location = node && dom.nodeLocation(node);
+  if (!location) return { line: 1, column: 1, code: "" };
+  const tag = location.startTag || location;
+  return {
+    line: tag.startLine,
+    column: tag.startCol,
+    code: collapse(content.slice(tag.startOffset, tag.endOffset)),
+  };
+};
+
+const collectComments = (dom, document) => {
+  const comments = [];
+  const walker = document.createTreeWalker(
+    document,
+    dom.window.NodeFilter.SHOW_COMMENT,
+  );
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const location = dom.nodeLocation(node);
+    if (!location) continue;
+    comments.push({
+      value: node.data,
+      line: location.startLine,
+      endLine: location.endLine,
+    });
+  }
+  return comments;
+};
+
+// Loads each page into jsdom (scripts are not executed) and runs the DOM
+// rules against the resulting document
+export const runDomRules = (pages, allRules) => {
+  const issues = [];
+  const suppressed = [];
+  const unusedSuppressions = [];
+  const rules = allRules.filter((rule) => rule.source === "dom");
+  const activeRuleIds = new Set(rules.map((rule) => rule.id));
+  const inactiveRuleIds = new Set(
+    getRules()
+      .map((rule) => rule.id)
+      .filter((id) => !activeRuleIds.has(id)),
+  );
+  if (rules.length === 0) return { issues, suppressed, unusedSuppressions };
+
+  pages.forEach((file) => {
+    let dom;
+    try {
+      dom = new JSDOM(file.content, { includeNodeLocations: true });
+    } catch (err) {
+      console.error(`Error loading page ${file.name}:`, err.message);
+      return;
+    }
+
+    const { document } = dom.window;
+    const pageIssues = [];
+
+    rules.forEach((rule) => {
+      try {
+        rule.check({
+          file,
+          document,
+          window: dom.window,
+          report: (node, overrides) =>
+            pageIssues.push(
+              createIssue(
+                rule,
+                file,
+                locate(dom, file.content, node),
+                overrides,
+              ),
+            ),
+        });
+      } catch (err) {
+        console.error(`Rule ${rule.id} failed on ${file.name}:`, err.message);
+      }
+    });
+
+    const result = applySuppressions(
+      pageIssues.sort(byPosition),
+      collectSuppressions(collectComments(dom, document)),
+      inactiveRuleIds,
+    );
+    issues.push(...result.reported);
+    suppressed.push(...result.suppressed);
+    // Directives without rule ids are already checked by the static pass
+    unusedSuppressions.push(
+      ...result.unused
+        .filter((s) => s.rules.length > 0)
+        .map((s) => ({ ...s, file: file.name })),
+    );
+
+    dom.window.close();
+  });
+
+  return { issues, suppressed, unusedSuppressions };
+};
+
+const suppressionKey = (file, line) => `${file}:${line}`;
+
+// Combines the static and DOM results for one upload. A directive only
+// counts as unused when neither pass needed it.
+export const mergeResults = (staticResult, domResult) => {
+  const used = new Set(
+    [...staticResult.suppressed, ...domResult.suppressed].map((issue) =>
+      suppressionKey(issue.file, issue.suppressedBy.line),
+    ),
+  );
+  const seen = new Set();
+  const unusedSuppressions = [
+    ...staticResult.unusedSuppressions,
+    ...domResult.unusedSuppressions,
+  ].filter((s) => {
+    const key = suppressionKey(s.file, s.line);
+    if (used.has(key) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return {
+    issues: [...staticResult.issues, ...domResult.issues],
+    suppressed: [...staticResult.suppressed, ...domResult.suppressed],
+    unusedSuppressions,
+  };
+};
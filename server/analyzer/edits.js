@@ -0,0 +1,77 @@
+// backend/analyzer/edits.js
+// Text edits ({ start, end, text }, offsets into the file) for rule fixers.
+// Fixers build them from an element's recorded tag offsets, so everything
+// else in the file is left exactly as it was.
+
+// The tag name as written, e.g. "div" or "Icons.Close"
+const sourceTagName = (content, offset) =>
+  /^<\/?\s*([^\s/>]+)/.exec(content.slice(offset))?.[1] || null;
+
+const escapeAttribute = (value) =>
+  value.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+
+// ` name="value"` in the element's syntax; JSX strings can't escape quotes,
+// so those values become expressions
+const attributeText = (element, name, value) => {
+  if (element.syntax === "jsx") {
+    return value.includes('"')
+      ? ` ${name}={${JSON.stringify(value)}}`
+      : ` ${name}="${value}"`;
+  }
+  return ` ${name}="${escapeAttribute(value)}"`;
+};
+
+// Inserts text into the opening tag, right after its name
+export const insertInTag = (element, content, text) => {
+  const at = element.start + 1 + sourceTagName(content, element.start).length;
+  return { start: at, end: at, text };
+};
+
+export const insertAttribute = (element, content, name, value) =>
+  insertInTag(element, content, attributeText(element, name, value));
+
+// Inserts text before the element's opening tag
+export const insertBefore = (element, text) => ({
+  start: element.start,
+  end: element.start,
+  text,
+});
+
+// Renames the opening and closing tags. Returns null when the closing tag
+// isn't where the parser recorded it.
+export const renameElement = (element, content, tag) => {
+  const name = sourceTagName(content, element.start);
+  const nameAt = (offset) => content.indexOf(name, offset);
+  const edits = [
+    {
+      start: nameAt(element.start),
+      end: nameAt(element.start) + name.length,
+      text: tag,
+    },
+  ];
+  if (element.closing) {
+    if (sourceTagName(content, element.closing.start) !== name) return null;
+    const start = nameAt(element.closing.start);
+    edits.push({ start, end: start + name.length, text: tag });
+  } else if (!element.code.endsWith("/>")) {
+    return null;
+  }
+  return edits;
+};
+
+// Applies edits to content. Edits that overlap an earlier one are
+// rejected with an error.
+export const applyEdits = (content, edits) => {
+  const sorted = [...edits].sort((a, b) => a.start - b.start);
+  sorted.forEach((edit, index) => {
+    const previous = sorted[index - 1];
+    if (previous && edit.start < previous.end) {
+      throw new Error("Overlapping edits");
+    }
+  });
+  return sorted.reduceRight(
+    (result, edit) =>
+      result.slice(0, edit.start) + edit.text + result.slice(edit.end),
+    content,
+  );
+};
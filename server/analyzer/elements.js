@@ -0,0 +1,97 @@
+// backend/analyzer/elements.js
+import { normalizeAttrName } from "./parsers.js";
+
+export const getAttr = (element, name) =>
+  element.attrs[normalizeAttrName(name)];
+
+export const hasAttr = (element, name) => getAttr(element, name) !== undefined;
+
+// Returns the static string value of an attribute, null when it is set but
+// computed at runtime, and undefined when it is absent.
+export const attrValue = (element, name) => {
+  const attr = getAttr(element, name);
+  if (!attr) return undefined;
+  return attr.dynamic ? null : attr.value;
+};
+
+// Class names on an element. For template literals only the static,
+// whitespace-delimited parts are returned and `dynamic` is set.
+export const getClassList = (element) => {
+  const attr = getAttr(element, "class");
+  if (!attr) return { classes: [], dynamic: false };
+  if (!attr.dynamic) {
+    return { classes: attr.value.split(/\s+/).filter(Boolean), dynamic: false };
+  }
+
+  const classes = [];
+  if (attr.expression?.type === "TemplateLiteral") {
+    const { quasis } = attr.expression;
+    quasis.forEach((quasi, index) => {
+      const text = quasi.value.cooked || "";
+      const tokens = text.split(/\s+/);
+      // Tokens touching an interpolation are only partial class names
+      if (index > 0 && !/^\s/.test(text)) tokens.shift();
+      if (index < quasis.length - 1 && !/\s$/.test(text)) tokens.pop();
+      classes.push(...tokens.filter(Boolean));
+    });
+  }
+  return { classes, dynamic: true };
+};
+
+export const findAncestor = (element, predicate) => {
+  let current = element.parent;
+  while (current) {
+    if (predicate(current)) return current;
+    current = current.parent;
+  }
+  return null;
+};
+
+// Collects the text a screen reader would find inside an element. `dynamic`
+// is set when some of it comes from a runtime expression or a component we
+// can't see into, in which case rules should give the benefit of the doubt.
+// renderComponent(node), when given, returns the elements a custom
+// component renders (see components.js), or null when they aren't known.
+export const getTextContent = (element, renderComponent) => {
+  let text = "";
+  let dynamic = false;
+
+  const visit = (node) => {
+    if (node.type === "text") {
+      text += node.value;
+      return;
+    }
+    if (node.type === "expression") {
+      dynamic = true;
+      return;
+    }
+    if (attrValue(node, "aria-hidden") === "true") return;
+    if (node.isComponent) {
+      const rendered = renderComponent?.(node);
+      if (rendered) rendered.forEach(visit);
+      else dynamic = true;
+      return;
+    }
+    if (node.tag === "img") {
+      const alt = attrValue(node, "alt");
+      if (alt === null) dynamic = true;
+      else if (alt) text += ` ${alt} `;
+      return;
+    }
+    const label = attrValue(node, "aria-label");
+    if (label === null) dynamic = true;
+    else if (label) text += ` ${label} `;
+    node.children.forEach(visit);
+  };
+
+  element.children.forEach(visit);
+  return { text: text.replace(/\s+/g, " ").trim(), dynamic };
+};
+
+// True when the element is named through an attribute rather than content
+export const hasAccessibleNameAttr = (element) =>
+  element.spread ||
+  ["aria-label", "aria-labelledby", "title"].some((name) => {
+    const value = attrValue(element, name);
+    return value === null || (value !== undefined && value.trim() !== "");
+  });
@@ -0,0 +1,182 @@
+// backend/analyzer/engine.js
+import { parseFile, isDocumentFile } from "./parsers.js";
+import { collectSuppressions, applySuppressions } from "./suppressions.js";
+import { buildStyleIndex } from "./styles.js";
+import {
+  buildComponentIndex,
+  expandComponent,
+  forwardedProps,
+  droppedProps,
+} from "./components.js";
+import { describeCriterion } from "../rules/wcag.js";
+import { getRules } from "../rules/index.js";
+import {
+  loadTailwindTheme,
+  createTailwindResolver,
+} from "../rules/tailwind/theme.js";
+
+export const createIssue = (rule, file, element, overrides = {}) => ({
+  ruleId: rule.id,
+  source: rule.source,
+  severity: rule.severity,
+  type: rule.type,
+  file: file.name,
+  line: element.line,
+  column: element.column,
+  description: rule.description,
+  suggestion: rule.suggestion,
+  code: element.code,
+  wcag: rule.wcag.map(describeCriterion),
+  helpUrl: rule.docs,
+  ...overrides,
+});
+
+// Findings inside a custom component are reported where it is used, and
+// name the component and the native element it renders
+const createComponentIssue = (rule, file, element, overrides = {}) => {
+  const { callSite, component } = element;
+  const dropped = droppedProps(element);
+  const forwarded = forwardedProps(element);
+  const target = `<${element.tag}>`;
+
+  let hint;
+  if (dropped.length > 0) {
+    hint = `${component.name} receives ${dropped.join(", ")} but doesn't pass it on to the ${target}; forward it, e.g. by spreading the remaining props onto the ${target}.`;
+  } else if (forwarded.length > 0) {
+    hint = `Pass the missing prop to <${callSite.tag}>; it forwards ${forwarded.join(", ")} to the ${target}.`;
+  } else {
+    hint = `${component.name} doesn't forward any props to the ${target}; add one for this.`;
+  }
+
+  return createIssue(rule, file, callSite, {
+    ...overrides,
+    description: `${overrides.description || rule.description} (<${callSite.tag}> renders this ${target} at ${component.file}:${component.line})`,
+    suggestion: `${rule.suggestion} ${hint}`,
+    component,
+  });
+};
+
+export const byPosition = (a, b) => a.line - b.line || a.column - b.column;
+
+// Parses every file once, runs each static rule over its element tree (with
+// the project-wide style index available) and applies the file's inline
+// suppression comments. DOM rules are run separately by runDomRules.
+export const runRules = (files, allRules) => {
+  const issues = [];
+  const suppressed = [];
+  const unusedSuppressions = [];
+  const rules = allRules.filter((rule) => rule.source === "static");
+  const activeRuleIds = new Set(rules.map((rule) => rule.id));
+  const inactiveRuleIds = new Set(
+    getRules()
+      .map((rule) => rule.id)
+      .filter((id) => !activeRuleIds.has(id)),
+  );
+
+  const parsedFiles = [];
+  files.forEach((file) => {
+    try {
+      parsedFiles.push({ file, parsed: parseFile(file) });
+    } catch (err) {
+      console.error(`Error parsing file ${file.name}:`, err.message);
+    }
+  });
+
+  // Project-wide facts rules can look up from any file
+  const styles = buildStyleIndex(
+    parsedFiles.flatMap(({ parsed }) => parsed.stylesheets),
+  );
+  const tailwind = loadTailwindTheme(files, styles.variables);
+  if (tailwind) styles.resolvers.push(createTailwindResolver(tailwind));
+  const components = buildComponentIndex(parsedFiles);
+  const project = { styles, tailwind, components };
+
+  // Every element each rule reported, so component expansion can tell
+  // which findings are new
+  const reported = new Map(rules.map((rule) => [rule, new Set()]));
+  const results = [];
+
+  parsedFiles.forEach(({ file, parsed }) => {
+    const fileIssues = [];
+    const context = {
+      file,
+      ...parsed,
+      project,
+      isDocument: isDocumentFile(file.name),
+    };
+
+    rules.forEach((rule) => {
+      try {
+        rule.check({
+          ...context,
+          report: (element, overrides) => {
+            reported.get(rule).add(element);
+            fileIssues.push(createIssue(rule, file, element, overrides));
+          },
+        });
+      } catch (err) {
+        console.error(`Rule ${rule.id} failed on ${file.name}:`, err.message);
+      }
+    });
+    results.push({ file, parsed, context, fileIssues });
+  });
+
+  // Second pass over custom component call sites. Only findings the
+  // component's own markup doesn't already have are new: those come from
+  // the props this call site passes (or leaves out). A finding the markup
+  // already has is still reported where the call site passes a prop the
+  // component drops, since that is where it gets fixed.
+  const componentRules = rules.filter((rule) => rule.expandComponents);
+  results.forEach(({ file, parsed, context, fileIssues }) => {
+    const expanded = parsed.elements
+      .filter((el) => el.isComponent && el.syntax === "jsx")
+      .flatMap((el) => expandComponent(el, file.name, components));
+    if (expanded.length === 0) return;
+
+    const synthetic = new Set(expanded);
+    componentRules.forEach((rule) => {
+      const seen = new Set();
+      try {
+        rule.check({
+          ...context,
+          elements: [...parsed.elements, ...expanded],
+          report: (element, overrides) => {
+            if (!synthetic.has(element)) return;
+            if (
+              reported.get(rule).has(element.origin) &&
+              droppedProps(element).length === 0
+            ) {
+              return;
+            }
+            const key = `${element.callSite.start}:${element.component.file}:${element.origin.start}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            fileIssues.push(
+              createComponentIssue(rule, file, element, overrides),
+            );
+          },
+        });
+      } catch (err) {
+        console.error(
+          `Rule ${rule.id} failed on components in ${file.name}:`,
+          err.message,
+        );
+      }
+    });
+  });
+
+  results.forEach(({ file, parsed, fileIssues }) => {
+    const result = applySuppressions(
+      fileIssues.sort(byPosition),
+      collectSuppressions(parsed.comments),
+      inactiveRuleIds,
+    );
+    issues.push(...result.reported);
+    suppressed.push(...result.suppressed);
+    unusedSuppressions.push(
+      ...result.unused.map((s) => ({ ...s, file: file.name })),
+    );
+  });
+
+  return { issues, suppressed, unusedSuppressions };
+};
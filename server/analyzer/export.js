@@ -0,0 +1,296 @@
+// backend/analyzer/export.js
+// An analysis in formats other tools read: SARIF for code-scanning UIs,
+// JUnit XML for test dashboards, CSV for spreadsheets, and plain JSON.
+// Shared by the export endpoint and the CLI.
+import { getRule, SEVERITIES } from "../rules/index.js";
+import { analysisRoot, relativePath } from "./fingerprint.js";
+
+// critical and high findings are errors, medium ones warnings
+const SARIF_LEVELS = {
+  critical: "error",
+  high: "error",
+  medium: "warning",
+  low: "note",
+};
+
+// Issues with file paths relative to the project root, as they appear in
+// the project itself
+export const projectIssues = (analysis, issues = analysis.issues) => {
+  const root = analysisRoot(analysis);
+  return issues.map((issue) => ({
+    ...issue,
+    file: issue.file && relativePath(issue.file, root),
+  }));
+};
+
+// axe-core style tags, e.g. "wcag111" for 1.1.1 and "wcag2aa" for Level AA
+const wcagTags = (wcag = []) => [
+  ...new Set(
+    wcag.flatMap(({ criterion, level }) => [
+      `wcag${criterion.replace(/\./g, "")}`,
+      `wcag2${level.toLowerCase()}`,
+    ]),
+  ),
+];
+
+// One SARIF rule per rule that reported something, described from the
+// registry (or from the issue, for rules that no longer exist)
+const sarifRule = (issue) => {
+  const rule = getRule(issue.ruleId) || {};
+  const wcag = issue.wcag || [];
+  return {
+    id: issue.ruleId || issue.type,
+    name: (issue.type || issue.ruleId).replace(/[^A-Za-z0-9]+/g, ""),
+    shortDescription: { text: rule.description || issue.description },
+    help: { text: rule.suggestion || issue.suggestion },
+    helpUri: rule.docs || issue.helpUrl,
+    defaultConfiguration: {
+      level: SARIF_LEVELS[rule.severity || issue.severity],
+    },
+    properties: {
+      tags: ["accessibility", ...wcagTags(wcag)],
+      precision: "high",
+      wcag: wcag.map(({ criterion, name, level }) => ({
+        criterion,
+        name,
+        level,
+      })),
+    },
+  };
+};
+
+const sarifResult = (issue, ruleIndex, hasBaseline) => ({
+  ruleId: issue.ruleId || issue.type,
+  ruleIndex,
+  level: SARIF_LEVELS[issue.severity],
+  message: { text: issue.description },
+  locations: [
+    {
+      physicalLocation: {
+        artifactLocation: { uri: issue.file, uriBaseId: "%SRCROOT%" },
+        region: {
+          startLine: issue.line || 1,
+          ...(issue.column && { startColumn: issue.column }),
+          ...(issue.code && { snippet: { text: issue.code } }),
+        },
+      },
+    },
+  ],
+  ...(issue.fingerprint && {
+    partialFingerprints: { "accesswaiFingerprint/v1": issue.fingerprint },
+  }),
+  ...(hasBaseline && { baselineState: issue.baseline ? "unchanged" : "new" }),
+  ...(issue.suppressedBy && {
+    suppressions: [
+      {
+        kind: "inSource",
+        justification: `${issue.suppressedBy.directive} (line ${issue.suppressedBy.line})`,
+      },
+    ],
+  }),
+  properties: {
+    severity: issue.severity,
+    suggestion: issue.suggestion,
+    tags: wcagTags(issue.wcag),
+  },
+});
+
+const toSarif = (analysis) => {
+  const issues = projectIssues(analysis);
+  const suppressed = projectIssues(analysis, analysis.suppressedIssues || []);
+  const all = [...issues, ...suppressed];
+
+  const ruleIndexes = new Map();
+  const rules = [];
+  all.forEach((issue) => {
+    const id = issue.ruleId || issue.type;
+    if (!ruleIndexes.has(id)) {
+      ruleIndexes.set(id, rules.length);
+      rules.push(sarifRule(issue));
+    }
+  });
+
+  const hasBaseline = Boolean(analysis.baseline?.source);
+  const run = {
+    tool: { driver: { name: "AccessWAI", rules } },
+    results: all.map((issue) =>
+      sarifResult(
+        issue,
+        ruleIndexes.get(issue.ruleId || issue.type),
+        hasBaseline,
+      ),
+    ),
+    properties: {
+      projectName: analysis.projectName,
+      accessibilityScore: analysis.accessibilityScore,
+      gate: analysis.gate,
+    },
+  };
+  if (analysis.repository?.commit) {
+    run.versionControlProvenance = [
+      {
+        repositoryUri: analysis.repository.url,
+        revisionId: analysis.repository.commit,
+        ...(analysis.repository.branch && {
+          branch: analysis.repository.branch,
+        }),
+      },
+    ];
+  }
+
+  return `${JSON.stringify(
+    {
+      $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+      version: "2.1.0",
+      runs: [run],
+    },
+    null,
+    2,
+  )}\n`;
+};
+
+const escapeXml = (value) =>
+  String(value ?? "").replace(
+    /[<>&"']/g,
+    (char) =>
+      ({
+        "<": "&lt;",
+        ">": "&gt;",
+        "&": "&amp;",
+        '"': "&quot;",
+        "'": "&apos;",
+      })[char],
+  );
+
+// One test suite per file and one test case per issue. New issues are
+// failures; baseline and suppressed issues are skipped.
+const toJunit = (analysis) => {
+  const byFile = new Map();
+  const add = (issue, skipped) => {
+    const file = issue.file || "(unknown file)";
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push({ issue, skipped });
+  };
+  projectIssues(analysis).forEach((issue) =>
+    add(issue, issue.baseline && "Already in the baseline"),
+  );
+  projectIssues(analysis, analysis.suppressedIssues || []).forEach((issue) =>
+    add(issue, `Suppressed by ${issue.suppressedBy?.directive}`),
+  );
+
+  const count = (cases, predicate) => cases.filter(predicate).length;
+  const suites = [...byFile.keys()].sort().map((file) => {
+    const cases = byFile.get(file);
+    const testcases = cases.map(({ issue, skipped }) => {
+      const name = `${issue.ruleId || issue.type} at line ${issue.line}`;
+      const details = [
+        `${issue.file}:${issue.line}${issue.column ? `:${issue.column}` : ""}`,
+        issue.code,
+        `Suggestion: ${issue.suggestion}`,
+        (issue.wcag || [])
+          .map(({ criterion, name }) => `WCAG ${criterion} ${name}`)
+          .join(", "),
+      ].filter(Boolean);
+      const result = skipped
+        ? `<skipped message="${escapeXml(skipped)}"/>`
+        : `<failure message="${escapeXml(issue.description)}" type="${escapeXml(issue.severity)}">${escapeXml(details.join("\n"))}</failure>`;
+      return `    <testcase classname="${escapeXml(file)}" name="${escapeXml(name)}">${result}</testcase>`;
+    });
+    return [
+      `  <testsuite name="${escapeXml(file)}" tests="${cases.length}" failures="${count(cases, (c) => !c.skipped)}" skipped="${count(cases, (c) => c.skipped)}">`,
+      ...testcases,
+      "  </testsuite>",
+    ].join("\n");
+  });
+
+  const total = [...byFile.values()].flat();
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="AccessWAI: ${escapeXml(analysis.projectName)}" tests="${total.length}" failures="${count(total, (c) => !c.skipped)}" skipped="${count(total, (c) => c.skipped)}">`,
+    ...suites,
+    "</testsuites>",
+    "",
+  ].join("\n");
+};
+
+const CSV_COLUMNS = [
+  ["severity", (issue) => issue.severity],
+  ["rule", (issue) => issue.ruleId || issue.type],
+  ["file", (issue) => issue.file],
+  ["line", (issue) => issue.line],
+  ["column", (issue) => issue.column],
+  ["wcag", (issue) => (issue.wcag || []).map((c) => c.criterion).join(" ")],
+  ["level", (issue) => (issue.wcag || []).map((c) => c.level).join(" ")],
+  ["description", (issue) => issue.description],
+  ["suggestion", (issue) => issue.suggestion],
+  ["code", (issue) => issue.code],
+  ["status", (issue) => (issue.baseline ? "baseline" : "new")],
+  ["fingerprint", (issue) => issue.fingerprint],
+  ["help", (issue) => issue.helpUrl],
+];
+
+// Quoted as needed, and with a leading quote on anything a spreadsheet
+// would run as a formula
+const csvCell = (value) => {
+  let text = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (analysis) =>
+  [
+    CSV_COLUMNS.map(([name]) => name),
+    ...projectIssues(analysis)
+      .sort(
+        (a, b) =>
+          SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity),
+      )
+      .map((issue) => CSV_COLUMNS.map(([, value]) => value(issue))),
+  ]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n") + "\r\n";
+
+const toJson = (analysis) =>
+  `${JSON.stringify(
+    {
+      projectName: analysis.projectName,
+      createdAt: analysis.createdAt,
+      filesAnalyzed: analysis.filesAnalyzed,
+      mode: analysis.mode,
+      pagesRendered: analysis.pagesRendered,
+      repository: analysis.repository,
+      summary: analysis.summary,
+      accessibilityScore: analysis.accessibilityScore,
+      scoreBreakdown: analysis.scoreBreakdown,
+      gate: analysis.gate,
+      baseline: analysis.baseline,
+      config: analysis.config,
+      issues: projectIssues(analysis),
+      suppressedIssues: projectIssues(
+        analysis,
+        analysis.suppressedIssues || [],
+      ),
+      unusedSuppressions: analysis.unusedSuppressions,
+    },
+    null,
+    2,
+  )}\n`;
+
+export const EXPORT_FORMATS = {
+  sarif: {
+    extension: "sarif",
+    contentType: "application/sarif+json",
+    render: toSarif,
+  },
+  junit: { extension: "xml", contentType: "application/xml", render: toJunit },
+  json: {
+    extension: "json",
+    contentType: "application/json",
+    render: toJson,
+  },
+  csv: { extension: "csv", contentType: "text/csv", render: toCsv },
+};
+
+// Returns the export of an analysis in one of EXPORT_FORMATS
+export const exportAnalysis = (analysis, format) =>
+  EXPORT_FORMATS[format].render(analysis);
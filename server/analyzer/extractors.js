@@ -0,0 +1,203 @@
+// backend/analyzer/extractors.js
+// Framework templates are HTML with extra syntax for bindings and events.
+// Each extractor blanks out everything that isn't markup (replacing it with
+// spaces but keeping newlines), so the HTML parser reports the same lines
+// and columns as the original file, and each dialect maps its binding
+// syntax onto plain attributes.
+
+const blank = (text) => text.replace(/[^\n]/g, " ");
+
+// Keeps only the given [start, end) ranges of `content`
+const keepRanges = (content, ranges) => {
+  let result = "";
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    result += blank(content.slice(position, start));
+    result += content.slice(start, end);
+    position = end;
+  });
+  return result + blank(content.slice(position));
+};
+
+const blockRanges = (content, tag) => {
+  const ranges = [];
+  const pattern = new RegExp(
+    `<${tag}(\\s[^>]*)?>[\\s\\S]*?</${tag}\\s*>`,
+    "gi",
+  );
+  for (const match of content.matchAll(pattern)) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+};
+
+// Vue SFC: the inner markup of the top-level <template> plus <style> blocks.
+// Templates written in another language (pug) are left out.
+const extractVue = (content) => {
+  const open = /^<template(\s[^>]*)?>/im.exec(content);
+  const close = content.lastIndexOf("</template>");
+  const ranges = [];
+  if (open && close > open.index && !/\blang=/.test(open[1] || "")) {
+    ranges.push([open.index + open[0].length, close]);
+  }
+  ranges.push(...blockRanges(content, "style"));
+  return keepRanges(
+    content,
+    ranges.sort((a, b) => a[0] - b[0]),
+  );
+};
+
+// Svelte braces hold JavaScript, which can contain characters that end an
+// HTML tag or attribute. They are masked (keeping identifiers and newlines)
+// so `alt={a ? b : c}` stays a single attribute.
+const maskBraces = (markup) => {
+  let result = "";
+  let depth = 0;
+  let quote = null;
+  for (const char of markup) {
+    if (depth === 0) {
+      if (char === "{") depth = 1;
+      result += char;
+      continue;
+    }
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === "`") {
+      quote = char;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}") {
+      depth--;
+    }
+    if (depth === 0) result += char;
+    else if (char === "\n") result += char;
+    else result += /[\s<>"'=/`]/.test(char) ? "_" : char;
+  }
+  return result;
+};
+
+// Svelte: everything but <script> blocks is markup
+const extractSvelte = (content) => {
+  const scripts = blockRanges(content, "script");
+  const kept = [];
+  let position = 0;
+  scripts.forEach(([start, end]) => {
+    kept.push([position, start]);
+    position = end;
+  });
+  kept.push([position, content.length]);
+  const markup = keepRanges(content, kept);
+  // Styles are CSS, not Svelte expressions
+  const styles = blockRanges(markup, "style");
+  let result = "";
+  position = 0;
+  styles.forEach(([start, end]) => {
+    result += maskBraces(markup.slice(position, start));
+    result += markup.slice(start, end);
+    position = end;
+  });
+  return result + maskBraces(markup.slice(position));
+};
+
+export const DIALECTS = {
+  vue: { pattern: /\.vue$/i, extract: extractVue },
+  svelte: { pattern: /\.svelte$/i, extract: extractSvelte },
+  angular: { pattern: /\.component\.html$/i, extract: (content) => content },
+};
+
+export const getDialect = (fileName) =>
+  Object.keys(DIALECTS).find((name) => DIALECTS[name].pattern.test(fileName)) ||
+  null;
+
+// Returns the file's markup with non-markup parts blanked out
+export const extractMarkup = (fileName, content) => {
+  const dialect = getDialect(fileName);
+  return dialect ? DIALECTS[dialect].extract(content) : content;
+};
+
+const INTERPOLATION = {
+  vue: /\{\{[\s\S]*?\}\}/g,
+  angular: /\{\{[\s\S]*?\}\}/g,
+  svelte: /\{[^}]*\}/g,
+};
+
+// Splits template text into literal text and interpolated expressions
+export const splitInterpolations = (dialect, text) => {
+  const pattern = INTERPOLATION[dialect];
+  if (!pattern) return [{ type: "text", value: text }];
+  const parts = [];
+  let position = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > position) {
+      parts.push({ type: "text", value: text.slice(position, match.index) });
+    }
+    parts.push({ type: "expression" });
+    position = match.index + match[0].length;
+  }
+  if (position < text.length) {
+    parts.push({ type: "text", value: text.slice(position) });
+  }
+  return parts;
+};
+
+const isInterpolated = (dialect, value) => {
+  const pattern = INTERPOLATION[dialect];
+  return Boolean(pattern) && new RegExp(pattern.source).test(value);
+};
+
+// Directives that don't correspond to an attribute on the rendered element
+const IGNORED = {
+  vue: /^v-(if|else|else-if|for|show|once|pre|cloak|memo|slot)$|^#|^v-slot:/,
+  angular: /^\*|^\[(class|style|ngClass|ngStyle)[\].]|^\[\(|^#|^i18n/i,
+  svelte: /^(class|style|use|transition|in|out|animate|let):/,
+};
+
+// Maps a template attribute onto the element: { name, dynamic }, "spread"
+// for object bindings, "content" when it sets the element's content, or
+// null when it renders nothing.
+export const dialectAttribute = (dialect, name, value) => {
+  if (!dialect) return { name, dynamic: false };
+  if (IGNORED[dialect].test(name)) return null;
+
+  if (dialect === "vue") {
+    if (name === "v-bind" || name === ":") return "spread";
+    if (name === "v-html" || name === "v-text") return "content";
+    if (name === "v-model") return { name: "value", dynamic: true };
+    const bound = /^(?::|v-bind:)(.+)$/.exec(name);
+    if (bound) return { name: bound[1].replace(/\..*$/, ""), dynamic: true };
+    const event = /^(?:@|v-on:)([^.]+)/.exec(name);
+    if (event) return { name: `on${event[1]}`, dynamic: true };
+  }
+
+  if (dialect === "angular") {
+    if (/^\[(innerhtml|innertext|textcontent)\]$/i.test(name)) {
+      return "content";
+    }
+    const bound = /^\[(?:attr\.)?([^\]]+)\]$|^bind-(.+)$/i.exec(name);
+    if (bound) return { name: bound[1] || bound[2], dynamic: true };
+    const event = /^\(([^)]+)\)$|^on-(.+)$/.exec(name);
+    if (event) {
+      return {
+        name: `on${(event[1] || event[2]).split(".")[0]}`,
+        dynamic: true,
+      };
+    }
+  }
+
+  if (dialect === "svelte") {
+    if (/^\{\.\.\..*\}$/.test(name)) return "spread";
+    const shorthand = /^\{([\w$]+)\}$/.exec(name);
+    if (shorthand) return { name: shorthand[1], dynamic: true };
+    const event = /^on:([^|]+)/.exec(name);
+    if (event) return { name: `on${event[1]}`, dynamic: true };
+    const bound = /^bind:(.+)$/.exec(name);
+    if (bound) return { name: bound[1], dynamic: true };
+  }
+
+  return { name, dynamic: isInterpolated(dialect, value) };
+};
+
+// Template languages keep the author's casing for components
+// (<MyButton>, <app-button>); parse5 lowercases tag names
+export const isDialectComponent = (dialect, sourceTag) =>
+  Boolean(dialect) && (/^[A-Z]/.test(sourceTag) || sourceTag.includes("-"));
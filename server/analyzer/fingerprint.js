@@ -0,0 +1,88 @@
+// backend/analyzer/fingerprint.js
+// Issue fingerprints identify "the same problem" across two runs of a
+// project. They leave out line numbers, so edits elsewhere in a file don't
+// turn every later issue into a new one.
+import crypto from "crypto";
+import { getProjectRoot } from "./config.js";
+
+// Whitespace and line wrapping don't change what the code is
+const normalizeCode = (code = "") => code.replace(/\s+/g, " ").trim();
+
+// Paths are taken relative to the project root, since two uploads of the
+// same project are often zipped under differently named folders
+export const relativePath = (file, root) =>
+  root && file.startsWith(root) ? file.slice(root.length) : file;
+
+export const fingerprintIssue = (issue, root = "") =>
+  crypto
+    .createHash("sha1")
+    .update(
+      [
+        issue.ruleId || issue.type,
+        relativePath(issue.file, root),
+        normalizeCode(issue.code),
+      ].join("\0"),
+    )
+    .digest("hex")
+    .slice(0, 16);
+
+// Analyses saved before the root was recorded: infer it from issue paths
+export const analysisRoot = (analysis) =>
+  analysis.projectRoot ??
+  getProjectRoot(analysis.issues.map((issue) => issue.file));
+
+// Issues saved since fingerprints were stored carry their own
+const fingerprintOf = (issue, root) =>
+  issue.fingerprint || fingerprintIssue(issue, root);
+
+export const analysisFingerprints = (analysis) => {
+  const root = analysisRoot(analysis);
+  return analysis.issues.map((issue) => fingerprintOf(issue, root));
+};
+
+const groupByFingerprint = (issues, root) => {
+  const groups = new Map();
+  issues.forEach((issue) => {
+    const fingerprint = fingerprintOf(issue, root);
+    if (!groups.has(fingerprint)) groups.set(fingerprint, []);
+    groups.get(fingerprint).push(issue);
+  });
+  groups.forEach((group) => group.sort((a, b) => a.line - b.line));
+  return groups;
+};
+
+// Splits two lists of plain issue objects into new, resolved and
+// persisting issues. The same snippet can be flagged more than once in a
+// file; those are paired up in line order and any surplus counts as new or
+// resolved.
+export const matchIssues = (baseIssues, headIssues, baseRoot, headRoot) => {
+  const baseGroups = groupByFingerprint(baseIssues, baseRoot);
+  const headGroups = groupByFingerprint(headIssues, headRoot);
+  const newIssues = [];
+  const resolvedIssues = [];
+  const persistingIssues = [];
+
+  headGroups.forEach((group, fingerprint) => {
+    const previous = baseGroups.get(fingerprint) || [];
+    group.forEach((issue, index) => {
+      if (index < previous.length) {
+        persistingIssues.push({
+          ...issue,
+          fingerprint,
+          previousLine: previous[index].line,
+        });
+      } else {
+        newIssues.push({ ...issue, fingerprint });
+      }
+    });
+  });
+
+  baseGroups.forEach((group, fingerprint) => {
+    const matched = headGroups.get(fingerprint)?.length || 0;
+    group
+      .slice(matched)
+      .forEach((issue) => resolvedIssues.push({ ...issue, fingerprint }));
+  });
+
+  return { newIssues, resolvedIssues, persistingIssues };
+};
@@ -0,0 +1,131 @@
+// backend/analyzer/fixes.js
+// Automatic fixes for issues whose rule has a fixer. A rule's
+// fix(element, { content, options }) returns { description, edits } (see
+// edits.js) or { reason } when the element can't be fixed mechanically.
+// Fixes are planned against the stored source files, so they only change
+// the flagged elements.
+import { parseFile } from "./parsers.js";
+import { applyEdits } from "./edits.js";
+import { getRule } from "../rules/index.js";
+
+export const DEFAULT_FIX_OPTIONS = { lang: "en", labels: {} };
+
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i;
+
+// Validates the options fixers receive. Throws with a readable message.
+export const parseFixOptions = (body = {}) => {
+  const options = { ...DEFAULT_FIX_OPTIONS };
+  if (body.lang !== undefined) {
+    if (typeof body.lang !== "string" || !LANGUAGE_TAG.test(body.lang)) {
+      throw new Error('lang must be a language tag such as "en" or "pt-BR"');
+    }
+    options.lang = body.lang;
+  }
+  if (body.labels !== undefined) {
+    const { labels } = body;
+    if (
+      typeof labels !== "object" ||
+      labels === null ||
+      Array.isArray(labels) ||
+      Object.values(labels).some(
+        (label) => typeof label !== "string" || !label.trim(),
+      )
+    ) {
+      throw new Error("labels must map icon names to non-empty labels");
+    }
+    options.labels = Object.fromEntries(
+      Object.entries(labels).map(([name, label]) => [name, label.trim()]),
+    );
+  }
+  return options;
+};
+
+export const isFixable = (issue) => Boolean(getRule(issue.ruleId)?.fix);
+
+// The flagged element, if the file still has it where it was reported
+const findElement = (elements, issue) =>
+  elements.find(
+    (el) =>
+      el.line === issue.line &&
+      el.column === issue.column &&
+      el.code === issue.code,
+  );
+
+const fixIssue = (issue, elements, content, options) => {
+  const rule = getRule(issue.ruleId);
+  if (!rule?.fix) return { reason: "No automatic fix for this rule" };
+  if (issue.component) {
+    return {
+      reason: `Found inside <${issue.component.name}>; fix it in ${issue.component.file}`,
+    };
+  }
+  const element = findElement(elements, issue);
+  if (!element) {
+    return { reason: "The element isn't where it was reported" };
+  }
+  return rule.fix(element, { content, options });
+};
+
+// Plans fixes for issues, reading files with readFile(name) (null when it
+// isn't available). Returns an entry per issue, saying what the fix does or
+// why there isn't one, and the files the applicable fixes change as
+// { name, before, after }.
+export const planFixes = (issues, readFile, options = DEFAULT_FIX_OPTIONS) => {
+  const byFile = new Map();
+  issues.forEach((issue) => {
+    if (!byFile.has(issue.file)) byFile.set(issue.file, []);
+    byFile.get(issue.file).push(issue);
+  });
+
+  const fixes = [];
+  const files = [];
+  byFile.forEach((fileIssues, name) => {
+    const content = readFile(name);
+    let elements = null;
+    if (content !== null) {
+      try {
+        ({ elements } = parseFile({ name, content }));
+      } catch {
+        // Reported per issue below
+      }
+    }
+
+    const edits = [];
+    fileIssues.forEach((issue) => {
+      const entry = {
+        issueId: issue._id,
+        ruleId: issue.ruleId,
+        type: issue.type,
+        file: issue.file,
+        line: issue.line,
+      };
+      let result;
+      if (content === null) {
+        result = { reason: "The file is no longer stored" };
+      } else if (!elements) {
+        result = { reason: "The file can't be parsed" };
+      } else {
+        result = fixIssue(issue, elements, content, options);
+      }
+
+      if (!result.reason) {
+        try {
+          applyEdits(content, [...edits, ...result.edits]);
+          edits.push(...result.edits);
+        } catch {
+          result = { reason: "Overlaps another fix in this file" };
+        }
+      }
+      fixes.push(
+        result.reason
+          ? { ...entry, applicable: false, reason: result.reason }
+          : { ...entry, applicable: true, description: result.description },
+      );
+    });
+
+    if (edits.length > 0) {
+      files.push({ name, before: content, after: applyEdits(content, edits) });
+    }
+  });
+  return { fixes, files };
+};
@@ -0,0 +1,228 @@
+// backend/analyzer/markdown.js
+// A small line-based Markdown/MDX scanner. It doesn't render Markdown; it
+// finds the parts rules care about: headings, images and links, plus raw
+// HTML (or JSX in MDX) blocks, which are handed back to the HTML/JSX
+// parsers. Code blocks, front matter and MDX import/export lines are
+// skipped.
+
+const blank = (text) => text.replace(/[^\n]/g, " ");
+
+const IMAGE = /!\[([^\]]*)\]\(\s*<?([^)\s>]*)>?(?:\s+["'][^)]*["'])?\s*\)/g;
+const LINK =
+  /\[((?:!\[[^\]]*\]\([^)]*\)|[^\]])*)\]\(\s*<?([^)\s>]*)>?(?:\s+["'][^)]*["'])?\s*\)/g;
+
+// Inline content of a heading, paragraph or list item, as nodes:
+// { type: "text", value } or { type: "element", tag, attrs, children,
+// start, end } with offsets into the whole file
+const scanInline = (text, offset) => {
+  // Code spans can contain anything; mask them so they don't match
+  const masked = text.replace(/`+[^`]*`+/g, (code) => " ".repeat(code.length));
+  const nodes = [];
+  let position = 0;
+
+  const image = (alt, src, start, end) => ({
+    type: "element",
+    tag: "img",
+    attrs: { src, alt },
+    children: [],
+    start: offset + start,
+    end: offset + end,
+  });
+
+  const pushText = (end) => {
+    if (end > position) {
+      nodes.push({ type: "text", value: text.slice(position, end) });
+    }
+  };
+
+  const tokens = [];
+  for (const match of masked.matchAll(LINK)) {
+    if (match.index > 0 && masked[match.index - 1] === "!") continue;
+    tokens.push({ kind: "link", match });
+  }
+  for (const match of masked.matchAll(IMAGE)) {
+    const insideLink = tokens.some(
+      ({ match: link }) =>
+        match.index > link.index && match.index < link.index + link[0].length,
+    );
+    if (!insideLink) tokens.push({ kind: "image", match });
+  }
+  tokens.sort((a, b) => a.match.index - b.match.index);
+
+  tokens.forEach(({ kind, match }) => {
+    const start = match.index;
+    const end = start + match[0].length;
+    pushText(start);
+    if (kind === "image") {
+      nodes.push(image(match[1], match[2], start, end));
+    } else {
+      const label = match[1];
+      const children = [];
+      let labelPosition = 0;
+      // Linked images: [![alt](src)](href)
+      for (const inner of label.matchAll(IMAGE)) {
+        if (inner.index > labelPosition) {
+          children.push({
+            type: "text",
+            value: label.slice(labelPosition, inner.index),
+          });
+        }
+        const innerStart = start + 1 + inner.index;
+        children.push(
+          image(inner[1], inner[2], innerStart, innerStart + inner[0].length),
+        );
+        labelPosition = inner.index + inner[0].length;
+      }
+      if (labelPosition < label.length) {
+        children.push({ type: "text", value: label.slice(labelPosition) });
+      }
+      nodes.push({
+        type: "element",
+        tag: "a",
+        attrs: { href: match[2] },
+        children,
+        start: offset + start,
+        end: offset + end,
+      });
+    }
+    position = end;
+  });
+  pushText(text.length);
+  return nodes;
+};
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)\s*$/;
+const BLOCK_START = /^ {0,3}<([A-Za-z][\w.:-]*|!--)/;
+
+// Lines of a raw HTML/JSX block. A block ends at a blank line, unless the
+// opening tag is still unclosed (MDX allows blank lines inside JSX).
+const blockEnd = (lines, index) => {
+  let end = index;
+  while (end + 1 < lines.length && lines[end + 1].trim() !== "") end++;
+
+  const [, tag] = BLOCK_START.exec(lines[index]);
+  const closing = tag === "!--" ? "-->" : `</${tag}>`;
+  const escaped = tag.replace(/[.]/g, "\\.");
+  if (new RegExp(`^\\s*<${escaped}[^>]*/>`).test(lines[index])) return end;
+  const block = lines.slice(index, end + 1).join("\n");
+  if (block.includes(closing)) return end;
+
+  for (let last = end + 1; last < lines.length; last++) {
+    if (lines[last].includes(closing)) return last;
+  }
+  return end;
+};
+
+// Returns { elements, blocks, comments } where elements are Markdown
+// constructs as light nodes, blocks are [start, end) offsets of raw markup
+// and comments are single-line MDX {/* comments */}
+export const scanMarkdown = (content, { mdx = false } = {}) => {
+  const lines = content.split("\n");
+  const lineStarts = [];
+  let offset = 0;
+  lines.forEach((line) => {
+    lineStarts.push(offset);
+    offset += line.length + 1;
+  });
+
+  const elements = [];
+  const blocks = [];
+  const comments = [];
+  let index = 0;
+
+  // Front matter
+  if (lines[0]?.trim() === "---") {
+    const close = lines.findIndex((line, i) => i > 0 && line.trim() === "---");
+    if (close > 0) index = close + 1;
+  }
+
+  const heading = (level, text, lineIndex, column) => ({
+    type: "element",
+    tag: `h${level}`,
+    attrs: {},
+    children: scanInline(text, lineStarts[lineIndex] + column),
+    start: lineStarts[lineIndex],
+    end: lineStarts[lineIndex] + lines[lineIndex].length,
+  });
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      const marker = fence[1];
+      index++;
+      while (index < lines.length && !lines[index].trim().startsWith(marker)) {
+        index++;
+      }
+      index++;
+      continue;
+    }
+
+    const comment = mdx && /^\s*\{\/\*([\s\S]*?)\*\/\}\s*$/.exec(line);
+    if (comment) {
+      comments.push({ value: comment[1], line: index + 1, endLine: index + 1 });
+      index++;
+      continue;
+    }
+
+    if (mdx && /^(import|export)\s/.test(line)) {
+      while (index < lines.length && lines[index].trim() !== "") index++;
+      continue;
+    }
+
+    if (BLOCK_START.test(line)) {
+      const end = blockEnd(lines, index);
+      blocks.push([lineStarts[index], lineStarts[end] + lines[end].length]);
+      index = end + 1;
+      continue;
+    }
+
+    // Indented code
+    if (
+      /^( {4}|\t)/.test(line) &&
+      (index === 0 || lines[index - 1].trim() === "")
+    ) {
+      index++;
+      continue;
+    }
+
+    const atx = ATX_HEADING.exec(line);
+    if (atx) {
+      const text = atx[2] || "";
+      elements.push(heading(atx[1].length, text, index, line.indexOf(text)));
+      index++;
+      continue;
+    }
+
+    const next = lines[index + 1];
+    if (
+      line.trim() !== "" &&
+      next !== undefined &&
+      SETEXT_UNDERLINE.test(next)
+    ) {
+      const level = next.trim().startsWith("=") ? 1 : 2;
+      elements.push(heading(level, line, index, 0));
+      index += 2;
+      continue;
+    }
+
+    elements.push(
+      ...scanInline(line, lineStarts[index]).filter(
+        (node) => node.type === "element",
+      ),
+    );
+    index++;
+  }
+
+  return { elements, blocks, comments };
+};
+
+// The file with everything outside [start, end) blanked, for parsing one
+// raw block with positions intact
+export const isolateBlock = (content, [start, end]) =>
+  blank(content.slice(0, start)) +
+  content.slice(start, end) +
+  blank(content.slice(end));
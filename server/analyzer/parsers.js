@@ -0,0 +1,561 @@
+// backend/analyzer/parsers.js
+import { parse as parseBabel } from "@babel/parser";
+import { parse as parseDocument, parseFragment } from "parse5";
+import { parseStylesheet } from "./stylesheets.js";
+import {
+  dialectAttribute,
+  extractMarkup,
+  getDialect,
+  isDialectComponent,
+  splitInterpolations,
+} from "./extractors.js";
+import { isolateBlock, scanMarkdown } from "./markdown.js";
+
+// Every parser produces the same element shape so rules don't care whether
+// markup came from JSX or plain HTML:
+// { type: "element", tag, isComponent, attrs, spread, spreads, children,
+//   parent, line, column, start, end, closing, code, syntax }
+// attrs are keyed by normalized (lowercase) name; JSX aliases such as
+// className/htmlFor are stored as class/for. `spreads` holds the argument
+// of each JSX {...spread} attribute. start/end are the opening tag's
+// offsets in the file and closing is { start, end } of the closing tag, or
+// null when there is none.
+
+const ATTR_ALIASES = {
+  classname: "class",
+  htmlfor: "for",
+};
+
+const MAX_CODE_LENGTH = 200;
+
+export const normalizeAttrName = (name) => {
+  const lower = name.toLowerCase();
+  return ATTR_ALIASES[lower] || lower;
+};
+
+const toSnippet = (content, start, end) => {
+  const snippet = content.slice(start, end).replace(/\s+/g, " ").trim();
+  return snippet.length > MAX_CODE_LENGTH
+    ? `${snippet.slice(0, MAX_CODE_LENGTH)}…`
+    : snippet;
+};
+
+const getExtension = (fileName) => {
+  const match = /\.([a-z0-9]+)$/i.exec(fileName);
+  return match ? match[1].toLowerCase() : "";
+};
+
+const babelPlugins = (extension) => {
+  if (extension === "ts") return ["typescript", "decorators-legacy"];
+  if (extension === "tsx") return ["typescript", "jsx", "decorators-legacy"];
+  return ["jsx", "decorators-legacy"];
+};
+
+const kebabCase = (name) =>
+  name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+
+// Inline style objects are flattened into CSS text when every value we need
+// is a literal, so style rules can treat JSX and HTML the same way.
+const styleObjectToCss = (expression) => {
+  const declarations = [];
+  for (const prop of expression.properties) {
+    if (prop.type !== "ObjectProperty" || prop.computed) continue;
+    const key = prop.key.type === "Identifier" ? prop.key.name : prop.key.value;
+    const value = prop.value;
+    if (value.type === "StringLiteral" || value.type === "NumericLiteral") {
+      declarations.push(`${kebabCase(String(key))}: ${value.value}`);
+    }
+  }
+  return declarations.join("; ");
+};
+
+const staticExpressionValue = (expression) => {
+  switch (expression.type) {
+    case "StringLiteral":
+      return expression.value;
+    case "NumericLiteral":
+    case "BooleanLiteral":
+      return String(expression.value);
+    case "TemplateLiteral":
+      return expression.expressions.length === 0
+        ? expression.quasis.map((q) => q.value.cooked).join("")
+        : null;
+    default:
+      return null;
+  }
+};
+
+const jsxName = (nameNode) => {
+  switch (nameNode.type) {
+    case "JSXIdentifier":
+      return nameNode.name;
+    case "JSXNamespacedName":
+      return `${nameNode.namespace.name}:${nameNode.name.name}`;
+    case "JSXMemberExpression":
+      return `${jsxName(nameNode.object)}.${nameNode.property.name}`;
+    default:
+      return "";
+  }
+};
+
+const convertJSXAttribute = (attribute) => {
+  const name = jsxName(attribute.name);
+  const base = {
+    name,
+    line: attribute.loc.start.line,
+    column: attribute.loc.start.column + 1,
+  };
+  const { value } = attribute;
+
+  if (value === null) {
+    return { ...base, value: "", dynamic: false };
+  }
+  if (value.type === "StringLiteral") {
+    return { ...base, value: value.value, dynamic: false };
+  }
+  if (value.type === "JSXExpressionContainer") {
+    const { expression } = value;
+    if (name === "style" && expression.type === "ObjectExpression") {
+      return {
+        ...base,
+        value: styleObjectToCss(expression),
+        dynamic: false,
+        expression,
+      };
+    }
+    const literal = staticExpressionValue(expression);
+    return literal === null
+      ? { ...base, value: null, dynamic: true, expression }
+      : { ...base, value: literal, dynamic: false, expression };
+  }
+  // <Foo bar=<Baz /> /> and similar exotic forms
+  return { ...base, value: null, dynamic: true, expression: value };
+};
+
+const SKIPPED_KEYS = new Set([
+  "loc",
+  "start",
+  "end",
+  "extra",
+  "comments",
+  "leadingComments",
+  "trailingComments",
+  "innerComments",
+]);
+
+// Walks an arbitrary Babel node looking for JSX. Anything found is attached
+// to `parent` (null when the JSX is not nested in another element).
+const collectJSX = (node, parent, context, out) => {
+  if (!node || typeof node.type !== "string") return;
+
+  if (node.type === "JSXElement" || node.type === "JSXFragment") {
+    out.push(...convertJSX(node, parent, context));
+    return;
+  }
+
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.has(key)) continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach((item) => collectJSX(item, parent, context, out));
+    } else if (child && typeof child === "object") {
+      collectJSX(child, parent, context, out);
+    }
+  }
+};
+
+const convertJSXChildren = (children, parent, context) => {
+  const converted = [];
+  for (const child of children) {
+    if (child.type === "JSXText") {
+      converted.push({ type: "text", value: child.value, parent });
+    } else if (child.type === "JSXExpressionContainer") {
+      const { expression } = child;
+      if (expression.type === "JSXEmptyExpression") continue;
+      const literal = staticExpressionValue(expression);
+      if (literal !== null) {
+        converted.push({ type: "text", value: literal, parent });
+      } else {
+        converted.push({ type: "expression", expression, parent });
+        collectJSX(expression, parent, context, converted);
+      }
+    } else if (child.type === "JSXSpreadChild") {
+      converted.push({ type: "expression", parent });
+    } else {
+      converted.push(...convertJSX(child, parent, context));
+    }
+  }
+  return converted;
+};
+
+const convertJSX = (node, parent, context) => {
+  // Fragments are transparent: their children belong to the enclosing element
+  if (node.type === "JSXFragment") {
+    return convertJSXChildren(node.children, parent, context);
+  }
+
+  const opening = node.openingElement;
+  const tag = jsxName(opening.name);
+  const isComponent = /^[A-Z]/.test(tag) || tag.includes(".");
+  const element = {
+    type: "element",
+    tag: isComponent ? tag : tag.toLowerCase(),
+    isComponent,
+    attrs: {},
+    spread: false,
+    spreads: [],
+    children: [],
+    parent,
+    line: opening.loc.start.line,
+    column: opening.loc.start.column + 1,
+    start: opening.start,
+    end: opening.end,
+    closing: node.closingElement
+      ? { start: node.closingElement.start, end: node.closingElement.end }
+      : null,
+    code: toSnippet(context.content, opening.start, opening.end),
+    syntax: "jsx",
+  };
+
+  opening.attributes.forEach((attribute) => {
+    if (attribute.type === "JSXSpreadAttribute") {
+      element.spread = true;
+      element.spreads.push(attribute.argument);
+      return;
+    }
+    const converted = convertJSXAttribute(attribute);
+    element.attrs[normalizeAttrName(converted.name)] = converted;
+    if (converted.expression && converted.dynamic) {
+      const nested = [];
+      collectJSX(converted.expression, null, context, nested);
+      context.detached.push(...nested);
+    }
+  });
+
+  element.children = convertJSXChildren(node.children, element, context);
+  return [element];
+};
+
+const parseJSX = (content, extension) => {
+  const ast = parseBabel(content, {
+    sourceType: "unambiguous",
+    allowReturnOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    errorRecovery: true,
+    plugins: babelPlugins(extension),
+  });
+
+  const context = { content, detached: [] };
+  const roots = [];
+  collectJSX(ast.program, null, context, roots);
+
+  const comments = ast.comments.map((comment) => ({
+    value: comment.value,
+    line: comment.loc.start.line,
+    endLine: comment.loc.end.line,
+  }));
+  return { roots: [...roots, ...context.detached], comments, ast };
+};
+
+const RAW_TEXT_TAGS = new Set(["style", "script"]);
+
+// Void elements can't have children, so a trailing "/" on them is ignored
+const VOID_TAGS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+
+const convertHTMLChildren = (nodes, parent, context) => {
+  const converted = [];
+  for (const node of nodes) {
+    if (node.nodeName === "#text") {
+      // Template interpolation doesn't apply inside <style>/<script>
+      const raw = parent && RAW_TEXT_TAGS.has(parent.tag);
+      splitInterpolations(raw ? null : context.dialect, node.value).forEach(
+        (part) => converted.push({ ...part, parent }),
+      );
+    } else if (node.nodeName === "#comment") {
+      if (node.sourceCodeLocation) {
+        context.comments.push({
+          value: node.data,
+          line: node.sourceCodeLocation.startLine,
+          endLine: node.sourceCodeLocation.endLine,
+        });
+      }
+    } else if (node.nodeName === "#documentType") {
+      continue;
+    } else if (node.tagName) {
+      converted.push(...convertHTMLElement(node, parent, context));
+    }
+  }
+  return converted;
+};
+
+const convertHTMLElement = (node, parent, context) => {
+  const childNodes =
+    node.tagName === "template" && node.content
+      ? node.content.childNodes
+      : node.childNodes || [];
+  const location = node.sourceCodeLocation;
+
+  // parse5 inserts implied <html>/<head>/<body> without a location; those are
+  // not in the author's source so we look straight through them
+  if (!location) {
+    return convertHTMLChildren(childNodes, parent, context);
+  }
+
+  const startTag = location.startTag || location;
+  // parse5 lowercases tag names; templates need the author's casing
+  const [sourceTag] = /^[^\s/>]+/.exec(
+    context.content.slice(startTag.startOffset + 1),
+  ) || [node.tagName];
+  const isComponent = isDialectComponent(context.dialect, sourceTag);
+  const element = {
+    type: "element",
+    tag: isComponent ? sourceTag : node.tagName,
+    isComponent,
+    attrs: {},
+    spread: false,
+    spreads: [],
+    children: [],
+    parent,
+    line: startTag.startLine,
+    column: startTag.startCol,
+    start: startTag.startOffset,
+    end: startTag.endOffset,
+    closing: location.endTag
+      ? { start: location.endTag.startOffset, end: location.endTag.endOffset }
+      : null,
+    code: toSnippet(context.source, startTag.startOffset, startTag.endOffset),
+    syntax: "html",
+  };
+
+  let boundContent = false;
+  node.attrs.forEach((attribute) => {
+    const mapped = dialectAttribute(
+      context.dialect,
+      attribute.name,
+      attribute.value,
+    );
+    if (mapped === null) return;
+    if (mapped === "spread") {
+      element.spread = true;
+      return;
+    }
+    if (mapped === "content") {
+      boundContent = true;
+      return;
+    }
+    const attrLocation = location.attrs?.[attribute.name];
+    element.attrs[normalizeAttrName(mapped.name)] = {
+      name: mapped.name,
+      value: mapped.dynamic ? null : attribute.value,
+      dynamic: mapped.dynamic,
+      line: attrLocation ? attrLocation.startLine : element.line,
+      column: attrLocation ? attrLocation.startCol : element.column,
+    };
+  });
+
+  // Templates allow <MyButton />; HTML parsers treat it as an opening tag
+  // and nest the following siblings inside it, so they're moved back out
+  const selfClosing =
+    context.dialect &&
+    !VOID_TAGS.has(node.tagName) &&
+    element.code.endsWith("/>");
+  if (selfClosing) {
+    return [element, ...convertHTMLChildren(childNodes, parent, context)];
+  }
+
+  element.children = convertHTMLChildren(childNodes, element, context);
+  if (boundContent) {
+    element.children.push({ type: "expression", parent: element });
+  }
+  return [element];
+};
+
+// `source` is the original file when `content` is its extracted markup;
+// code snippets are taken from it
+const parseHTML = (content, dialect = null, source = content) => {
+  const isDocument = /<(!doctype|html[\s>])/i.test(content);
+  const options = { sourceCodeLocationInfo: true };
+  const tree = isDocument
+    ? parseDocument(content, options)
+    : parseFragment(content, options);
+
+  const context = { content, source, comments: [], dialect };
+  const roots = convertHTMLChildren(tree.childNodes, null, context);
+  return { roots, comments: context.comments, ast: tree };
+};
+
+const createLocator = (content) => {
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === "\n") lineStarts.push(i + 1);
+  }
+  return (offset) => {
+    let line = lineStarts.length - 1;
+    while (lineStarts[line] > offset) line--;
+    return { line: line + 1, column: offset - lineStarts[line] + 1 };
+  };
+};
+
+// Markdown headings, images and links become elements; raw HTML blocks
+// (JSX in MDX) are parsed in place so their positions match the file
+const parseMarkdown = (content, mdx) => {
+  const locate = createLocator(content);
+
+  const toElement = (node, parent) => {
+    if (node.type === "text") return { ...node, parent };
+    const { line, column } = locate(node.start);
+    const element = {
+      type: "element",
+      tag: node.tag,
+      isComponent: false,
+      attrs: {},
+      spread: false,
+      spreads: [],
+      children: [],
+      parent,
+      line,
+      column,
+      start: node.start,
+      end: node.end,
+      closing: null,
+      code: toSnippet(content, node.start, node.end),
+      syntax: "markdown",
+    };
+    Object.entries(node.attrs).forEach(([name, value]) => {
+      element.attrs[name] = { name, value, dynamic: false, line, column };
+    });
+    element.children = node.children.map((child) => toElement(child, element));
+    return element;
+  };
+
+  const { elements, blocks, comments } = scanMarkdown(content, { mdx });
+  const roots = elements.map((node) => toElement(node, null));
+
+  blocks.forEach((range) => {
+    const isolated = isolateBlock(content, range);
+    const isJSX = mdx && !content.startsWith("<!--", range[0]);
+    try {
+      const parsed = isJSX ? parseJSX(isolated, "jsx") : parseHTML(isolated);
+      roots.push(...parsed.roots);
+      comments.push(...parsed.comments);
+    } catch (err) {
+      const { line } = locate(range[0]);
+      console.error(`Skipping unparsable block at line ${line}:`, err.message);
+    }
+  });
+
+  return { roots, comments, ast: null };
+};
+
+const flatten = (nodes, out = []) => {
+  for (const node of nodes) {
+    if (node.type !== "element") continue;
+    out.push(node);
+    flatten(node.children, out);
+  }
+  return out;
+};
+
+const HTML_EXTENSIONS = new Set(["html", "htm"]);
+const TEMPLATE_EXTENSIONS = new Set(["vue", "svelte"]);
+const MARKDOWN_EXTENSIONS = new Set(["md", "mdx"]);
+const SCRIPT_EXTENSIONS = new Set(["js", "jsx", "ts", "tsx", "mjs", "cjs"]);
+const STYLE_EXTENSIONS = new Set(["css", "scss"]);
+
+// Shown to users when an upload has nothing we can analyze
+export const SUPPORTED_FORMATS =
+  "HTML, JSX, TSX, JS, TS, Vue, Svelte, Angular (.component.html), Markdown/MDX, CSS or SCSS";
+
+export const isParsable = (fileName) => {
+  const extension = getExtension(fileName);
+  return (
+    HTML_EXTENSIONS.has(extension) ||
+    TEMPLATE_EXTENSIONS.has(extension) ||
+    MARKDOWN_EXTENSIONS.has(extension) ||
+    SCRIPT_EXTENSIONS.has(extension) ||
+    STYLE_EXTENSIONS.has(extension)
+  );
+};
+
+export const isStylesheet = (fileName) =>
+  STYLE_EXTENSIONS.has(getExtension(fileName));
+
+// Full pages (as opposed to components and templates) render on the
+// browser's default white background
+export const isDocumentFile = (fileName) =>
+  HTML_EXTENSIONS.has(getExtension(fileName)) && !getDialect(fileName);
+
+const attrLang = (element) => element.attrs.lang?.value?.toLowerCase();
+
+// <style> blocks in HTML are treated as stylesheets of that file
+const embeddedStylesheets = (elements) =>
+  elements
+    .filter((el) => el.tag === "style")
+    .map((el) => {
+      const text = el.children
+        .filter((child) => child.type === "text")
+        .map((child) => child.value)
+        .join("");
+      return parseStylesheet(text, {
+        scss: ["scss", "sass"].includes(attrLang(el)),
+        lineOffset: el.line - 1,
+      });
+    });
+
+// Parses a file and returns its element tree, a flat, document-ordered
+// list of every element in it, its comments and any stylesheets it holds.
+// Throws on unrecoverable syntax errors.
+export const parseFile = (file) => {
+  const extension = getExtension(file.name);
+
+  if (STYLE_EXTENSIONS.has(extension)) {
+    const sheet = parseStylesheet(file.content, {
+      scss: extension === "scss",
+    });
+    return {
+      roots: [],
+      elements: [],
+      comments: sheet.comments,
+      stylesheets: [{ ...sheet, file: file.name }],
+    };
+  }
+
+  const isHTML =
+    HTML_EXTENSIONS.has(extension) || TEMPLATE_EXTENSIONS.has(extension);
+  let result;
+  if (MARKDOWN_EXTENSIONS.has(extension)) {
+    result = parseMarkdown(file.content, extension === "mdx");
+  } else if (isHTML) {
+    result = parseHTML(
+      extractMarkup(file.name, file.content),
+      getDialect(file.name),
+      file.content,
+    );
+  } else {
+    result = parseJSX(file.content, extension);
+  }
+  const { roots, comments, ast } = result;
+
+  const elements = flatten(roots).sort((a, b) => a.start - b.start);
+  const stylesheets = isHTML
+    ? embeddedStylesheets(elements).map((sheet) => ({
+        ...sheet,
+        file: file.name,
+      }))
+    : [];
+  return { roots, elements, comments, stylesheets, ast };
+};
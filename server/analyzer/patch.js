@@ -0,0 +1,236 @@
+// backend/analyzer/patch.js
+// Unified diffs for suggested fixes. Models often get hunk line numbers
+// wrong, so hunks are placed by matching their context and removed lines
+// near the stated position, like `patch` does.
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/;
+
+// The diff in a model reply: the first ```diff (or ```patch) block, else
+// the reply itself
+export const extractDiff = (text) => {
+  const fenced = /```(?:diff|patch)?[^\n]*\n([\s\S]*?)```/.exec(text);
+  return fenced ? fenced[1] : text;
+};
+
+// Hunks as { oldStart, lines: [{ op: " " | "-" | "+", text }] }. File
+// headers and anything outside a hunk are ignored.
+export const parseUnifiedDiff = (text) => {
+  const hunks = [];
+  let hunk = null;
+  text.split("\n").forEach((line) => {
+    const header = HUNK_HEADER.exec(line) || /^@@.*@@/.exec(line);
+    if (header) {
+      hunk = { oldStart: Number(header[1]) || 0, lines: [] };
+      hunks.push(hunk);
+      return;
+    }
+    // File headers and "\ No newline at end of file"
+    if (!hunk || /^(---|\+\+\+) /.test(line) || line.startsWith("\\")) return;
+    if ([" ", "-", "+"].includes(line[0])) {
+      hunk.lines.push({ op: line[0], text: line.slice(1) });
+    } else if (line === "") {
+      // Editors and models drop the space on blank context lines
+      hunk.lines.push({ op: " ", text: "" });
+    } else {
+      hunk = null;
+    }
+  });
+
+  if (hunks.length === 0) throw new Error("no diff hunks found");
+
+  // A blank line after the last hunk is the end of the diff, not context
+  hunks.forEach((h) => {
+    while (h.lines.length && h.lines.at(-1).op === " " && !h.lines.at(-1).text)
+      h.lines.pop();
+  });
+  const changed = hunks.filter((h) => h.lines.some((l) => l.op !== " "));
+  if (changed.length === 0) throw new Error("the diff doesn't change anything");
+  return changed;
+};
+
+const sameLine = (a, b) => a.trimEnd() === b.trimEnd();
+
+// The match for `old` closest to `expected`, at or after `from`
+const findLines = (lines, old, expected, from) => {
+  let best = -1;
+  for (let i = from; i + old.length <= lines.length; i++) {
+    if (old.every((text, j) => sameLine(lines[i + j], text))) {
+      if (best === -1 || Math.abs(i - expected) < Math.abs(best - expected)) {
+        best = i;
+      }
+    }
+  }
+  return best;
+};
+
+// Applies hunks to content. Returns the new content and the hunks with
+// their real positions; throws when a hunk doesn't match the file.
+export const applyHunks = (content, hunks) => {
+  const lines = content.split("\n");
+  const applied = [];
+  let offset = 0;
+  let from = 0;
+  hunks.forEach((hunk, index) => {
+    const old = hunk.lines.filter((l) => l.op !== "+").map((l) => l.text);
+    const expected = Math.max(hunk.oldStart - 1 + offset, from);
+    const at = old.length
+      ? findLines(lines, old, expected, from)
+      : Math.min(expected, lines.length);
+    if (at === -1) {
+      throw new Error(`hunk ${index + 1} doesn't match the file`);
+    }
+    const replacement = hunk.lines
+      .filter((l) => l.op !== "-")
+      .map((l) => l.text);
+    lines.splice(at, old.length, ...replacement);
+    applied.push({
+      oldStart: at + 1 - offset,
+      oldLines: old.length,
+      newStart: at + 1,
+      newLines: replacement.length,
+      lines: hunk.lines,
+    });
+    offset += replacement.length - old.length;
+    from = at + replacement.length;
+  });
+  return { content: lines.join("\n"), hunks: applied };
+};
+
+const range = (start, count) =>
+  count === 1 ? `${start}` : `${count === 0 ? start - 1 : start},${count}`;
+
+export const formatUnifiedDiff = (file, hunks) =>
+  [
+    `--- a/${file}`,
+    `+++ b/${file}`,
+    ...hunks.flatMap((hunk) => [
+      `@@ -${range(hunk.oldStart, hunk.oldLines)} +${range(hunk.newStart, hunk.newLines)} @@`,
+      ...hunk.lines.map((l) => `${l.op}${l.text}`),
+    ]),
+    "",
+  ].join("\n");
+
+// Line ops turning a into b, from a longest common subsequence of the lines
+// between their common prefix and suffix. Fixes change a few lines, so
+// that middle is small; a huge one is replaced wholesale.
+const diffLines = (a, b) => {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+  const context = (text) => ({ op: " ", text });
+
+  let middle;
+  if (oldMiddle.length * newMiddle.length > 1e6) {
+    middle = [
+      ...oldMiddle.map((text) => ({ op: "-", text })),
+      ...newMiddle.map((text) => ({ op: "+", text })),
+    ];
+  } else {
+    // lcs[i][j]: common lines of oldMiddle from i and newMiddle from j
+    const lcs = Array.from({ length: oldMiddle.length + 1 }, () =>
+      new Array(newMiddle.length + 1).fill(0),
+    );
+    for (let i = oldMiddle.length - 1; i >= 0; i--) {
+      for (let j = newMiddle.length - 1; j >= 0; j--) {
+        lcs[i][j] =
+          oldMiddle[i] === newMiddle[j]
+            ? lcs[i + 1][j + 1] + 1
+            : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldMiddle.length || j < newMiddle.length) {
+      if (
+        i < oldMiddle.length &&
+        j < newMiddle.length &&
+        oldMiddle[i] === newMiddle[j]
+      ) {
+        middle.push(context(oldMiddle[i++]));
+        j++;
+      } else if (
+        j === newMiddle.length ||
+        (i < oldMiddle.length && lcs[i + 1][j] >= lcs[i][j + 1])
+      ) {
+        middle.push({ op: "-", text: oldMiddle[i++] });
+      } else {
+        middle.push({ op: "+", text: newMiddle[j++] });
+      }
+    }
+  }
+
+  return [
+    ...a.slice(0, prefix).map(context),
+    ...middle,
+    ...a.slice(a.length - suffix).map(context),
+  ];
+};
+
+const NO_NEWLINE = { op: "\\", text: " No newline at end of file" };
+
+// A unified diff between two versions of a file, with `context` unchanged
+// lines around each change; "" when they're the same
+export const createUnifiedDiff = (file, before, after, context = 3) => {
+  const toLines = (text) =>
+    text ? (text.endsWith("\n") ? text.slice(0, -1) : text).split("\n") : [];
+  const a = toLines(before);
+  const b = toLines(after);
+  const ops = diffLines(a, b);
+
+  // Each op's line number in the old and new file
+  let oldLine = 0;
+  let newLine = 0;
+  const positioned = ops.map((op) => ({
+    ...op,
+    oldLine: op.op === "+" ? oldLine : ++oldLine,
+    newLine: op.op === "-" ? newLine : ++newLine,
+  }));
+
+  const ranges = [];
+  positioned.forEach((op, index) => {
+    if (op.op === " ") return;
+    const start = Math.max(index - context, 0);
+    const end = Math.min(index + context + 1, positioned.length);
+    const last = ranges.at(-1);
+    if (last && start <= last.end) last.end = end;
+    else ranges.push({ start, end });
+  });
+  if (ranges.length === 0) return "";
+
+  // The last line of a file without a trailing newline is marked, like git
+  // does, so the patch applies cleanly
+  const marked = (op) => {
+    const lastOld = op.op !== "+" && op.oldLine === a.length;
+    const lastNew = op.op !== "-" && op.newLine === b.length;
+    const missing =
+      (lastOld && !before.endsWith("\n")) || (lastNew && !after.endsWith("\n"));
+    return missing ? [op, NO_NEWLINE] : [op];
+  };
+
+  const hunks = ranges.map(({ start, end }) => {
+    const lines = positioned.slice(start, end);
+    const oldLines = lines.filter((l) => l.op !== "+").length;
+    const newLines = lines.filter((l) => l.op !== "-").length;
+    const first = lines[0];
+    return {
+      oldStart: first.op === "+" ? first.oldLine + 1 : first.oldLine,
+      oldLines,
+      newStart: first.op === "-" ? first.newLine + 1 : first.newLine,
+      newLines,
+      lines: lines.flatMap(marked),
+    };
+  });
+  return formatUnifiedDiff(file, hunks);
+};
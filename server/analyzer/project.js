@@ -0,0 +1,106 @@
+// backend/analyzer/project.js
+// Turns a project's files, wherever they came from (ZIP, Git checkout,
+// local directory), into the input for an analysis. A project source is a
+// list of { name, read() } entries, one per file, named by their path.
+import fs from "fs";
+import path from "path";
+import { isParsable, SUPPORTED_FORMATS } from "./parsers.js";
+import { findPages } from "./dom.js";
+import { BASELINE_FILE, parseBaseline } from "./baseline.js";
+import { getProjectRoot, isIgnored, loadProjectConfig } from "./config.js";
+
+const SKIPPED_DIRECTORIES = new Set([".git", "node_modules"]);
+
+// Every file under dir, skipping version control and dependencies
+export const directoryEntries = (dir) => {
+  const entries = [];
+  const walk = (relative) => {
+    fs.readdirSync(path.join(dir, relative), { withFileTypes: true }).forEach(
+      (dirent) => {
+        const name = relative ? `${relative}/${dirent.name}` : dirent.name;
+        if (dirent.isDirectory()) {
+          if (!SKIPPED_DIRECTORIES.has(dirent.name)) walk(name);
+        } else if (dirent.isFile()) {
+          entries.push({
+            name,
+            read: () => fs.readFileSync(path.join(dir, name), "utf8"),
+          });
+        }
+      },
+    );
+  };
+  walk("");
+  return entries;
+};
+
+// Reads a project's entries into the files to scan, the pages to render
+// (dom mode), the project's AccessWAI config and its baseline file.
+// Options: mode, label (how error messages name the source), root (the
+// project folder; inferred for ZIPs), and config/baseline to use instead of
+// the project's own files.
+export const readProject = (entries, options = {}) => {
+  const { mode = "static", label = "the project" } = options;
+  const root = options.root ?? getProjectRoot(entries.map((e) => e.name));
+  const byName = new Map(entries.map((e) => [e.name, e]));
+
+  let config = options.config;
+  try {
+    config ??= loadProjectConfig((name) => {
+      const entry = byName.get(`${root}${name}`);
+      return entry ? entry.read() : null;
+    });
+  } catch (configError) {
+    throw new Error(`Invalid AccessWAI configuration: ${configError.message}`);
+  }
+
+  const baselineEntry = byName.get(`${root}${BASELINE_FILE}`);
+  let baseline = options.baseline ?? null;
+  if (!baseline && baselineEntry) {
+    try {
+      baseline = {
+        source: "file",
+        fingerprints: parseBaseline(baselineEntry.read()),
+      };
+    } catch (baselineError) {
+      throw new Error(`Invalid baseline: ${baselineError.message}`);
+    }
+  }
+
+  const files = [];
+  entries.forEach((entry) => {
+    if (
+      isParsable(entry.name) &&
+      !isIgnored(entry.name.slice(root.length), config)
+    ) {
+      try {
+        files.push({ name: entry.name, content: entry.read() });
+      } catch (err) {
+        console.error(`Error reading file ${entry.name}:`, err);
+      }
+    }
+  });
+
+  // Built pages are rendered even when config ignores the build folder
+  // for static scanning
+  let pages = [];
+  if (mode === "dom") {
+    pages = findPages(
+      entries
+        .filter((e) => /\.html?$/i.test(e.name))
+        .map((e) => ({ name: e.name, content: e.read() })),
+    );
+    if (pages.length === 0) {
+      throw new Error(
+        `Rendered-page analysis needs built HTML pages (e.g. a dist/ folder) in ${label}.`,
+      );
+    }
+  }
+
+  if (files.length === 0 && pages.length === 0) {
+    throw new Error(
+      `No supported files found in ${label}. AccessWAI analyzes ${SUPPORTED_FORMATS} files.`,
+    );
+  }
+
+  return { files, pages, config, root, baseline };
+};
@@ -0,0 +1,392 @@
+// backend/analyzer/report.js
+// The audit report for stakeholders: a summary, the score, issues per
+// severity, the WCAG criteria affected, every issue and the AI
+// recommendations. buildReport gathers the content; renderHtmlReport turns
+// it into a self-contained page and reportPdf.js into a PDF.
+import { Marked } from "marked";
+import { SEVERITIES } from "../rules/index.js";
+import { projectIssues } from "./export.js";
+
+const SEVERITY_LABELS = {
+  critical: "Critical",
+  high: "High",
+  medium: "Medium",
+  low: "Low",
+};
+
+// The same bands the Analysis page colors the score by
+export const scoreRating = (score) => {
+  if (score >= 90) return "Excellent";
+  if (score >= 70) return "Good";
+  if (score >= 50) return "Needs improvement";
+  return "Poor";
+};
+
+const compareCriteria = (a, b) => {
+  const left = a.split(".").map(Number);
+  const right = b.split(".").map(Number);
+  return left[0] - right[0] || left[1] - right[1] || left[2] - right[2];
+};
+
+const describeSource = ({ repository }) => {
+  if (!repository?.commit) return "Uploaded project";
+  const branch = repository.branch ? ` @ ${repository.branch}` : "";
+  return `${repository.url}${branch} (${repository.commit.slice(0, 7)})`;
+};
+
+// Blockers name the issues they cover by their number in the report
+const reportRecommendations = ({ recommendations }, issues) => {
+  if (!recommendations?.health) return null;
+  const numbers = new Map(
+    issues.map((issue, index) => [String(issue._id), index + 1]),
+  );
+  return {
+    ...recommendations,
+    blockers: (recommendations.blockers || []).map((blocker) => ({
+      ...blocker,
+      issues: (blocker.issueIds || [])
+        .map((id) => numbers.get(String(id)))
+        .filter(Boolean)
+        .sort((a, b) => a - b),
+    })),
+  };
+};
+
+export const buildReport = (analysis) => {
+  const issues = projectIssues(analysis).sort(
+    (a, b) =>
+      SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+      (a.file || "").localeCompare(b.file || "") ||
+      (a.line || 0) - (b.line || 0),
+  );
+
+  const criteria = new Map();
+  issues.forEach((issue) => {
+    (issue.wcag || []).forEach((wcag) => {
+      if (!criteria.has(wcag.criterion)) {
+        criteria.set(wcag.criterion, { ...wcag, issues: 0 });
+      }
+      criteria.get(wcag.criterion).issues += 1;
+    });
+  });
+
+  const summary = analysis.summary || {};
+  return {
+    title: `Accessibility Audit: ${analysis.projectName}`,
+    projectName: analysis.projectName,
+    date: new Date(analysis.createdAt || Date.now()),
+    source: describeSource(analysis),
+    filesAnalyzed: analysis.filesAnalyzed || 0,
+    pagesRendered: analysis.mode === "dom" ? analysis.pagesRendered : null,
+    level: analysis.config?.level || "AA",
+    score: analysis.accessibilityScore,
+    rating: scoreRating(analysis.accessibilityScore),
+    severities: SEVERITIES.map((severity) => ({
+      severity,
+      label: SEVERITY_LABELS[severity],
+      issues: summary[severity] || 0,
+      new: summary.new?.[severity],
+    })),
+    gate: analysis.gate,
+    hasBaseline: Boolean(analysis.baseline?.source),
+    suppressed: summary.suppressed || 0,
+    criteria: [...criteria.values()].sort((a, b) =>
+      compareCriteria(a.criterion, b.criterion),
+    ),
+    issues,
+    recommendations: reportRecommendations(analysis, issues),
+    // Markdown, from analyses before recommendations were structured
+    legacyRecommendations: analysis.recommendations?.health
+      ? ""
+      : analysis.aiSuggestions || "",
+  };
+};
+
+export const severityLabel = (severity) => SEVERITY_LABELS[severity];
+
+export const issueLocation = (issue) =>
+  [issue.file || "(unknown file)", issue.line, issue.column]
+    .filter((part) => part !== undefined && part !== null)
+    .join(":");
+
+export const formatDate = (date) =>
+  date.toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
+export const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[<>&"']/g,
+    (char) =>
+      ({
+        "<": "&lt;",
+        ">": "&gt;",
+        "&": "&amp;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char],
+  );
+
+const isSafeUrl = (href) => /^(https?:|mailto:)/i.test(href || "");
+
+// Model output is untrusted: raw HTML is shown as text, only web and mail
+// links are kept, and headings start below the section's own heading
+const markdown = new Marked({
+  renderer: {
+    html({ text }) {
+      return escapeHtml(text);
+    },
+    heading({ tokens, depth }) {
+      const level = Math.min(depth + 2, 6);
+      return `<h${level}>${this.parser.parseInline(tokens)}</h${level}>\n`;
+    },
+    link({ href, tokens }) {
+      const text = this.parser.parseInline(tokens);
+      return isSafeUrl(href)
+        ? `<a href="${escapeHtml(href)}">${text}</a>`
+        : text;
+    },
+    image({ text }) {
+      return escapeHtml(text);
+    },
+  },
+});
+
+export const STYLES = `
+  :root { color-scheme: light; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #111827; background: #fff; line-height: 1.5; }
+  main { max-width: 60rem; margin: 0 auto; padding: 2rem 1.5rem 4rem; }
+  h1 { font-size: 2rem; margin: 0 0 .5rem; }
+  h2 { font-size: 1.5rem; margin: 2.5rem 0 1rem; padding-bottom: .25rem; border-bottom: 2px solid #E5E7EB; }
+  h3 { font-size: 1.125rem; margin: 1.5rem 0 .5rem; }
+  a { color: #1D4ED8; }
+  a:focus-visible { outline: 3px solid #1D4ED8; outline-offset: 2px; }
+  .skip-link { position: absolute; left: -999px; }
+  .sr-only { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
+  .skip-link:focus { left: 1rem; top: 1rem; background: #fff; padding: .5rem 1rem; }
+  .meta { color: #4B5563; margin: .25rem 0; }
+  .cover { padding: 2rem; border: 1px solid #E5E7EB; border-radius: .75rem; margin-top: 1rem; display: flex; flex-wrap: wrap; gap: 2rem; align-items: center; }
+  .score { font-size: 3.5rem; font-weight: 700; line-height: 1; }
+  .gate { padding: .75rem 1rem; border-radius: .5rem; border: 1px solid; margin: 1rem 0 0; }
+  .gate.passed { background: #F0FDF4; border-color: #86EFAC; color: #14532D; }
+  .gate.failed { background: #FEF2F2; border-color: #FCA5A5; color: #7F1D1D; }
+  table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+  caption { text-align: left; font-weight: 600; margin-bottom: .5rem; }
+  th, td { border: 1px solid #D1D5DB; padding: .5rem .75rem; text-align: left; vertical-align: top; }
+  thead th { background: #F3F4F6; }
+  td.number { text-align: right; font-variant-numeric: tabular-nums; }
+  .badge { display: inline-block; padding: 0 .5rem; border-radius: .25rem; font-size: .875rem; font-weight: 600; border: 1px solid currentColor; }
+  .critical { color: #991B1B; }
+  .high { color: #9A3412; }
+  .medium { color: #854D0E; }
+  .low { color: #1E40AF; }
+  .issue { border: 1px solid #E5E7EB; border-left-width: 6px; border-radius: .5rem; padding: 1rem 1.25rem; margin: 1rem 0; break-inside: avoid; }
+  .issue.critical { border-left-color: #DC2626; }
+  .issue.high { border-left-color: #EA580C; }
+  .issue.medium { border-left-color: #CA8A04; }
+  .issue.low { border-left-color: #2563EB; }
+  .issue h3, .issue p { color: #111827; }
+  .issue h3 { margin-top: 0; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: .25rem 1rem; margin: .5rem 0; }
+  dt { font-weight: 600; }
+  dd { margin: 0; }
+  pre { background: #F3F4F6; padding: .75rem 1rem; border-radius: .375rem; overflow-x: auto; white-space: pre-wrap; word-break: break-word; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: .875rem; }
+  footer { color: #4B5563; font-size: .875rem; margin-top: 3rem; }
+  @media print {
+    .skip-link, nav { display: none; }
+    main { padding: 0; }
+    h2 { break-after: avoid; }
+    a { color: inherit; }
+  }
+`;
+
+const renderItems = (items) => `<ul>
+        ${items.map((item) => `<li><strong>${escapeHtml(item.title)}</strong>${item.detail ? `: ${escapeHtml(item.detail)}` : ""}</li>`).join("\n        ")}
+      </ul>`;
+
+const renderRecommendations = (recommendations) => {
+  const { health, blockers, quickWins, longTerm, principles } = recommendations;
+  const issueLinks = (numbers) =>
+    numbers.map((n) => `<a href="#issue-${n - 1}">issue ${n}</a>`).join(", ");
+  return `
+      <h3>Overall health</h3>
+      <p>${escapeHtml(health)}</p>
+      ${
+        blockers.length
+          ? `<h3>Top blockers</h3>
+      <ol>
+        ${blockers.map((b) => `<li><strong>${escapeHtml(b.title)}</strong>${b.impact ? `: ${escapeHtml(b.impact)}` : ""}${b.issues.length ? ` (see ${issueLinks(b.issues)})` : ""}</li>`).join("\n        ")}
+      </ol>`
+          : ""
+      }
+      ${quickWins.length ? `<h3>Quick wins</h3>\n      ${renderItems(quickWins)}` : ""}
+      ${longTerm.length ? `<h3>Long-term plan</h3>\n      ${renderItems(longTerm)}` : ""}
+      ${
+        principles.length
+          ? `<h3>WCAG principles affected</h3>
+      <dl>
+        ${principles.map((p) => `<dt>${escapeHtml(p.principle)}</dt><dd>${escapeHtml(p.explanation)}</dd>`).join("\n        ")}
+      </dl>`
+          : ""
+      }`;
+};
+
+const renderIssue = (issue, index) => {
+  const wcag = (issue.wcag || [])
+    .map(
+      (c) =>
+        `<a href="${escapeHtml(c.url)}">${escapeHtml(`${c.criterion} ${c.name}`)}</a> (Level ${escapeHtml(c.level)})`,
+    )
+    .join(", ");
+  return `
+      <article class="issue ${escapeHtml(issue.severity)}" aria-labelledby="issue-${index}">
+        <h3 id="issue-${index}">${index + 1}. ${escapeHtml(issue.type || issue.ruleId)}</h3>
+        <dl>
+          <dt>Severity</dt><dd><span class="badge ${escapeHtml(issue.severity)}">${escapeHtml(severityLabel(issue.severity))}</span>${issue.baseline ? " (already in the baseline)" : ""}</dd>
+          <dt>Location</dt><dd><code>${escapeHtml(issueLocation(issue))}</code></dd>
+          ${wcag ? `<dt>WCAG</dt><dd>${wcag}</dd>` : ""}
+          ${issue.ruleId ? `<dt>Rule</dt><dd><code>${escapeHtml(issue.ruleId)}</code></dd>` : ""}
+        </dl>
+        <p>${escapeHtml(issue.description)}</p>
+        ${issue.code ? `<pre aria-label="Code excerpt"><code>${escapeHtml(issue.code)}</code></pre>` : ""}
+        <p><strong>How to fix:</strong> ${escapeHtml(issue.suggestion)}</p>
+        ${isSafeUrl(issue.helpUrl) ? `<p><a href="${escapeHtml(issue.helpUrl)}">Learn more<span class="sr-only"> about ${escapeHtml(issue.type || issue.ruleId)}</span></a></p>` : ""}
+      </article>`;
+};
+
+// A single HTML file with its styles inline and no scripts, so it can be
+// mailed or archived and opened without AccessWAI
+export const renderHtmlReport = (analysis) => {
+  const report = buildReport(analysis);
+  const { gate } = report;
+
+  const severityRows = report.severities
+    .map(
+      (s) => `
+            <tr>
+              <th scope="row"><span class="badge ${s.severity}">${s.label}</span></th>
+              <td class="number">${s.issues}</td>
+              ${report.hasBaseline ? `<td class="number">${s.new ?? s.issues}</td>` : ""}
+            </tr>`,
+    )
+    .join("");
+
+  const criteriaRows = report.criteria
+    .map(
+      (c) => `
+            <tr>
+              <th scope="row"><a href="${escapeHtml(c.url)}">${escapeHtml(c.criterion)}</a></th>
+              <td>${escapeHtml(c.name)}</td>
+              <td>${escapeHtml(c.level)}</td>
+              <td>${escapeHtml(c.principle)}</td>
+              <td class="number">${c.issues}</td>
+            </tr>`,
+    )
+    .join("");
+
+  const gateText =
+    gate &&
+    (gate.passed
+      ? `Passed: no new issues at severity ${escapeHtml(gate.failOn)} or above.`
+      : `Failed: ${gate.failing} new issue${gate.failing === 1 ? "" : "s"} at severity ${escapeHtml(gate.failOn)} or above.`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(report.title)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <a class="skip-link" href="#summary">Skip to summary</a>
+  <main>
+    <header>
+      <h1>${escapeHtml(report.title)}</h1>
+      <p class="meta">${escapeHtml(formatDate(report.date))} • ${escapeHtml(report.source)}</p>
+      <p class="meta">Target: WCAG 2.1 Level ${escapeHtml(report.level)} • ${report.filesAnalyzed} files analyzed${report.pagesRendered !== null ? `, ${report.pagesRendered} rendered pages` : ""}</p>
+    </header>
+
+    <nav aria-label="Report contents">
+      <h2>Contents</h2>
+      <ol>
+        <li><a href="#summary">Summary</a></li>
+        <li><a href="#criteria">WCAG criteria affected</a></li>
+        <li><a href="#issues">Issues</a></li>
+        ${report.recommendations || report.legacyRecommendations ? '<li><a href="#recommendations">Recommendations</a></li>' : ""}
+      </ol>
+    </nav>
+
+    <section aria-labelledby="summary">
+      <h2 id="summary">Summary</h2>
+      <div class="cover">
+        <div>
+          <p class="meta">Accessibility score</p>
+          <p class="score">${report.score}<span class="meta"> / 100</span></p>
+          <p><strong>${escapeHtml(report.rating)}</strong></p>
+        </div>
+        <p>${report.issues.length} issue${report.issues.length === 1 ? "" : "s"} found${report.suppressed ? `, ${report.suppressed} suppressed in the source` : ""}.</p>
+      </div>
+      ${gateText ? `<p class="gate ${gate.passed ? "passed" : "failed"}">${gateText}</p>` : ""}
+      <table>
+        <caption>Issues by severity</caption>
+        <thead>
+          <tr>
+            <th scope="col">Severity</th>
+            <th scope="col">Issues</th>
+            ${report.hasBaseline ? '<th scope="col">New since baseline</th>' : ""}
+          </tr>
+        </thead>
+        <tbody>${severityRows}
+        </tbody>
+      </table>
+    </section>
+
+    <section aria-labelledby="criteria">
+      <h2 id="criteria">WCAG criteria affected</h2>
+      ${
+        report.criteria.length === 0
+          ? "<p>No WCAG success criteria are affected by the issues found.</p>"
+          : `<table>
+        <caption>Success criteria with at least one issue</caption>
+        <thead>
+          <tr>
+            <th scope="col">Criterion</th>
+            <th scope="col">Name</th>
+            <th scope="col">Level</th>
+            <th scope="col">Principle</th>
+            <th scope="col">Issues</th>
+          </tr>
+        </thead>
+        <tbody>${criteriaRows}
+        </tbody>
+      </table>`
+      }
+    </section>
+
+    <section aria-labelledby="issues">
+      <h2 id="issues">Issues</h2>
+      ${report.issues.length === 0 ? "<p>No accessibility issues were found.</p>" : report.issues.map(renderIssue).join("")}
+    </section>
+
+    ${
+      report.recommendations || report.legacyRecommendations
+        ? `<section aria-labelledby="recommendations">
+      <h2 id="recommendations">Recommendations</h2>
+      ${report.recommendations ? renderRecommendations(report.recommendations) : markdown.parse(report.legacyRecommendations)}
+    </section>`
+        : ""
+    }
+
+    <footer>
+      <p>Generated by AccessWAI on ${escapeHtml(formatDate(new Date()))}. Automated checks find many but not all accessibility barriers; manual testing with assistive technology is still needed.</p>
+    </footer>
+  </main>
+</body>
+</html>
+`;
+};
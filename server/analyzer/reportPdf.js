@@ -0,0 +1,605 @@
+// backend/analyzer/reportPdf.js
+// The audit report as a tagged PDF (headings, paragraphs, lists and tables
+// are marked up for screen readers), rendered locally with PDFKit
+import PDFDocument from "pdfkit";
+import { marked } from "marked";
+import {
+  buildReport,
+  severityLabel,
+  issueLocation,
+  formatDate,
+} from "./report.js";
+
+export const COLORS = {
+  text: "#111827",
+  muted: "#4B5563",
+  link: "#1D4ED8",
+  border: "#D1D5DB",
+  codeBackground: "#F3F4F6",
+  critical: "#991B1B",
+  high: "#9A3412",
+  medium: "#854D0E",
+  low: "#1E40AF",
+  passed: "#14532D",
+  failed: "#7F1D1D",
+};
+
+const FONTS = {
+  regular: "Helvetica",
+  bold: "Helvetica-Bold",
+  italic: "Helvetica-Oblique",
+  boldItalic: "Helvetica-BoldOblique",
+  code: "Courier",
+};
+
+const HEADING_SIZES = { H1: 24, H2: 16, H3: 12.5, H4: 11.5, H5: 11, H6: 11 };
+const BODY_SIZE = 10.5;
+const CODE_SIZE = 9;
+const INDENT = 14;
+
+// The standard PDF fonts only cover Latin-1 and a few typographic marks, so
+// anything else (e.g. emoji in AI output) is dropped
+const pdfText = (value) =>
+  String(value ?? "").replace(/[^\t\n\r\x20-\x7E\xA0-\xFF–—‘’“”•…]/gu, "");
+
+const isSafeUrl = (href) => /^(https?:|mailto:)/i.test(href || "");
+
+const contentWidth = (doc) =>
+  doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+// Starts a new page when fewer than `height` points are left, so headings
+// don't end up alone at the bottom of a page
+const keepSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+// Drawing that carries no content (boxes, rules, page numbers)
+const artifact = (doc, draw) => {
+  doc.markContent("Artifact", { type: "Layout" });
+  draw();
+  doc.endMarkedContent();
+};
+
+export const heading = (doc, parent, tag, text) => {
+  const size = HEADING_SIZES[tag];
+  if (tag !== "H1") doc.moveDown(0.6);
+  keepSpace(doc, size * 4);
+  doc
+    .font(FONTS.bold)
+    .fontSize(size)
+    .fillColor(COLORS.text)
+    .text(pdfText(text).trim(), doc.page.margins.left, null, {
+      width: contentWidth(doc),
+      structParent: parent,
+      structType: tag,
+    });
+  doc.moveDown(0.3);
+};
+
+const runFont = (run) => {
+  if (run.code) return FONTS.code;
+  if (run.bold && run.italic) return FONTS.boldItalic;
+  if (run.bold) return FONTS.bold;
+  if (run.italic) return FONTS.italic;
+  return FONTS.regular;
+};
+
+// Writes styled runs ({ text, bold, italic, code, link, color }) as one
+// block, tagged as a single structure element
+export const writeRuns = (
+  doc,
+  runs,
+  { parent, type = "P", indent = 0 } = {},
+) => {
+  const visible = runs
+    .map((run) => ({ ...run, text: pdfText(run.text) }))
+    .filter((run) => run.text !== "");
+  if (visible.length === 0) return;
+
+  const x = doc.page.margins.left + indent;
+  const write = () =>
+    visible.forEach((run, index) => {
+      doc
+        .font(runFont(run))
+        .fontSize(run.code ? CODE_SIZE + 0.5 : BODY_SIZE)
+        .fillColor(run.link ? COLORS.link : run.color || COLORS.text);
+      const options = {
+        continued: index < visible.length - 1,
+        link: run.link || null,
+        underline: Boolean(run.link),
+      };
+      if (index === 0) {
+        doc.text(run.text, x, null, {
+          ...options,
+          width: contentWidth(doc) - indent,
+          lineGap: 1.5,
+        });
+      } else {
+        doc.text(run.text, options);
+      }
+    });
+  parent.add(doc.struct(type, write));
+  doc.x = doc.page.margins.left;
+};
+
+export const paragraph = (doc, parent, text, style = {}) => {
+  writeRuns(doc, [{ text, ...style }], { parent });
+  doc.moveDown(0.4);
+};
+
+// Code excerpt on a shaded box
+const codeBlock = (doc, parent, code, indent = 0) => {
+  const text = pdfText(code);
+  const padding = 6;
+  const width = contentWidth(doc) - indent - padding * 2;
+  doc.font(FONTS.code).fontSize(CODE_SIZE);
+  const height = doc.heightOfString(text, { width });
+  keepSpace(doc, Math.min(height, 200) + padding * 2);
+
+  const x = doc.page.margins.left + indent;
+  const top = doc.y;
+  const fitsOnPage =
+    top + height + padding * 2 <= doc.page.height - doc.page.margins.bottom;
+  if (fitsOnPage) {
+    artifact(doc, () =>
+      doc
+        .save()
+        .roundedRect(x, top, width + padding * 2, height + padding * 2, 3)
+        .fill(COLORS.codeBackground)
+        .restore(),
+    );
+  }
+  doc
+    .font(FONTS.code)
+    .fontSize(CODE_SIZE)
+    .fillColor(COLORS.text)
+    .text(text, x + padding, top + padding, {
+      width,
+      structParent: parent,
+      structType: "Code",
+    });
+  doc.x = doc.page.margins.left;
+  doc.y += padding;
+  doc.moveDown(0.4);
+};
+
+export const table = (doc, parent, header, rows, columnStyles) => {
+  keepSpace(doc, 60);
+  doc.font(FONTS.regular).fontSize(BODY_SIZE).fillColor(COLORS.text);
+  doc.table({
+    structParent: parent,
+    columnStyles,
+    defaultStyle: {
+      border: 0.5,
+      borderColor: COLORS.border,
+      padding: 5,
+      textColor: COLORS.text,
+    },
+    data: [
+      header.map((text) => ({
+        text,
+        type: "TH",
+        scope: "Column",
+        font: { src: FONTS.bold },
+        backgroundColor: COLORS.codeBackground,
+      })),
+      ...rows,
+    ],
+  });
+  doc.x = doc.page.margins.left;
+  doc.moveDown(0.8);
+};
+
+// Markdown inline tokens as styled runs
+const inlineRuns = (tokens = [], style = {}) =>
+  tokens.flatMap((token) => {
+    switch (token.type) {
+      case "strong":
+        return inlineRuns(token.tokens, { ...style, bold: true });
+      case "em":
+        return inlineRuns(token.tokens, { ...style, italic: true });
+      case "codespan":
+        return [{ ...style, text: token.text, code: true }];
+      case "link":
+        return inlineRuns(token.tokens, {
+          ...style,
+          link: isSafeUrl(token.href) ? token.href : undefined,
+        });
+      case "br":
+        return [{ ...style, text: "\n" }];
+      default:
+        return token.tokens
+          ? inlineRuns(token.tokens, style)
+          : [{ ...style, text: token.text ?? token.raw }];
+    }
+  });
+
+const plainText = (tokens) =>
+  inlineRuns(tokens)
+    .map((run) => run.text)
+    .join("");
+
+// Markdown from the AI step, with its headings placed below the section's
+const markdownBlock = (doc, parent, token, depth = 0) => {
+  switch (token.type) {
+    case "heading":
+      heading(
+        doc,
+        parent,
+        `H${Math.min(token.depth + 2, 6)}`,
+        plainText(token.tokens),
+      );
+      break;
+    case "paragraph":
+    case "text":
+      writeRuns(doc, inlineRuns(token.tokens || [token]), {
+        parent,
+        indent: depth * INDENT,
+      });
+      doc.moveDown(0.4);
+      break;
+    case "list": {
+      const list = doc.struct("L");
+      parent.add(list);
+      token.items.forEach((item, index) => {
+        const marker = token.ordered ? `${(token.start || 1) + index}. ` : "• ";
+        const [first, ...rest] = item.tokens;
+        const inline =
+          first && (first.type === "text" || first.type === "paragraph");
+        writeRuns(
+          doc,
+          [
+            { text: marker },
+            ...(inline ? inlineRuns(first.tokens || [first]) : []),
+          ],
+          { parent: list, type: "LI", indent: (depth + 1) * INDENT },
+        );
+        doc.moveDown(0.2);
+        (inline ? rest : item.tokens).forEach((child) =>
+          markdownBlock(doc, list, child, depth + 1),
+        );
+      });
+      list.end();
+      doc.moveDown(0.3);
+      break;
+    }
+    case "code":
+      codeBlock(doc, parent, token.text, depth * INDENT);
+      break;
+    case "blockquote": {
+      const quote = doc.struct("BlockQuote");
+      parent.add(quote);
+      token.tokens.forEach((child) =>
+        markdownBlock(doc, quote, child, depth + 1),
+      );
+      quote.end();
+      break;
+    }
+    case "table":
+      table(
+        doc,
+        parent,
+        token.header.map((cell) => pdfText(plainText(cell.tokens))),
+        token.rows.map((row) =>
+          row.map((cell) => pdfText(plainText(cell.tokens))),
+        ),
+      );
+      break;
+    case "space":
+    case "hr":
+      break;
+    default:
+      if (token.text) paragraph(doc, parent, token.text);
+  }
+};
+
+const summarySection = (doc, root, report) => {
+  const section = doc.struct("Sect");
+  root.add(section);
+
+  heading(doc, section, "H1", report.title);
+  paragraph(doc, section, `${formatDate(report.date)} • ${report.source}`, {
+    color: COLORS.muted,
+  });
+  paragraph(
+    doc,
+    section,
+    `Target: WCAG 2.1 Level ${report.level} • ${report.filesAnalyzed} files analyzed${report.pagesRendered !== null ? `, ${report.pagesRendered} rendered pages` : ""}`,
+    { color: COLORS.muted },
+  );
+
+  heading(doc, section, "H2", "Summary");
+  writeRuns(
+    doc,
+    [
+      { text: "Accessibility score: ", bold: true },
+      { text: `${report.score} / 100 (${report.rating})` },
+    ],
+    { parent: section },
+  );
+  doc.moveDown(0.4);
+  paragraph(
+    doc,
+    section,
+    `${report.issues.length} issue${report.issues.length === 1 ? "" : "s"} found${report.suppressed ? `, ${report.suppressed} suppressed in the source` : ""}.`,
+  );
+  const { gate } = report;
+  if (gate) {
+    writeRuns(
+      doc,
+      [
+        {
+          text: gate.passed ? "Passed: " : "Failed: ",
+          bold: true,
+          color: gate.passed ? COLORS.passed : COLORS.failed,
+        },
+        {
+          text: gate.passed
+            ? `no new issues at severity ${gate.failOn} or above.`
+            : `${gate.failing} new issue${gate.failing === 1 ? "" : "s"} at severity ${gate.failOn} or above.`,
+        },
+      ],
+      { parent: section },
+    );
+    doc.moveDown(0.8);
+  }
+
+  table(
+    doc,
+    section,
+    [
+      "Severity",
+      "Issues",
+      ...(report.hasBaseline ? ["New since baseline"] : []),
+    ],
+    report.severities.map((s) => [
+      {
+        text: s.label,
+        type: "TH",
+        scope: "Row",
+        textColor: COLORS[s.severity],
+      },
+      String(s.issues),
+      ...(report.hasBaseline ? [String(s.new ?? s.issues)] : []),
+    ]),
+  );
+  section.end();
+};
+
+const criteriaSection = (doc, root, report) => {
+  const section = doc.struct("Sect");
+  root.add(section);
+  heading(doc, section, "H2", "WCAG criteria affected");
+  if (report.criteria.length === 0) {
+    paragraph(
+      doc,
+      section,
+      "No WCAG success criteria are affected by the issues found.",
+    );
+  } else {
+    table(
+      doc,
+      section,
+      ["Criterion", "Name", "Level", "Principle", "Issues"],
+      report.criteria.map((c) => [
+        { text: c.criterion, type: "TH", scope: "Row" },
+        pdfText(c.name),
+        c.level,
+        c.principle,
+        String(c.issues),
+      ]),
+      [60, "*", 45, 90, 50],
+    );
+  }
+  section.end();
+};
+
+const issuesSection = (doc, root, report) => {
+  const section = doc.struct("Sect");
+  root.add(section);
+  heading(doc, section, "H2", "Issues");
+  if (report.issues.length === 0) {
+    paragraph(doc, section, "No accessibility issues were found.");
+  }
+
+  report.issues.forEach((issue, index) => {
+    const article = doc.struct("Art");
+    section.add(article);
+    heading(doc, article, "H3", `${index + 1}. ${issue.type || issue.ruleId}`);
+    writeRuns(
+      doc,
+      [
+        {
+          text: severityLabel(issue.severity),
+          bold: true,
+          color: COLORS[issue.severity],
+        },
+        {
+          text: ` • ${issueLocation(issue)}${issue.baseline ? " • already in the baseline" : ""}`,
+        },
+      ],
+      { parent: article },
+    );
+    doc.moveDown(0.3);
+    if (issue.wcag?.length > 0) {
+      paragraph(
+        doc,
+        article,
+        issue.wcag
+          .map((c) => `WCAG ${c.criterion} ${c.name} (Level ${c.level})`)
+          .join(", "),
+        { color: COLORS.muted },
+      );
+    }
+    paragraph(doc, article, issue.description);
+    if (issue.code) codeBlock(doc, article, issue.code);
+    writeRuns(
+      doc,
+      [{ text: "How to fix: ", bold: true }, { text: issue.suggestion }],
+      { parent: article },
+    );
+    doc.moveDown(0.4);
+    if (isSafeUrl(issue.helpUrl)) {
+      writeRuns(
+        doc,
+        [
+          {
+            text: `Learn more about ${issue.type || issue.ruleId}`,
+            link: issue.helpUrl,
+          },
+        ],
+        { parent: article },
+      );
+      doc.moveDown(0.4);
+    }
+    article.end();
+  });
+  section.end();
+};
+
+// A list of { title, detail } items, or of runs when given a function
+const itemList = (doc, parent, entries, toRuns, ordered = false) => {
+  const list = doc.struct("L");
+  parent.add(list);
+  entries.forEach((entry, index) => {
+    writeRuns(
+      doc,
+      [{ text: ordered ? `${index + 1}. ` : "• " }, ...toRuns(entry)],
+      { parent: list, type: "LI", indent: INDENT },
+    );
+    doc.moveDown(0.2);
+  });
+  list.end();
+  doc.moveDown(0.3);
+};
+
+const titledRuns = ({ title, detail }) => [
+  { text: title, bold: true },
+  { text: detail ? `: ${detail}` : "" },
+];
+
+const recommendationsSection = (doc, root, report) => {
+  const { recommendations, legacyRecommendations } = report;
+  if (!recommendations && !legacyRecommendations) return;
+  const section = doc.struct("Sect");
+  root.add(section);
+  doc.addPage();
+  heading(doc, section, "H2", "Recommendations");
+  if (!recommendations) {
+    marked
+      .lexer(legacyRecommendations)
+      .forEach((token) => markdownBlock(doc, section, token));
+    section.end();
+    return;
+  }
+
+  const { health, blockers, quickWins, longTerm, principles } = recommendations;
+  heading(doc, section, "H3", "Overall health");
+  paragraph(doc, section, health);
+  if (blockers.length) {
+    heading(doc, section, "H3", "Top blockers");
+    itemList(
+      doc,
+      section,
+      blockers,
+      (blocker) => [
+        ...titledRuns({ title: blocker.title, detail: blocker.impact }),
+        {
+          text: blocker.issues.length
+            ? ` (see issue${blocker.issues.length === 1 ? "" : "s"} ${blocker.issues.join(", ")})`
+            : "",
+        },
+      ],
+      true,
+    );
+  }
+  if (quickWins.length) {
+    heading(doc, section, "H3", "Quick wins");
+    itemList(doc, section, quickWins, titledRuns);
+  }
+  if (longTerm.length) {
+    heading(doc, section, "H3", "Long-term plan");
+    itemList(doc, section, longTerm, titledRuns);
+  }
+  if (principles.length) {
+    heading(doc, section, "H3", "WCAG principles affected");
+    itemList(doc, section, principles, ({ principle, explanation }) =>
+      titledRuns({ title: principle, detail: explanation }),
+    );
+  }
+  section.end();
+};
+
+const pageNumbers = (doc) => {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const { bottom } = doc.page.margins;
+    // Writing inside the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    artifact(doc, () =>
+      doc
+        .font(FONTS.regular)
+        .fontSize(8.5)
+        .fillColor(COLORS.muted)
+        .text(
+          `Page ${i + 1} of ${count}`,
+          doc.page.margins.left,
+          doc.page.height - bottom / 2,
+          { width: contentWidth(doc), align: "center", lineBreak: false },
+        ),
+    );
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+// A tagged A4 document with page numbers; build(doc, root) adds the
+// content under the root structure element. Resolves with the PDF's bytes.
+export const createPdf = ({ title, subject }, build) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 56,
+      bufferPages: true,
+      tagged: true,
+      lang: "en-US",
+      displayTitle: true,
+      pdfVersion: "1.7",
+      info: {
+        Title: pdfText(title),
+        Subject: subject,
+        Creator: "AccessWAI",
+      },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      const root = doc.struct("Document");
+      doc.addStructure(root);
+      build(doc, root);
+      root.end();
+      pageNumbers(doc);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+
+export const renderPdfReport = (analysis) => {
+  const report = buildReport(analysis);
+  return createPdf(
+    { title: report.title, subject: "Accessibility audit report" },
+    (doc, root) => {
+      summarySection(doc, root, report);
+      doc.addPage();
+      criteriaSection(doc, root, report);
+      issuesSection(doc, root, report);
+      recommendationsSection(doc, root, report);
+    },
+  );
+};
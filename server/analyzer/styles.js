@@ -0,0 +1,363 @@
+// backend/analyzer/styles.js
+import { attrValue, getClassList, hasAttr } from "./elements.js";
+import { parseColor, blend } from "./color.js";
+import { parseInlineStyle } from "./stylesheets.js";
+
+const BASE_FONT_SIZE = 16;
+
+const FONT_SIZE_KEYWORDS = {
+  "xx-small": 9,
+  "x-small": 10,
+  small: 13,
+  medium: 16,
+  large: 18,
+  "x-large": 24,
+  "xx-large": 32,
+  "xxx-large": 48,
+};
+
+const DEFAULT_FONT_SIZES = {
+  h1: 32,
+  h2: 24,
+  h3: 18.72,
+  h4: 16,
+  h5: 13.28,
+  h6: 10.72,
+};
+const BOLD_TAGS = new Set([
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "b",
+  "strong",
+  "th",
+]);
+
+const resolveVariables = (value, variables, depth = 0) => {
+  if (!value || depth > 10) return value;
+  const resolved = value
+    .replace(
+      /var\(\s*(--[\w-]+)\s*(?:,\s*([^)]*))?\)/g,
+      (match, name, fallback) =>
+        variables[name] !== undefined ? variables[name] : (fallback ?? match),
+    )
+    .replace(/\$[\w-]+/g, (name) => variables[name] ?? name);
+  return resolved === value
+    ? resolved
+    : resolveVariables(resolved, variables, depth + 1);
+};
+
+const splitValue = (value) => value.match(/[a-z-]+\([^)]*\)|[^\s,]+/gi) || [];
+
+// Pulls the color out of background / background-color. Returns undefined
+// when no background is set and null when one is set but isn't a plain
+// color we can measure (images, gradients, unresolved variables).
+const backgroundColor = (declarations, variables) => {
+  const explicit = declarations["background-color"];
+  if (explicit !== undefined) {
+    return parseColor(resolveVariables(explicit, variables));
+  }
+  const shorthand = declarations.background;
+  if (shorthand === undefined) return undefined;
+  const value = resolveVariables(shorthand, variables);
+  if (/(url|gradient)\(/i.test(value)) return null;
+  for (const token of splitValue(value)) {
+    const color = parseColor(token);
+    if (color) return color;
+  }
+  return null;
+};
+
+const fontSizeToPx = (value, inheritedPx) => {
+  if (!value) return null;
+  if (FONT_SIZE_KEYWORDS[value]) return FONT_SIZE_KEYWORDS[value];
+  const match = /^([\d.]+)(px|pt|rem|em|%)?$/.exec(value);
+  if (!match) return null;
+  const amount = parseFloat(match[1]);
+  switch (match[2]) {
+    case "pt":
+      return (amount * 4) / 3;
+    case "rem":
+      return amount * BASE_FONT_SIZE;
+    case "em":
+      return amount * inheritedPx;
+    case "%":
+      return (amount / 100) * inheritedPx;
+    default:
+      return amount;
+  }
+};
+
+const fontWeightValue = (value) => {
+  if (!value) return null;
+  if (value === "bold" || value === "bolder") return 700;
+  if (value === "normal" || value === "lighter") return 400;
+  const weight = parseInt(value);
+  return Number.isNaN(weight) ? null : weight;
+};
+
+const specificity = (compounds) =>
+  compounds.reduce(
+    ([ids, classes, tags], compound) => [
+      ids + (compound.id ? 1 : 0),
+      classes + compound.classes.length + compound.attributes.length,
+      tags + (compound.tag ? 1 : 0),
+    ],
+    [0, 0, 0],
+  );
+
+const compareSpecificity = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+
+const COMPOUND = /^(\*|[a-z][a-z0-9-]*)?((?:[.#][a-z0-9_-]+|\[[^\]]*\])*)$/i;
+const ATTRIBUTE =
+  /^\[\s*([\w:-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+))\s*(i)?\s*)?\]$/i;
+
+// tag, #id, .class and [attribute] selectors and combinations of them
+const parseCompound = (text) => {
+  const match = text && COMPOUND.exec(text);
+  if (!match) return null;
+  const compound = { tag: null, id: null, classes: [], attributes: [] };
+  if (match[1] && match[1] !== "*") compound.tag = match[1].toLowerCase();
+  for (const [token] of match[2].matchAll(/[.#][a-z0-9_-]+|\[[^\]]*\]/gi)) {
+    if (token.startsWith(".")) compound.classes.push(token.slice(1));
+    else if (token.startsWith("#")) compound.id = token.slice(1);
+    else {
+      const attribute = ATTRIBUTE.exec(token);
+      if (!attribute) return null;
+      const [, name, operator, double, single, bare, flag] = attribute;
+      compound.attributes.push({
+        name,
+        operator,
+        value: double ?? single ?? bare,
+        ignoreCase: Boolean(flag),
+      });
+    }
+  }
+  return compound;
+};
+
+// A selector as its compounds from the element outwards, each with the
+// combinator to the next one: " " (descendant) or ">" (child). Selectors
+// with pseudo-classes, pseudo-elements or sibling combinators depend on
+// state or context we can't see statically, so they aren't matched (null).
+const parseSelector = (selector) => {
+  if (/[:+~]/.test(selector.replace(/\[[^\]]*\]/g, ""))) return null;
+  const parts = selector.trim().split(/(\s*>\s*|\s+)(?![^[]*\])/);
+  const compounds = [];
+  for (let i = parts.length - 1; i >= 0; i -= 2) {
+    const compound = parseCompound(parts[i]);
+    if (!compound) return null;
+    compound.combinator = i > 0 ? parts[i - 1].trim() || " " : null;
+    compounds.push(compound);
+  }
+  return compounds;
+};
+
+// Builds a lookup of every matchable style rule across the project.
+// `resolvers` are extra (element, classes) => declarations hooks for styles
+// that come from class names rather than stylesheets, e.g. utility classes.
+export const buildStyleIndex = (stylesheets, resolvers = []) => {
+  const entries = [];
+  const variables = {};
+  let order = 0;
+
+  stylesheets.forEach((sheet) => {
+    Object.assign(variables, sheet.variables);
+    sheet.rules.forEach((rule) => {
+      rule.selectors.forEach((selector) => {
+        const compounds = parseSelector(selector);
+        if (!compounds) return;
+        entries.push({
+          compounds,
+          specificity: specificity(compounds),
+          order: order++,
+          rule,
+          file: sheet.file,
+        });
+      });
+    });
+  });
+
+  return { entries, variables, resolvers };
+};
+
+const matchesAttribute = ({ name, operator, value, ignoreCase }, element) => {
+  if (!operator) return hasAttr(element, name);
+  let actual = attrValue(element, name);
+  // Absent, or computed at runtime
+  if (typeof actual !== "string") return false;
+  let expected = value;
+  if (ignoreCase) {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+  switch (operator) {
+    case "~=":
+      return actual.split(/\s+/).includes(expected);
+    case "|=":
+      return actual === expected || actual.startsWith(`${expected}-`);
+    case "^=":
+      return expected !== "" && actual.startsWith(expected);
+    case "$=":
+      return expected !== "" && actual.endsWith(expected);
+    case "*=":
+      return expected !== "" && actual.includes(expected);
+    default:
+      return actual === expected;
+  }
+};
+
+const matchesCompound = (compound, element, classes) =>
+  (!compound.tag || compound.tag === element.tag) &&
+  (!compound.id || compound.id === attrValue(element, "id")) &&
+  compound.classes.every((c) => classes.includes(c)) &&
+  compound.attributes.every((attribute) =>
+    matchesAttribute(attribute, element),
+  );
+
+// The selector's first compound matches the element and the rest match its
+// ancestors in the file. Ancestors rendered by another component aren't
+// known, so selectors that depend on them don't match.
+const matches = (compounds, element, classes, index = 0) => {
+  if (!matchesCompound(compounds[index], element, classes)) return false;
+  if (index === compounds.length - 1) return true;
+  for (let node = element.parent; node; node = node.parent) {
+    if (matches(compounds, node, getClassList(node).classes, index + 1)) {
+      return true;
+    }
+    if (compounds[index].combinator === ">") return false;
+  }
+  return false;
+};
+
+// Style declared directly on an element, as { prop: { value, source } }.
+// Stylesheet rules apply in specificity/source order, then resolvers;
+// inline style wins.
+const declaredStyle = (element, index) => {
+  const declared = {};
+  const { classes } = getClassList(element);
+
+  index.entries
+    .filter((entry) => matches(entry.compounds, element, classes))
+    .sort(
+      (a, b) =>
+        compareSpecificity(a.specificity, b.specificity) || a.order - b.order,
+    )
+    .forEach((entry) => {
+      Object.entries(entry.rule.declarations).forEach(([prop, value]) => {
+        declared[prop] = {
+          value,
+          source: { file: entry.file, line: entry.rule.line, rule: entry.rule },
+        };
+      });
+    });
+
+  index.resolvers.forEach((resolve) => {
+    Object.assign(declared, resolve(element, classes));
+  });
+
+  const inline = attrValue(element, "style");
+  if (inline) {
+    Object.entries(parseInlineStyle(inline)).forEach(([prop, value]) => {
+      declared[prop] = { value, source: { inline: true } };
+    });
+  }
+
+  return declared;
+};
+
+const colorEntry = (entry, variables, element) =>
+  entry && {
+    color: parseColor(resolveVariables(entry.value, variables)),
+    source: entry.source,
+    element,
+  };
+
+// Works out the colors and font an element's text is rendered with.
+// color, font-size and font-weight inherit; the background is whatever the
+// nearest ancestor (or the element itself) paints. Each color carries the
+// source that set it and the element it was set on, or is null when it's a
+// browser default.
+export const computeElementStyle = (element, index) => {
+  const chain = [];
+  for (let node = element; node; node = node.parent) chain.unshift(node);
+
+  let color = null;
+  let background = null;
+  let fontSize = BASE_FONT_SIZE;
+  let fontWeight = 400;
+
+  chain.forEach((node) => {
+    const declared = declaredStyle(node, index);
+    // An interpolated class name may set the color we didn't find
+    const unknown = { color: null, source: { dynamic: true } };
+    const dynamicClasses = getClassList(node).dynamic;
+
+    if (declared.color) {
+      color = colorEntry(declared.color, index.variables, node);
+    } else if (dynamicClasses) {
+      color = unknown;
+    }
+
+    const bgDeclarations = {};
+    ["background", "background-color"].forEach((prop) => {
+      if (declared[prop]) bgDeclarations[prop] = declared[prop].value;
+    });
+    const bg = backgroundColor(bgDeclarations, index.variables);
+    if (bg === undefined && dynamicClasses) {
+      background = unknown;
+    } else if (bg !== undefined) {
+      const entry = declared["background-color"] || declared.background;
+      // Translucent backgrounds are painted over whatever is behind them;
+      // fully transparent ones let it show through unchanged
+      if (!bg || bg.a === 1 || !background?.color) {
+        if (!bg || bg.a > 0) {
+          background = { color: bg, source: entry.source, element: node };
+        }
+      } else if (bg.a > 0) {
+        background = {
+          color: blend(bg, background.color),
+          source: entry.source,
+          element: node,
+        };
+      }
+    }
+
+    const size = declared["font-size"]
+      ? fontSizeToPx(
+          resolveVariables(declared["font-size"].value, index.variables),
+          fontSize,
+        )
+      : DEFAULT_FONT_SIZES[node.tag];
+    if (size) fontSize = size;
+
+    const weight = declared["font-weight"]
+      ? fontWeightValue(declared["font-weight"].value)
+      : BOLD_TAGS.has(node.tag) && 700;
+    if (weight) fontWeight = weight;
+  });
+
+  return { color, background, fontSize, fontWeight };
+};
+
+// Same as computeElementStyle for a single stylesheet rule in isolation
+export const computeRuleStyle = (rule, variables) => {
+  const { declarations } = rule;
+  const color = declarations.color
+    ? parseColor(resolveVariables(declarations.color, variables))
+    : undefined;
+  const background = backgroundColor(declarations, variables);
+  return {
+    color,
+    background,
+    fontSize:
+      fontSizeToPx(
+        resolveVariables(declarations["font-size"], variables),
+        BASE_FONT_SIZE,
+      ) || BASE_FONT_SIZE,
+    fontWeight: fontWeightValue(declarations["font-weight"]) || 400,
+  };
+};
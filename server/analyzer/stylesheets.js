@@ -0,0 +1,119 @@
+// backend/analyzer/stylesheets.js
+import postcss from "postcss";
+import postcssScss from "postcss-scss";
+
+const MAX_CODE_LENGTH = 200;
+
+// Nested rules inside these at-rules only apply conditionally (dark mode,
+// print, breakpoints...), so pairing their colors with unconditional ones
+// would produce false positives
+const CONDITIONAL_AT_RULES = new Set([
+  "media",
+  "container",
+  "mixin",
+  "function",
+]);
+
+const resolveNestedSelectors = (parents, selectors) => {
+  if (parents.length === 0) return selectors;
+  return parents.flatMap((parent) =>
+    selectors.map((selector) =>
+      selector.includes("&")
+        ? selector.replace(/&/g, parent)
+        : `${parent} ${selector}`,
+    ),
+  );
+};
+
+const toSnippet = (text) => {
+  const snippet = text.replace(/\s+/g, " ").trim();
+  return snippet.length > MAX_CODE_LENGTH
+    ? `${snippet.slice(0, MAX_CODE_LENGTH)}…`
+    : snippet;
+};
+
+// Parses CSS or SCSS into flat style rules:
+// { selectors, declarations, line, column, code }
+// `lineOffset` shifts positions for CSS embedded in another file
+export const parseStylesheet = (
+  content,
+  { scss = false, lineOffset = 0 } = {},
+) => {
+  const root = scss ? postcssScss.parse(content) : postcss.parse(content);
+  const rules = [];
+  const variables = {};
+  const comments = [];
+
+  const visit = (node, parentSelectors) => {
+    node.each((child) => {
+      if (child.type === "comment") {
+        comments.push({
+          value: child.text,
+          line: child.source.start.line + lineOffset,
+          endLine: child.source.end.line + lineOffset,
+        });
+      } else if (child.type === "decl" && child.prop.startsWith("$")) {
+        variables[child.prop] = child.value;
+      } else if (child.type === "atrule") {
+        if (child.name === "theme" && child.nodes) {
+          // Tailwind v4 design tokens: @theme { --color-brand: #... }
+          child.each((decl) => {
+            if (decl.type === "decl" && decl.prop.startsWith("--")) {
+              variables[decl.prop] = decl.value.trim();
+            }
+          });
+        } else if (!CONDITIONAL_AT_RULES.has(child.name) && child.nodes) {
+          visit(child, parentSelectors);
+        }
+      } else if (child.type === "rule") {
+        const selectors = resolveNestedSelectors(
+          parentSelectors,
+          child.selectors.map((s) => s.trim()),
+        );
+        const declarations = {};
+        child.each((decl) => {
+          if (decl.type !== "decl") return;
+          declarations[decl.prop.toLowerCase()] = decl.value
+            .replace(/\s*!important\s*$/i, "")
+            .trim();
+          if (
+            decl.prop.startsWith("--") &&
+            /^(:root|html)$/.test(child.selector.trim())
+          ) {
+            variables[decl.prop] = decl.value.trim();
+          }
+        });
+
+        if (Object.keys(declarations).length > 0) {
+          const start = child.source.start;
+          rules.push({
+            selectors,
+            declarations,
+            line: start.line + lineOffset,
+            column: start.column,
+            code: toSnippet(child.toString()),
+          });
+        }
+        visit(child, selectors);
+      }
+    });
+  };
+
+  visit(root, []);
+  return { rules, variables, comments };
+};
+
+export const parseInlineStyle = (css) => {
+  const declarations = {};
+  css.split(";").forEach((part) => {
+    const index = part.indexOf(":");
+    if (index === -1) return;
+    const prop = part.slice(0, index).trim().toLowerCase();
+    const value = part
+      .slice(index + 1)
+      .replace(/\s*!important\s*$/i, "")
+      .trim();
+    if (prop && value) declarations[prop] = value;
+  });
+  return declarations;
+};
@@ -0,0 +1,126 @@
+// backend/analyzer/suppressions.js
+
+// Supported directives, in JS/JSX comments or HTML comments:
+//   accesswai-disable-next-line [rule-id ...]
+//   accesswai-disable-line [rule-id ...]
+//   accesswai-disable [rule-id ...] ... accesswai-enable [rule-id ...]
+//   accesswai-disable-file [rule-id ...]
+// Without rule ids a directive applies to every rule. Anything after "--"
+// is treated as a free-text reason.
+const DIRECTIVE_PATTERN =
+  /^\s*accesswai-(disable-next-line|disable-line|disable-file|disable|enable)(?=\s|$)([^]*)$/;
+
+const parseDirective = (comment) => {
+  const text = comment.value.replace(/^\s*\*?/, "").trim();
+  const match = DIRECTIVE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const [ruleList] = match[2].split("--");
+  return {
+    kind: match[1],
+    rules: ruleList.split(/[\s,]+/).filter(Boolean),
+    line: comment.line,
+    endLine: comment.endLine,
+  };
+};
+
+const coversRule = (suppression, ruleId) =>
+  suppression.rules.length === 0 || suppression.rules.includes(ruleId);
+
+// Turns a file's comments into suppression ranges
+export const collectSuppressions = (comments) => {
+  const suppressions = [];
+  const open = [];
+
+  comments
+    .map(parseDirective)
+    .filter(Boolean)
+    .forEach((directive) => {
+      const base = {
+        directive: `accesswai-${directive.kind}`,
+        rules: directive.rules,
+        line: directive.line,
+        used: 0,
+      };
+
+      switch (directive.kind) {
+        case "disable-next-line":
+          suppressions.push({
+            ...base,
+            fromLine: directive.endLine + 1,
+            toLine: directive.endLine + 1,
+          });
+          break;
+        case "disable-line":
+          suppressions.push({
+            ...base,
+            fromLine: directive.line,
+            toLine: directive.endLine,
+          });
+          break;
+        case "disable-file":
+          suppressions.push({ ...base, fromLine: 1, toLine: Infinity });
+          break;
+        case "disable": {
+          const block = { ...base, fromLine: directive.line, toLine: Infinity };
+          suppressions.push(block);
+          open.push(block);
+          break;
+        }
+        case "enable":
+          // A bare enable closes every open block, otherwise only the blocks
+          // whose rule lists it names
+          for (let i = open.length - 1; i >= 0; i--) {
+            const block = open[i];
+            const closes =
+              directive.rules.length === 0 ||
+              (block.rules.length > 0 &&
+                block.rules.every((rule) => directive.rules.includes(rule)));
+            if (closes) {
+              block.toLine = directive.line;
+              open.splice(i, 1);
+            }
+          }
+          break;
+      }
+    });
+
+  return suppressions;
+};
+
+// Splits a file's issues into reported and suppressed ones and returns the
+// directives that matched nothing. Directives that only name rules which
+// didn't run this time (e.g. turned off in config) are not flagged.
+export const applySuppressions = (issues, suppressions, inactiveRuleIds) => {
+  const reported = [];
+  const suppressed = [];
+
+  issues.forEach((issue) => {
+    const match = suppressions.find(
+      (s) =>
+        issue.line >= s.fromLine &&
+        issue.line <= s.toLine &&
+        coversRule(s, issue.ruleId),
+    );
+    if (match) {
+      match.used++;
+      suppressed.push({
+        ...issue,
+        suppressedBy: { directive: match.directive, line: match.line },
+      });
+    } else {
+      reported.push(issue);
+    }
+  });
+
+  const unused = suppressions
+    .filter((s) => s.used === 0)
+    .filter(
+      (s) =>
+        s.rules.length === 0 ||
+        !s.rules.every((rule) => inactiveRuleIds.has(rule)),
+    )
+    .map(({ directive, rules, line }) => ({ directive, rules, line }));
+
+  return { reported, suppressed, unused };
+};
@@ -0,0 +1,443 @@
+#!/usr/bin/env node
+// backend/bin/accesswai.js
+// Command-line scanner. Runs the server's rules on a local directory, or
+// uploads the directory to an AccessWAI server, and exits non-zero when the
+// run introduces issues at or above --fail-on.
+import { spawnSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+
+// The server modules load .env on import; keep dotenv's notice off stdout
+process.env.DOTENV_CONFIG_QUIET ??= "true";
+
+const EXIT = { passed: 0, failed: 1, usage: 2, server: 3 };
+const FORMATS = ["text", "json", "sarif", "junit", "csv"];
+const MODES = ["static", "dom"];
+const POLL_INTERVAL = 1000;
+
+const USAGE = `Usage: accesswai scan <directory> [options]
+
+Options:
+  --format <format>          text, json, sarif, junit or csv (default: text)
+  --fail-on <severity|none>  Fail on new issues at or above this severity
+                             (default: the project's failOn, "high")
+  --config <file>            Config file to use instead of the project's
+  --baseline <file>          Baseline file to use instead of the project's
+  --write-baseline <file>    Save this run's issues as a baseline file
+  --mode <static|dom>        static, or dom to also render built pages
+  --upload                   Analyze on an AccessWAI server
+  --server <url>             Server URL (default: $ACCESSWAI_SERVER)
+  --token <token>            API token (default: $ACCESSWAI_TOKEN)
+  --project <name>           Project to upload into (default: directory name)
+  -h, --help                 Show this help
+
+Exit codes: 0 passed, 1 new issues at or above --fail-on, 2 usage or
+configuration error, 3 server error`;
+
+const OPTIONS = {
+  format: { type: "string", default: "text" },
+  "fail-on": { type: "string" },
+  config: { type: "string" },
+  baseline: { type: "string" },
+  "write-baseline": { type: "string" },
+  mode: { type: "string", default: "static" },
+  upload: { type: "boolean", default: false },
+  server: { type: "string" },
+  token: { type: "string" },
+  project: { type: "string" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const cliError = (message, exitCode) =>
+  Object.assign(new Error(message), { exitCode });
+
+const readFile = (file) => {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch (err) {
+    throw cliError(`Cannot read ${file}: ${err.message}`, EXIT.usage);
+  }
+};
+
+// --config: a .accesswairc.json-style file
+const loadConfigFile = async (file) => {
+  const { resolveConfig } = await import("../analyzer/config.js");
+  const source = path.basename(file);
+  try {
+    let raw;
+    try {
+      raw = JSON.parse(readFile(file));
+    } catch (err) {
+      if (err.exitCode) throw err;
+      throw new Error(`${source}: invalid JSON (${err.message})`);
+    }
+    return resolveConfig(raw, source);
+  } catch (err) {
+    if (err.exitCode) throw err;
+    throw new Error(`Invalid AccessWAI configuration: ${err.message}`);
+  }
+};
+
+// --baseline: a file exported from an analysis or written by --write-baseline
+const loadBaselineFile = async (file) => {
+  const { parseBaseline } = await import("../analyzer/baseline.js");
+  try {
+    return {
+      source: "file",
+      fingerprints: parseBaseline(readFile(file), path.basename(file)),
+    };
+  } catch (err) {
+    if (err.exitCode) throw err;
+    throw new Error(`Invalid baseline: ${err.message}`);
+  }
+};
+
+// Runs the same stages as an analysis job, minus AI suggestions, and
+// returns the result in the shape of a saved Analysis
+const scanLocally = async (dir, options) => {
+  const { directoryEntries, readProject } =
+    await import("../analyzer/project.js");
+  const { analyzeAccessibility, analyzeRenderedPages, scoreIssues } =
+    await import("../controllers/analysisController.js");
+
+  const { files, pages, config, baseline } = readProject(
+    directoryEntries(dir),
+    {
+      mode: options.mode,
+      label: dir,
+      root: "",
+      config: options.config && (await loadConfigFile(options.config)),
+      baseline: options.baseline && (await loadBaselineFile(options.baseline)),
+    },
+  );
+
+  const { issues, suppressed, unusedSuppressions } =
+    options.mode === "dom"
+      ? analyzeRenderedPages(files, pages, config)
+      : analyzeAccessibility(files, config);
+
+  return {
+    projectName: options.project || path.basename(path.resolve(dir)),
+    projectRoot: "",
+    filesAnalyzed: files.length,
+    mode: options.mode,
+    pagesRendered: pages.length,
+    issues,
+    suppressedIssues: suppressed,
+    unusedSuppressions,
+    ...scoreIssues(issues, suppressed, {
+      root: "",
+      baseline,
+      failOn: config.failOn,
+    }),
+    baseline: baseline && {
+      source: baseline.source,
+      issues: baseline.fingerprints.length,
+    },
+    config,
+    createdAt: new Date(),
+  };
+};
+
+const request = async (server, token, route, init = {}) => {
+  let response;
+  try {
+    response = await fetch(`${server}${route}`, {
+      ...init,
+      headers: { Authorization: `Bearer ${token}` },
+    });
+  } catch (err) {
+    throw cliError(`Cannot reach ${server}: ${err.message}`, EXIT.server);
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw cliError(
+      data.message || `${route} failed with status ${response.status}`,
+      EXIT.server,
+    );
+  }
+  return data;
+};
+
+// Paths in names that .gitignore leaves out. Inside a Git work tree git
+// answers, so nested .gitignore files and .git/info/exclude count too;
+// elsewhere the directory's own .gitignore is matched.
+const gitIgnored = async (dir, names) => {
+  const result = spawnSync("git", ["check-ignore", "--stdin", "-z"], {
+    cwd: dir,
+    input: names.join("\0"),
+    encoding: "utf8",
+    maxBuffer: 20 * 1024 * 1024,
+  });
+  // 0: some paths are ignored, 1: none are
+  if (result.status === 0 || result.status === 1) {
+    return new Set(result.stdout.split("\0").filter(Boolean));
+  }
+
+  const { isIgnored } = await import("../analyzer/config.js");
+  const gitignore = path.join(dir, ".gitignore");
+  const ignore = fs.existsSync(gitignore)
+    ? readFile(gitignore)
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => line && !/^[#!]/.test(line))
+    : [];
+  return new Set(names.filter((name) => isIgnored(name, { ignore })));
+};
+
+// The files the analysis reads: those the analyzer parses that neither
+// .gitignore nor the config's ignore patterns leave out, the pages to
+// render in dom mode (build output is usually ignored), and the files the
+// project's config and baseline come from
+const uploadEntries = async (dir, options) => {
+  const { directoryEntries } = await import("../analyzer/project.js");
+  const { isParsable } = await import("../analyzer/parsers.js");
+  const { findPages } = await import("../analyzer/dom.js");
+  const { CONFIG_FILE, isIgnored, loadProjectConfig } =
+    await import("../analyzer/config.js");
+  const { BASELINE_FILE } = await import("../analyzer/baseline.js");
+
+  let config;
+  try {
+    config = options.config
+      ? await loadConfigFile(options.config)
+      : loadProjectConfig((name) =>
+          fs.existsSync(path.join(dir, name))
+            ? readFile(path.join(dir, name))
+            : null,
+        );
+  } catch (err) {
+    if (err.exitCode) throw err;
+    throw new Error(`Invalid AccessWAI configuration: ${err.message}`);
+  }
+
+  const entries = directoryEntries(dir);
+  const parsable = entries.filter(
+    (entry) => isParsable(entry.name) && !isIgnored(entry.name, config),
+  );
+  const ignored = await gitIgnored(
+    dir,
+    parsable.map((entry) => entry.name),
+  );
+  const names = new Set([
+    ...parsable.map((entry) => entry.name).filter((name) => !ignored.has(name)),
+    CONFIG_FILE,
+    BASELINE_FILE,
+    "package.json",
+  ]);
+  if (options.mode === "dom") {
+    findPages(entries).forEach((page) => names.add(page.name));
+  }
+  return entries.filter((entry) => names.has(entry.name));
+};
+
+// Zips the directory under a top-level folder (as if the user had zipped it
+// themselves), uploads it and waits for the analysis job to finish.
+// --config and --baseline travel in the ZIP as the project's own files.
+const scanOnServer = async (dir, options) => {
+  const server = (options.server || process.env.ACCESSWAI_SERVER || "").replace(
+    /\/+$/,
+    "",
+  );
+  const token = options.token || process.env.ACCESSWAI_TOKEN;
+  if (!server) {
+    throw cliError("--upload needs --server or ACCESSWAI_SERVER", EXIT.usage);
+  }
+  if (!token) {
+    throw cliError(
+      "--upload needs an API token: --token or ACCESSWAI_TOKEN",
+      EXIT.usage,
+    );
+  }
+
+  const { default: AdmZip } = await import("adm-zip");
+  const { CONFIG_FILE } = await import("../analyzer/config.js");
+  const { BASELINE_FILE } = await import("../analyzer/baseline.js");
+
+  const name = path.basename(path.resolve(dir));
+  const overrides = new Map();
+  if (options.config) {
+    await loadConfigFile(options.config);
+    overrides.set(CONFIG_FILE, readFile(options.config));
+  }
+  if (options.baseline) {
+    await loadBaselineFile(options.baseline);
+    overrides.set(BASELINE_FILE, readFile(options.baseline));
+  }
+
+  const zip = new AdmZip();
+  (await uploadEntries(dir, options))
+    .filter((entry) => !overrides.has(entry.name))
+    .forEach((entry) =>
+      zip.addFile(
+        `${name}/${entry.name}`,
+        fs.readFileSync(path.join(dir, entry.name)),
+      ),
+    );
+  overrides.forEach((content, file) =>
+    zip.addFile(`${name}/${file}`, Buffer.from(content)),
+  );
+
+  const form = new FormData();
+  form.append(
+    "project",
+    new Blob([zip.toBuffer()], { type: "application/zip" }),
+    `${name}.zip`,
+  );
+  form.append("projectName", options.project || name);
+  form.append("mode", options.mode);
+
+  let job = await request(server, token, "/api/analysis/upload", {
+    method: "POST",
+    body: form,
+  });
+  console.error(`Uploaded to ${server} (job ${job._id})`);
+
+  let stage;
+  while (job.status === "queued" || job.status === "running") {
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+    job = await request(server, token, `/api/analysis/jobs/${job._id}`);
+    if (job.stage && job.stage !== stage) {
+      stage = job.stage;
+      console.error(`  ${stage}...`);
+    }
+  }
+  if (job.status !== "completed") {
+    throw cliError(job.error || "The analysis failed", EXIT.server);
+  }
+  const analysis = await request(
+    server,
+    token,
+    `/api/analysis/${job.analysisId}`,
+  );
+  console.error(`Saved as analysis ${analysis._id}`);
+  return analysis;
+};
+
+const relativeFile = (analysis, file) =>
+  file?.startsWith(analysis.projectRoot || "")
+    ? file.slice((analysis.projectRoot || "").length)
+    : file;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+const formatText = (analysis, SEVERITIES) => {
+  const lines = [];
+  const byFile = new Map();
+  analysis.issues.forEach((issue) => {
+    const file = relativeFile(analysis, issue.file) || "(unknown file)";
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push(issue);
+  });
+
+  [...byFile.keys()].sort().forEach((file) => {
+    lines.push(file);
+    byFile
+      .get(file)
+      .sort((a, b) => (a.line || 0) - (b.line || 0))
+      .forEach((issue) => {
+        const position = `${issue.line || 0}:${issue.column || 0}`;
+        lines.push(
+          `  ${position.padEnd(8)} ${issue.severity.padEnd(8)} ${(issue.ruleId || issue.type || "").padEnd(24)} ${issue.description}${issue.baseline ? " (baseline)" : ""}`,
+        );
+      });
+    lines.push("");
+  });
+
+  const { summary, gate } = analysis;
+  const counts = SEVERITIES.map(
+    (severity) => `${summary[severity]} ${severity}`,
+  ).join(", ");
+  lines.push(
+    `${plural(analysis.issues.length, "issue")} (${counts}) in ${plural(analysis.filesAnalyzed, "file")}`,
+  );
+  if (summary.baseline) lines.push(`${summary.baseline} already in baseline`);
+  if (summary.suppressed) lines.push(`${summary.suppressed} suppressed`);
+  lines.push(`Score: ${analysis.accessibilityScore}/100`);
+  if (!SEVERITIES.includes(gate.failOn)) {
+    lines.push("Passed: --fail-on is none");
+  } else {
+    lines.push(
+      gate.passed
+        ? `Passed: no new issues at or above ${gate.failOn}`
+        : `Failed: ${plural(gate.failing, "new issue")} at or above ${gate.failOn}`,
+    );
+  }
+  return `${lines.join("\n")}\n`;
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw cliError(`${err.message}\n\n${USAGE}`, EXIT.usage);
+  }
+  const { values: options, positionals } = parsed;
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT.passed;
+  }
+
+  const [command, dir, ...extra] = positionals;
+  if (command !== "scan" || !dir || extra.length > 0) {
+    throw cliError(USAGE, EXIT.usage);
+  }
+  if (!fs.statSync(dir, { throwIfNoEntry: false })?.isDirectory()) {
+    throw cliError(`${dir} is not a directory`, EXIT.usage);
+  }
+
+  const { SEVERITIES } = await import("../rules/index.js");
+  const failOnValues = [...SEVERITIES, "none"];
+  if (!FORMATS.includes(options.format)) {
+    throw cliError(`--format must be one of ${FORMATS.join(", ")}`, EXIT.usage);
+  }
+  if (!MODES.includes(options.mode)) {
+    throw cliError(`--mode must be one of ${MODES.join(", ")}`, EXIT.usage);
+  }
+  if (options["fail-on"] && !failOnValues.includes(options["fail-on"])) {
+    throw cliError(
+      `--fail-on must be one of ${failOnValues.join(", ")}`,
+      EXIT.usage,
+    );
+  }
+
+  const analysis = options.upload
+    ? await scanOnServer(dir, options)
+    : await scanLocally(dir, options);
+
+  if (options["fail-on"]) {
+    const { evaluateGate } = await import("../analyzer/baseline.js");
+    analysis.gate = evaluateGate(analysis.issues, options["fail-on"]);
+  }
+
+  if (options["write-baseline"]) {
+    const { createBaseline } = await import("../analyzer/baseline.js");
+    fs.writeFileSync(
+      options["write-baseline"],
+      `${JSON.stringify(createBaseline(analysis), null, 2)}\n`,
+    );
+    console.error(
+      `Wrote ${plural(analysis.issues.length, "issue")} to ${options["write-baseline"]}`,
+    );
+  }
+
+  if (options.format === "text") {
+    process.stdout.write(formatText(analysis, SEVERITIES));
+  } else {
+    const { exportAnalysis } = await import("../analyzer/export.js");
+    process.stdout.write(exportAnalysis(analysis, options.format));
+  }
+  return analysis.gate.passed ? EXIT.passed : EXIT.failed;
+};
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(`accesswai: ${err.message}`);
+    process.exitCode = err.exitCode ?? EXIT.usage;
+  },
+);
@@ -1,217 +1,163 @@
 // backend/controllers/analysisController.js
 import dotenv from "dotenv";
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { runRules } from "../analyzer/engine.js";
+import { getRules, SEVERITIES } from "../rules/index.js";
+import { runDomRules, mergeResults } from "../analyzer/dom.js";
+import { applyConfig, resolveConfig } from "../analyzer/config.js";
+import {
+  matchIssues,
+  analysisRoot,
+  fingerprintIssue,
+  relativePath,
+} from "../analyzer/fingerprint.js";
+import { classifyIssues, evaluateGate } from "../analyzer/baseline.js";
+import {
+  extractDiff,
+  parseUnifiedDiff,
+  applyHunks,
+  formatUnifiedDiff,
+} from "../analyzer/patch.js";
+import {
+  selectProvider,
+  fitPrompt,
+  generateText,
+  generateFallbackRecommendations,
+  estimateTokens,
+} from "../ai/index.js";
+import { parseRecommendations } from "../ai/recommendations.js";
 dotenv.config();
 
-// Accessibility analysis rules
-const analyzeAccessibility = (files) => {
-  const issues = [];
-
-  files.forEach((file) => {
-    const lines = file.content.split("\n");
-
-    lines.forEach((line, index) => {
-      const lineNum = index + 1;
-
-      // Check for images without alt text
-      if (/<img(?![^>]*alt=)/i.test(line)) {
-        issues.push({
-          severity: "critical",
-          type: "Missing Alt Text",
-          file: file.name,
-          line: lineNum,
-          description:
-            "Image element is missing alt attribute for screen readers",
-          suggestion:
-            'Add an alt attribute describing the image content. Example: <img src="..." alt="Description of image" />',
-          code: line.trim(),
-        });
-      }
-
-      // Check for empty alt text on non-decorative images
-      if (
-        /<img[^>]*alt=""[^>]*src=/i.test(line) &&
-        !line.includes("decorative")
-      ) {
-        issues.push({
-          severity: "medium",
-          type: "Empty Alt Text",
-          file: file.name,
-          line: lineNum,
-          description: "Image has empty alt text but may not be decorative",
-          suggestion:
-            'If the image is decorative, use alt="" or role="presentation". Otherwise, provide descriptive alt text.',
-          code: line.trim(),
-        });
-      }
-
-      // Check for buttons without accessible text
-      if (
-        /<button[^>]*>[\s]*<\/button>/i.test(line) ||
-        /<button[^>]*><i /i.test(line)
-      ) {
-        issues.push({
-          severity: "high",
-          type: "Button Without Text",
-          file: file.name,
-          line: lineNum,
-          description:
-            "Button has no accessible text content for screen readers",
-          suggestion:
-            'Add visible text or aria-label to the button. Example: <button aria-label="Submit form">Submit</button>',
-          code: line.trim(),
-        });
-      }
-
-      // Check for missing form labels
-      if (
-        /<input(?![^>]*(aria-label|aria-labelledby))/i.test(line) &&
-        !/<input[^>]*type=["']?(hidden|submit|button)/i.test(line)
-      ) {
-        const hasLabel = lines
-          .slice(Math.max(0, index - 2), index + 3)
-          .some((l) => /<label/i.test(l));
-
-        if (!hasLabel) {
-          issues.push({
-            severity: "high",
-            type: "Missing Form Label",
-            file: file.name,
-            line: lineNum,
-            description: "Input field lacks an associated label",
-            suggestion:
-              'Add a <label> element or aria-label attribute. Example: <label for="name">Name:</label><input id="name" />',
-            code: line.trim(),
-          });
-        }
-      }
-
-      // Check for insufficient color contrast indicators
-      if (/style=["'][^"']*color:\s*#?([a-f0-9]{3}|[a-f0-9]{6})/i.test(line)) {
-        issues.push({
-          severity: "medium",
-          type: "Potential Color Contrast Issue",
-          file: file.name,
-          line: lineNum,
-          description:
-            "Inline color styling detected - verify WCAG color contrast ratios",
-          suggestion:
-            "Ensure text has at least 4.5:1 contrast ratio with background (3:1 for large text). Use a contrast checker tool.",
-          code: line.trim(),
-        });
-      }
-
-      // Check for missing heading hierarchy
-      if (/<h([1-6])/i.test(line)) {
-        const match = line.match(/<h([1-6])/i);
-        const headingLevel = parseInt(match[1]);
-
-        // Simple check - could be enhanced
-        if (headingLevel > 2 && index < 50) {
-          issues.push({
-            severity: "low",
-            type: "Heading Hierarchy",
-            file: file.name,
-            line: lineNum,
-            description: `H${headingLevel} used early in document - verify proper heading hierarchy`,
-            suggestion:
-              "Use headings in sequential order (h1, h2, h3) to create a logical document structure.",
-            code: line.trim(),
-          });
-        }
-      }
-
-      // Check for missing language attribute
-      if (/<html(?![^>]*lang=)/i.test(line)) {
-        issues.push({
-          severity: "high",
-          type: "Missing Language Attribute",
-          file: file.name,
-          line: lineNum,
-          description: "HTML element missing lang attribute",
-          suggestion:
-            'Add lang attribute to help screen readers. Example: <html lang="en">',
-          code: line.trim(),
-        });
-      }
-
-      // Check for non-semantic divs used as buttons
-      if (
-        /<div[^>]*onclick=/i.test(line) &&
-        !/<div[^>]*role=["']button/i.test(line)
-      ) {
-        issues.push({
-          severity: "high",
-          type: "Non-Semantic Interactive Element",
-          file: file.name,
-          line: lineNum,
-          description:
-            "Div with click handler should be a button or have proper ARIA role",
-          suggestion:
-            'Use <button> element or add role="button" and keyboard event handlers.',
-          code: line.trim(),
-        });
-      }
+// The rules an analysis runs: those its config enables, and DOM rules only
+// when pages are rendered
+const rulesToRun = (config, mode) =>
+  applyConfig(getRules(), config).filter(
+    (rule) => rule.source === "static" || mode === "dom",
+  );
+
+// Accessibility analysis: every enabled rule runs against each file's
+// parsed element tree
+const analyzeAccessibility = (files, config = resolveConfig()) =>
+  runRules(files, applyConfig(getRules(), config));
+
+// Rendered-page mode: static results plus the DOM rules run on built pages
+const analyzeRenderedPages = (files, pages, config = resolveConfig()) => {
+  const rules = applyConfig(getRules(), config);
+  return mergeResults(runRules(files, rules), runDomRules(pages, rules));
+};
 
-      // Check for links without descriptive text
-      if (
-        /<a[^>]*>[\s]*(click here|read more|here|more)[\s]*<\/a>/i.test(line)
-      ) {
-        issues.push({
-          severity: "medium",
-          type: "Non-Descriptive Link Text",
-          file: file.name,
-          line: lineNum,
-          description: "Link text is not descriptive",
-          suggestion:
-            'Use meaningful link text that describes the destination. Instead of "click here", use "View the accessibility guide".',
-          code: line.trim(),
-        });
-      }
+const countBySeverity = (issues) => ({
+  critical: issues.filter((i) => i.severity === "critical").length,
+  high: issues.filter((i) => i.severity === "high").length,
+  medium: issues.filter((i) => i.severity === "medium").length,
+  low: issues.filter((i) => i.severity === "low").length,
+});
+
+// Issue counts per severity, the same counts for issues not in the
+// project's baseline, and findings silenced by suppressions
+const summarizeIssues = (issues, suppressed = []) => ({
+  ...countBySeverity(issues),
+  new: countBySeverity(issues.filter((i) => !i.baseline)),
+  baseline: issues.filter((i) => i.baseline).length,
+  suppressed: suppressed.length,
+});
+
+// Points an issue count costs by severity
+const calculatePenalty = (counts) =>
+  counts.critical * 10 + counts.high * 5 + counts.medium * 2 + counts.low * 0.5;
+
+// 0-100, with each issue costing points by severity
+const calculateScore = (summary) =>
+  Math.round(Math.max(0, 100 - calculatePenalty(summary)));
+
+// How much of the score was lost to baseline issues and how much to new
+// ones
+const scoreBreakdown = (summary) => {
+  const newPenalty = calculatePenalty(summary.new);
+  return {
+    baselinePenalty: calculatePenalty(summary) - newPenalty,
+    newPenalty,
+  };
+};
 
-      // Check for missing ARIA landmarks
-      if (
-        /<div[^>]*className=["'][^"']*(header|nav|main|footer)/i.test(line) &&
-        !/<div[^>]*role=/i.test(line)
-      ) {
-        issues.push({
-          severity: "low",
-          type: "Missing ARIA Landmark",
-          file: file.name,
-          line: lineNum,
-          description: "Semantic section could benefit from ARIA landmark role",
-          suggestion:
-            "Consider using semantic HTML5 elements (<header>, <nav>, <main>, <footer>) or add appropriate ARIA roles.",
-          code: line.trim(),
-        });
-      }
-    });
+// Fingerprints the issues, marks those already in the baseline and works
+// out the summary, score and pass/fail gate. Shared by analysis jobs and the
+// CLI so both score a project the same way.
+const scoreIssues = (issues, suppressed, { root, baseline, failOn }) => {
+  [...issues, ...suppressed].forEach((issue) => {
+    issue.fingerprint = fingerprintIssue(issue, root);
   });
-
-  return issues;
+  classifyIssues(issues, baseline?.fingerprints);
+  const summary = summarizeIssues(issues, suppressed);
+  return {
+    summary,
+    accessibilityScore: calculateScore(summary),
+    scoreBreakdown: scoreBreakdown(summary),
+    gate: evaluateGate(issues, failOn),
+  };
 };
 
-// AI-powered suggestions using Claude API
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-const getAISuggestions = async (issues, files) => {
-  try {
-    if (!process.env.GEMINI_API_KEY) {
-      console.warn("Gemini API key missing – using fallback");
-      return generateFallbackSuggestions(issues);
-    }
+// What changed between two analyses: issues matched by fingerprint, and
+// the change in issue count per severity
+const compareAnalyses = (base, head) => {
+  const matched = matchIssues(
+    base.issues,
+    head.issues,
+    analysisRoot(base),
+    analysisRoot(head),
+  );
+  const severities = Object.fromEntries(
+    SEVERITIES.map((severity) => {
+      const count = (list) =>
+        list.filter((i) => i.severity === severity).length;
+      return [
+        severity,
+        {
+          base: count(base.issues),
+          head: count(head.issues),
+          delta: count(head.issues) - count(base.issues),
+          new: count(matched.newIssues),
+          resolved: count(matched.resolvedIssues),
+        },
+      ];
+    }),
+  );
+  return {
+    scoreDelta: head.accessibilityScore - base.accessibilityScore,
+    severities,
+    ...matched,
+  };
+};
 
-    const summary = {
-      total: issues.length,
-      critical: issues.filter((i) => i.severity === "critical").length,
-      high: issues.filter((i) => i.severity === "high").length,
-      medium: issues.filter((i) => i.severity === "medium").length,
-      low: issues.filter((i) => i.severity === "low").length,
-      issueTypes: [...new Set(issues.map((i) => i.type))],
-      sampleIssues: issues.slice(0, 6),
-    };
+// The issues the model sees, most severe first, each with a "ref" the
+// blockers point back to
+const promptSample = (issues, sampleSize) =>
+  [...issues]
+    .sort(
+      (a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity),
+    )
+    .slice(0, sampleSize);
 
-    const prompt = `
+const recommendationsPrompt = (issues, sample) => {
+  const summary = {
+    total: issues.length,
+    critical: issues.filter((i) => i.severity === "critical").length,
+    high: issues.filter((i) => i.severity === "high").length,
+    medium: issues.filter((i) => i.severity === "medium").length,
+    low: issues.filter((i) => i.severity === "low").length,
+    issueTypes: [...new Set(issues.map((i) => i.type))],
+  };
+  const sampleIssues = sample.map((issue, index) => ({
+    ref: index + 1,
+    severity: issue.severity,
+    type: issue.type,
+    file: issue.file,
+    line: issue.line,
+    description: issue.description,
+    code: issue.code,
+    wcag: (issue.wcag || []).map((c) => `${c.criterion} ${c.name}`),
+  }));
+
+  return `
 You are a WCAG 2.1 AA accessibility expert.
 
 Analyze the detected issues and provide actionable guidance.
@@ -227,120 +173,289 @@ Issue Types:
 ${summary.issueTypes.join(", ")}
 
 Sample Issues:
-${JSON.stringify(summary.sampleIssues, null, 2)}
-
-Return:
-1. Overall accessibility health (2–3 sentences)
-2. Top 3 blockers and why they matter
-3. Quick fixes developers can apply today
-4. Long-term accessibility strategy
-5. WCAG principles impacted (Perceivable, Operable, Understandable, Robust)
+${JSON.stringify(sampleIssues, null, 2)}
+
+Return only a JSON object, with plain text (no Markdown) in every field:
+{
+  "health": "Overall accessibility health in 2-3 sentences",
+  "blockers": [{ "title": "...", "impact": "Why it matters", "issues": [refs of the sample issues it covers] }],
+  "quickWins": [{ "title": "...", "detail": "A fix developers can apply today" }],
+  "longTerm": [{ "title": "...", "detail": "Long-term accessibility strategy" }],
+  "principles": [{ "principle": "Perceivable" | "Operable" | "Understandable" | "Robust", "explanation": "How the issues affect it" }]
+}
+List the top 3 blockers at most, and only the WCAG principles the issues affect.
 
 Tone: clear, friendly, professional.
 `;
+};
 
-    const model = genAI.getGenerativeModel({
-      model: "gemini-2.5-flash",
-    });
-
-    const result = await model.generateContent(prompt);
-    return result.response.text();
-  } catch (error) {
-    console.error("Gemini AI Error:", error);
-    return generateFallbackSuggestions(issues);
+// Recommendations from the selected AI provider (see ai/index.js), or the
+// built-in ones when it isn't configured, fails or replies with something
+// that isn't valid recommendations. Issues need their _id, which blockers
+// link to. Returns the recommendations and the provider and model that
+// wrote them.
+const getAIRecommendations = async (issues, { provider: preferred } = {}) => {
+  const provider = selectProvider(preferred);
+  let error;
+  if (provider.id !== "fallback") {
+    const { model, maxInputTokens } = provider.settings();
+    try {
+      let sample;
+      const prompt = fitPrompt(
+        (sampleSize) => {
+          sample = promptSample(issues, sampleSize);
+          return recommendationsPrompt(issues, sample);
+        },
+        6,
+        maxInputTokens,
+      );
+      const text = await generateText(provider, prompt);
+      try {
+        const recommendations = parseRecommendations(text, sample);
+        return { recommendations, provider: provider.id, model };
+      } catch (err) {
+        throw new Error(`unusable recommendations: ${err.message}`);
+      }
+    } catch (err) {
+      console.error(`${provider.label} error:`, err.message);
+      error = `${provider.label}: ${err.message}`;
+    }
   }
+  return {
+    recommendations: generateFallbackRecommendations(issues),
+    provider: "fallback",
+    error,
+  };
 };
 
-// Generate intelligent fallback suggestions without AI
-const generateFallbackSuggestions = (issues) => {
-  const summary = {
-    critical: issues.filter((i) => i.severity === "critical").length,
-    high: issues.filter((i) => i.severity === "high").length,
-    medium: issues.filter((i) => i.severity === "medium").length,
-    low: issues.filter((i) => i.severity === "low").length,
-    total: issues.length,
-  };
+// The lines around an issue, numbered, for the fix prompt
+const codeWindow = (content, line, radius) => {
+  const lines = content.split("\n");
+  const start = Math.max(1, line - radius);
+  const end = Math.min(lines.length, line + radius);
+  const width = String(end).length;
+  return lines
+    .slice(start - 1, end)
+    .map((text, i) => `${String(start + i).padStart(width)} | ${text}`)
+    .join("\n");
+};
 
-  const issueTypes = [...new Set(issues.map((i) => i.type))];
+const fixPrompt = (issue, file, content, radius) => `
+You are a WCAG 2.1 accessibility expert fixing one issue in ${file}.
 
-  let suggestions = `## 📊 Accessibility Analysis Summary\n\n`;
+Issue: ${issue.type} (${issue.ruleId}) at line ${issue.line}
+${issue.description}
+${issue.wcag?.length ? `WCAG: ${issue.wcag.map((c) => `${c.criterion} ${c.name}`).join(", ")}\n` : ""}Usual fix: ${issue.suggestion}
 
-  // Overall Assessment
-  if (summary.total === 0) {
-    suggestions += `**Great news!** No accessibility issues were detected in your project. Keep up the excellent work in maintaining accessible code!\n\n`;
-  } else if (summary.critical > 0) {
-    suggestions += `**Attention Required:** Your project has ${summary.critical} critical accessibility issue${summary.critical > 1 ? "s" : ""} that need immediate attention. These issues can prevent users with disabilities from accessing your content.\n\n`;
-  } else if (summary.high > 0) {
-    suggestions += `**Good Progress:** While there are no critical issues, you have ${summary.high} high-priority item${summary.high > 1 ? "s" : ""} that should be addressed soon to improve accessibility.\n\n`;
-  } else {
-    suggestions += `**Looking Good:** Your project has only minor accessibility improvements to make. You're on the right track!\n\n`;
-  }
+Code from ${file}, with line numbers:
+${codeWindow(content, issue.line || 1, radius)}
 
-  // Priority Fixes
-  suggestions += `### 🎯 Top Priority Fixes\n\n`;
-
-  const criticalIssues = issues
-    .filter((i) => i.severity === "critical")
-    .slice(0, 3);
-  const highIssues = issues.filter((i) => i.severity === "high").slice(0, 3);
-  const topIssues = [...criticalIssues, ...highIssues].slice(0, 3);
-
-  if (topIssues.length > 0) {
-    topIssues.forEach((issue, idx) => {
-      suggestions += `**${idx + 1}. ${issue.type}** (${issue.severity})\n`;
-      suggestions += `   - Found in: ${issue.file}\n`;
-      suggestions += `   - Fix: ${issue.suggestion}\n\n`;
-    });
-  } else {
-    suggestions += `No critical or high-priority issues found. Focus on the medium and low-priority improvements below.\n\n`;
-  }
+Return a unified diff against ${file} that fixes only this issue, in a
+\`\`\`diff block. Use the line numbers above in the hunk headers but not in the
+diff lines, include a few unchanged lines of context, and leave unrelated
+code alone. Don't silence the issue with a suppression comment. After the
+block, explain the change in one or two sentences.
+`;
 
-  // Quick Wins
-  suggestions += `### ⚡ Quick Wins (Easy Fixes with Big Impact)\n\n`;
+// Rules that only fire with the rest of the project in view (e.g. theme
+// colours from another file) can't be re-checked one file at a time
+const verifyFix = (issue, original, patched, config) => {
+  if (issue.source === "dom") return { status: "unverified", introduced: [] };
 
-  const quickWins = [];
-  if (issueTypes.includes("Missing Alt Text")) {
-    quickWins.push(
-      `- **Add alt attributes to images**: This is one of the easiest and most impactful fixes. Every <img> tag should have an alt attribute describing the image.`,
-    );
-  }
-  if (issueTypes.includes("Missing Form Label")) {
-    quickWins.push(
-      `- **Label your form inputs**: Wrap inputs with <label> tags or add aria-label attributes. This helps screen reader users understand what each field is for.`,
-    );
-  }
-  if (issueTypes.includes("Missing Language Attribute")) {
-    quickWins.push(
-      `- **Add lang attribute to HTML**: Simply add lang="en" (or your language code) to your <html> tag. This helps screen readers pronounce content correctly.`,
-    );
-  }
-  if (issueTypes.includes("Button Without Text")) {
-    quickWins.push(
-      `- **Add text to buttons**: Ensure all buttons have visible text or aria-label attributes so users know what the button does.`,
-    );
-  }
+  const rules = applyConfig(getRules(), config);
+  const check = (content) => {
+    const result = runRules([{ name: issue.file, content }], rules);
+    return [...result.issues, ...result.suppressed];
+  };
+  const before = check(original);
+  const target = fingerprintIssue(issue);
+  const known = new Set(before.map((i) => fingerprintIssue(i)));
+  if (!known.has(target)) return { status: "unverified", introduced: [] };
+
+  const after = check(patched);
+  const introduced = after.filter((i) => !known.has(fingerprintIssue(i)));
+  // Rewriting the flagged code without fixing it shows up as a new issue
+  // from the same rule
+  const remains = after.some(
+    (i) =>
+      i.ruleId === issue.ruleId &&
+      (fingerprintIssue(i) === target || introduced.includes(i)),
+  );
+  return {
+    status: remains ? "not-fixed" : "fixed",
+    introduced: introduced
+      .filter((i) => i.ruleId !== issue.ruleId)
+      .map(({ type, line, description }) => ({ type, line, description })),
+  };
+};
 
-  if (quickWins.length > 0) {
-    quickWins.forEach((win) => (suggestions += win + "\n"));
-  } else {
-    suggestions += `Great job! You've already addressed the most common quick-win items.\n`;
+// Asks the AI provider for a patch that fixes one issue, applies it to the
+// file and re-runs the rules on the result. Paths in the diff are relative
+// to the project root. A patch that doesn't apply is
+// returned with status "invalid"; provider errors are thrown.
+const suggestFix = async (issue, content, { config, root }, provider) => {
+  const { model, maxInputTokens } = provider.settings();
+  const file = relativePath(issue.file, root);
+  const prompt = fitPrompt(
+    (radius) => fixPrompt(issue, file, content, radius),
+    20,
+    maxInputTokens,
+  );
+  const reply = await generateText(provider, prompt);
+  const rawDiff = extractDiff(reply).trim();
+  // Whatever follows the diff block explains it
+  const fenceEnd = reply.lastIndexOf("```");
+  const explanation =
+    fenceEnd === -1
+      ? ""
+      : reply
+          .slice(fenceEnd + 3)
+          .trim()
+          .slice(0, 1000);
+  const fix = {
+    provider: provider.id,
+    model,
+    explanation,
+    createdAt: new Date(),
+  };
+
+  let patched;
+  try {
+    patched = applyHunks(content, parseUnifiedDiff(rawDiff));
+  } catch (err) {
+    return {
+      ...fix,
+      diff: rawDiff,
+      status: "invalid",
+      error: `The suggested patch can't be applied: ${err.message}`,
+      introduced: [],
+    };
   }
 
-  suggestions += `\n### 🏗️ Long-term Recommendations\n\n`;
-  suggestions += `1. **Regular Testing**: Use tools like WAVE, axe DevTools, or Lighthouse to continuously check accessibility\n`;
-  suggestions += `2. **Keyboard Navigation**: Ensure all interactive elements can be accessed and used with just a keyboard\n`;
-  suggestions += `3. **Color Contrast**: Maintain at least 4.5:1 contrast ratio for normal text, 3:1 for large text\n`;
-  suggestions += `4. **Semantic HTML**: Use proper HTML5 elements (<header>, <nav>, <main>, <footer>) instead of generic divs\n`;
-  suggestions += `5. **ARIA Best Practices**: Only use ARIA when semantic HTML isn't sufficient\n\n`;
+  return {
+    ...fix,
+    diff: formatUnifiedDiff(file, patched.hunks),
+    ...verifyFix(issue, content, patched.content, config),
+  };
+};
+
+// How closely an issue matches a chat question: the question names its
+// file, its type or its element ("<a>", or a bare name like "h3" for tags
+// longer than one letter)
+const relevance = (issue, question) => {
+  const text = question.toLowerCase();
+  const fileName = (issue.file || "").split("/").pop().toLowerCase();
+  const tag = /^<([\w-]+)/.exec(issue.code || "")?.[1]?.toLowerCase();
+  const namesTag =
+    tag &&
+    (text.includes(`<${tag}`) ||
+      (tag.length > 1 && new RegExp(`\\b${tag}\\b`).test(text)));
+  return (
+    (fileName && text.includes(fileName) ? 3 : 0) +
+    (issue.type && text.includes(issue.type.toLowerCase()) ? 2 : 0) +
+    (namesTag ? 2 : 0)
+  );
+};
 
-  suggestions += `### 📚 Resources\n\n`;
-  suggestions += `- [WebAIM](https://webaim.org/) - Comprehensive accessibility guides\n`;
-  suggestions += `- [WCAG 2.1 Guidelines](https://www.w3.org/WAI/WCAG21/quickref/) - Official standards\n`;
-  suggestions += `- [MDN Accessibility](https://developer.mozilla.org/en-US/docs/Web/Accessibility) - Practical tutorials\n\n`;
+const chatPrompt = (analysis, ranked, snippets) => `
+You are a WCAG 2.1 accessibility expert helping developers with an
+accessibility analysis of their project "${analysis.projectName}". Answer
+their questions about the issues found and how to fix them. Be concise and
+practical, and put code in \`\`\` blocks. When the context below doesn't
+cover a question, say so rather than guessing.
+
+Accessibility score: ${analysis.accessibilityScore}/100
+Issues found: ${analysis.issues.length}${ranked.length < analysis.issues.length ? ` (the ${ranked.length} most relevant are listed)` : ""}
+${ranked
+  .map(
+    (issue) =>
+      `- [${issue.severity}] ${issue.type} at ${issue.file}:${issue.line}: ${issue.description}`,
+  )
+  .join("\n")}
+${snippets
+  .map(
+    ({ file, line, code }) => `
+Code from ${file} around line ${line}:
+${code}`,
+  )
+  .join("\n")}
+`;
 
-  suggestions += `*Keep making your web more accessible for everyone! 🌟*`;
+// Chat messages for a follow-up question: a system message with the issues
+// (those the question is about first) and the code around the most
+// relevant ones, the recent conversation and the question. Files are read
+// with readFile(name), which returns null when they aren't stored.
+const chatMessages = (analysis, question, readFile, maxInputTokens) => {
+  const history = (analysis.chat || [])
+    .slice(-10)
+    .map(({ role, content }) => ({ role, content }));
+  const ranked = analysis.issues
+    .map((issue) => ({ issue, score: relevance(issue, question) }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        SEVERITIES.indexOf(a.issue.severity) -
+          SEVERITIES.indexOf(b.issue.severity),
+    )
+    .map(({ issue }) => issue);
+
+  // The code around the first `count` issues that aren't in a window
+  // already included
+  const radius = 8;
+  const contents = new Map();
+  const snippetsFor = (count) => {
+    const snippets = [];
+    for (const issue of ranked) {
+      if (snippets.length >= count) break;
+      if (!contents.has(issue.file)) {
+        contents.set(issue.file, readFile(issue.file));
+      }
+      const content = contents.get(issue.file);
+      const line = issue.line || 1;
+      const covered = snippets.some(
+        (s) => s.file === issue.file && Math.abs(s.line - line) <= radius,
+      );
+      if (content !== null && !covered) {
+        snippets.push({
+          file: issue.file,
+          line,
+          code: codeWindow(content, line, radius),
+        });
+      }
+    }
+    return snippets;
+  };
 
-  return suggestions;
+  const conversationTokens = estimateTokens(
+    [...history.map((m) => m.content), question].join("\n"),
+  );
+  const system = fitPrompt(
+    (count) =>
+      chatPrompt(
+        analysis,
+        ranked.slice(0, count * 10),
+        snippetsFor(Math.min(count, 4)),
+      ),
+    8,
+    maxInputTokens - conversationTokens,
+  );
+  return [
+    { role: "system", content: system },
+    ...history,
+    { role: "user", content: question },
+  ];
 };
 
-export { analyzeAccessibility, getAISuggestions };
+export {
+  rulesToRun,
+  analyzeAccessibility,
+  analyzeRenderedPages,
+  summarizeIssues,
+  calculateScore,
+  scoreBreakdown,
+  scoreIssues,
+  compareAnalyses,
+  getAIRecommendations,
+  suggestFix,
+  chatMessages,
+};
@@ -0,0 +1,157 @@
+// backend/controllers/projectController.js
+import mongoose from "mongoose";
+import Project, { normalizeProjectName } from "../models/Project.js";
+import Analysis from "../models/Analysis.js";
+
+// Returns the user's project with this name (ignoring case and extra
+// whitespace), creating it the first time the name is used. A blank name
+// falls back to defaultName.
+export const findOrCreateProject = async (
+  userId,
+  name,
+  defaultName = "Untitled Project",
+) => {
+  const displayName =
+    (typeof name === "string" && name.trim().replace(/\s+/g, " ")) ||
+    defaultName;
+  return Project.findOneAndUpdate(
+    { userId, normalizedName: normalizeProjectName(displayName) },
+    { $setOnInsert: { name: displayName } },
+    { upsert: true, returnDocument: "after" },
+  );
+};
+
+// Resolves the project an upload goes into: an existing project by id, or
+// one found or created by name (defaultName when it's blank). Returns null
+// for an unknown id.
+export const resolveProject = async (
+  userId,
+  { projectId, projectName, defaultName },
+) => {
+  if (projectId) {
+    if (!mongoose.isValidObjectId(projectId)) return null;
+    return Project.findOne({ _id: projectId, userId });
+  }
+  return findOrCreateProject(userId, projectName, defaultName);
+};
+
+// Analyses saved before projects existed only have a projectName; group
+// them into projects by that name
+export const assignLegacyAnalyses = async () => {
+  const legacy = await Analysis.find({ projectId: { $exists: false } }).select(
+    "userId projectName",
+  );
+  for (const analysis of legacy) {
+    const project = await findOrCreateProject(
+      analysis.userId,
+      analysis.projectName,
+    );
+    await Analysis.updateOne(
+      { _id: analysis._id },
+      { projectId: project._id, projectName: project.name },
+    );
+  }
+};
+
+// @desc    List projects with their run count and latest run
+// @route   GET /api/projects
+// @access  Private
+export const getProjects = async (req, res) => {
+  try {
+    const projects = await Project.find({ userId: req.user._id })
+      .sort({ name: 1 })
+      .lean();
+    const stats = await Analysis.aggregate([
+      { $match: { userId: req.user._id } },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: "$projectId",
+          runs: { $sum: 1 },
+          latestAnalysisId: { $first: "$_id" },
+          latestScore: { $first: "$accessibilityScore" },
+          latestRunAt: { $first: "$createdAt" },
+        },
+      },
+    ]);
+    const statsById = new Map(stats.map((s) => [String(s._id), s]));
+
+    res.json(
+      projects.map((project) => {
+        const { _id, ...latest } = statsById.get(String(project._id)) || {
+          runs: 0,
+        };
+        return { ...project, ...latest };
+      }),
+    );
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error fetching projects", error: error.message });
+  }
+};
+
+// @desc    Create a project
+// @route   POST /api/projects
+// @access  Private
+export const createProject = async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (typeof name !== "string" || name.trim() === "") {
+      return res.status(400).json({ message: "Please enter a project name" });
+    }
+
+    const existing = await Project.findOne({
+      userId: req.user._id,
+      normalizedName: normalizeProjectName(name),
+    });
+    if (existing) {
+      return res
+        .status(400)
+        .json({
+          message: `You already have a project named "${existing.name}"`,
+        });
+    }
+
+    const project = await findOrCreateProject(req.user._id, name);
+    res.status(201).json(project);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error creating project", error: error.message });
+  }
+};
+
+// @desc    Get a project and its runs, oldest first, for the trend chart
+// @route   GET /api/projects/:id
+// @access  Private
+export const getProject = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Project not found" });
+    }
+    const project = await Project.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).lean();
+    if (!project) {
+      return res.status(404).json({ message: "Project not found" });
+    }
+
+    const runs = await Analysis.find({
+      projectId: project._id,
+      userId: req.user._id,
+    })
+      .sort({ createdAt: 1 })
+      .select(
+        "accessibilityScore summary filesAnalyzed mode repository createdAt",
+      )
+      .lean();
+
+    res.json({ ...project, runs });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error fetching project", error: error.message });
+  }
+};
@@ -0,0 +1,56 @@
+// backend/controllers/settingsController.js
+import User from "../models/User.js";
+import {
+  AI_PROVIDERS,
+  defaultProviderId,
+  listProviders,
+  selectProvider,
+} from "../ai/index.js";
+
+const aiSettings = (user) => ({
+  providers: listProviders(),
+  defaultProvider: defaultProviderId(),
+  // null follows the server's default
+  provider: user.aiProvider || null,
+  // What the next analysis will use
+  effectiveProvider: selectProvider(user.aiProvider).id,
+});
+
+// @desc    The AI providers the server offers and the user's choice
+// @route   GET /api/settings/ai
+// @access  Private
+export const getAiSettings = async (req, res) => {
+  res.json(aiSettings(req.user));
+};
+
+// @desc    Choose the AI provider for the user's analyses
+// @route   PUT /api/settings/ai
+// @access  Private
+export const updateAiSettings = async (req, res) => {
+  try {
+    const provider = req.body.provider || null;
+    if (provider !== null) {
+      if (!AI_PROVIDERS.includes(provider)) {
+        return res.status(400).json({
+          message: `AI provider must be one of ${AI_PROVIDERS.join(", ")}`,
+        });
+      }
+      if (!listProviders().find((p) => p.id === provider).available) {
+        return res
+          .status(400)
+          .json({ message: `${provider} isn't configured on this server` });
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      provider ? { aiProvider: provider } : { $unset: { aiProvider: 1 } },
+      { returnDocument: "after" },
+    );
+    res.json(aiSettings(user));
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error saving AI settings", error: error.message });
+  }
+};
@@ -0,0 +1,82 @@
+// backend/controllers/tokenController.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import ApiToken from "../models/ApiToken.js";
+
+export const TOKEN_PREFIX = "awai_";
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Returns the user id an API token belongs to, or null, and records its use
+export const verifyApiToken = async (token) => {
+  const apiToken = await ApiToken.findOneAndUpdate(
+    { tokenHash: hashToken(token) },
+    { lastUsedAt: new Date() },
+  );
+  return apiToken ? apiToken.userId : null;
+};
+
+// @desc    List the user's API tokens
+// @route   GET /api/tokens
+// @access  Private
+export const getTokens = async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ userId: req.user._id }).sort({
+      createdAt: -1,
+    });
+    res.json(tokens);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error fetching API tokens", error: error.message });
+  }
+};
+
+// @desc    Create an API token; the response is the only time it is shown
+// @route   POST /api/tokens
+// @access  Private
+export const createToken = async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (typeof name !== "string" || name.trim() === "") {
+      return res.status(400).json({ message: "Please enter a token name" });
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+    const apiToken = await ApiToken.create({
+      userId: req.user._id,
+      name,
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, TOKEN_PREFIX.length + 4),
+    });
+    res.status(201).json({ ...apiToken.toJSON(), token });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error creating API token", error: error.message });
+  }
+};
+
+// @desc    Revoke an API token
+// @route   DELETE /api/tokens/:id
+// @access  Private
+export const deleteToken = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Token not found" });
+    }
+    const apiToken = await ApiToken.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+    if (!apiToken) {
+      return res.status(404).json({ message: "Token not found" });
+    }
+    res.json({ message: "Token revoked" });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error revoking API token", error: error.message });
+  }
+};
@@ -5,6 +5,11 @@ import cors from "cors";
 import dotenv from "dotenv";
 import authRoutes from "./routes/authUser.js";
 import analysisRoutes from "./routes/analysis.js";
+import projectRoutes from "./routes/projects.js";
+import tokenRoutes from "./routes/tokens.js";
+import settingsRoutes from "./routes/settings.js";
+import { resumeJobs } from "./jobs/queue.js";
+import { assignLegacyAnalyses } from "./controllers/projectController.js";
 
 dotenv.config();
 
@@ -41,12 +46,22 @@ mongoose
       // useNewUrlParser and useUnifiedTopology are no longer needed/deprecated in newer Mongoose
     },
   )
-  .then(() => console.log("MongoDB connected"))
+  .then(() => {
+    console.log("MongoDB connected");
+    assignLegacyAnalyses()
+      .then(resumeJobs)
+      .catch((err) =>
+        console.error("Error assigning legacy analyses or resuming jobs:", err),
+      );
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
 
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/analysis", analysisRoutes);
+app.use("/api/projects", projectRoutes);
+app.use("/api/tokens", tokenRoutes);
+app.use("/api/settings", settingsRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,168 @@
+// backend/jobs/analysisJob.js
+import AdmZip from "adm-zip";
+import mongoose from "mongoose";
+import fs from "fs";
+import Analysis from "../models/Analysis.js";
+import Project from "../models/Project.js";
+import User from "../models/User.js";
+import {
+  rulesToRun,
+  analyzeAccessibility,
+  analyzeRenderedPages,
+  scoreIssues,
+  getAIRecommendations,
+} from "../controllers/analysisController.js";
+import { readProject } from "../analyzer/project.js";
+import { analysisFingerprints } from "../analyzer/fingerprint.js";
+import {
+  checkoutRepository,
+  listRepositoryFiles,
+  readCheckoutFile,
+  redactUrl,
+  removeCheckout,
+} from "./repository.js";
+import { keepCheckout, keepUpload } from "./sources.js";
+
+const zipEntries = (filePath) => {
+  let zip;
+  try {
+    zip = new AdmZip(filePath);
+  } catch (zipError) {
+    throw new Error("Invalid ZIP file. Please upload a valid ZIP archive.");
+  }
+  return zip
+    .getEntries()
+    .filter((entry) => !entry.isDirectory)
+    .map((entry) => ({
+      name: entry.entryName,
+      read: () => entry.getData().toString("utf8"),
+    }));
+};
+
+const checkoutEntries = (dir, names) =>
+  names.map((name) => ({
+    name,
+    read: () => readCheckoutFile(dir, name, "utf8"),
+  }));
+
+// A baseline file in the project wins over the project's baseline analysis
+const resolveBaseline = async (fileBaseline, projectId) => {
+  if (fileBaseline) return fileBaseline;
+  const project = projectId && (await Project.findById(projectId));
+  if (!project?.baselineAnalysisId) return null;
+  const analysis = await Analysis.findById(project.baselineAnalysisId).lean();
+  if (!analysis) return null;
+  return {
+    source: "analysis",
+    analysisId: analysis._id,
+    fingerprints: analysisFingerprints(analysis),
+  };
+};
+
+// Runs the scan → ai → score stages over a project read during extract and
+// returns the id of the saved Analysis
+const analyzeProject = async (
+  job,
+  stage,
+  { files, pages, config, root, baseline: fileBaseline },
+  details = {},
+) => {
+  const { projectId, projectName, mode } = job.input;
+
+  await stage("scan");
+  const { issues, suppressed, unusedSuppressions } =
+    mode === "dom"
+      ? analyzeRenderedPages(files, pages, config)
+      : analyzeAccessibility(files, config);
+
+  await stage("ai");
+  // Ids up front, so the recommendations can link to issues
+  issues.forEach((issue) => {
+    issue._id = new mongoose.Types.ObjectId();
+  });
+  const user = await User.findById(job.userId).select("aiProvider");
+  const ai = await getAIRecommendations(issues, {
+    provider: user?.aiProvider,
+  });
+
+  await stage("score");
+  const baseline = await resolveBaseline(fileBaseline, projectId);
+  const score = scoreIssues(issues, suppressed, {
+    root,
+    baseline,
+    failOn: config.failOn,
+  });
+  const analysis = await Analysis.create({
+    userId: job.userId,
+    projectId,
+    projectName: projectName || "Untitled Project",
+    filesAnalyzed: files.length,
+    mode,
+    pagesRendered: pages.length,
+    rulesRun: rulesToRun(config, mode).map((rule) => rule.id),
+    issues,
+    suppressedIssues: suppressed,
+    unusedSuppressions,
+    ...score,
+    baseline: baseline && {
+      source: baseline.source,
+      analysisId: baseline.analysisId,
+      issues: baseline.fingerprints.length,
+    },
+    recommendations: ai.recommendations,
+    ai: { provider: ai.provider, model: ai.model, error: ai.error },
+    config,
+    projectRoot: root,
+    ...details,
+  });
+  return analysis._id;
+};
+
+// An uploaded ZIP
+export const runAnalysisJob = async (job, { stage }) => {
+  const { mode, filePath } = job.input;
+  try {
+    await stage("extract");
+    const project = readProject(zipEntries(filePath), {
+      mode,
+      label: "the ZIP",
+    });
+    const analysisId = await analyzeProject(job, stage, project);
+    keepUpload(analysisId, filePath);
+    return analysisId;
+  } finally {
+    removeUpload(filePath);
+  }
+};
+
+// A shallow checkout of a Git repository
+export const runRepositoryJob = async (job, { stage }) => {
+  const { mode, repoUrl, ref } = job.input;
+  await stage("extract");
+  const { dir, commit, branch } = await checkoutRepository(repoUrl, ref);
+  try {
+    const names = await listRepositoryFiles(dir);
+    // The checkout directory is the project root
+    const project = readProject(checkoutEntries(dir, names), {
+      mode,
+      label: "the repository",
+      root: "",
+    });
+    const analysisId = await analyzeProject(job, stage, project, {
+      repository: { url: redactUrl(repoUrl), branch, commit },
+    });
+    keepCheckout(analysisId, dir, names);
+    return analysisId;
+  } finally {
+    removeCheckout(dir);
+  }
+};
+
+export const removeUpload = (filePath) => {
+  if (!filePath) return;
+  fs.unlink(filePath, (err) => {
+    if (err && err.code !== "ENOENT") {
+      console.error("Failed to delete temp file:", err);
+    }
+  });
+};
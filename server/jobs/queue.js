@@ -0,0 +1,100 @@
+// backend/jobs/queue.js
+// In-process job queue. Jobs are stored in MongoDB so clients can follow
+// their progress; a single worker runs them one at a time, since scanning
+// is CPU-bound and would only compete with itself.
+import Job, { JOB_STAGES } from "../models/Job.js";
+import {
+  runAnalysisJob,
+  runRepositoryJob,
+  removeUpload,
+} from "./analysisJob.js";
+
+const handlers = {
+  upload: runAnalysisJob,
+  git: runRepositoryJob,
+};
+
+const pending = [];
+let working = false;
+
+const finishStage = (job, status) => {
+  const current = job.stages.find((s) => s.status === "running");
+  if (current) {
+    current.status = status;
+    current.finishedAt = new Date();
+  }
+};
+
+const runJob = async (jobId) => {
+  const job = await Job.findById(jobId);
+  if (!job || job.status !== "queued") return;
+
+  job.status = "running";
+  await job.save();
+
+  // Handlers call stage(name) as they enter each step; progress is the
+  // share of stages already finished
+  const stage = async (name) => {
+    finishStage(job, "completed");
+    const current = job.stages.find((s) => s.name === name);
+    current.status = "running";
+    current.startedAt = new Date();
+    job.stage = name;
+    job.progress = Math.round(
+      (JOB_STAGES.indexOf(name) / JOB_STAGES.length) * 100,
+    );
+    await job.save();
+  };
+
+  try {
+    job.analysisId = await handlers[job.type](job, { stage });
+    finishStage(job, "completed");
+    job.status = "completed";
+    job.progress = 100;
+  } catch (err) {
+    console.error(`Job ${job._id} failed:`, err);
+    finishStage(job, "failed");
+    job.status = "failed";
+    job.error = err.message;
+  }
+  job.finishedAt = new Date();
+  await job.save();
+};
+
+const work = async () => {
+  if (working) return;
+  working = true;
+  while (pending.length > 0) {
+    const jobId = pending.shift();
+    try {
+      await runJob(jobId);
+    } catch (err) {
+      console.error(`Job ${jobId} could not be run:`, err);
+    }
+  }
+  working = false;
+};
+
+export const enqueueJob = (jobId) => {
+  pending.push(String(jobId));
+  work();
+};
+
+// On startup: jobs that were running when the server stopped can't be
+// resumed mid-stage, so they fail; queued jobs are picked up again
+export const resumeJobs = async () => {
+  const interrupted = await Job.find({ status: "running" });
+  for (const job of interrupted) {
+    finishStage(job, "failed");
+    job.status = "failed";
+    job.error = "The server restarted while this job was running.";
+    job.finishedAt = new Date();
+    await job.save();
+    removeUpload(job.input?.filePath);
+  }
+
+  const queued = await Job.find({ status: "queued" })
+    .sort({ createdAt: 1 })
+    .select("_id");
+  queued.forEach((job) => enqueueJob(job._id));
+};
@@ -0,0 +1,185 @@
+// backend/jobs/repository.js
+// Shallow checkouts of Git repositories for analysis. Uses the system git
+// binary; nothing here runs hooks or reads the user's git credentials.
+import { execFile } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const GIT_TIMEOUT = 2 * 60 * 1000;
+const REMOTE_URL = /^(https?|ssh|git):\/\/[^\s]+$|^[\w.-]+@[\w.-]+:[^\s]+$/;
+const LOCAL_URL = /^file:\/\/\/[^\s]+$|^\/[^\s]*$/;
+const COMMIT_SHA = /^[0-9a-f]{40}$/i;
+
+// Local paths expose whatever repositories live on the server's disk, so
+// they're only accepted outside production unless explicitly allowed
+const allowLocalRepositories = () =>
+  process.env.ALLOW_LOCAL_REPOS
+    ? process.env.ALLOW_LOCAL_REPOS === "true"
+    : process.env.NODE_ENV !== "production";
+
+const git = (args, cwd) =>
+  new Promise((resolve, reject) => {
+    execFile(
+      "git",
+      args,
+      {
+        cwd,
+        timeout: GIT_TIMEOUT,
+        maxBuffer: 20 * 1024 * 1024,
+        env: {
+          ...process.env,
+          GIT_TERMINAL_PROMPT: "0",
+          GIT_CONFIG_NOSYSTEM: "1",
+          GIT_CONFIG_GLOBAL: os.devNull,
+        },
+      },
+      (err, stdout, stderr) => {
+        if (err) {
+          const message = (stderr || err.message).trim().split("\n").pop();
+          reject(new Error(message));
+        } else {
+          resolve(stdout);
+        }
+      },
+    );
+  });
+
+// Returns an error message for an unusable URL or ref, or null
+export const validateRepository = (url, ref) => {
+  if (typeof url !== "string" || url.trim() === "") {
+    return "Please enter a Git repository URL";
+  }
+  const trimmed = url.trim();
+  if (LOCAL_URL.test(trimmed)) {
+    if (!allowLocalRepositories()) {
+      return "Local repositories are disabled on this server";
+    }
+  } else if (!REMOTE_URL.test(trimmed)) {
+    return "Repository must be an http(s), ssh, git or file:// URL, or an absolute path";
+  }
+  if (
+    ref &&
+    (typeof ref !== "string" ||
+      !/^[\w./-]+$/.test(ref) ||
+      ref.startsWith("-") ||
+      ref.includes(".."))
+  ) {
+    return "Branch or commit contains invalid characters";
+  }
+  return null;
+};
+
+// Credentials embedded in the URL are never stored
+export const redactUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    parsed.username = "";
+    parsed.password = "";
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+};
+
+// Project name for a repository when none was given: its last path segment
+export const repositoryName = (url) =>
+  url
+    .trim()
+    .replace(/\/+$/, "")
+    .split(/[/:]/)
+    .pop()
+    .replace(/\.git$/, "") || "repository";
+
+const defaultBranch = async (url, cwd) => {
+  const output = await git(["ls-remote", "--symref", "--", url, "HEAD"], cwd);
+  const match = /^ref: refs\/heads\/(\S+)\s+HEAD/m.exec(output);
+  return match ? match[1] : null;
+};
+
+// Fetches a single commit (depth 1) of `ref` — a branch, tag or commit SHA,
+// or the default branch when empty — into a new temp directory. Returns
+// { dir, commit, branch }; branch is null when a commit was requested.
+export const checkoutRepository = async (url, ref) => {
+  const remote = url.trim().startsWith("/") ? `file://${url.trim()}` : url;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "accesswai-repo-"));
+  try {
+    await git(["init", "--quiet"], dir);
+    // Symlinks are checked out as plain files holding their target, so
+    // none can point at files on the server
+    await git(["config", "core.symlinks", "false"], dir);
+    const target = ref || "HEAD";
+    await git(
+      ["fetch", "--quiet", "--depth", "1", "--no-tags", "--", remote, target],
+      dir,
+    );
+    await git(["checkout", "--quiet", "--detach", "FETCH_HEAD"], dir);
+    const commit = (await git(["rev-parse", "HEAD"], dir)).trim();
+
+    let branch = null;
+    if (!ref) branch = await defaultBranch(remote, dir);
+    else if (!COMMIT_SHA.test(ref)) branch = ref.replace(/^refs\/heads\//, "");
+
+    return { dir, commit, branch };
+  } catch (err) {
+    removeCheckout(dir);
+    throw new Error(`Could not fetch the repository: ${err.message}`);
+  }
+};
+
+// Regular files (git modes 100644 and 100755); symlinks and submodules
+// are left out
+const REGULAR_FILE = /^100(644|755) /;
+
+// The real path of a checked-out file. Throws for anything that isn't a
+// regular file inside the checkout, so a repository can't make the server
+// read files outside it.
+const checkoutPath = (dir, name) => {
+  const root = fs.realpathSync(dir);
+  const inside = (file) => file.startsWith(`${root}${path.sep}`);
+  const file = path.resolve(root, name);
+  if (!inside(file)) throw new Error(`${name} is outside the repository`);
+  if (!fs.lstatSync(file).isFile()) {
+    throw new Error(`${name} is not a regular file`);
+  }
+  const real = fs.realpathSync(file);
+  if (!inside(real)) throw new Error(`${name} is outside the repository`);
+  return real;
+};
+
+export const readCheckoutFile = (dir, name, encoding) =>
+  fs.readFileSync(checkoutPath(dir, name), encoding);
+
+const isCheckoutFile = (dir, name) => {
+  try {
+    return Boolean(checkoutPath(dir, name));
+  } catch {
+    return false;
+  }
+};
+
+// Tracked regular files inside the checkout, minus any that match the
+// repository's .gitignore rules
+export const listRepositoryFiles = async (dir) => {
+  const split = (output) => output.split("\0").filter(Boolean);
+  const tracked = split(await git(["ls-files", "-s", "-z"], dir))
+    .filter((entry) => REGULAR_FILE.test(entry))
+    .map((entry) => entry.slice(entry.indexOf("\t") + 1));
+  const ignored = new Set(
+    split(
+      await git(
+        ["ls-files", "-z", "--cached", "--ignored", "--exclude-standard"],
+        dir,
+      ),
+    ),
+  );
+  return tracked.filter(
+    (name) => !ignored.has(name) && isCheckoutFile(dir, name),
+  );
+};
+
+export const removeCheckout = (dir) => {
+  fs.rm(dir, { recursive: true, force: true }, (err) => {
+    if (err) console.error("Failed to delete checkout:", err);
+  });
+};
@@ -0,0 +1,64 @@
+// backend/jobs/sources.js
+// Each analysis keeps a ZIP of the project it scanned, so suggested fixes
+// can be checked against the real files later. SOURCES_DIR sets where they
+// are stored (default: a folder in the system temp directory).
+import AdmZip from "adm-zip";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { readCheckoutFile } from "./repository.js";
+
+const sourcesDir = () =>
+  process.env.SOURCES_DIR || path.join(os.tmpdir(), "accesswai-sources");
+
+const sourcePath = (analysisId) => path.join(sourcesDir(), `${analysisId}.zip`);
+
+// Keeping the source is best-effort: the analysis itself is still valid
+// without it
+const keep = (analysisId, write) => {
+  try {
+    fs.mkdirSync(sourcesDir(), { recursive: true });
+    write(sourcePath(analysisId));
+  } catch (err) {
+    console.error(`Failed to keep source for analysis ${analysisId}:`, err);
+  }
+};
+
+// An uploaded ZIP is kept as it was uploaded
+export const keepUpload = (analysisId, filePath) =>
+  keep(analysisId, (target) => fs.copyFileSync(filePath, target));
+
+// A checkout is zipped from the files that were analyzed
+export const keepCheckout = (analysisId, dir, names) =>
+  keep(analysisId, (target) => {
+    const zip = new AdmZip();
+    names.forEach((name) => zip.addFile(name, readCheckoutFile(dir, name)));
+    zip.writeZip(target);
+  });
+
+// An analysis' stored source as an AdmZip, or null when it isn't there
+export const openSource = (analysisId) => {
+  const zipPath = sourcePath(analysisId);
+  return fs.existsSync(zipPath) ? new AdmZip(zipPath) : null;
+};
+
+// A file's text from a stored source ZIP, or null when it isn't there
+export const readZipEntry = (zip, name) => {
+  const entry = zip.getEntry(name);
+  return entry && !entry.isDirectory ? entry.getData().toString("utf8") : null;
+};
+
+// A file's text from an analysis' stored source, or null when the source or
+// the file isn't there
+export const readSourceFile = (analysisId, name) => {
+  const zip = openSource(analysisId);
+  return zip && readZipEntry(zip, name);
+};
+
+export const removeSource = (analysisId) => {
+  fs.unlink(sourcePath(analysisId), (err) => {
+    if (err && err.code !== "ENOENT") {
+      console.error("Failed to delete stored source:", err);
+    }
+  });
+};
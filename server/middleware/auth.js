@@ -1,6 +1,7 @@
 // backend/middleware/auth.js
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { TOKEN_PREFIX, verifyApiToken } from '../controllers/tokenController.js';
 
 export const protect = async (req, res, next) => {
   try {
@@ -14,8 +15,14 @@ export const protect = async (req, res, next) => {
       return res.status(401).json({ message: 'Not authorized to access this route' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    req.user = await User.findById(decoded.id).select('-password');
+    // API tokens (CLI, CI) or a login session's JWT
+    let userId;
+    if (token.startsWith(TOKEN_PREFIX)) {
+      userId = await verifyApiToken(token);
+    } else {
+      userId = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key').id;
+    }
+    req.user = userId && await User.findById(userId).select('-password');
 
     if (!req.user) {
       return res.status(401).json({ message: 'User not found' });
@@ -2,44 +2,263 @@
 // backend/models/Analysis.js
 import mongoose from 'mongoose';
 
+const wcagSchema = new mongoose.Schema({
+  criterion: String,
+  name: String,
+  level: {
+    type: String,
+    enum: ['A', 'AA', 'AAA']
+  },
+  principle: String,
+  url: String
+}, { _id: false });
+
+const recommendationItemSchema = new mongoose.Schema({
+  title: String,
+  detail: String
+}, { _id: false });
+
+const recommendationBlockerSchema = new mongoose.Schema({
+  title: String,
+  impact: String,
+  issueIds: [mongoose.Schema.Types.ObjectId]
+}, { _id: false });
+
+const recommendationPrincipleSchema = new mongoose.Schema({
+  principle: {
+    type: String,
+    enum: ['Perceivable', 'Operable', 'Understandable', 'Robust']
+  },
+  explanation: String
+}, { _id: false });
+
+const chatMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: String,
+  // Who wrote an assistant message
+  provider: String,
+  model: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const issueSchema = new mongoose.Schema({
   severity: {
     type: String,
     enum: ['critical', 'high', 'medium', 'low'],
     required: true
   },
+  ruleId: String,
+  source: {
+    type: String,
+    enum: ['static', 'dom'],
+    default: 'static'
+  },
   type: String,
+  wcag: [wcagSchema],
+  helpUrl: String,
   file: String,
   line: Number,
+  column: Number,
   description: String,
   suggestion: String,
-  code: String
+  code: String,
+  contrast: {
+    foreground: String,
+    background: String,
+    ratio: Number,
+    required: Number,
+    largeText: Boolean
+  },
+  component: {
+    name: String,
+    file: String,
+    line: Number
+  },
+  suppressedBy: {
+    directive: String,
+    line: Number
+  },
+  // Identifies the issue across runs; see analyzer/fingerprint.js
+  fingerprint: String,
+  // Already present in the project's baseline
+  baseline: { type: Boolean, default: false },
+  // The latest AI-suggested patch; see suggestFix in analysisController.js
+  fix: {
+    diff: String,
+    explanation: String,
+    // Whether re-running the rules on the patched file clears the issue
+    status: {
+      type: String,
+      enum: ['fixed', 'not-fixed', 'unverified', 'invalid']
+    },
+    error: String,
+    introduced: [{
+      type: { type: String },
+      line: Number,
+      description: String,
+      _id: false
+    }],
+    provider: String,
+    model: String,
+    createdAt: Date
+  }
 });
 
+const severityCountsSchema = new mongoose.Schema({
+  critical: { type: Number, default: 0 },
+  high: { type: Number, default: 0 },
+  medium: { type: Number, default: 0 },
+  low: { type: Number, default: 0 }
+}, { _id: false });
+
+const unusedSuppressionSchema = new mongoose.Schema({
+  file: String,
+  line: Number,
+  directive: String,
+  rules: [String]
+}, { _id: false });
+
+// A reviewer's changes to the automated conformance report draft
+const acrCriterionSchema = new mongoose.Schema({
+  criterion: String,
+  conformance: {
+    type: String,
+    enum: ['Supports', 'Partially Supports', 'Does Not Support', 'Not Applicable', 'Not Evaluated']
+  },
+  remarks: String
+}, { _id: false });
+
 const analysisSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    index: true
+  },
+  // The project's name when the analysis ran
   projectName: {
     type: String,
     required: true
   },
   filesAnalyzed: Number,
+  // Folder the project's files share (e.g. the zipped top-level folder)
+  projectRoot: String,
+  mode: {
+    type: String,
+    enum: ['static', 'dom'],
+    default: 'static'
+  },
+  pagesRendered: { type: Number, default: 0 },
+  // Set when the project was fetched from Git rather than uploaded
+  repository: {
+    url: String,
+    branch: String,
+    commit: String
+  },
   issues: [issueSchema],
+  suppressedIssues: [issueSchema],
+  unusedSuppressions: [unusedSuppressionSchema],
   summary: {
     critical: { type: Number, default: 0 },
     high: { type: Number, default: 0 },
     medium: { type: Number, default: 0 },
-    low: { type: Number, default: 0 }
+    low: { type: Number, default: 0 },
+    new: severityCountsSchema,
+    baseline: { type: Number, default: 0 },
+    suppressed: { type: Number, default: 0 }
   },
   accessibilityScore: {
     type: Number,
     min: 0,
     max: 100
   },
+  // Points lost to baseline and to new issues
+  scoreBreakdown: {
+    baselinePenalty: Number,
+    newPenalty: Number
+  },
+  // Pass/fail: no new issue at or above config.failOn
+  gate: {
+    passed: Boolean,
+    failOn: String,
+    failing: Number
+  },
+  baseline: {
+    source: {
+      type: String,
+      enum: ['file', 'analysis']
+    },
+    analysisId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Analysis'
+    },
+    issues: Number
+  },
+  // Markdown recommendations of analyses from before they were structured
   aiSuggestions: String,
+  // See ai/recommendations.js; blockers link to the issues they cover
+  recommendations: {
+    health: String,
+    blockers: [recommendationBlockerSchema],
+    quickWins: [recommendationItemSchema],
+    longTerm: [recommendationItemSchema],
+    principles: [recommendationPrincipleSchema]
+  },
+  // Follow-up questions about the analysis and the AI's answers
+  chat: [chatMessageSchema],
+  // Who wrote the recommendations; error says why the chosen provider
+  // wasn't used
+  ai: {
+    provider: {
+      type: String,
+      enum: ['gemini', 'openai', 'fallback']
+    },
+    model: String,
+    error: String
+  },
+  config: {
+    level: {
+      type: String,
+      enum: ['A', 'AA', 'AAA']
+    },
+    rules: {
+      type: Map,
+      of: String
+    },
+    ignore: [String],
+    failOn: String,
+    source: String
+  },
+  // Ids of the rules that ran. Missing on analyses from before it was
+  // recorded, which the conformance report treats as unknown.
+  rulesRun: {
+    type: [String],
+    default: undefined
+  },
+  // Edits to the Accessibility Conformance Report; see analyzer/acr.js
+  acr: {
+    product: {
+      name: String,
+      version: String,
+      description: String
+    },
+    contact: String,
+    notes: String,
+    evaluationMethods: String,
+    criteria: [acrCriterionSchema],
+    updatedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
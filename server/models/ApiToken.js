@@ -0,0 +1,41 @@
+// backend/models/ApiToken.js
+import mongoose from 'mongoose';
+
+// Long-lived tokens for the CLI and CI. Only a hash is stored; the token
+// itself is shown once, when it is created.
+const apiTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The first characters of the token, to tell tokens apart in a list
+  prefix: String,
+  lastUsedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+apiTokenSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+export default ApiToken;
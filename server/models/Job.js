@@ -0,0 +1,94 @@
+// backend/models/Job.js
+import mongoose from 'mongoose';
+import { redactUrl } from '../jobs/repository.js';
+
+export const JOB_STAGES = ['extract', 'scan', 'ai', 'score'];
+
+const stageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: JOB_STAGES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  startedAt: Date,
+  finishedAt: Date
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['upload', 'git'],
+    default: 'upload'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  stage: {
+    type: String,
+    enum: JOB_STAGES
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  stages: {
+    type: [stageSchema],
+    default: () => JOB_STAGES.map((name) => ({ name }))
+  },
+  // What the worker needs to run the analysis
+  input: {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    },
+    projectName: String,
+    mode: {
+      type: String,
+      enum: ['static', 'dom'],
+      default: 'static'
+    },
+    filePath: String,
+    repoUrl: String,
+    ref: String
+  },
+  analysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Analysis'
+  },
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date
+});
+
+// The upload's temp path and any credentials in the repository URL stay
+// on the server
+jobSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.input) {
+      delete ret.input.filePath;
+      if (ret.input.repoUrl) ret.input.repoUrl = redactUrl(ret.input.repoUrl);
+    }
+    return ret;
+  }
+});
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
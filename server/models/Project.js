@@ -0,0 +1,43 @@
+// backend/models/Project.js
+import mongoose from 'mongoose';
+
+// "Checkout", "checkout " and "Checkout  page" name the same projects as
+// "checkout" and "checkout page"
+export const normalizeProjectName = (name) =>
+  name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const projectSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  normalizedName: {
+    type: String,
+    required: true
+  },
+  // Issues in this analysis count as baseline in later runs
+  baselineAnalysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Analysis'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+projectSchema.index({ userId: 1, normalizedName: 1 }, { unique: true });
+
+projectSchema.pre('validate', function() {
+  if (this.name) this.normalizedName = normalizeProjectName(this.name);
+});
+
+const Project = mongoose.model('Project', projectSchema);
+
+export default Project;
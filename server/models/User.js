@@ -20,6 +20,11 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // AI provider for the user's analyses; unset uses the server's default
+  aiProvider: {
+    type: String,
+    enum: ['gemini', 'openai', 'fallback']
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -2,16 +2,44 @@
 import express from "express";
 const router = express.Router();
 import multer from "multer";
-import AdmZip from "adm-zip";
+import mongoose from "mongoose";
 import os from "os";
 import path from "path";
 import fs from "fs";
 import { protect } from "../middleware/auth.js";
 import Analysis from "../models/Analysis.js";
+import Job from "../models/Job.js";
+import Project from "../models/Project.js";
+import { enqueueJob } from "../jobs/queue.js";
+import { removeUpload } from "../jobs/analysisJob.js";
 import {
-  analyzeAccessibility,
-  getAISuggestions,
+  openSource,
+  readSourceFile,
+  readZipEntry,
+  removeSource,
+} from "../jobs/sources.js";
+import { selectProvider, streamText } from "../ai/index.js";
+import { validateRepository, repositoryName } from "../jobs/repository.js";
+import {
+  compareAnalyses,
+  suggestFix,
+  chatMessages,
 } from "../controllers/analysisController.js";
+import { resolveProject } from "../controllers/projectController.js";
+import { BASELINE_FILE, createBaseline } from "../analyzer/baseline.js";
+import { analysisConfig } from "../analyzer/config.js";
+import { analysisRoot, relativePath } from "../analyzer/fingerprint.js";
+import { isFixable, parseFixOptions, planFixes } from "../analyzer/fixes.js";
+import { createUnifiedDiff } from "../analyzer/patch.js";
+import { EXPORT_FORMATS, exportAnalysis } from "../analyzer/export.js";
+import { renderHtmlReport } from "../analyzer/report.js";
+import { renderPdfReport } from "../analyzer/reportPdf.js";
+import {
+  buildAcr,
+  parseAcrEdits,
+  renderAcrHtml,
+  renderAcrPdf,
+} from "../analyzer/acr.js";
 
 const upload = multer({
   storage: multer.diskStorage({
@@ -37,95 +65,117 @@ const upload = multer({
   },
 });
 
-// Upload and analyze project
+// Upload a project; the analysis runs as a background job
 router.post("/upload", protect, upload.single("project"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: "Please upload a project file" });
     }
 
-    const { projectName } = req.body;
+    const { projectId, projectName } = req.body;
+    const mode = req.body.mode || "static";
+    if (!["static", "dom"].includes(mode)) {
+      removeUpload(req.file.path);
+      return res
+        .status(400)
+        .json({ message: 'Analysis mode must be "static" or "dom"' });
+    }
 
-    let zip;
-    try {
-      zip = new AdmZip(req.file.path);
-    } catch (zipError) {
-      return res.status(400).json({
-        message: "Invalid ZIP file. Please upload a valid ZIP archive.",
-      });
+    const project = await resolveProject(req.user._id, {
+      projectId,
+      projectName,
+    });
+    if (!project) {
+      removeUpload(req.file.path);
+      return res.status(404).json({ message: "Project not found" });
     }
 
-    const zipEntries = zip.getEntries();
-
-    const files = [];
-    zipEntries.forEach((entry) => {
-      if (
-        !entry.isDirectory &&
-        /\.(html|jsx|js|tsx|ts)$/i.test(entry.entryName)
-      ) {
-        try {
-          files.push({
-            name: entry.entryName,
-            content: entry.getData().toString("utf8"),
-          });
-        } catch (err) {
-          console.error(`Error reading file ${entry.entryName}:`, err);
-        }
-      }
+    const job = await Job.create({
+      userId: req.user._id,
+      type: "upload",
+      input: {
+        projectId: project._id,
+        projectName: project.name,
+        mode,
+        filePath: req.file.path,
+      },
     });
+    enqueueJob(job._id);
 
-    if (files.length === 0) {
-      return res.status(400).json({
-        message:
-          "No HTML/JSX/JS/TS/TSX files found in the ZIP. Please upload a web project.",
-      });
+    res.status(202).json(job);
+  } catch (error) {
+    if (req.file) removeUpload(req.file.path);
+    console.error("Upload error:", error);
+    res
+      .status(500)
+      .json({ message: "Error queuing analysis", error: error.message });
+  }
+});
+
+// Analyze a Git repository (URL or local path) at a branch or commit
+router.post("/repository", protect, async (req, res) => {
+  try {
+    const { repoUrl, ref, projectId, projectName } = req.body;
+    const mode = req.body.mode || "static";
+    if (!["static", "dom"].includes(mode)) {
+      return res
+        .status(400)
+        .json({ message: 'Analysis mode must be "static" or "dom"' });
     }
 
-    // Analyze files
-    const issues = analyzeAccessibility(files);
+    const invalid = validateRepository(repoUrl, ref);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
 
-    // Calculate summary
-    const summary = {
-      critical: issues.filter((i) => i.severity === "critical").length,
-      high: issues.filter((i) => i.severity === "high").length,
-      medium: issues.filter((i) => i.severity === "medium").length,
-      low: issues.filter((i) => i.severity === "low").length,
-    };
+    const project = await resolveProject(req.user._id, {
+      projectId,
+      projectName,
+      defaultName: repositoryName(repoUrl),
+    });
+    if (!project) {
+      return res.status(404).json({ message: "Project not found" });
+    }
 
-    const totalIssues =
-      summary.critical + summary.high + summary.medium + summary.low;
-    const accessibilityScore = Math.max(
-      0,
-      100 -
-        (summary.critical * 10 +
-          summary.high * 5 +
-          summary.medium * 2 +
-          summary.low * 0.5),
-    );
+    const job = await Job.create({
+      userId: req.user._id,
+      type: "git",
+      input: {
+        projectId: project._id,
+        projectName: project.name,
+        mode,
+        repoUrl: repoUrl.trim(),
+        ref: ref || undefined,
+      },
+    });
+    enqueueJob(job._id);
 
-    // Get AI suggestions
-    const aiSuggestions = await getAISuggestions(issues, files);
+    res.status(202).json(job);
+  } catch (error) {
+    console.error("Repository error:", error);
+    res
+      .status(500)
+      .json({ message: "Error queuing analysis", error: error.message });
+  }
+});
 
-    const analysis = await Analysis.create({
+// Get an analysis job's status and per-stage progress
+router.get("/jobs/:id", protect, async (req, res) => {
+  try {
+    const job = await Job.findOne({
+      _id: req.params.id,
       userId: req.user._id,
-      projectName: projectName || "Untitled Project",
-      filesAnalyzed: files.length,
-      issues,
-      summary,
-      accessibilityScore: Math.round(accessibilityScore),
-      aiSuggestions,
     });
 
-    fs.unlink(req.file.path, (err) => {
-      if (err) console.error("Failed to delete temp file:", err);
-    });
+    if (!job) {
+      return res.status(404).json({ message: "Job not found" });
+    }
 
-    res.json(analysis);
+    res.json(job);
   } catch (error) {
-    console.error("Analysis error:", error);
     res
       .status(500)
-      .json({ message: "Error analyzing project", error: error.message });
+      .json({ message: "Error fetching job", error: error.message });
   }
 });
 
@@ -134,7 +184,7 @@ router.get("/history", protect, async (req, res) => {
   try {
     const analyses = await Analysis.find({ userId: req.user._id })
       .sort({ createdAt: -1 })
-      .select("-issues"); // Exclude full issues for list view
+      .select("-issues -suppressedIssues -chat"); // Exclude full issues and chat for list view
 
     res.json(analyses);
   } catch (error) {
@@ -144,6 +194,46 @@ router.get("/history", protect, async (req, res) => {
   }
 });
 
+// Compare two analyses: new, resolved and persisting issues
+router.get("/compare", protect, async (req, res) => {
+  try {
+    const { base, head } = req.query;
+    if (!mongoose.isValidObjectId(base) || !mongoose.isValidObjectId(head)) {
+      return res
+        .status(400)
+        .json({ message: "Please choose two analyses to compare" });
+    }
+
+    const [baseAnalysis, headAnalysis] = await Promise.all(
+      [base, head].map((id) =>
+        Analysis.findOne({ _id: id, userId: req.user._id }).lean(),
+      ),
+    );
+    if (!baseAnalysis || !headAnalysis) {
+      return res.status(404).json({ message: "Analysis not found" });
+    }
+
+    const overview = (analysis) => ({
+      _id: analysis._id,
+      projectName: analysis.projectName,
+      createdAt: analysis.createdAt,
+      accessibilityScore: analysis.accessibilityScore,
+      summary: analysis.summary,
+      repository: analysis.repository,
+    });
+
+    res.json({
+      base: overview(baseAnalysis),
+      head: overview(headAnalysis),
+      ...compareAnalyses(baseAnalysis, headAnalysis),
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error comparing analyses", error: error.message });
+  }
+});
+
 // Get single analysis
 router.get("/:id", protect, async (req, res) => {
   try {
@@ -156,7 +246,15 @@ router.get("/:id", protect, async (req, res) => {
       return res.status(404).json({ message: "Analysis not found" });
     }
 
-    res.json(analysis);
+    const isProjectBaseline = Boolean(
+      analysis.projectId &&
+      (await Project.exists({
+        _id: analysis.projectId,
+        baselineAnalysisId: analysis._id,
+      })),
+    );
+
+    res.json({ ...analysis.toJSON(), isProjectBaseline });
   } catch (error) {
     res
       .status(500)
@@ -164,6 +262,480 @@ router.get("/:id", protect, async (req, res) => {
   }
 });
 
+// Export the analysis's issues as accesswai-baseline.json
+router.get("/:id/baseline", protect, async (req, res) => {
+  try {
+    const analysis = await Analysis.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).lean();
+
+    if (!analysis) {
+      return res.status(404).json({ message: "Analysis not found" });
+    }
+
+    res.attachment(BASELINE_FILE);
+    res.type("json").send(JSON.stringify(createBaseline(analysis), null, 2));
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error exporting baseline", error: error.message });
+  }
+});
+
+// Download an analysis as SARIF, JUnit XML, JSON or CSV
+router.get("/:id/export", protect, async (req, res) => {
+  try {
+    const { format } = req.query;
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        message: `Export format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+      });
+    }
+
+    const analysis = await Analysis.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).lean();
+
+    if (!analysis) {
+      return res.status(404).json({ message: "Analysis not found" });
+    }
+
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    res.attachment(`accesswai-${analysis._id}.${extension}`);
+    res.type(contentType).send(exportAnalysis(analysis, format));
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error exporting analysis", error: error.message });
+  }
+});
+
+// Download the audit report as a self-contained HTML page or a PDF
+router.get("/:id/report", protect, async (req, res) => {
+  try {
+    const { format } = req.query;
+    if (!["html", "pdf"].includes(format)) {
+      return res
+        .status(400)
+        .json({ message: 'Report format must be "html" or "pdf"' });
+    }
+
+    const analysis = await Analysis.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).lean();
+
+    if (!analysis) {
+      return res.status(404).json({ message: "Analysis not found" });
+    }
+
+    res.attachment(`accesswai-report-${analysis._id}.${format}`);
+    if (format === "pdf") {
+      res.type("pdf").send(await renderPdfReport(analysis));
+    } else {
+      res.type("html").send(renderHtmlReport(analysis));
+    }
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error generating report", error: error.message });
+  }
+});
+
+// Make the analysis its project's baseline for later runs
+router.post("/:id/baseline", protect, async (req, res) => {
+  try {
+    const analysis = await Analysis.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).select("projectId");
+
+    if (!analysis?.projectId) {
+      return res.status(404).json({ message: "Analysis not found" });
+    }
+
+    const project = await Project.findOneAndUpdate(
+      { _id: analysis.projectId, userId: req.user._id },
+      { baselineAnalysisId: analysis._id },
+      { returnDocument: "after" },
+    );
+
+    res.json(project);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error setting baseline", error: error.message });
+  }
+});
+
+// Stop using the analysis as its project's baseline
+router.delete("/:id/baseline", protect, async (req, res) => {
+  try {
+    const project = await Project.findOneAndUpdate(
+      { baselineAnalysisId: req.params.id, userId: req.user._id },
+      { $unset: { baselineAnalysisId: 1 } },
+      { returnDocument: "after" },
+    );
+
+    if (!project) {
+      return res
+        .status(404)
+        .json({ message: "This analysis is not a project baseline" });
+    }
+
+    res.json(project);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error clearing baseline", error: error.message });
+  }
+});
+
+// The Accessibility Conformance Report draft with any saved edits
+router.get("/:id/acr", protect, async (req, res) => {
+  try {
+    const analysis = await Analysis.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).lean();
+
+    if (!analysis) {
+      return res.status(404).json({ message: "Analysis not found" });
+    }
+
+    res.json(buildAcr(analysis));
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error building report", error: error.message });
+  }
+});
+
+router.put("/:id/acr", protect, async (req, res) => {
+  let acr;
+  try {
+    acr = parseAcrEdits(req.body);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  try {
+    const analysis = await Analysis.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { acr },
+      { returnDocument: "after" },
+    ).lean();
+
+    if (!analysis) {
+      return res.status(404).json({ message: "Analysis not found" });
+    }
+
+    res.json(buildAcr(analysis));
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error saving report", error: error.message });
+  }
+});
+
+router.get("/:id/acr/export", protect, async (req, res) => {
+  try {
+    const { format } = req.query;
+    if (!["html", "pdf"].includes(format)) {
+      return res
+        .status(400)
+        .json({ message: 'Report format must be "html" or "pdf"' });
+    }
+
+    const analysis = await Analysis.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).lean();
+
+    if (!analysis) {
+      return res.status(404).json({ message: "Analysis not found" });
+    }
+
+    const acr = buildAcr(analysis);
+    res.attachment(`accesswai-acr-${analysis._id}.${format}`);
+    if (format === "pdf") {
+      res.type("pdf").send(await renderAcrPdf(acr));
+    } else {
+      res.type("html").send(renderAcrHtml(acr));
+    }
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error generating report", error: error.message });
+  }
+});
+
+// Asks the user's AI provider for a patch that fixes one issue
+router.post("/:id/issues/:issueId/fix", protect, async (req, res) => {
+  try {
+    const analysis = await Analysis.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).lean();
+    const issue = analysis?.issues.find(
+      (i) => String(i._id) === req.params.issueId,
+    );
+
+    if (!issue) {
+      return res.status(404).json({ message: "Issue not found" });
+    }
+
+    const provider = selectProvider(req.user.aiProvider);
+    if (provider.id === "fallback") {
+      return res.status(400).json({
+        message:
+          "Suggesting fixes needs an AI model. Ask your administrator to configure Gemini or an OpenAI-compatible provider.",
+      });
+    }
+
+    const content = readSourceFile(analysis._id, issue.file);
+    if (content === null) {
+      return res.status(409).json({
+        message:
+          "The project's files are no longer stored for this analysis. Run the analysis again to suggest fixes.",
+      });
+    }
+
+    let fix;
+    try {
+      fix = await suggestFix(
+        issue,
+        content,
+        { config: analysisConfig(analysis), root: analysisRoot(analysis) },
+        provider,
+      );
+    } catch (error) {
+      return res.status(502).json({
+        message: `${provider.label} couldn't suggest a fix: ${error.message}`,
+      });
+    }
+
+    await Analysis.updateOne(
+      { _id: analysis._id, "issues._id": issue._id },
+      { $set: { "issues.$.fix": fix } },
+    );
+    res.json(fix);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error suggesting fix", error: error.message });
+  }
+});
+
+const AUTOFIX_FORMATS = ["json", "zip", "patch"];
+
+// Applies the rules' automatic fixes to the stored project. "json" previews
+// every fixable issue with a combined patch; "zip" and "patch" download the
+// selected fixes applied to the project or as a patch file.
+router.post("/:id/autofix", protect, async (req, res) => {
+  try {
+    const { issues: selected, format = "json" } = req.body || {};
+    if (!AUTOFIX_FORMATS.includes(format)) {
+      return res.status(400).json({
+        message: `Format must be one of ${AUTOFIX_FORMATS.join(", ")}`,
+      });
+    }
+    if (
+      selected !== undefined &&
+      (!Array.isArray(selected) ||
+        selected.some((id) => typeof id !== "string"))
+    ) {
+      return res
+        .status(400)
+        .json({ message: "issues must be a list of issue ids" });
+    }
+    let options;
+    try {
+      options = parseFixOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const analysis = await Analysis.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).lean();
+
+    if (!analysis) {
+      return res.status(404).json({ message: "Analysis not found" });
+    }
+
+    const zip = openSource(analysis._id);
+    if (!zip) {
+      return res.status(409).json({
+        message:
+          "The project's files are no longer stored for this analysis. Run the analysis again to apply fixes.",
+      });
+    }
+
+    const issues = analysis.issues.filter(
+      (issue) =>
+        isFixable(issue) && (!selected || selected.includes(String(issue._id))),
+    );
+    const { fixes, files } = planFixes(
+      issues,
+      (name) => readZipEntry(zip, name),
+      options,
+    );
+    const root = analysisRoot(analysis);
+    const patch = files
+      .map(({ name, before, after }) =>
+        createUnifiedDiff(relativePath(name, root), before, after),
+      )
+      .join("");
+
+    if (format === "json") {
+      return res.json({ fixes, patch });
+    }
+    if (files.length === 0) {
+      return res.status(400).json({
+        message: "None of the selected issues can be fixed automatically",
+      });
+    }
+    if (format === "patch") {
+      res.attachment(`accesswai-fixes-${analysis._id}.patch`);
+      return res.type("text/x-diff").send(patch);
+    }
+    files.forEach(({ name, after }) =>
+      zip.updateFile(name, Buffer.from(after, "utf8")),
+    );
+    res.attachment(`accesswai-fixed-${analysis._id}.zip`);
+    res.type("application/zip").send(zip.toBuffer());
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error applying fixes", error: error.message });
+  }
+});
+
+const MAX_CHAT_MESSAGE = 2000;
+
+// Answers a follow-up question about the analysis with the user's AI
+// provider. The answer is streamed as newline-delimited JSON: { type:
+// "text", text } pieces, then { type: "done", message } once it is saved
+// to the conversation, or { type: "error", message }.
+router.post("/:id/chat", protect, async (req, res) => {
+  const send = (event) => res.write(`${JSON.stringify(event)}\n`);
+  try {
+    const question =
+      typeof req.body?.message === "string" ? req.body.message.trim() : "";
+    if (!question || question.length > MAX_CHAT_MESSAGE) {
+      return res.status(400).json({
+        message: `Ask a question of up to ${MAX_CHAT_MESSAGE} characters`,
+      });
+    }
+
+    const analysis = await Analysis.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).lean();
+
+    if (!analysis) {
+      return res.status(404).json({ message: "Analysis not found" });
+    }
+
+    const provider = selectProvider(req.user.aiProvider);
+    if (provider.id === "fallback") {
+      return res.status(400).json({
+        message:
+          "Chat needs an AI model. Ask your administrator to configure Gemini or an OpenAI-compatible provider.",
+      });
+    }
+
+    const { model, maxInputTokens } = provider.settings();
+    const zip = openSource(analysis._id);
+    const messages = chatMessages(
+      analysis,
+      question,
+      (name) => (zip ? readZipEntry(zip, name) : null),
+      maxInputTokens,
+    );
+
+    // Stop generating when the client goes away
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) controller.abort();
+    });
+    res.type("application/x-ndjson");
+
+    let answer;
+    try {
+      answer = await streamText(
+        provider,
+        messages,
+        (text) => send({ type: "text", text }),
+        controller.signal,
+      );
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        send({
+          type: "error",
+          message: `${provider.label} couldn't answer: ${error.message}`,
+        });
+      }
+      return res.end();
+    }
+
+    const reply = {
+      role: "assistant",
+      content: answer,
+      provider: provider.id,
+      model,
+      createdAt: new Date(),
+    };
+    await Analysis.updateOne(
+      { _id: analysis._id },
+      {
+        $push: {
+          chat: {
+            $each: [
+              { role: "user", content: question, createdAt: new Date() },
+              reply,
+            ],
+          },
+        },
+      },
+    );
+    send({ type: "done", message: reply });
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      return res
+        .status(500)
+        .json({ message: "Error answering question", error: error.message });
+    }
+    send({ type: "error", message: "Error answering question" });
+    res.end();
+  }
+});
+
+// Clears the conversation
+router.delete("/:id/chat", protect, async (req, res) => {
+  try {
+    const analysis = await Analysis.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { $set: { chat: [] } },
+    ).select("_id");
+
+    if (!analysis) {
+      return res.status(404).json({ message: "Analysis not found" });
+    }
+
+    res.json({ message: "Conversation cleared" });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error clearing conversation", error: error.message });
+  }
+});
+
 // Delete analysis
 router.delete("/:id", protect, async (req, res) => {
   console.log("DELETE request by user:", req.user._id);
@@ -180,6 +752,12 @@ router.delete("/:id", protect, async (req, res) => {
     return res.status(404).json({ message: "Analysis not found" });
   }
 
+  await Project.updateOne(
+    { baselineAnalysisId: analysis._id },
+    { $unset: { baselineAnalysisId: 1 } },
+  );
+  removeSource(analysis._id);
+
   res.json({ message: "Analysis deleted successfully" });
 });
 
@@ -0,0 +1,16 @@
+// backend/routes/projects.js
+import express from "express";
+import {
+  getProjects,
+  createProject,
+  getProject,
+} from "../controllers/projectController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.get("/", protect, getProjects);
+router.post("/", protect, createProject);
+router.get("/:id", protect, getProject);
+
+export default router;
@@ -0,0 +1,14 @@
+// backend/routes/settings.js
+import express from "express";
+import {
+  getAiSettings,
+  updateAiSettings,
+} from "../controllers/settingsController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.get("/ai", protect, getAiSettings);
+router.put("/ai", protect, updateAiSettings);
+
+export default router;
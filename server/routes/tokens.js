@@ -0,0 +1,16 @@
+// backend/routes/tokens.js
+import express from "express";
+import {
+  getTokens,
+  createToken,
+  deleteToken,
+} from "../controllers/tokenController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.get("/", protect, getTokens);
+router.post("/", protect, createToken);
+router.delete("/:id", protect, deleteToken);
+
+export default router;
@@ -0,0 +1,38 @@
+// backend/rules/aria/allowed-attr.js
+import {
+  effectiveRole,
+  isAllowedAttr,
+  isAriaAttr,
+  isKnownAttr,
+  isProhibitedAttr,
+} from "./spec.js";
+
+export default {
+  id: "aria-allowed-attr",
+  type: "ARIA Attribute Not Allowed",
+  severity: "medium",
+  wcag: ["4.1.2"],
+  level: "A",
+  docs: "https://www.w3.org/TR/html-aria/#docconformance",
+  description: "ARIA attribute is not supported on this element's role",
+  suggestion:
+    "Remove the attribute, or give the element a role that supports it. For example aria-checked belongs on checkbox/switch roles and aria-label is ignored on plain <div>/<span> elements.",
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      if (el.isComponent) return;
+      const role = effectiveRole(el);
+      if (!role) return;
+
+      Object.values(el.attrs).forEach((attr) => {
+        const name = attr.name.toLowerCase();
+        if (!isAriaAttr(name) || !isKnownAttr(name)) return;
+        if (isAllowedAttr(role, name)) return;
+        report(el, {
+          description: isProhibitedAttr(role, name)
+            ? `${attr.name} is prohibited on role "${role}"`
+            : `${attr.name} is not supported on role "${role}"`,
+        });
+      });
+    });
+  },
+};
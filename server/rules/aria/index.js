@@ -0,0 +1,18 @@
+// backend/rules/aria/index.js
+// Rule pack validating ARIA usage against the WAI-ARIA 1.2 role and
+// attribute tables (see ./spec.js).
+import validRole from "./valid-role.js";
+import validAttr from "./valid-attr.js";
+import allowedAttr from "./allowed-attr.js";
+import requiredAttr from "./required-attr.js";
+import validAttrValue from "./valid-attr-value.js";
+import redundantRole from "./redundant-role.js";
+
+export default [
+  validRole,
+  validAttr,
+  allowedAttr,
+  requiredAttr,
+  validAttrValue,
+  redundantRole,
+];
@@ -0,0 +1,29 @@
+// backend/rules/aria/redundant-role.js
+import { explicitRoles, implicitRole } from "./spec.js";
+
+// role="list" restores list semantics that Safari drops from lists styled
+// with list-style: none, so it isn't really redundant there
+const INTENTIONAL = { ul: ["list"], ol: ["list"] };
+
+export default {
+  id: "aria-redundant-role",
+  type: "Redundant ARIA Role",
+  severity: "low",
+  wcag: ["4.1.2"],
+  level: "A",
+  docs: "https://www.w3.org/TR/using-aria/#rule2",
+  description: "Element's explicit role is the same as its native role",
+  suggestion:
+    'Remove the role attribute; the element already has that role. Example: <button> rather than <button role="button">.',
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      const [role] = explicitRoles(el) || [];
+      if (!role || INTENTIONAL[el.tag]?.includes(role)) return;
+      if (role === implicitRole(el)) {
+        report(el, {
+          description: `role="${role}" is redundant on <${el.tag}>, which already has that role`,
+        });
+      }
+    });
+  },
+};
@@ -0,0 +1,32 @@
+// backend/rules/aria/required-attr.js
+import { getAttr } from "../../analyzer/elements.js";
+import { explicitRoles, getRoleDefinition, requiredAttrs } from "./spec.js";
+
+export default {
+  id: "aria-required-attr",
+  type: "Missing Required ARIA Attribute",
+  severity: "high",
+  wcag: ["4.1.2"],
+  level: "A",
+  docs: "https://www.w3.org/TR/wai-aria-1.2/#requiredState",
+  description: "Element's role requires ARIA attributes that are missing",
+  suggestion:
+    'Add the state the role needs so assistive technology can announce it. Example: <div role="slider" aria-valuenow={50} aria-valuemin={0} aria-valuemax={100} tabIndex={0}>',
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      // Native inputs supply checked/value state themselves
+      if (el.isComponent || el.spread || el.tag === "input") return;
+      const role = explicitRoles(el)?.find((token) => getRoleDefinition(token));
+      if (!role) return;
+
+      const missing = requiredAttrs(role).filter(
+        (name) => getAttr(el, name) === undefined,
+      );
+      if (missing.length > 0) {
+        report(el, {
+          description: `role="${role}" requires ${missing.join(", ")}`,
+        });
+      }
+    });
+  },
+};
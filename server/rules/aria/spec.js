@@ -0,0 +1,139 @@
+// backend/rules/aria/spec.js
+// Lookups over the WAI-ARIA 1.2 role and attribute tables. The tables come
+// from the aria-query package, which ships them as data, so nothing is
+// fetched at analysis time.
+import ariaQuery from "aria-query";
+import { attrValue } from "../../analyzer/elements.js";
+
+const { aria, roles, elementRoles } = ariaQuery;
+
+// Global in ARIA 1.1 and only deprecated as globals in 1.2; browsers and
+// assistive technology still honor them on any role
+const LEGACY_GLOBALS = [
+  "aria-disabled",
+  "aria-errormessage",
+  "aria-haspopup",
+  "aria-invalid",
+];
+
+const GLOBAL_ATTRS = new Set([
+  ...Object.keys(roles.get("roletype").props),
+  ...LEGACY_GLOBALS,
+]);
+
+export const isAriaAttr = (name) => name.startsWith("aria-");
+
+export const isKnownAttr = (name) => aria.has(name);
+
+export const attrDefinition = (name) => aria.get(name);
+
+// Concrete (non-abstract) role, or undefined
+export const getRoleDefinition = (role) => {
+  const definition = roles.get(role);
+  return definition && !definition.abstract ? definition : undefined;
+};
+
+export const isAllowedAttr = (role, name) => {
+  const definition = getRoleDefinition(role);
+  if (!definition || definition.prohibitedProps.includes(name)) return false;
+  return GLOBAL_ATTRS.has(name) || name in definition.props;
+};
+
+export const isProhibitedAttr = (role, name) =>
+  getRoleDefinition(role)?.prohibitedProps.includes(name) ?? false;
+
+// Required states and properties without an implicit default value
+export const requiredAttrs = (role) =>
+  Object.entries(getRoleDefinition(role)?.requiredProps || {})
+    .filter(([, fallback]) => fallback === null)
+    .map(([name]) => name);
+
+const matchesConstraint = (element, attribute) => {
+  const value = attrValue(element, attribute.name);
+  if (attribute.constraints?.includes("set")) {
+    return value === null || (value !== undefined && value !== "");
+  }
+  if (attribute.constraints?.includes("undefined")) return value === undefined;
+  if (attribute.value === undefined) return value !== undefined;
+  // Can't tell which role a runtime value would give the element
+  if (value === null) return null;
+  return value !== undefined && value.toLowerCase() === attribute.value;
+};
+
+// The role a native element has without an explicit role attribute, or
+// null when it has none (or depends on a runtime value). When several
+// entries match (<input> with and without list), the most specific wins.
+export const implicitRole = (element) => {
+  if (element.isComponent) return null;
+  let best = null;
+  for (const [selector, roleSet] of elementRoles.entries()) {
+    if (selector.name !== element.tag) continue;
+    const attributes = selector.attributes || [];
+    const matches = attributes.map((attribute) =>
+      matchesConstraint(element, attribute),
+    );
+    if (matches.includes(null)) return null;
+    if (!matches.every(Boolean)) continue;
+    if (!best || attributes.length > best.specificity) {
+      best = { role: [...roleSet][0], specificity: attributes.length };
+    }
+  }
+  return best?.role ?? null;
+};
+
+// The explicit role tokens on an element ("switch checkbox" lists a
+// fallback), or null when the role is computed at runtime
+export const explicitRoles = (element) => {
+  const value = attrValue(element, "role");
+  if (value === null) return null;
+  return (value || "").trim().toLowerCase().split(/\s+/).filter(Boolean);
+};
+
+// The role assistive technology would use: the first valid explicit role,
+// else the implicit one
+export const effectiveRole = (element) => {
+  const explicit = explicitRoles(element);
+  if (explicit === null) return null;
+  return (
+    explicit.find((role) => getRoleDefinition(role)) || implicitRole(element)
+  );
+};
+
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        previous + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      previous = current;
+    }
+  }
+  return row[b.length];
+};
+
+// Closest known name for a likely typo, e.g. aria-labeledby -> aria-labelledby
+export const suggestName = (name, candidates) => {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(name.length / 4)) ? best : null;
+};
+
+export const knownAttrNames = () => [...aria.keys()];
+
+export const knownRoleNames = () =>
+  [...roles.entries()]
+    .filter(([, definition]) => !definition.abstract)
+    .map(([name]) => name);
@@ -0,0 +1,71 @@
+// backend/rules/aria/valid-attr-value.js
+import { attrDefinition, isAriaAttr } from "./spec.js";
+
+const tokens = (definition) => definition.values.map(String);
+
+// Returns a description of the accepted values when `value` is invalid
+const checkValue = (definition, value) => {
+  const trimmed = value.trim();
+  switch (definition.type) {
+    case "boolean":
+      return ["true", "false"].includes(trimmed) ? null : '"true" or "false"';
+    case "tristate":
+      return ["true", "false", "mixed"].includes(trimmed)
+        ? null
+        : '"true", "false" or "mixed"';
+    case "token":
+      return tokens(definition).includes(trimmed)
+        ? null
+        : `one of ${tokens(definition).join(", ")}`;
+    case "tokenlist":
+      return trimmed &&
+        trimmed
+          .split(/\s+/)
+          .every((token) => tokens(definition).includes(token))
+        ? null
+        : `a space-separated list of ${tokens(definition).join(", ")}`;
+    case "integer":
+      return /^-?\d+$/.test(trimmed) ? null : "an integer";
+    case "number":
+      return trimmed !== "" && Number.isFinite(Number(trimmed))
+        ? null
+        : "a number";
+    case "id":
+      return trimmed && !/\s/.test(trimmed) ? null : "a single element id";
+    case "idlist":
+      return trimmed ? null : "one or more element ids";
+    default:
+      return null;
+  }
+};
+
+export default {
+  id: "aria-valid-attr-value",
+  type: "Invalid ARIA Attribute Value",
+  severity: "high",
+  wcag: ["4.1.2"],
+  level: "A",
+  docs: "https://www.w3.org/TR/wai-aria-1.2/#propcharacteristic_value",
+  description: "ARIA attribute has a value the spec doesn't allow",
+  suggestion:
+    'Use one of the values the attribute accepts. Example: aria-expanded="false" rather than aria-expanded="no".',
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      Object.values(el.attrs).forEach((attr) => {
+        const name = attr.name.toLowerCase();
+        const definition = isAriaAttr(name) && attrDefinition(name);
+        if (!definition || attr.dynamic) return;
+        // A bare JSX attribute (<div aria-hidden />) means true; an empty
+        // HTML value falls back to the default
+        if (attr.value === "") return;
+
+        const expected = checkValue(definition, attr.value);
+        if (expected) {
+          report(el, {
+            description: `${attr.name}="${attr.value}" is not valid; expected ${expected}`,
+          });
+        }
+      });
+    });
+  },
+};
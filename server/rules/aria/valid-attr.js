@@ -0,0 +1,33 @@
+// backend/rules/aria/valid-attr.js
+import {
+  isAriaAttr,
+  isKnownAttr,
+  knownAttrNames,
+  suggestName,
+} from "./spec.js";
+
+export default {
+  id: "aria-valid-attr",
+  type: "Unknown ARIA Attribute",
+  severity: "high",
+  wcag: ["4.1.2"],
+  level: "A",
+  docs: "https://www.w3.org/TR/wai-aria-1.2/#state_prop_def",
+  description: "aria-* attribute does not exist and is ignored",
+  suggestion:
+    "Check the attribute name against the WAI-ARIA spec; misspelled attributes (e.g. aria-labeledby) are silently ignored by assistive technology.",
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      Object.values(el.attrs).forEach((attr) => {
+        const name = attr.name.toLowerCase();
+        if (!isAriaAttr(name) || isKnownAttr(name)) return;
+        const suggestion = suggestName(name, knownAttrNames());
+        report(el, {
+          description: `${attr.name} is not a WAI-ARIA attribute${
+            suggestion ? ` (did you mean ${suggestion}?)` : ""
+          }`,
+        });
+      });
+    });
+  },
+};
@@ -0,0 +1,39 @@
+// backend/rules/aria/valid-role.js
+import {
+  explicitRoles,
+  getRoleDefinition,
+  knownRoleNames,
+  suggestName,
+} from "./spec.js";
+
+export default {
+  id: "aria-valid-role",
+  type: "Invalid ARIA Role",
+  severity: "high",
+  wcag: ["4.1.2"],
+  level: "A",
+  docs: "https://www.w3.org/TR/wai-aria-1.2/#role_definitions",
+  description: "role is not a valid WAI-ARIA role",
+  suggestion:
+    'Use a concrete role from the WAI-ARIA spec (e.g. role="button", role="dialog"), or remove the role and use the matching HTML element.',
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      const tokens = explicitRoles(el);
+      if (!tokens) return;
+      if (tokens.length === 0 && el.attrs.role) {
+        report(el, { description: "role attribute is empty" });
+        return;
+      }
+      tokens
+        .filter((role) => !getRoleDefinition(role))
+        .forEach((role) => {
+          const suggestion = suggestName(role, knownRoleNames());
+          report(el, {
+            description: `"${role}" is not a valid ARIA role${
+              suggestion ? ` (did you mean "${suggestion}"?)` : ""
+            }`,
+          });
+        });
+    });
+  },
+};
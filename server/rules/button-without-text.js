@@ -0,0 +1,69 @@
+// backend/rules/button-without-text.js
+import {
+  getClassList,
+  getTextContent,
+  hasAccessibleNameAttr,
+  attrValue,
+} from "../analyzer/elements.js";
+import { renderComponent } from "../analyzer/components.js";
+import { insertAttribute } from "../analyzer/edits.js";
+
+// What identifies an icon button's icon: component names (<TrashIcon />),
+// class names (fa-trash) and icon name attributes, on the button or inside
+const iconNames = (element) => {
+  const names = [];
+  const visit = (node) => {
+    if (node.type !== "element") return;
+    if (node.isComponent) names.push(node.tag);
+    names.push(...getClassList(node).classes);
+    ["name", "icon", "data-icon"].forEach((attr) => {
+      const value = attrValue(node, attr);
+      if (value) names.push(value);
+    });
+    node.children.forEach(visit);
+  };
+  visit(element);
+  return [...new Set(names)];
+};
+
+export default {
+  id: "button-without-text",
+  type: "Button Without Text",
+  severity: "high",
+  wcag: ["4.1.2"],
+  level: "A",
+  expandComponents: true,
+  docs: "https://www.w3.org/WAI/WCAG21/Understanding/name-role-value",
+  description: "Button has no accessible text content for screen readers",
+  suggestion:
+    'Add visible text or aria-label to the button. Example: <button aria-label="Submit form">Submit</button>',
+  check: ({ file, elements, project, report }) => {
+    // Icon components count as the text-less <svg> they render
+    const render = (node) =>
+      renderComponent(node, file.name, project.components);
+    elements.forEach((el) => {
+      if (el.tag !== "button" || hasAccessibleNameAttr(el)) return;
+
+      const { text, dynamic } = getTextContent(el, render);
+      if (!text && !dynamic) report(el);
+    });
+  },
+  // Labels come from a map of icon names to labels, e.g.
+  // { "TrashIcon": "Delete", "fa-xmark": "Close" }
+  fix: (el, { content, options }) => {
+    const names = iconNames(el);
+    const icon = names.find((name) => options.labels[name]);
+    if (!icon) {
+      return {
+        reason: names.length
+          ? `No label for ${names.join(", ")} in the icon label map`
+          : "No icon to look up a label for",
+      };
+    }
+    const label = options.labels[icon];
+    return {
+      description: `Add aria-label="${label}" (for ${icon})`,
+      edits: [insertAttribute(el, content, "aria-label", label)],
+    };
+  },
+};
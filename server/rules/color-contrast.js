@@ -0,0 +1,117 @@
+// backend/rules/color-contrast.js
+import {
+  WHITE,
+  contrastRatio,
+  formatColor,
+  isLargeText,
+  requiredContrast,
+} from "../analyzer/color.js";
+import { computeElementStyle, computeRuleStyle } from "../analyzer/styles.js";
+
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+
+const hasOwnText = (element) =>
+  element.children.some(
+    (child) =>
+      child.type === "expression" ||
+      (child.type === "text" && child.value.trim() !== ""),
+  );
+
+// Shown as e.g. 4.49 rather than rounding a failing ratio up to 4.5
+const formatRatio = (ratio) => Math.floor(ratio * 100) / 100;
+
+export default {
+  id: "color-contrast",
+  type: "Insufficient Color Contrast",
+  severity: "high",
+  wcag: ["1.4.3"],
+  level: "AA",
+  docs: "https://www.w3.org/WAI/WCAG21/Understanding/contrast-minimum",
+  description: "Text does not have enough contrast with its background",
+  suggestion:
+    "Ensure text has at least 4.5:1 contrast ratio with background (3:1 for large text). Darken the text or lighten the background until the ratio passes.",
+  check: ({ elements, stylesheets, project, isDocument, report }) => {
+    const checkPair = (
+      target,
+      foreground,
+      background,
+      fontSize,
+      fontWeight,
+    ) => {
+      const ratio = contrastRatio(foreground, background);
+      const largeText = isLargeText(fontSize, fontWeight);
+      const required = requiredContrast(largeText);
+      if (ratio >= required) return false;
+
+      const fg = formatColor(foreground);
+      const bg = formatColor(background);
+      report(target, {
+        description: `Text color ${fg} on background ${bg} has a contrast ratio of ${formatRatio(ratio)}:1, below the ${required}:1 minimum for ${largeText ? "large" : "normal"} text`,
+        contrast: {
+          foreground: fg,
+          background: bg,
+          ratio: formatRatio(ratio),
+          required,
+          largeText,
+        },
+      });
+      return true;
+    };
+
+    // Stylesheet rules that set both colors themselves are reported once,
+    // at the rule, rather than on every element that uses them
+    stylesheets.forEach((sheet) => {
+      sheet.rules.forEach((rule) => {
+        const style = computeRuleStyle(rule, project.styles.variables);
+        if (style.color && style.background) {
+          checkPair(
+            rule,
+            style.color,
+            style.background,
+            style.fontSize,
+            style.fontWeight,
+          );
+        }
+      });
+    });
+
+    // Elements that inherit a failing pair are reported once, at the first
+    // one with text, by the elements the colors were set on
+    const reportedPairs = new Map();
+    const isReported = (color, background) =>
+      reportedPairs.get(color?.element)?.has(background?.element);
+    const markReported = (color, background) => {
+      if (!reportedPairs.has(color?.element)) {
+        reportedPairs.set(color?.element, new Set());
+      }
+      reportedPairs.get(color?.element).add(background?.element);
+    };
+
+    elements.forEach((el) => {
+      if (!hasOwnText(el)) return;
+
+      const { color, background, fontSize, fontWeight } = computeElementStyle(
+        el,
+        project.styles,
+      );
+      if (!color && !background) return;
+
+      // A component can be rendered on any background, so only full
+      // documents fall back to the browser's default white page
+      if (!background && !isDocument) return;
+
+      const foreground = color ? color.color : BLACK;
+      const backdrop = background ? background.color : WHITE;
+      if (!foreground || !backdrop) return;
+
+      const sameRule =
+        color?.source?.rule && color.source.rule === background?.source?.rule;
+      if (sameRule) return;
+
+      if (isReported(color, background)) return;
+      if (checkPair(el, foreground, backdrop, fontSize, fontWeight)) {
+        markReported(color, background);
+      }
+    });
+  },
+};
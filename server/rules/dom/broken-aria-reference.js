@@ -0,0 +1,49 @@
+// backend/rules/dom/broken-aria-reference.js
+import { accessibleName, idRefs } from "./helpers.js";
+
+const REFERENCE_ATTRS = ["aria-labelledby", "aria-describedby"];
+
+export default {
+  id: "broken-aria-reference",
+  source: "dom",
+  type: "Broken ARIA Reference",
+  severity: "high",
+  wcag: ["1.3.1", "4.1.2"],
+  level: "A",
+  docs: "https://www.w3.org/WAI/WCAG21/Techniques/aria/ARIA16",
+  description:
+    "aria-labelledby or aria-describedby points to an element that does not exist",
+  suggestion:
+    'Make sure every id listed in aria-labelledby/aria-describedby exists on the page and contains text. Example: <h2 id="billing">Billing</h2><section aria-labelledby="billing">',
+  check: ({ document, report }) => {
+    document
+      .querySelectorAll(REFERENCE_ATTRS.map((a) => `[${a}]`).join(", "))
+      .forEach((node) => {
+        REFERENCE_ATTRS.forEach((attr) => {
+          if (!node.hasAttribute(attr)) return;
+          const ids = idRefs(node.getAttribute(attr));
+          if (ids.length === 0) {
+            report(node, { description: `${attr} is empty` });
+            return;
+          }
+
+          const missing = ids.filter((id) => !document.getElementById(id));
+          if (missing.length > 0) {
+            report(node, {
+              description: `${attr} references ${missing.map((id) => `"${id}"`).join(", ")}, which ${missing.length === 1 ? "does" : "do"} not exist on this page`,
+            });
+            return;
+          }
+
+          const empty = ids.filter(
+            (id) => !accessibleName(document.getElementById(id), document),
+          );
+          if (empty.length === ids.length) {
+            report(node, {
+              description: `${attr} references ${empty.map((id) => `"${id}"`).join(", ")}, which contain${empty.length === 1 ? "s" : ""} no text`,
+            });
+          }
+        });
+      });
+  },
+};
@@ -0,0 +1,29 @@
+// backend/rules/dom/duplicate-id.js
+export default {
+  id: "duplicate-id",
+  source: "dom",
+  type: "Duplicate ID",
+  severity: "medium",
+  wcag: ["4.1.1"],
+  level: "A",
+  docs: "https://www.w3.org/WAI/WCAG21/Understanding/parsing",
+  description: "The same id is used by more than one element on the page",
+  suggestion:
+    "Give every element a unique id. Labels and ARIA references only ever resolve to the first element with a given id.",
+  check: ({ document, report }) => {
+    const byId = new Map();
+    document.querySelectorAll("[id]").forEach((node) => {
+      if (!node.id) return;
+      byId.set(node.id, [...(byId.get(node.id) || []), node]);
+    });
+
+    // The first element keeps the id; every later one is reported
+    byId.forEach((nodes, id) => {
+      nodes.slice(1).forEach((node) =>
+        report(node, {
+          description: `id "${id}" is used by ${nodes.length} elements on this page`,
+        }),
+      );
+    });
+  },
+};
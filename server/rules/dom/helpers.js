@@ -0,0 +1,48 @@
+// backend/rules/dom/helpers.js
+
+// Elements a screen reader can't reach
+export const isHidden = (node) =>
+  Boolean(
+    node.closest(
+      '[hidden], [aria-hidden="true"], template, script, style, noscript',
+    ),
+  );
+
+export const idRefs = (value) => (value || "").split(/\s+/).filter(Boolean);
+
+// A simplified accessible name: aria-labelledby, aria-label, then text
+// content (with img alt text), then title
+export const accessibleName = (node, document, visited = new Set()) => {
+  visited.add(node);
+
+  const labelledBy = idRefs(node.getAttribute("aria-labelledby"))
+    .map((id) => document.getElementById(id))
+    .filter((ref) => ref && !visited.has(ref));
+  if (labelledBy.length > 0) {
+    const name = labelledBy
+      .map((ref) => accessibleName(ref, document, visited))
+      .join(" ")
+      .trim();
+    if (name) return name;
+  }
+
+  const label = (node.getAttribute("aria-label") || "").trim();
+  if (label) return label;
+
+  let text = "";
+  const visit = (current) => {
+    current.childNodes.forEach((child) => {
+      if (child.nodeType === child.TEXT_NODE) text += child.data;
+      else if (child.nodeType !== child.ELEMENT_NODE) return;
+      else if (child.getAttribute("aria-hidden") === "true") return;
+      else if (child.tagName === "IMG") {
+        text += ` ${child.getAttribute("alt") || ""} `;
+      } else visit(child);
+    });
+  };
+  visit(node);
+  text = text.replace(/\s+/g, " ").trim();
+  if (text) return text;
+
+  return (node.getAttribute("title") || "").trim();
+};
@@ -0,0 +1,15 @@
+// backend/rules/dom/index.js
+// Rules that run on built HTML pages loaded into jsdom (see
+// analyzer/dom.js). They see the whole page at once, so they can check
+// wiring between elements that static scanning can't follow.
+import duplicateId from "./duplicate-id.js";
+import brokenAriaReference from "./broken-aria-reference.js";
+import labelForTarget from "./label-for-target.js";
+import landmarkUniqueness from "./landmark-uniqueness.js";
+
+export default [
+  duplicateId,
+  brokenAriaReference,
+  labelForTarget,
+  landmarkUniqueness,
+];
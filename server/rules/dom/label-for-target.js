@@ -0,0 +1,43 @@
+// backend/rules/dom/label-for-target.js
+const LABELABLE = [
+  "button",
+  "meter",
+  "output",
+  "progress",
+  "select",
+  "textarea",
+];
+
+const isLabelable = (node) => {
+  const tag = node.tagName.toLowerCase();
+  if (tag === "input") return node.type !== "hidden";
+  return LABELABLE.includes(tag);
+};
+
+export default {
+  id: "label-for-target",
+  source: "dom",
+  type: "Label Not Associated",
+  severity: "high",
+  wcag: ["1.3.1", "3.3.2"],
+  level: "A",
+  docs: "https://www.w3.org/WAI/tutorials/forms/labels/",
+  description: "<label for> does not point to a form control on the page",
+  suggestion:
+    'Set the label\'s for attribute to the id of the control it describes. Example: <label for="email">Email</label><input id="email" type="email" />',
+  check: ({ document, report }) => {
+    document.querySelectorAll("label[for]").forEach((label) => {
+      const id = label.getAttribute("for");
+      const target = id && document.getElementById(id);
+      if (!target) {
+        report(label, {
+          description: `<label for="${id}"> points to an id that does not exist on this page`,
+        });
+      } else if (!isLabelable(target)) {
+        report(label, {
+          description: `<label for="${id}"> points to a <${target.tagName.toLowerCase()}>, which cannot be labelled`,
+        });
+      }
+    });
+  },
+};
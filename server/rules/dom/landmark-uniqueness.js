@@ -0,0 +1,105 @@
+// backend/rules/dom/landmark-uniqueness.js
+import { accessibleName, isHidden } from "./helpers.js";
+
+const SECTIONING = "article, aside, main, nav, section";
+
+// Landmark role of an element, or null. <header>/<footer> are only
+// banner/contentinfo when they aren't inside sectioning content, and
+// <section>/<form> only become landmarks once they have a name.
+const landmarkRole = (node) => {
+  const role = (node.getAttribute("role") || "").trim().split(/\s+/)[0];
+  if (role) {
+    return [
+      "banner",
+      "complementary",
+      "contentinfo",
+      "form",
+      "main",
+      "navigation",
+      "region",
+      "search",
+    ].includes(role)
+      ? role
+      : null;
+  }
+
+  switch (node.tagName.toLowerCase()) {
+    case "main":
+      return "main";
+    case "nav":
+      return "navigation";
+    case "aside":
+      return "complementary";
+    case "header":
+      return node.parentElement.closest(SECTIONING) ? null : "banner";
+    case "footer":
+      return node.parentElement.closest(SECTIONING) ? null : "contentinfo";
+    case "section":
+      return hasLabel(node) ? "region" : null;
+    case "form":
+      return hasLabel(node) ? "form" : null;
+    default:
+      return null;
+  }
+};
+
+const hasLabel = (node) =>
+  node.hasAttribute("aria-label") ||
+  node.hasAttribute("aria-labelledby") ||
+  node.hasAttribute("title");
+
+const SINGLE = ["main", "banner", "contentinfo"];
+
+export default {
+  id: "landmark-uniqueness",
+  source: "dom",
+  type: "Ambiguous Landmarks",
+  severity: "medium",
+  wcag: ["1.3.1"],
+  level: "A",
+  docs: "https://www.w3.org/WAI/ARIA/apg/practices/landmark-regions/",
+  description: "Landmarks of the same type can't be told apart",
+  suggestion:
+    'Use a single main, banner and contentinfo landmark per page, and give repeated landmarks distinct labels. Example: <nav aria-label="Primary"> and <nav aria-label="Footer">',
+  check: ({ document, report }) => {
+    const byRole = new Map();
+    document
+      .querySelectorAll(
+        "main, nav, aside, header, footer, section, form, [role]",
+      )
+      .forEach((node) => {
+        if (isHidden(node)) return;
+        const role = landmarkRole(node);
+        if (role) byRole.set(role, [...(byRole.get(role) || []), node]);
+      });
+
+    byRole.forEach((nodes, role) => {
+      if (nodes.length < 2) return;
+
+      if (SINGLE.includes(role)) {
+        nodes.slice(1).forEach((node) =>
+          report(node, {
+            description: `Page has ${nodes.length} "${role}" landmarks; there should only be one`,
+          }),
+        );
+        return;
+      }
+
+      const names = new Map();
+      nodes.forEach((node) => {
+        const name = hasLabel(node) ? accessibleName(node, document) : "";
+        if (!name) {
+          report(node, {
+            description: `Page has ${nodes.length} "${role}" landmarks and this one has no label to tell it apart`,
+          });
+        } else if (names.has(name.toLowerCase())) {
+          report(node, {
+            description: `Another "${role}" landmark on this page is already labelled "${name}"`,
+          });
+        } else {
+          names.set(name.toLowerCase(), node);
+        }
+      });
+    });
+  },
+};
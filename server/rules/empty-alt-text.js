@@ -0,0 +1,29 @@
+// backend/rules/empty-alt-text.js
+import { getAttr, attrValue } from "../analyzer/elements.js";
+
+export default {
+  id: "empty-alt-text",
+  type: "Empty Alt Text",
+  severity: "medium",
+  wcag: ["1.1.1"],
+  level: "A",
+  expandComponents: true,
+  docs: "https://www.w3.org/WAI/tutorials/images/decorative/",
+  description: "Image has empty alt text but may not be decorative",
+  suggestion:
+    'If the image is decorative, use alt="" or role="presentation". Otherwise, provide descriptive alt text.',
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      if (
+        el.tag === "img" &&
+        attrValue(el, "alt") === "" &&
+        getAttr(el, "src") &&
+        !["presentation", "none"].includes(attrValue(el, "role")) &&
+        attrValue(el, "aria-hidden") !== "true" &&
+        !el.code.includes("decorative")
+      ) {
+        report(el);
+      }
+    });
+  },
+};
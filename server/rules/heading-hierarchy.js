@@ -0,0 +1,35 @@
+// backend/rules/heading-hierarchy.js
+
+export default {
+  id: "heading-hierarchy",
+  type: "Heading Hierarchy",
+  severity: "low",
+  wcag: ["1.3.1"],
+  level: "A",
+  docs: "https://www.w3.org/WAI/tutorials/page-structure/headings/",
+  description: "Heading levels should not be skipped",
+  suggestion:
+    "Use headings in sequential order (h1, h2, h3) to create a logical document structure.",
+  check: ({ elements, isDocument, report }) => {
+    let previousHeading = 0;
+
+    elements.forEach((el) => {
+      const heading = /^h([1-6])$/.exec(el.tag);
+      if (!heading) return;
+
+      const headingLevel = parseInt(heading[1]);
+      const expectedMax = previousHeading ? previousHeading + 1 : 2;
+
+      // Component files often start below h1, so only full documents are
+      // held to starting at the top of the outline
+      if (headingLevel > expectedMax && (previousHeading || isDocument)) {
+        report(el, {
+          description: previousHeading
+            ? `H${headingLevel} follows H${previousHeading} - heading levels should not be skipped`
+            : `H${headingLevel} used as the first heading in the document - verify proper heading hierarchy`,
+        });
+      }
+      previousHeading = headingLevel;
+    });
+  },
+};
@@ -0,0 +1,81 @@
+// backend/rules/index.js
+import { LEVELS, isKnownCriterion } from "./wcag.js";
+import missingAltText from "./missing-alt-text.js";
+import emptyAltText from "./empty-alt-text.js";
+import buttonWithoutText from "./button-without-text.js";
+import missingFormLabel from "./missing-form-label.js";
+import colorContrast from "./color-contrast.js";
+import headingHierarchy from "./heading-hierarchy.js";
+import missingLang from "./missing-lang.js";
+import nonSemanticInteractive from "./non-semantic-interactive.js";
+import nonDescriptiveLink from "./non-descriptive-link.js";
+import missingAriaLandmark from "./missing-aria-landmark.js";
+import tailwindRules from "./tailwind/index.js";
+import keyboardRules from "./keyboard/index.js";
+import ariaRules from "./aria/index.js";
+import domRules from "./dom/index.js";
+
+export const SEVERITIES = ["critical", "high", "medium", "low"];
+
+// "static" rules inspect parsed source files, "dom" rules inspect built HTML
+// pages loaded into a headless DOM
+export const SOURCES = ["static", "dom"];
+
+const registry = new Map();
+
+// Adds a rule to the registry. Rules are plain objects:
+// { id, type, severity, wcag, level, docs, description, suggestion, check,
+//   source?, expandComponents?, fix? }
+// where check({ file, elements, report }) (or check({ file, document,
+// report }) for DOM rules) calls report(node, overrides?) for every finding.
+// Rules with expandComponents also run on the markup custom components
+// render, with findings reported at the component's call site.
+// Rules with a fix can repair a finding's element; see analyzer/fixes.js.
+export const registerRule = (rule) => {
+  if (!rule.id || typeof rule.check !== "function") {
+    throw new Error("A rule needs an id and a check function");
+  }
+  if (registry.has(rule.id)) {
+    throw new Error(`Rule "${rule.id}" is already registered`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new Error(
+      `Rule "${rule.id}" has invalid severity "${rule.severity}"`,
+    );
+  }
+  if (!LEVELS.includes(rule.level)) {
+    throw new Error(`Rule "${rule.id}" has invalid level "${rule.level}"`);
+  }
+  if (rule.source && !SOURCES.includes(rule.source)) {
+    throw new Error(`Rule "${rule.id}" has invalid source "${rule.source}"`);
+  }
+  const unknown = (rule.wcag || []).filter((c) => !isKnownCriterion(c));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Rule "${rule.id}" maps to unknown WCAG criteria: ${unknown.join(", ")}`,
+    );
+  }
+
+  registry.set(rule.id, { wcag: [], source: "static", ...rule });
+};
+
+[
+  missingAltText,
+  emptyAltText,
+  buttonWithoutText,
+  missingFormLabel,
+  colorContrast,
+  headingHierarchy,
+  missingLang,
+  nonSemanticInteractive,
+  nonDescriptiveLink,
+  missingAriaLandmark,
+  ...tailwindRules,
+  ...keyboardRules,
+  ...ariaRules,
+  ...domRules,
+].forEach(registerRule);
+
+export const getRules = () => [...registry.values()];
+
+export const getRule = (id) => registry.get(id);
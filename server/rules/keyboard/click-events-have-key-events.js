@@ -0,0 +1,25 @@
+// backend/rules/keyboard/click-events-have-key-events.js
+import { hasAttr } from "../../analyzer/elements.js";
+import { hasAnyAttr, isCandidate, isNativeInteractive } from "./interactive.js";
+
+export default {
+  id: "click-events-have-key-events",
+  type: "Click Handler Without Keyboard Support",
+  severity: "high",
+  wcag: ["2.1.1"],
+  level: "A",
+  expandComponents: true,
+  docs: "https://www.w3.org/WAI/WCAG21/Understanding/keyboard",
+  description:
+    "Element has an onClick handler but no onKeyDown or onKeyUp handler, so keyboard users can't activate it",
+  suggestion:
+    'Use a <button> instead, or handle Enter and Space as well. Example: <div role="button" tabIndex={0} onClick={open} onKeyDown={(e) => (e.key === "Enter" || e.key === " ") && open()}>',
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      if (!isCandidate(el) || !hasAttr(el, "onclick")) return;
+      if (isNativeInteractive(el)) return;
+      if (hasAnyAttr(el, ["onkeydown", "onkeyup", "onkeypress"])) return;
+      report(el);
+    });
+  },
+};
@@ -0,0 +1,17 @@
+// backend/rules/keyboard/index.js
+// Rule pack for mouse-only interaction: click and hover handlers that have
+// no keyboard equivalent, and tabIndex/autoFocus values that break the
+// page's focus order.
+import clickEventsHaveKeyEvents from "./click-events-have-key-events.js";
+import interactiveSupportsFocus from "./interactive-supports-focus.js";
+import noPositiveTabindex from "./no-positive-tabindex.js";
+import mouseEventsHaveKeyEvents from "./mouse-events-have-key-events.js";
+import noAutofocus from "./no-autofocus.js";
+
+export default [
+  clickEventsHaveKeyEvents,
+  interactiveSupportsFocus,
+  noPositiveTabindex,
+  mouseEventsHaveKeyEvents,
+  noAutofocus,
+];
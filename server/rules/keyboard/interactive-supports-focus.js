@@ -0,0 +1,39 @@
+// backend/rules/keyboard/interactive-supports-focus.js
+import { hasAttr } from "../../analyzer/elements.js";
+import {
+  hasAnyAttr,
+  hasInteractiveRole,
+  isCandidate,
+  isNativeInteractive,
+} from "./interactive.js";
+
+const HANDLERS = ["onclick", "onkeydown", "onkeyup", "onkeypress"];
+
+export default {
+  id: "interactive-supports-focus",
+  type: "Interactive Element Not Focusable",
+  severity: "high",
+  wcag: ["2.1.1"],
+  level: "A",
+  expandComponents: true,
+  docs: "https://www.w3.org/WAI/ARIA/apg/practices/keyboard-interface/",
+  description:
+    "Element has an interactive role or event handler but can't receive keyboard focus",
+  suggestion:
+    'Use a native control such as <button>, or add tabIndex={0} so the element is reachable with Tab. Example: <span role="button" tabIndex={0} onClick={toggle} onKeyDown={onKey}>',
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      if (!isCandidate(el) || isNativeInteractive(el)) return;
+      if (hasAttr(el, "tabindex")) return;
+
+      const interactiveRole = hasAttr(el, "role") && hasInteractiveRole(el);
+      if (interactiveRole || hasAnyAttr(el, HANDLERS)) {
+        report(el, {
+          description: interactiveRole
+            ? `Element with role="${el.attrs.role.value ?? "…"}" has no tabIndex, so keyboard users can't reach it`
+            : "Element has an onClick handler but no tabIndex, so keyboard users can't reach it",
+        });
+      }
+    });
+  },
+};
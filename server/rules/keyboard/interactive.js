@@ -0,0 +1,57 @@
+// backend/rules/keyboard/interactive.js
+import { attrValue, getAttr, hasAttr } from "../../analyzer/elements.js";
+
+// Native elements that are focusable and keyboard operable on their own
+const NATIVE_INTERACTIVE = new Set([
+  "button",
+  "input",
+  "select",
+  "textarea",
+  "summary",
+  "option",
+  "iframe",
+]);
+
+const INTERACTIVE_ROLES = new Set([
+  "button",
+  "checkbox",
+  "combobox",
+  "gridcell",
+  "link",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "option",
+  "radio",
+  "searchbox",
+  "slider",
+  "spinbutton",
+  "switch",
+  "tab",
+  "textbox",
+  "treeitem",
+]);
+
+export const isNativeInteractive = (element) =>
+  NATIVE_INTERACTIVE.has(element.tag) ||
+  (["a", "area"].includes(element.tag) && hasAttr(element, "href")) ||
+  (["audio", "video"].includes(element.tag) && hasAttr(element, "controls")) ||
+  hasAttr(element, "contenteditable");
+
+export const hasInteractiveRole = (element) => {
+  const role = attrValue(element, "role");
+  return role === null || INTERACTIVE_ROLES.has((role || "").trim());
+};
+
+// Elements hidden from assistive technology or marked as decoration
+export const isPresentational = (element) =>
+  attrValue(element, "aria-hidden") === "true" ||
+  ["presentation", "none"].includes(attrValue(element, "role"));
+
+// Native elements only: props on custom components may be handled (or
+// renamed) inside them, and spreads may bring in the missing handler
+export const isCandidate = (element) =>
+  !element.isComponent && !element.spread && !isPresentational(element);
+
+export const hasAnyAttr = (element, names) =>
+  names.some((name) => getAttr(element, name) !== undefined);
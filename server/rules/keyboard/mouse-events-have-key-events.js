@@ -0,0 +1,37 @@
+// backend/rules/keyboard/mouse-events-have-key-events.js
+import { hasAttr } from "../../analyzer/elements.js";
+import { isCandidate } from "./interactive.js";
+
+// Mouse-only handler -> the keyboard equivalents that cover it
+const PAIRS = [
+  ["onmouseover", ["onfocus"], "onMouseOver", "onFocus"],
+  ["onmouseenter", ["onfocus"], "onMouseEnter", "onFocus"],
+  ["onmouseout", ["onblur"], "onMouseOut", "onBlur"],
+  ["onmouseleave", ["onblur"], "onMouseLeave", "onBlur"],
+];
+
+export default {
+  id: "mouse-events-have-key-events",
+  type: "Hover Without Focus Equivalent",
+  severity: "medium",
+  wcag: ["2.1.1"],
+  level: "A",
+  docs: "https://www.w3.org/WAI/WCAG21/Understanding/keyboard",
+  description:
+    "Content shown on mouse hover is not available to keyboard users",
+  suggestion:
+    "Pair onMouseOver/onMouseEnter with onFocus and onMouseOut/onMouseLeave with onBlur so keyboard users get the same behavior.",
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      if (!isCandidate(el)) return;
+      PAIRS.forEach(([mouse, keyboard, mouseName, keyboardName]) => {
+        if (!hasAttr(el, mouse) || keyboard.some((name) => hasAttr(el, name))) {
+          return;
+        }
+        report(el, {
+          description: `${el.syntax === "html" ? mouse : mouseName} has no matching ${el.syntax === "html" ? keyboardName.toLowerCase() : keyboardName} handler, so keyboard users miss what it does`,
+        });
+      });
+    });
+  },
+};
@@ -0,0 +1,27 @@
+// backend/rules/keyboard/no-autofocus.js
+import { attrValue, findAncestor } from "../../analyzer/elements.js";
+
+const isDialog = (element) =>
+  element.tag === "dialog" ||
+  ["dialog", "alertdialog"].includes(attrValue(element, "role"));
+
+export default {
+  id: "no-autofocus",
+  type: "Unexpected Autofocus",
+  severity: "medium",
+  wcag: ["2.4.3"],
+  level: "A",
+  docs: "https://www.w3.org/WAI/WCAG21/Understanding/focus-order",
+  description:
+    "autoFocus moves focus on page load, skipping content screen reader users haven't heard yet",
+  suggestion:
+    "Remove autoFocus and let users start from the top of the page. Moving focus into a dialog when it opens is fine.",
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      const value = attrValue(el, "autofocus");
+      if (value === undefined || value === "false") return;
+      if (isDialog(el) || findAncestor(el, isDialog)) return;
+      report(el);
+    });
+  },
+};
@@ -0,0 +1,25 @@
+// backend/rules/keyboard/no-positive-tabindex.js
+import { attrValue, getAttr } from "../../analyzer/elements.js";
+
+export default {
+  id: "no-positive-tabindex",
+  type: "Positive tabIndex",
+  severity: "medium",
+  wcag: ["2.4.3"],
+  level: "A",
+  docs: "https://www.w3.org/WAI/WCAG21/Techniques/failures/F44",
+  description:
+    "A positive tabIndex moves the element ahead of the page's natural focus order",
+  suggestion:
+    "Use tabIndex={0} to make an element focusable in document order, or -1 to focus it only from script. Reorder the markup instead if the focus order is wrong.",
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      const value = attrValue(el, "tabindex");
+      if (value && parseInt(value, 10) > 0) {
+        report(el, {
+          description: `${getAttr(el, "tabindex").name}="${value}" moves the element ahead of the page's natural focus order`,
+        });
+      }
+    });
+  },
+};
@@ -0,0 +1,27 @@
+// backend/rules/missing-aria-landmark.js
+import { getAttr, attrValue } from "../analyzer/elements.js";
+
+export default {
+  id: "missing-aria-landmark",
+  type: "Missing ARIA Landmark",
+  severity: "low",
+  wcag: ["1.3.1"],
+  level: "A",
+  docs: "https://www.w3.org/WAI/ARIA/apg/practices/landmark-regions/",
+  description: "Semantic section could benefit from ARIA landmark role",
+  suggestion:
+    "Consider using semantic HTML5 elements (<header>, <nav>, <main>, <footer>) or add appropriate ARIA roles.",
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      const className = attrValue(el, "class");
+      if (
+        el.tag === "div" &&
+        className &&
+        /(header|nav|main|footer)/i.test(className) &&
+        !getAttr(el, "role")
+      ) {
+        report(el);
+      }
+    });
+  },
+};
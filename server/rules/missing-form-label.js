@@ -0,0 +1,55 @@
+// backend/rules/missing-form-label.js
+import {
+  attrValue,
+  findAncestor,
+  hasAccessibleNameAttr,
+} from "../analyzer/elements.js";
+
+const FORM_CONTROLS = ["input", "select", "textarea"];
+const UNLABELLED_INPUT_TYPES = ["hidden", "submit", "button", "reset", "image"];
+
+export default {
+  id: "missing-form-label",
+  type: "Missing Form Label",
+  severity: "high",
+  wcag: ["3.3.2", "4.1.2"],
+  level: "A",
+  expandComponents: true,
+  docs: "https://www.w3.org/WAI/tutorials/forms/labels/",
+  description: "Input field lacks an associated label",
+  suggestion:
+    'Add a <label> element or aria-label attribute. Example: <label for="name">Name:</label><input id="name" />',
+  check: ({ elements, report }) => {
+    const labelTargets = new Set();
+    let hasDynamicLabelTarget = false;
+
+    elements
+      .filter((el) => el.tag === "label")
+      .forEach((label) => {
+        const target = attrValue(label, "for");
+        if (target === null) hasDynamicLabelTarget = true;
+        else if (target) labelTargets.add(target);
+      });
+
+    elements.forEach((el) => {
+      if (
+        !FORM_CONTROLS.includes(el.tag) ||
+        UNLABELLED_INPUT_TYPES.includes(
+          (attrValue(el, "type") || "").toLowerCase(),
+        ) ||
+        hasAccessibleNameAttr(el)
+      ) {
+        return;
+      }
+
+      const id = attrValue(el, "id");
+      const hasLabel =
+        findAncestor(el, (parent) => parent.tag === "label") ||
+        (id && labelTargets.has(id)) ||
+        (id !== undefined && hasDynamicLabelTarget) ||
+        (id === null && labelTargets.size > 0);
+
+      if (!hasLabel) report(el);
+    });
+  },
+};
@@ -0,0 +1,24 @@
+// backend/rules/missing-lang.js
+import { getAttr } from "../analyzer/elements.js";
+import { insertAttribute } from "../analyzer/edits.js";
+
+export default {
+  id: "missing-lang",
+  type: "Missing Language Attribute",
+  severity: "high",
+  wcag: ["3.1.1"],
+  level: "A",
+  docs: "https://www.w3.org/WAI/WCAG21/Understanding/language-of-page",
+  description: "HTML element missing lang attribute",
+  suggestion:
+    'Add lang attribute to help screen readers. Example: <html lang="en">',
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      if (el.tag === "html" && !getAttr(el, "lang")) report(el);
+    });
+  },
+  fix: (el, { content, options }) => ({
+    description: `Add lang="${options.lang}" to <html>`,
+    edits: [insertAttribute(el, content, "lang", options.lang)],
+  }),
+};
@@ -0,0 +1,25 @@
+// backend/rules/non-descriptive-link.js
+import { getTextContent, hasAccessibleNameAttr } from "../analyzer/elements.js";
+
+const VAGUE_LINK_TEXT = ["click here", "read more", "here", "more"];
+
+export default {
+  id: "non-descriptive-link",
+  type: "Non-Descriptive Link Text",
+  severity: "medium",
+  wcag: ["2.4.4"],
+  level: "A",
+  expandComponents: true,
+  docs: "https://www.w3.org/WAI/WCAG21/Understanding/link-purpose-in-context",
+  description: "Link text is not descriptive",
+  suggestion:
+    'Use meaningful link text that describes the destination. Instead of "click here", use "View the accessibility guide".',
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      if (el.tag !== "a" || hasAccessibleNameAttr(el)) return;
+
+      const { text } = getTextContent(el);
+      if (VAGUE_LINK_TEXT.includes(text.toLowerCase())) report(el);
+    });
+  },
+};
@@ -0,0 +1,46 @@
+// backend/rules/non-semantic-interactive.js
+import { getAttr } from "../analyzer/elements.js";
+import { insertAttribute, renameElement } from "../analyzer/edits.js";
+import { isNativeInteractive } from "./keyboard/interactive.js";
+
+const hasInteractiveContent = (element) =>
+  element.children.some(
+    (child) =>
+      child.type === "element" &&
+      (isNativeInteractive(child) || hasInteractiveContent(child)),
+  );
+
+export default {
+  id: "non-semantic-interactive",
+  type: "Non-Semantic Interactive Element",
+  severity: "high",
+  wcag: ["2.1.1", "4.1.2"],
+  level: "A",
+  docs: "https://www.w3.org/WAI/ARIA/apg/patterns/button/",
+  description:
+    "Div with click handler should be a button or have proper ARIA role",
+  suggestion:
+    'Use <button> element or add role="button" and keyboard event handlers.',
+  check: ({ elements, report }) => {
+    elements.forEach((el) => {
+      if (el.tag === "div" && getAttr(el, "onclick") && !getAttr(el, "role")) {
+        report(el);
+      }
+    });
+  },
+  // A <button> brings focus, Enter/Space activation and the button role
+  fix: (el, { content }) => {
+    if (hasInteractiveContent(el)) {
+      return {
+        reason: "Contains links or form controls, which a <button> can't hold",
+      };
+    }
+    const rename = renameElement(el, content, "button");
+    if (!rename) return { reason: "The closing </div> couldn't be located" };
+    return {
+      description:
+        'Change the <div> to a <button type="button">; check its styling',
+      edits: [...rename, insertAttribute(el, content, "type", "button")],
+    };
+  },
+};
@@ -0,0 +1,58 @@
+// backend/rules/tailwind/focus-visible.js
+import { getAttr, getClassList } from "../../analyzer/elements.js";
+
+const FOCUSABLE_TAGS = [
+  "a",
+  "button",
+  "input",
+  "select",
+  "textarea",
+  "summary",
+];
+
+const removesOutline = (className) =>
+  /^((focus|focus-visible):)?outline-(none|hidden)$/.test(className);
+
+// Any visible focus style counts as a replacement for the default outline
+const restoresFocus = (className) =>
+  !removesOutline(className) &&
+  (className.startsWith("focus-visible:") ||
+    /^focus:(ring|outline|border|shadow|underline|bg-)/.test(className));
+
+const isFocusable = (element) =>
+  element.isComponent ||
+  FOCUSABLE_TAGS.includes(element.tag) ||
+  getAttr(element, "tabindex") !== undefined ||
+  getAttr(element, "contenteditable") !== undefined;
+
+export default {
+  id: "tailwind-focus-visible",
+  type: "Focus Indicator Removed",
+  severity: "high",
+  wcag: ["2.4.7"],
+  level: "AA",
+  docs: "https://www.w3.org/WAI/WCAG21/Understanding/focus-visible",
+  description:
+    "outline-none removes the focus indicator and no focus:ring or focus-visible: style replaces it",
+  suggestion:
+    'Keep a visible focus style for keyboard users. Example: className="focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500"',
+  check: ({ elements, project, report }) => {
+    if (!project.tailwind) return;
+
+    elements.forEach((el) => {
+      if (!isFocusable(el)) return;
+
+      const { classes, dynamic } = getClassList(el);
+      const removed = classes.find(removesOutline);
+      if (!removed) return;
+      // The missing focus style may be in the interpolated part
+      if (dynamic) return;
+
+      if (!classes.some(restoresFocus)) {
+        report(el, {
+          description: `${removed} removes the focus indicator and no focus:ring or focus-visible: style replaces it`,
+        });
+      }
+    });
+  },
+};
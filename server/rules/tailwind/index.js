@@ -0,0 +1,7 @@
+// backend/rules/tailwind/index.js
+// Rule pack for projects styled with Tailwind utility classes. Contrast is
+// handled by the core color-contrast rule through the Tailwind style
+// resolver (see ./theme.js); this pack adds the Tailwind-only checks.
+import focusVisible from "./focus-visible.js";
+
+export default [focusVisible];
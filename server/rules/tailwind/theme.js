@@ -0,0 +1,209 @@
+// backend/rules/tailwind/theme.js
+import { parse as parseBabel } from "@babel/parser";
+import { parseColor } from "../../analyzer/color.js";
+import palette from "./palette.js";
+
+const CONFIG_PATTERN = /(^|\/)tailwind\.config\.(js|cjs|mjs|ts)$/;
+const CSS_ENTRY_PATTERN = /@tailwind\s|@import\s+["']tailwindcss/;
+
+const FONT_SIZES = {
+  xs: 12,
+  sm: 14,
+  base: 16,
+  lg: 18,
+  xl: 20,
+  "2xl": 24,
+  "3xl": 30,
+  "4xl": 36,
+  "5xl": 48,
+  "6xl": 60,
+  "7xl": 72,
+  "8xl": 96,
+  "9xl": 128,
+};
+
+const FONT_WEIGHTS = {
+  thin: 100,
+  extralight: 200,
+  light: 300,
+  normal: 400,
+  medium: 500,
+  semibold: 600,
+  bold: 700,
+  extrabold: 800,
+  black: 900,
+};
+
+// { brand: { DEFAULT: "#123", 500: "#456" } } -> { brand: "#123", "brand-500": "#456" }
+const flattenColors = (colors, prefix = "", out = {}) => {
+  Object.entries(colors).forEach(([key, value]) => {
+    const name =
+      key === "DEFAULT" ? prefix : prefix ? `${prefix}-${key}` : String(key);
+    if (typeof value === "string") out[name] = value;
+    else if (value && typeof value === "object") {
+      flattenColors(value, name, out);
+    }
+  });
+  return out;
+};
+
+// Reads an object literal from the config source without executing it.
+// Non-literal values (imports, function calls, spreads) are skipped.
+const literalValue = (node) => {
+  if (!node) return undefined;
+  if (node.type === "StringLiteral") return node.value;
+  if (node.type === "NumericLiteral") return String(node.value);
+  if (node.type === "TSAsExpression" || node.type === "TSSatisfiesExpression") {
+    return literalValue(node.expression);
+  }
+  if (node.type !== "ObjectExpression") return undefined;
+
+  const object = {};
+  node.properties.forEach((prop) => {
+    if (prop.type !== "ObjectProperty" || prop.computed) return;
+    const key =
+      prop.key.type === "Identifier" ? prop.key.name : String(prop.key.value);
+    const value = literalValue(prop.value);
+    if (value !== undefined) object[key] = value;
+  });
+  return object;
+};
+
+const findThemeNode = (node) => {
+  if (!node || typeof node.type !== "string") return null;
+  if (
+    node.type === "ObjectProperty" &&
+    !node.computed &&
+    (node.key.name === "theme" || node.key.value === "theme") &&
+    node.value.type === "ObjectExpression"
+  ) {
+    return node.value;
+  }
+  for (const key of Object.keys(node)) {
+    if (key === "loc" || key.endsWith("Comments")) continue;
+    const child = node[key];
+    const children = Array.isArray(child) ? child : [child];
+    for (const item of children) {
+      if (item && typeof item === "object") {
+        const found = findThemeNode(item);
+        if (found) return found;
+      }
+    }
+  }
+  return null;
+};
+
+const configColors = (content) => {
+  try {
+    const ast = parseBabel(content, {
+      sourceType: "unambiguous",
+      errorRecovery: true,
+      plugins: ["typescript"],
+    });
+    const theme = literalValue(findThemeNode(ast.program)) || {};
+    return {
+      replace: theme.colors ? flattenColors(theme.colors) : null,
+      extend: theme.extend?.colors ? flattenColors(theme.extend.colors) : {},
+    };
+  } catch (err) {
+    console.error("Error reading Tailwind config:", err.message);
+    return { replace: null, extend: {} };
+  }
+};
+
+// Returns the project's Tailwind theme ({ colors }) or null when the project
+// doesn't use Tailwind. Colors come from the default palette, then
+// tailwind.config.* (theme.colors replaces, theme.extend.colors adds) and
+// v4 `@theme { --color-* }` tokens.
+export const loadTailwindTheme = (files, styleVariables = {}) => {
+  const configFile = files.find((f) => CONFIG_PATTERN.test(f.name));
+  const usesTailwind =
+    configFile || files.some((f) => CSS_ENTRY_PATTERN.test(f.content));
+  if (!usesTailwind) return null;
+
+  let colors = flattenColors(palette);
+  if (configFile) {
+    const { replace, extend } = configColors(configFile.content);
+    colors = { ...(replace || colors), ...extend };
+  }
+
+  Object.entries(styleVariables).forEach(([name, value]) => {
+    if (name.startsWith("--color-")) colors[name.slice(8)] = value;
+  });
+
+  return { colors, configFile: configFile?.name || null };
+};
+
+const withOpacity = (value, opacity) => {
+  const color = parseColor(value);
+  if (!color || opacity === undefined) return value;
+  const alpha = opacity.startsWith("[")
+    ? parseFloat(opacity.slice(1, -1))
+    : parseInt(opacity) / 100;
+  if (Number.isNaN(alpha)) return value;
+  return `rgba(${color.r}, ${color.g}, ${color.b}, ${color.a * alpha})`;
+};
+
+const arbitrary = (value) =>
+  value.startsWith("[") && value.endsWith("]")
+    ? value.slice(1, -1).replace(/_/g, " ")
+    : null;
+
+// Maps utility classes to CSS declarations for the style index. Classes
+// behind a variant (hover:, md:, dark:...) only apply conditionally and
+// are left out.
+export const createTailwindResolver = (theme) => (element, classes) => {
+  const declared = {};
+  const set = (prop, value, className) => {
+    declared[prop] = { value, source: { tailwind: true, className } };
+  };
+
+  classes.forEach((rawClass) => {
+    if (rawClass.includes(":")) return;
+    const className = rawClass.replace(/^!/, "");
+    const match = /^(text|bg|font)-(.+)$/.exec(className);
+    if (!match) return;
+
+    const [, utility, rest] = match;
+    // Gradients and images can't be measured, but they do paint over
+    // whatever background is behind them
+    if (
+      utility === "bg" &&
+      /^(linear|gradient|radial|conic)-|^\[url\(/.test(rest)
+    ) {
+      set("background", "linear-gradient(transparent, transparent)", className);
+      return;
+    }
+    const [name, opacity] = rest.split("/");
+    const arbitraryValue = arbitrary(name);
+
+    if (utility === "font") {
+      if (FONT_WEIGHTS[name])
+        set("font-weight", String(FONT_WEIGHTS[name]), className);
+      return;
+    }
+
+    if (utility === "text" && FONT_SIZES[name]) {
+      set("font-size", `${FONT_SIZES[name]}px`, className);
+      return;
+    }
+
+    if (arbitraryValue !== null) {
+      if (utility === "text" && /^\d/.test(arbitraryValue)) {
+        set("font-size", arbitraryValue, className);
+      } else if (parseColor(arbitraryValue)) {
+        const prop = utility === "text" ? "color" : "background-color";
+        set(prop, withOpacity(arbitraryValue, opacity), className);
+      }
+      return;
+    }
+
+    const color = theme.colors[name];
+    if (color) {
+      const prop = utility === "text" ? "color" : "background-color";
+      set(prop, withOpacity(color, opacity), className);
+    }
+  });
+
+  return declared;
+};
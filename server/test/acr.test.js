@@ -0,0 +1,53 @@
+// backend/test/acr.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildAcr } from "../analyzer/acr.js";
+import { describeCriterion } from "../rules/wcag.js";
+
+const altIssue = (overrides = {}) => ({
+  ruleId: "missing-alt-text",
+  type: "Missing Alt Text",
+  file: "src/App.jsx",
+  line: 1,
+  wcag: [describeCriterion("1.1.1")],
+  ...overrides,
+});
+
+const criterion = (analysis, id) =>
+  buildAcr({ projectName: "Demo", mode: "static", ...analysis }).criteria.find(
+    (c) => c.criterion === id,
+  );
+
+test("evaluates criteria from the rules the analysis ran", () => {
+  const rulesRun = ["missing-alt-text", "empty-alt-text", "missing-lang"];
+  assert.equal(
+    criterion({ rulesRun, issues: [altIssue()] }, "1.1.1").conformance,
+    "Partially Supports",
+  );
+  assert.equal(
+    criterion({ rulesRun, issues: [] }, "1.1.1").conformance,
+    "Supports",
+  );
+  // Rules that didn't run don't count as passed
+  assert.equal(
+    criterion({ rulesRun: ["missing-alt-text"], issues: [altIssue()] }, "1.1.1")
+      .conformance,
+    "Does Not Support",
+  );
+});
+
+test("doesn't claim support when the rules that ran weren't recorded", () => {
+  const empty = criterion({ issues: [] }, "1.1.1");
+  assert.equal(empty.conformance, "Not Evaluated");
+  assert.equal(criterion({ issues: [] }, "3.1.1").conformance, "Not Evaluated");
+});
+
+test("matches legacy issues without a rule id by type", () => {
+  const legacy = criterion(
+    { issues: [altIssue({ ruleId: undefined })] },
+    "1.1.1",
+  );
+  assert.equal(legacy.conformance, "Partially Supports");
+  assert.deepEqual(legacy.automated.failed, ["missing-alt-text"]);
+  assert.match(legacy.remarks, /Missing Alt Text: 1 issue in App\.jsx/);
+});
@@ -0,0 +1,68 @@
+// backend/test/aria.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runRules } from "../analyzer/engine.js";
+import { getRules } from "../rules/index.js";
+
+const ariaIssues = (content) =>
+  runRules(
+    [{ name: "Form.jsx", content }],
+    getRules().filter((rule) => rule.id.startsWith("aria-")),
+  ).issues.map((issue) => [issue.line, issue.ruleId, issue.description]);
+
+test("checks roles and attributes against the WAI-ARIA spec", () => {
+  const issues = ariaIssues(`export const Form = () => (
+  <form>
+    <div role="buton">A</div>
+    <div role="">B</div>
+    <span aria-labeledby="x">C</span>
+    <div role="checkbox" tabIndex={0}>D</div>
+    <div aria-hidden="yes">E</div>
+    <button role="button">F</button>
+    <div role="link" aria-checked="true" tabIndex={0}>G</div>
+    <div role="presentation" aria-label="H" />
+  </form>
+);`);
+  assert.deepEqual(issues, [
+    [
+      3,
+      "aria-valid-role",
+      '"buton" is not a valid ARIA role (did you mean "button"?)',
+    ],
+    [4, "aria-valid-role", "role attribute is empty"],
+    [
+      5,
+      "aria-valid-attr",
+      "aria-labeledby is not a WAI-ARIA attribute (did you mean aria-labelledby?)",
+    ],
+    [6, "aria-required-attr", 'role="checkbox" requires aria-checked'],
+    [
+      7,
+      "aria-valid-attr-value",
+      'aria-hidden="yes" is not valid; expected "true" or "false"',
+    ],
+    [
+      8,
+      "aria-redundant-role",
+      'role="button" is redundant on <button>, which already has that role',
+    ],
+    [9, "aria-allowed-attr", 'aria-checked is not supported on role "link"'],
+    [
+      10,
+      "aria-allowed-attr",
+      'aria-label is prohibited on role "presentation"',
+    ],
+  ]);
+});
+
+test("trusts values computed at runtime and valid markup", () => {
+  const issues = ariaIssues(`export const Form = ({ role, open }) => (
+  <form>
+    <div role={role} aria-expanded={open}>A</div>
+    <div role="switch" aria-checked="false" tabIndex={0}>B</div>
+    <button aria-expanded="false" aria-controls="menu">C</button>
+    <input aria-invalid="true" aria-describedby="hint" />
+  </form>
+);`);
+  assert.deepEqual(issues, []);
+});
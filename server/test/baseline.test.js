@@ -0,0 +1,125 @@
+// backend/test/baseline.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BASELINE_FILE,
+  classifyIssues,
+  createBaseline,
+  evaluateGate,
+  parseBaseline,
+} from "../analyzer/baseline.js";
+import { readProject } from "../analyzer/project.js";
+import {
+  analyzeAccessibility,
+  scoreIssues,
+} from "../controllers/analysisController.js";
+
+const entry = (name, content) => ({ name, read: () => content });
+
+const page = `<html lang="en"><body>
+<img src="logo.png">
+<img src="hero.png">
+</body></html>`;
+
+// Scans a project and scores it against its baseline file, as a job does
+const run = (entries) => {
+  const project = readProject(entries);
+  const { issues, suppressed } = analyzeAccessibility(
+    project.files,
+    project.config,
+  );
+  const score = scoreIssues(issues, suppressed, {
+    root: project.root,
+    baseline: project.baseline,
+    failOn: project.config.failOn,
+  });
+  return { issues, ...score };
+};
+
+test("a baseline exported from a run lets the same issues pass", () => {
+  const first = run([entry("site/index.html", page)]);
+  assert.deepEqual(first.gate, { passed: false, failOn: "high", failing: 2 });
+
+  const baseline = createBaseline({
+    projectName: "Site",
+    projectRoot: "site/",
+    issues: first.issues,
+  });
+  assert.equal(baseline.version, 1);
+  assert.deepEqual(
+    baseline.issues.map((issue) => [issue.ruleId, issue.file, issue.line]),
+    [
+      ["missing-alt-text", "site/index.html", 2],
+      ["missing-alt-text", "site/index.html", 3],
+    ],
+  );
+
+  // Zipped under another folder name, with a new issue added
+  const second = run([
+    entry(
+      "site-v2/index.html",
+      page.replace("<body>", '<body>\n<img src="new.png">'),
+    ),
+    entry(`site-v2/${BASELINE_FILE}`, JSON.stringify(baseline)),
+  ]);
+  assert.deepEqual(
+    second.issues.map((issue) => [issue.line, issue.baseline]),
+    [
+      [2, false],
+      [3, true],
+      [4, true],
+    ],
+  );
+  assert.deepEqual(second.gate, { passed: false, failOn: "high", failing: 1 });
+  assert.equal(second.summary.baseline, 2);
+  assert.equal(second.summary.new.critical, 1);
+  assert.deepEqual(second.scoreBreakdown, {
+    baselinePenalty: 20,
+    newPenalty: 10,
+  });
+});
+
+test("a fingerprint listed once covers one issue", () => {
+  const issues = classifyIssues(
+    [{ fingerprint: "a" }, { fingerprint: "a" }, { fingerprint: "b" }],
+    ["a", "b", "c"],
+  );
+  assert.deepEqual(
+    issues.map((issue) => issue.baseline),
+    [true, false, true],
+  );
+});
+
+test("only new issues at or above failOn fail the gate", () => {
+  const issues = [
+    { severity: "critical", baseline: true },
+    { severity: "medium", baseline: false },
+  ];
+  assert.deepEqual(evaluateGate(issues, "high"), {
+    passed: true,
+    failOn: "high",
+    failing: 0,
+  });
+  assert.equal(evaluateGate(issues, "medium").passed, false);
+});
+
+test("rejects malformed baseline files", () => {
+  assert.throws(
+    () => parseBaseline("{"),
+    /^Error: accesswai-baseline\.json: invalid JSON/,
+  );
+  assert.throws(() => parseBaseline('{ "issues": [{}] }'), {
+    message: `${BASELINE_FILE}: expected an "issues" array of { fingerprint } entries`,
+  });
+  assert.throws(() => parseBaseline('{ "version": 2, "issues": [] }'), {
+    message: `${BASELINE_FILE}: unsupported version 2 (expected 1)`,
+  });
+  assert.throws(
+    () =>
+      readProject([
+        entry("index.html", page),
+        entry(BASELINE_FILE, '{ "issues": null }'),
+      ]),
+    /^Error: Invalid baseline: /,
+  );
+});
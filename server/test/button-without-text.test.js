@@ -0,0 +1,58 @@
+// backend/test/button-without-text.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runRules } from "../analyzer/engine.js";
+import { planFixes } from "../analyzer/fixes.js";
+import { getRule } from "../rules/index.js";
+
+const files = [
+  {
+    name: "src/icons.jsx",
+    content: `export const TrashIcon = (props) => <svg {...props}><path d="M0 0" /></svg>;
+export const SaveIcon = () => <svg><title>Save</title></svg>;
+export const Label = ({ text }) => <span>{text}</span>;`,
+  },
+  {
+    name: "src/Toolbar.jsx",
+    content: `import { TrashIcon, SaveIcon, Label } from "./icons";
+import { XMarkIcon } from "@heroicons/react/24/solid";
+import Unknown from "some-lib";
+export const Toolbar = ({ del }) => (
+  <div>
+    <button onClick={del}><TrashIcon /></button>
+    <button><SaveIcon /></button>
+    <button><XMarkIcon /></button>
+    <button><Label text="Go" /></button>
+    <button><Unknown /></button>
+    <button><TrashIcon aria-label="Delete" /></button>
+  </div>
+);`,
+  },
+];
+
+test("counts icon components as text-less markup", () => {
+  const { issues } = runRules(files, [getRule("button-without-text")]);
+  assert.deepEqual(
+    issues.map((issue) => [issue.file, issue.line]),
+    [
+      ["src/Toolbar.jsx", 6],
+      ["src/Toolbar.jsx", 8],
+    ],
+  );
+});
+
+test("labels icon buttons from the icon label map", () => {
+  const { issues } = runRules(files, [getRule("button-without-text")]);
+  const { fixes } = planFixes(
+    issues.map((issue, index) => ({ ...issue, _id: String(index) })),
+    (name) => files.find((file) => file.name === name).content,
+    { lang: "en", labels: { TrashIcon: "Delete", XMarkIcon: "Close" } },
+  );
+  assert.deepEqual(
+    fixes.map((fix) => fix.description),
+    [
+      'Add aria-label="Delete" (for TrashIcon)',
+      'Add aria-label="Close" (for XMarkIcon)',
+    ],
+  );
+});
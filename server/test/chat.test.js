@@ -0,0 +1,232 @@
+// backend/test/chat.test.js
+// Follow-up chat against a stub OpenAI-compatible server. The models'
+// database calls are replaced with an in-memory analysis.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Analysis from "../models/Analysis.js";
+import User from "../models/User.js";
+import analysisRoutes from "../routes/analysis.js";
+import { selectProvider, streamText } from "../ai/index.js";
+
+const REPLY = ["The <img> on line 3 ", "needs an ", "alt attribute."];
+
+let modelServer;
+let appServer;
+let appUrl;
+let sourcesDir;
+const requests = [];
+
+const userId = new mongoose.Types.ObjectId();
+const stored = {
+  _id: new mongoose.Types.ObjectId(),
+  userId,
+  projectName: "Demo",
+  filesAnalyzed: 1,
+  accessibilityScore: 90,
+  summary: { critical: 0, high: 1, medium: 0, low: 0 },
+  issues: [
+    {
+      _id: new mongoose.Types.ObjectId(),
+      ruleId: "missing-alt-text",
+      type: "Missing Alt Text",
+      severity: "high",
+      file: "index.html",
+      line: 3,
+      code: '<img src="logo.png">',
+      description: "Image is missing alt text",
+      wcag: [],
+    },
+  ],
+  chat: [],
+};
+
+const listen = (server) =>
+  new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () =>
+      resolve(`http://127.0.0.1:${server.address().port}`),
+    );
+  });
+
+before(async () => {
+  // Streams REPLY as server-sent events, one piece per event
+  modelServer = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ url: req.url, body: JSON.parse(body) });
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      REPLY.forEach((content) =>
+        res.write(
+          `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`,
+        ),
+      );
+      res.end("data: [DONE]\n\n");
+    });
+  });
+  sourcesDir = fs.mkdtempSync(path.join(os.tmpdir(), "accesswai-test-"));
+  Object.assign(process.env, {
+    AI_PROVIDER: "openai",
+    OPENAI_BASE_URL: `${await listen(modelServer)}/v1`,
+    OPENAI_MODEL: "test-model",
+    OPENAI_RETRIES: "0",
+    SOURCES_DIR: sourcesDir,
+  });
+
+  User.findById = () => ({ select: async () => ({ _id: userId }) });
+  const owned = (query) =>
+    String(query._id) === String(stored._id) &&
+    String(query.userId) === String(userId);
+  Analysis.findOne = (query) => ({
+    lean: async () =>
+      owned(query) ? { ...stored, chat: [...stored.chat] } : null,
+  });
+  Analysis.updateOne = async (query, update) => {
+    if (String(query._id) === String(stored._id)) {
+      stored.chat.push(...update.$push.chat.$each);
+    }
+  };
+  Analysis.findOneAndUpdate = (query, update) => ({
+    select: async () => {
+      if (!owned(query)) return null;
+      stored.chat = update.$set.chat;
+      return { _id: stored._id };
+    },
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api/analysis", analysisRoutes);
+  appServer = http.createServer(app);
+  appUrl = await listen(appServer);
+});
+
+after(() => {
+  modelServer.close();
+  appServer.close();
+  fs.rmSync(sourcesDir, { recursive: true, force: true });
+});
+
+const token = jwt.sign(
+  { id: userId },
+  process.env.JWT_SECRET || "your-secret-key",
+);
+
+const api = (route, init = {}) =>
+  fetch(`${appUrl}/api/analysis${route}`, {
+    ...init,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+  });
+
+test("streamText passes each streamed piece on and returns the reply", async () => {
+  const pieces = [];
+  const text = await streamText(
+    selectProvider("openai"),
+    [{ role: "user", content: "Hello" }],
+    (piece) => pieces.push(piece),
+  );
+  assert.deepEqual(pieces, REPLY);
+  assert.equal(text, REPLY.join(""));
+
+  const { url, body } = requests.at(-1);
+  assert.equal(url, "/v1/chat/completions");
+  assert.equal(body.model, "test-model");
+  assert.equal(body.stream, true);
+  assert.deepEqual(body.messages, [{ role: "user", content: "Hello" }]);
+});
+
+test("POST /:id/chat streams the answer and saves the exchange", async () => {
+  const response = await api(`/${stored._id}/chat`, {
+    method: "POST",
+    body: JSON.stringify({ message: "  Why is the logo flagged? " }),
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /application\/x-ndjson/);
+
+  const events = (await response.text())
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+  assert.deepEqual(
+    events.map((event) => event.type),
+    ["text", "text", "text", "done"],
+  );
+  assert.deepEqual(
+    events.filter((event) => event.type === "text").map((event) => event.text),
+    REPLY,
+  );
+  const { message } = events.at(-1);
+  assert.equal(message.role, "assistant");
+  assert.equal(message.content, REPLY.join(""));
+  assert.equal(message.model, "test-model");
+
+  // The model was asked about this analysis, question last
+  const { messages } = requests.at(-1).body;
+  assert.equal(messages[0].role, "system");
+  assert.match(messages[0].content, /Missing Alt Text/);
+  assert.deepEqual(messages.at(-1), {
+    role: "user",
+    content: "Why is the logo flagged?",
+  });
+
+  assert.deepEqual(
+    stored.chat.map(({ role, content }) => ({ role, content })),
+    [
+      { role: "user", content: "Why is the logo flagged?" },
+      { role: "assistant", content: REPLY.join("") },
+    ],
+  );
+});
+
+test("follow-up questions send the saved conversation", async () => {
+  const response = await api(`/${stored._id}/chat`, {
+    method: "POST",
+    body: JSON.stringify({ message: "And how do I fix it?" }),
+  });
+  await response.text();
+
+  const { messages } = requests.at(-1).body;
+  assert.deepEqual(
+    messages.slice(1).map(({ role, content }) => ({ role, content })),
+    [
+      { role: "user", content: "Why is the logo flagged?" },
+      { role: "assistant", content: REPLY.join("") },
+      { role: "user", content: "And how do I fix it?" },
+    ],
+  );
+  assert.equal(stored.chat.length, 4);
+});
+
+test("rejects empty questions and unknown analyses", async () => {
+  const empty = await api(`/${stored._id}/chat`, {
+    method: "POST",
+    body: JSON.stringify({ message: "   " }),
+  });
+  assert.equal(empty.status, 400);
+
+  const unknown = await api(`/${new mongoose.Types.ObjectId()}/chat`, {
+    method: "POST",
+    body: JSON.stringify({ message: "Hello?" }),
+  });
+  assert.equal(unknown.status, 404);
+});
+
+test("DELETE /:id/chat clears the conversation", async () => {
+  const response = await api(`/${stored._id}/chat`, { method: "DELETE" });
+  assert.equal(response.status, 200);
+  assert.deepEqual(stored.chat, []);
+
+  const unknown = await api(`/${new mongoose.Types.ObjectId()}/chat`, {
+    method: "DELETE",
+  });
+  assert.equal(unknown.status, 404);
+});
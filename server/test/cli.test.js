@@ -0,0 +1,85 @@
+// backend/test/cli.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const CLI = fileURLToPath(new URL("../bin/accesswai.js", import.meta.url));
+
+let dir;
+
+const scan = (...args) => {
+  const result = spawnSync(process.execPath, [CLI, "scan", ...args], {
+    encoding: "utf8",
+    env: { ...process.env, ACCESSWAI_SERVER: "", ACCESSWAI_TOKEN: "" },
+    timeout: 60000,
+  });
+  return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+};
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "accesswai-test-"));
+  fs.writeFileSync(
+    path.join(dir, "index.html"),
+    '<html lang="en"><body><img src="a.png"></body></html>',
+  );
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("exits 1 when the scan finds new issues at or above --fail-on", () => {
+  const { code, stdout } = scan(dir);
+  assert.equal(code, 1);
+  assert.match(stdout, /missing-alt-text/);
+  assert.match(stdout, /Failed: 1 new issue at or above high/);
+});
+
+test("exits 0 when nothing fails the gate", () => {
+  const { code, stdout } = scan(dir, "--fail-on", "none", "--format", "json");
+  assert.equal(code, 0);
+  assert.equal(JSON.parse(stdout).issues.length, 1);
+});
+
+test("a written baseline lets the next run pass", () => {
+  const baseline = path.join(dir, "baseline.json");
+  assert.equal(scan(dir, "--write-baseline", baseline).code, 1);
+  const { code, stdout } = scan(dir, "--baseline", baseline);
+  assert.equal(code, 0);
+  assert.match(stdout, /1 already in baseline/);
+  assert.match(stdout, /Passed: no new issues at or above high/);
+});
+
+test("exits 2 on usage and configuration errors", () => {
+  const badFormat = scan(dir, "--format", "xml");
+  assert.equal(badFormat.code, 2);
+  assert.match(
+    badFormat.stderr,
+    /--format must be one of text, json, sarif, junit, csv/,
+  );
+
+  assert.equal(scan(path.join(dir, "missing")).code, 2);
+
+  const config = path.join(dir, "config.json");
+  fs.writeFileSync(config, '{ "level": "AAAA" }');
+  const badConfig = scan(dir, "--config", config);
+  assert.equal(badConfig.code, 2);
+  assert.match(badConfig.stderr, /Invalid AccessWAI configuration/);
+});
+
+test("exits 3 when the server can't be reached", () => {
+  const { code, stderr } = scan(
+    dir,
+    "--upload",
+    "--server",
+    "http://127.0.0.1:9",
+    "--token",
+    "test",
+  );
+  assert.equal(code, 3);
+  assert.match(stderr, /Cannot reach http:\/\/127\.0\.0\.1:9/);
+});
@@ -0,0 +1,94 @@
+// backend/test/color-contrast.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runRules } from "../analyzer/engine.js";
+import { getRule } from "../rules/index.js";
+
+const contrastIssues = (files) =>
+  runRules(files, [getRule("color-contrast")]).issues.map((issue) => ({
+    file: issue.file,
+    code: issue.code,
+    foreground: issue.contrast.foreground,
+  }));
+
+const page = (body) => `<html lang="en"><body>${body}</body></html>`;
+
+test("matches descendant and child selectors against ancestors", () => {
+  const issues = contrastIssues([
+    {
+      name: "styles.css",
+      content: `.card { background: #fff; }
+.card .muted { color: #999; }
+.card > p.note { color: #aaa; }
+[data-tone="soft"] span { color: #ccc; }`,
+    },
+    {
+      name: "index.html",
+      content: page(
+        '<div class="card"><span class="muted">Muted</span><p class="note">Note</p>' +
+          '<div><p class="note">Nested note</p></div></div>' +
+          '<span class="muted">Outside</span>' +
+          '<div data-tone="soft"><span>Soft</span></div>',
+      ),
+    },
+  ]);
+  assert.deepEqual(
+    issues.map((issue) => [issue.code, issue.foreground]),
+    [
+      ['<span class="muted">', "#999999"],
+      ['<p class="note">', "#aaaaaa"],
+      ["<span>", "#cccccc"],
+    ],
+  );
+});
+
+test("ignores state-dependent selectors", () => {
+  const issues = contrastIssues([
+    { name: "styles.css", content: "a:hover { color: #eee; }" },
+    { name: "index.html", content: page('<a href="/">Home</a>') },
+  ]);
+  assert.deepEqual(issues, []);
+});
+
+test("reports a rule's own pair at the rule when it can't be matched", () => {
+  const issues = contrastIssues([
+    {
+      name: "styles.css",
+      content: ".menu li:hover { color: #777; background: #888; }",
+    },
+  ]);
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].file, "styles.css");
+});
+
+test("reports an inherited pair once, not on every descendant", () => {
+  const issues = contrastIssues([
+    {
+      name: "index.html",
+      content: page(
+        '<p style="color:#777;background:#888">x <b>y</b></p>' +
+          '<p style="color:#777;background:#888">Another</p>',
+      ),
+    },
+  ]);
+  assert.deepEqual(
+    issues.map((issue) => issue.code),
+    [
+      '<p style="color:#777;background:#888">',
+      '<p style="color:#777;background:#888">',
+    ],
+  );
+});
+
+test("reports a Tailwind pair once for the element that sets it", () => {
+  const issues = contrastIssues([
+    { name: "tailwind.config.js", content: "module.exports = {};" },
+    {
+      name: "Card.jsx",
+      content:
+        'export const Card = () => <div className="bg-gray-500 text-gray-600"><p>a <b>b</b></p><p>c</p></div>;',
+    },
+  ]);
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].code, "<p>");
+});
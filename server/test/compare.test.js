@@ -0,0 +1,125 @@
+// backend/test/compare.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fingerprintIssue, matchIssues } from "../analyzer/fingerprint.js";
+import { compareAnalyses } from "../controllers/analysisController.js";
+
+const issue = (overrides = {}) => ({
+  ruleId: "missing-alt-text",
+  severity: "critical",
+  file: "v1/src/App.jsx",
+  line: 3,
+  code: '<img src="logo.png" />',
+  ...overrides,
+});
+
+test("fingerprints ignore the line, wrapping and the zipped folder name", () => {
+  const base = fingerprintIssue(issue(), "v1/");
+  assert.equal(
+    fingerprintIssue(
+      issue({
+        file: "v2/src/App.jsx",
+        line: 40,
+        code: '<img\n  src="logo.png"\n/>',
+      }),
+      "v2/",
+    ),
+    fingerprintIssue(issue({ code: '<img src="logo.png"\n/>' }), "v1/"),
+  );
+  assert.notEqual(
+    base,
+    fingerprintIssue(issue({ ruleId: "empty-alt-text" }), "v1/"),
+  );
+  assert.notEqual(
+    base,
+    fingerprintIssue(issue({ file: "v1/src/Nav.jsx" }), "v1/"),
+  );
+  // Legacy issues without a rule id fall back to their type
+  const legacy = (type) =>
+    fingerprintIssue({ ...issue(), ruleId: undefined, type }, "v1/");
+  assert.notEqual(legacy("Missing Alt Text"), legacy("Empty Alt Text"));
+  assert.equal(legacy("missing-alt-text"), base);
+});
+
+test("pairs repeated snippets in line order and counts the surplus", () => {
+  const { newIssues, resolvedIssues, persistingIssues } = matchIssues(
+    [issue({ line: 3 }), issue({ line: 9 }), issue({ file: "v1/src/Old.jsx" })],
+    [
+      issue({ file: "v2/src/App.jsx", line: 5 }),
+      issue({ file: "v2/src/App.jsx", line: 12 }),
+      issue({ file: "v2/src/App.jsx", line: 20 }),
+    ],
+    "v1/",
+    "v2/",
+  );
+  assert.deepEqual(
+    persistingIssues.map((i) => [i.line, i.previousLine]),
+    [
+      [5, 3],
+      [12, 9],
+    ],
+  );
+  assert.deepEqual(
+    newIssues.map((i) => i.line),
+    [20],
+  );
+  assert.deepEqual(
+    resolvedIssues.map((i) => i.file),
+    ["v1/src/Old.jsx"],
+  );
+});
+
+test("compares two analyses by severity and score", () => {
+  const comparison = compareAnalyses(
+    {
+      accessibilityScore: 80,
+      projectRoot: "",
+      issues: [issue({ file: "src/App.jsx" }), issue({ file: "src/Old.jsx" })],
+    },
+    {
+      accessibilityScore: 85,
+      projectRoot: "",
+      issues: [
+        issue({ file: "src/App.jsx", line: 4 }),
+        issue({ file: "src/New.jsx", severity: "medium", ruleId: "x" }),
+      ],
+    },
+  );
+  assert.equal(comparison.scoreDelta, 5);
+  assert.deepEqual(comparison.severities.critical, {
+    base: 2,
+    head: 1,
+    delta: -1,
+    new: 0,
+    resolved: 1,
+  });
+  assert.deepEqual(comparison.severities.medium, {
+    base: 0,
+    head: 1,
+    delta: 1,
+    new: 1,
+    resolved: 0,
+  });
+  assert.equal(comparison.persistingIssues.length, 1);
+});
+
+test("infers the root of analyses saved before it was recorded", () => {
+  const comparison = compareAnalyses(
+    {
+      accessibilityScore: 90,
+      issues: [
+        issue({ file: "v1/src/App.jsx" }),
+        issue({ file: "v1/index.html" }),
+      ],
+    },
+    {
+      accessibilityScore: 90,
+      issues: [
+        issue({ file: "v2/src/App.jsx" }),
+        issue({ file: "v2/index.html" }),
+      ],
+    },
+  );
+  assert.equal(comparison.persistingIssues.length, 2);
+  assert.equal(comparison.newIssues.length, 0);
+});
@@ -0,0 +1,128 @@
+// backend/test/components.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runRules } from "../analyzer/engine.js";
+import { getRule } from "../rules/index.js";
+
+const check = (ruleId, files) =>
+  runRules(files, [getRule(ruleId)]).issues.map((issue) => ({
+    at: `${issue.file}:${issue.line}`,
+    description: issue.description,
+    suggestion: issue.suggestion,
+    component: issue.component,
+  }));
+
+const iconButton = {
+  name: "src/IconButton.jsx",
+  content: `import { Icon } from "./Icon";
+export const IconButton = ({ onClick }) => (
+  <button onClick={onClick}><Icon /></button>
+);`,
+};
+const icon = {
+  name: "src/Icon.jsx",
+  content: 'export const Icon = () => <svg><path d="M0 0" /></svg>;',
+};
+
+test("reports a dropped prop at the call site that passes it", () => {
+  const issues = check("button-without-text", [
+    iconButton,
+    icon,
+    {
+      name: "src/App.jsx",
+      content: `import { IconButton } from "./IconButton";
+export default function App() {
+  return (
+    <IconButton aria-label="Delete" onClick={remove} />
+  );
+}`,
+    },
+  ]);
+  assert.deepEqual(
+    issues.map((issue) => issue.at),
+    ["src/IconButton.jsx:3", "src/App.jsx:4"],
+  );
+  const [, callSite] = issues;
+  assert.match(
+    callSite.description,
+    /<IconButton> renders this <button> at src\/IconButton.jsx:3/,
+  );
+  assert.match(
+    callSite.suggestion,
+    /IconButton receives aria-label but doesn't pass it on to the <button>/,
+  );
+  assert.deepEqual(callSite.component, {
+    name: "IconButton",
+    file: "src/IconButton.jsx",
+    line: 3,
+  });
+});
+
+test("doesn't repeat the component's own finding at call sites", () => {
+  const issues = check("button-without-text", [
+    iconButton,
+    icon,
+    {
+      name: "src/App.jsx",
+      content: `import { IconButton } from "./IconButton";
+export const App = () => <IconButton onClick={remove} />;`,
+    },
+  ]);
+  assert.deepEqual(
+    issues.map((issue) => issue.at),
+    ["src/IconButton.jsx:3"],
+  );
+});
+
+test("checks forwarded props at each call site", () => {
+  const files = [
+    {
+      name: "src/Img.jsx",
+      content:
+        "export const Img = ({ src, alt }) => <img src={src} alt={alt} />;",
+    },
+    {
+      name: "src/Avatar.jsx",
+      content:
+        'export default function Avatar(props) { return <img className="avatar" {...props} />; }',
+    },
+    {
+      name: "src/App.jsx",
+      content: `import { Img } from "./Img";
+import Avatar from "./Avatar";
+export const App = () => (
+  <div>
+    <Img src="a.png" />
+    <Img src="b.png" alt="Logo" />
+    <Avatar src="c.png" />
+    <Avatar src="d.png" alt="Ada" />
+  </div>
+);`,
+    },
+  ];
+  const issues = check("missing-alt-text", files);
+  assert.deepEqual(
+    issues.map((issue) => issue.at),
+    ["src/App.jsx:5", "src/App.jsx:7"],
+  );
+  assert.match(issues[0].suggestion, /Pass the missing prop to <Img>/);
+});
+
+test("resolves re-exports and namespace imports", () => {
+  const issues = check("missing-alt-text", [
+    {
+      name: "src/ui/Img.jsx",
+      content: 'export const Img = ({ alt }) => <img alt={alt} src="x.png" />;',
+    },
+    { name: "src/ui/index.js", content: 'export * from "./Img";' },
+    {
+      name: "src/App.jsx",
+      content: `import * as UI from "./ui";
+export const App = () => <UI.Img />;`,
+    },
+  ]);
+  assert.deepEqual(
+    issues.map((issue) => issue.at),
+    ["src/App.jsx:2"],
+  );
+});
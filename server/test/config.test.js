@@ -0,0 +1,125 @@
+// backend/test/config.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CONFIG_FILE,
+  applyConfig,
+  getProjectRoot,
+  isIgnored,
+  loadProjectConfig,
+  resolveConfig,
+} from "../analyzer/config.js";
+import { getRule, getRules } from "../rules/index.js";
+
+const reader = (files) => (name) => files[name] ?? null;
+
+test("merges a project config over the defaults", () => {
+  const config = resolveConfig(
+    {
+      level: "A",
+      rules: { "missing-alt-text": "medium", "color-contrast": "off" },
+      ignore: ["vendor/", ""],
+      failOn: "critical",
+    },
+    CONFIG_FILE,
+  );
+  assert.equal(config.level, "A");
+  assert.deepEqual(config.rules, {
+    "missing-alt-text": "medium",
+    "color-contrast": "off",
+  });
+  assert.deepEqual(config.ignore, ["node_modules/", "vendor/"]);
+  assert.equal(config.failOn, "critical");
+  assert.equal(config.source, CONFIG_FILE);
+});
+
+test("rejects malformed configs with the setting at fault", () => {
+  const rejects = (raw, message) =>
+    assert.throws(() => resolveConfig(raw, CONFIG_FILE), { message });
+
+  rejects([], `${CONFIG_FILE}: configuration must be a JSON object`);
+  rejects(
+    { level: "AAAA" },
+    `${CONFIG_FILE}: "level" must be one of A, AA, AAA`,
+  );
+  rejects({ rules: null }, `${CONFIG_FILE}: "rules" must be an object`);
+  rejects(
+    { rules: ["missing-alt-text"] },
+    `${CONFIG_FILE}: "rules" must be an object`,
+  );
+  rejects(
+    { rules: { "no-such-rule": "off" } },
+    `${CONFIG_FILE}: unknown rule "no-such-rule"`,
+  );
+  rejects(
+    { rules: { "missing-alt-text": "error" } },
+    `${CONFIG_FILE}: rule "missing-alt-text" must be "off" or one of critical, high, medium, low`,
+  );
+  rejects(
+    { ignore: "dist/" },
+    `${CONFIG_FILE}: "ignore" must be an array of path patterns`,
+  );
+  rejects(
+    { failOn: "none" },
+    `${CONFIG_FILE}: "failOn" must be one of critical, high, medium, low`,
+  );
+});
+
+test("reads .accesswairc.json, then package.json", () => {
+  assert.equal(
+    loadProjectConfig(
+      reader({
+        [CONFIG_FILE]: '{ "failOn": "low" }',
+        "package.json": '{ "accesswai": { "failOn": "medium" } }',
+      }),
+    ).failOn,
+    "low",
+  );
+  const fromPackage = loadProjectConfig(
+    reader({ "package.json": '{ "accesswai": { "failOn": "medium" } }' }),
+  );
+  assert.equal(fromPackage.failOn, "medium");
+  assert.equal(fromPackage.source, "package.json");
+
+  // A broken package.json falls back to the defaults; a broken rc file doesn't
+  assert.equal(
+    loadProjectConfig(reader({ "package.json": "{" })).source,
+    "default",
+  );
+  assert.throws(
+    () => loadProjectConfig(reader({ [CONFIG_FILE]: "{" })),
+    /^Error: \.accesswairc\.json: invalid JSON/,
+  );
+});
+
+test("turns rules off, filters by level and overrides severity", () => {
+  const config = resolveConfig({
+    level: "A",
+    rules: { "missing-alt-text": "low", "empty-alt-text": "off" },
+  });
+  const rules = applyConfig(getRules(), config);
+  const ids = rules.map((rule) => rule.id);
+  assert.equal(ids.includes("empty-alt-text"), false);
+  assert.equal(ids.includes("color-contrast"), false);
+  assert.equal(getRule("color-contrast").level, "AA");
+  assert.equal(
+    rules.find((rule) => rule.id === "missing-alt-text").severity,
+    "low",
+  );
+  assert.equal(getRule("missing-alt-text").severity, "critical");
+});
+
+test("ignores paths gitignore-style under the project root", () => {
+  const config = resolveConfig({
+    ignore: ["dist/", "/legacy/*.html", "**/*.stories.jsx"],
+  });
+  assert.equal(isIgnored("node_modules/react/index.js", config), true);
+  assert.equal(isIgnored("packages/app/dist/main.js", config), true);
+  assert.equal(isIgnored("legacy/old.html", config), true);
+  assert.equal(isIgnored("src/legacy/old.html", config), false);
+  assert.equal(isIgnored("src/Button.stories.jsx", config), true);
+  assert.equal(isIgnored("src/Button.jsx", config), false);
+
+  assert.equal(getProjectRoot(["app/index.html", "app/src/App.jsx"]), "app/");
+  assert.equal(getProjectRoot(["index.html", "src/App.jsx"]), "");
+});
@@ -0,0 +1,90 @@
+// backend/test/dom.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findPages, mergeResults, runDomRules } from "../analyzer/dom.js";
+import { rulesToRun } from "../controllers/analysisController.js";
+import { resolveConfig } from "../analyzer/config.js";
+import { getRule } from "../rules/index.js";
+
+const at = (issue) => `${issue.file}:${issue.line}`;
+
+test("renders built pages when the project has a build folder", () => {
+  const files = [
+    { name: "index.html", content: "" },
+    { name: "dist/index.html", content: "" },
+    { name: "node_modules/pkg/dist/demo.html", content: "" },
+    { name: "src/App.component.html", content: "" },
+  ];
+  assert.deepEqual(
+    findPages(files).map((file) => file.name),
+    ["dist/index.html"],
+  );
+  assert.deepEqual(
+    findPages(files.slice(0, 1)).map((file) => file.name),
+    ["index.html"],
+  );
+});
+
+test("only runs DOM rules in dom mode", () => {
+  const config = resolveConfig();
+  const ids = (mode) => rulesToRun(config, mode).map((rule) => rule.id);
+  assert.equal(ids("static").includes("duplicate-id"), false);
+  assert.equal(ids("dom").includes("duplicate-id"), true);
+  assert.equal(ids("dom").includes("missing-alt-text"), true);
+});
+
+test("runs DOM rules against the rendered document", () => {
+  const { issues } = runDomRules(
+    [
+      {
+        name: "dist/index.html",
+        content: `<html lang="en"><body>
+<label for="email">Email</label>
+<p id="intro">One</p>
+<p id="intro">Two</p>
+</body></html>`,
+      },
+    ],
+    [getRule("duplicate-id"), getRule("label-for-target")],
+  );
+  assert.deepEqual(
+    issues.map((issue) => [at(issue), issue.ruleId, issue.code]),
+    [
+      ["dist/index.html:2", "label-for-target", '<label for="email">'],
+      ["dist/index.html:4", "duplicate-id", '<p id="intro">'],
+    ],
+  );
+  assert.equal(
+    issues[1].description,
+    'id "intro" is used by 2 elements on this page',
+  );
+});
+
+test("a directive either pass used isn't reported as unused", () => {
+  const directive = (line) => ({
+    directive: "accesswai-disable-next-line",
+    rules: [],
+    line,
+    file: "index.html",
+  });
+  const staticResult = {
+    issues: [{ file: "App.jsx", line: 1 }],
+    suppressed: [],
+    unusedSuppressions: [directive(2), directive(7)],
+  };
+  const domResult = {
+    issues: [{ file: "index.html", line: 9 }],
+    suppressed: [
+      {
+        file: "index.html",
+        line: 3,
+        suppressedBy: { directive: "accesswai-disable-next-line", line: 2 },
+      },
+    ],
+    unusedSuppressions: [directive(7)],
+  };
+  const merged = mergeResults(staticResult, domResult);
+  assert.deepEqual(merged.issues.map(at), ["App.jsx:1", "index.html:9"]);
+  assert.equal(merged.suppressed.length, 1);
+  assert.deepEqual(merged.unusedSuppressions, [directive(7)]);
+});
@@ -0,0 +1,146 @@
+// backend/test/export.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { exportAnalysis } from "../analyzer/export.js";
+import { describeCriterion } from "../rules/wcag.js";
+
+const analysis = {
+  projectName: "Demo & Co",
+  projectRoot: "demo/",
+  accessibilityScore: 85,
+  gate: { passed: false, failOn: "high", failing: 1 },
+  baseline: { source: "file", issues: 1 },
+  issues: [
+    {
+      ruleId: "missing-alt-text",
+      type: "Missing Alt Text",
+      severity: "critical",
+      file: "demo/src/App.jsx",
+      line: 3,
+      column: 5,
+      code: '<img src="logo.png" />',
+      description: "Image is missing alt text",
+      suggestion: "Add an alt attribute",
+      wcag: [describeCriterion("1.1.1")],
+      fingerprint: "aaaa",
+      baseline: false,
+    },
+    {
+      ruleId: "color-contrast",
+      type: "Low Contrast",
+      severity: "medium",
+      file: "demo/styles.css",
+      line: 7,
+      description: '=1+1 contrast, "low"',
+      suggestion: "Darken the text",
+      wcag: [describeCriterion("1.4.3")],
+      fingerprint: "bbbb",
+      baseline: true,
+    },
+  ],
+  suppressedIssues: [
+    {
+      ruleId: "missing-alt-text",
+      type: "Missing Alt Text",
+      severity: "critical",
+      file: "demo/src/App.jsx",
+      line: 9,
+      description: "Image is missing alt text",
+      suggestion: "Add an alt attribute",
+      wcag: [describeCriterion("1.1.1")],
+      suppressedBy: { directive: "accesswai-disable-next-line", line: 8 },
+    },
+  ],
+};
+
+test("SARIF lists each rule once, with baseline state and suppressions", () => {
+  const sarif = JSON.parse(exportAnalysis(analysis, "sarif"));
+  assert.equal(sarif.version, "2.1.0");
+  const [run] = sarif.runs;
+  assert.deepEqual(
+    run.tool.driver.rules.map((rule) => [
+      rule.id,
+      rule.defaultConfiguration.level,
+    ]),
+    [
+      ["missing-alt-text", "error"],
+      ["color-contrast", "error"],
+    ],
+  );
+  assert.deepEqual(run.tool.driver.rules[0].properties.tags, [
+    "accessibility",
+    "wcag111",
+    "wcag2a",
+  ]);
+
+  const [alt, contrast, suppressed] = run.results;
+  assert.equal(
+    alt.locations[0].physicalLocation.artifactLocation.uri,
+    "src/App.jsx",
+  );
+  assert.deepEqual(alt.locations[0].physicalLocation.region, {
+    startLine: 3,
+    startColumn: 5,
+    snippet: { text: '<img src="logo.png" />' },
+  });
+  assert.equal(alt.baselineState, "new");
+  assert.deepEqual(alt.partialFingerprints, {
+    "accesswaiFingerprint/v1": "aaaa",
+  });
+  assert.equal(contrast.level, "warning");
+  assert.equal(contrast.baselineState, "unchanged");
+  assert.equal(suppressed.ruleIndex, 0);
+  assert.deepEqual(suppressed.suppressions, [
+    {
+      kind: "inSource",
+      justification: "accesswai-disable-next-line (line 8)",
+    },
+  ]);
+});
+
+test("JUnit fails new issues and skips baseline and suppressed ones", () => {
+  const xml = exportAnalysis(analysis, "junit");
+  assert.match(
+    xml,
+    /<testsuites name="AccessWAI: Demo &amp; Co" tests="3" failures="1" skipped="2">/,
+  );
+  assert.match(
+    xml,
+    /<testsuite name="src\/App.jsx" tests="2" failures="1" skipped="1">/,
+  );
+  assert.match(
+    xml,
+    /<testcase classname="src\/App.jsx" name="missing-alt-text at line 3"><failure message="Image is missing alt text" type="critical">src\/App.jsx:3:5\n&lt;img src=&quot;logo.png&quot; \/&gt;/,
+  );
+  assert.match(xml, /<skipped message="Already in the baseline"\/>/);
+  assert.match(
+    xml,
+    /<skipped message="Suppressed by accesswai-disable-next-line"\/>/,
+  );
+});
+
+test("CSV sorts by severity and neutralizes formulas", () => {
+  const [header, ...rows] = exportAnalysis(analysis, "csv")
+    .trimEnd()
+    .split("\r\n");
+  assert.equal(
+    header,
+    "severity,rule,file,line,column,wcag,level,description,suggestion,code,status,fingerprint,help",
+  );
+  assert.equal(rows.length, 2);
+  assert.match(rows[0], /^critical,missing-alt-text,src\/App.jsx,3,5,1.1.1,A,/);
+  assert.match(rows[0], /,"<img src=""logo.png"" \/>",new,aaaa,$/);
+  assert.match(rows[1], /^medium,color-contrast,styles.css,7,,1.4.3,AA,/);
+  assert.match(rows[1], /,"'=1\+1 contrast, ""low""",/);
+  assert.match(rows[1], /,baseline,bbbb,$/);
+});
+
+test("JSON keeps suppressed issues with project-relative paths", () => {
+  const json = JSON.parse(exportAnalysis(analysis, "json"));
+  assert.equal(json.projectName, "Demo & Co");
+  assert.deepEqual(
+    json.issues.map((issue) => issue.file),
+    ["src/App.jsx", "styles.css"],
+  );
+  assert.equal(json.suppressedIssues[0].file, "src/App.jsx");
+});
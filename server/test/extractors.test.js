@@ -0,0 +1,119 @@
+// backend/test/extractors.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractMarkup, getDialect } from "../analyzer/extractors.js";
+import { analyzeAccessibility } from "../controllers/analysisController.js";
+
+const issuesIn = (name, content) =>
+  analyzeAccessibility([{ name, content }]).issues.map((issue) => [
+    issue.line,
+    issue.ruleId,
+    issue.code,
+  ]);
+
+test("picks the dialect from the file name", () => {
+  assert.equal(getDialect("src/Card.vue"), "vue");
+  assert.equal(getDialect("src/Nav.svelte"), "svelte");
+  assert.equal(getDialect("src/app/app.component.html"), "angular");
+  assert.equal(getDialect("index.html"), null);
+});
+
+test("keeps Vue template lines and columns where they were", () => {
+  const content = `<script setup>
+const logo = "a.png";
+</script>
+<template>
+  <img src="a.png">
+</template>`;
+  const markup = extractMarkup("Card.vue", content);
+  assert.equal(markup.length, content.length);
+  assert.equal(markup.split("\n")[4], '  <img src="a.png">');
+  assert.doesNotMatch(markup, /script|template/);
+});
+
+test("maps Vue bindings and events onto attributes", () => {
+  const issues = issuesIn(
+    "src/Card.vue",
+    `<template>
+  <div>
+    <img src="a.png">
+    <img :src="logo" :alt="title">
+    <button @click="open"></button>
+    <button>{{ label }}</button>
+  </div>
+</template>`,
+  );
+  assert.deepEqual(issues, [
+    [3, "missing-alt-text", '<img src="a.png">'],
+    [5, "button-without-text", '<button @click="open">'],
+  ]);
+});
+
+test("skips Svelte scripts and reads braces as expressions", () => {
+  const issues = issuesIn(
+    "src/Nav.svelte",
+    `<script>
+  let items = [];
+</script>
+<nav>
+  <img src={logo} alt={big ? "Big" : "Small"}>
+  <img src="b.png">
+  <button on:click={open}></button>
+  <a href="/">{label}</a>
+</nav>`,
+  );
+  assert.deepEqual(issues, [
+    [6, "missing-alt-text", '<img src="b.png">'],
+    [7, "button-without-text", "<button on:click={open}>"],
+  ]);
+});
+
+test("maps Angular property and event bindings", () => {
+  const issues = issuesIn(
+    "src/app/app.component.html",
+    `<header>
+  <img [src]="logo">
+  <img src="x.png" [alt]="title">
+  <button (click)="open()"></button>
+</header>`,
+  );
+  assert.deepEqual(issues, [
+    [2, "missing-alt-text", '<img [src]="logo">'],
+    [4, "button-without-text", '<button (click)="open()">'],
+  ]);
+});
+
+test("checks Markdown images, headings and raw HTML, but not code", () => {
+  const issues = issuesIn(
+    "docs/README.md",
+    `# Title
+
+![Logo](logo.png)
+
+\`\`\`html
+<img src="in-code.png">
+\`\`\`
+
+<img src="raw.png">
+
+### Skipped level
+`,
+  );
+  assert.deepEqual(issues, [
+    [9, "missing-alt-text", '<img src="raw.png">'],
+    [11, "heading-hierarchy", "### Skipped level"],
+  ]);
+});
+
+test("parses JSX blocks in MDX", () => {
+  const issues = issuesIn(
+    "docs/page.mdx",
+    `import { Chart } from "./Chart";
+
+# Page
+
+<img src="jsx.png" />
+`,
+  );
+  assert.deepEqual(issues, [[5, "missing-alt-text", '<img src="jsx.png" />']]);
+});
@@ -0,0 +1,159 @@
+// backend/test/fixes.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyEdits,
+  insertAttribute,
+  renameElement,
+} from "../analyzer/edits.js";
+import { isFixable, parseFixOptions, planFixes } from "../analyzer/fixes.js";
+import { parseFile } from "../analyzer/parsers.js";
+import { analyzeAccessibility } from "../controllers/analysisController.js";
+
+const TODO =
+  "TODO: describe this image, or leave alt empty if it adds no information";
+
+const files = {
+  "index.html": `<html>
+<body>
+<img src="a.png">
+<div onclick="go()">Go</div>
+</body>
+</html>
+`,
+  "App.jsx": `import { X } from "lucide-react";
+export const App = () => (
+  <main>
+    <img src="b.png" />
+    <button onClick={close}><X /></button>
+    <div onClick={open}>Open <a href="/">link</a></div>
+  </main>
+);
+`,
+};
+
+const readFile = (name) => files[name] ?? null;
+
+const fixableIssues = () =>
+  analyzeAccessibility(
+    Object.entries(files).map(([name, content]) => ({ name, content })),
+  ).issues.filter(isFixable);
+
+test("fixes only the flagged elements and leaves the rest as it was", () => {
+  const plan = planFixes(
+    fixableIssues(),
+    readFile,
+    parseFixOptions({ lang: "en-GB", labels: { X: "Close" } }),
+  );
+  assert.deepEqual(
+    plan.fixes.map((fix) => [
+      `${fix.file}:${fix.line}`,
+      fix.applicable,
+      fix.description || fix.reason,
+    ]),
+    [
+      ["index.html:1", true, 'Add lang="en-GB" to <html>'],
+      ["index.html:3", true, 'Add an alt="" placeholder marked TODO'],
+      [
+        "index.html:4",
+        true,
+        'Change the <div> to a <button type="button">; check its styling',
+      ],
+      ["App.jsx:4", true, 'Add an alt="" placeholder marked TODO'],
+      ["App.jsx:5", true, 'Add aria-label="Close" (for X)'],
+      [
+        "App.jsx:6",
+        false,
+        "Contains links or form controls, which a <button> can't hold",
+      ],
+    ],
+  );
+  assert.deepEqual(
+    plan.files.map((file) => [file.name, file.before === files[file.name]]),
+    [
+      ["index.html", true],
+      ["App.jsx", true],
+    ],
+  );
+  assert.equal(
+    plan.files[0].after,
+    `<html lang="en-GB">
+<body>
+<!-- ${TODO} --><img alt="" src="a.png">
+<button type="button" onclick="go()">Go</button>
+</body>
+</html>
+`,
+  );
+  assert.equal(
+    plan.files[1].after,
+    files["App.jsx"]
+      .replace("<img ", `<img alt="" /* ${TODO} */ `)
+      .replace("<button ", '<button aria-label="Close" '),
+  );
+});
+
+test("explains why an issue can't be fixed", () => {
+  const [lang, alt] = fixableIssues();
+  const { fixes } = planFixes(
+    [
+      { ...alt, line: 2 },
+      {
+        ...alt,
+        component: { name: "Logo", file: "Logo.jsx", line: 1 },
+      },
+      { ...lang, file: "gone.html" },
+      { ...alt, ruleId: "color-contrast" },
+    ],
+    readFile,
+  );
+  assert.deepEqual(
+    fixes.map((fix) => fix.reason),
+    [
+      "The element isn't where it was reported",
+      "Found inside <Logo>; fix it in Logo.jsx",
+      "No automatic fix for this rule",
+      "The file is no longer stored",
+    ],
+  );
+});
+
+test("rejects invalid fix options", () => {
+  assert.deepEqual(parseFixOptions(), { lang: "en", labels: {} });
+  assert.throws(() => parseFixOptions({ lang: "english!" }), {
+    message: 'lang must be a language tag such as "en" or "pt-BR"',
+  });
+  assert.throws(() => parseFixOptions({ labels: { X: " " } }), {
+    message: "labels must map icon names to non-empty labels",
+  });
+});
+
+test("edits rename tags and keep quotes valid in each syntax", () => {
+  const jsx = "const a = <Icons.Close size={2}></Icons.Close>;";
+  const [el] = parseFile({ name: "a.jsx", content: jsx }).elements;
+  assert.equal(
+    applyEdits(jsx, [
+      ...renameElement(el, jsx, "button"),
+      insertAttribute(el, jsx, "title", 'Say "hi"'),
+    ]),
+    'const a = <button title={"Say \\"hi\\""} size={2}></button>;',
+  );
+
+  const html = "<p>x</p>";
+  const [p] = parseFile({ name: "a.html", content: html }).elements.filter(
+    (e) => e.tag === "p",
+  );
+  assert.equal(
+    applyEdits(html, [insertAttribute(p, html, "title", 'a "b" & c')]),
+    '<p title="a &quot;b&quot; &amp; c">x</p>',
+  );
+
+  assert.throws(
+    () =>
+      applyEdits("abcdef", [
+        { start: 1, end: 3, text: "X" },
+        { start: 2, end: 4, text: "Y" },
+      ]),
+    { message: "Overlapping edits" },
+  );
+});
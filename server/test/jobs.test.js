@@ -0,0 +1,212 @@
+// backend/test/jobs.test.js
+// The job queue and upload route with the models' database calls replaced
+// by in-memory documents.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import AdmZip from "adm-zip";
+import express from "express";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Analysis from "../models/Analysis.js";
+import Job from "../models/Job.js";
+import Project from "../models/Project.js";
+import User from "../models/User.js";
+import analysisRoutes from "../routes/analysis.js";
+import { enqueueJob, resumeJobs } from "../jobs/queue.js";
+
+let tmp;
+let appServer;
+let appUrl;
+
+const userId = new mongoose.Types.ObjectId();
+const jobs = new Map();
+const analyses = [];
+
+// A job document whose saves are recorded instead of written
+const createJob = (fields) => {
+  const job = new Job({ userId, ...fields });
+  job.saves = [];
+  job.save = async () => {
+    job.saves.push({
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+    });
+  };
+  jobs.set(String(job._id), job);
+  return job;
+};
+
+const finished = (job) =>
+  new Promise((resolve) => {
+    const check = () => (job.finishedAt ? resolve() : setTimeout(check, 10));
+    check();
+  });
+
+const writeZip = (name, files) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([file, content]) =>
+    zip.addFile(file, Buffer.from(content)),
+  );
+  const filePath = path.join(tmp, name);
+  zip.writeZip(filePath);
+  return filePath;
+};
+
+before(async () => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "accesswai-test-"));
+  Object.assign(process.env, {
+    AI_PROVIDER: "fallback",
+    SOURCES_DIR: path.join(tmp, "sources"),
+  });
+
+  User.findById = () => ({ select: async () => ({ _id: userId }) });
+  Project.findById = async () => null;
+  Job.findById = async (id) => jobs.get(String(id)) || null;
+  Job.find = (query) => {
+    const matches = [...jobs.values()].filter(
+      (job) => job.status === query.status,
+    );
+    return Object.assign(Promise.resolve(matches), {
+      sort: () => ({ select: async () => matches }),
+    });
+  };
+  Analysis.create = async (fields) => {
+    const analysis = { _id: new mongoose.Types.ObjectId(), ...fields };
+    analyses.push(analysis);
+    return analysis;
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api/analysis", analysisRoutes);
+  appServer = http.createServer(app);
+  await new Promise((resolve) => appServer.listen(0, "127.0.0.1", resolve));
+  appUrl = `http://127.0.0.1:${appServer.address().port}`;
+});
+
+after(() => {
+  appServer.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test("runs an upload through every stage and saves the analysis", async () => {
+  const filePath = writeZip("site.zip", {
+    "site/index.html": '<html lang="en"><body><img src="a.png"></body></html>',
+  });
+  const job = createJob({
+    input: { projectName: "Site", mode: "static", filePath },
+  });
+  enqueueJob(job._id);
+  await finished(job);
+
+  assert.equal(job.status, "completed", job.error);
+  assert.equal(job.progress, 100);
+  assert.deepEqual(
+    job.saves.map((save) => [save.stage, save.progress]).slice(1, 5),
+    [
+      ["extract", 0],
+      ["scan", 25],
+      ["ai", 50],
+      ["score", 75],
+    ],
+  );
+  assert.deepEqual(
+    job.stages.map((stage) => stage.status),
+    ["completed", "completed", "completed", "completed"],
+  );
+
+  const analysis = analyses.at(-1);
+  assert.equal(String(job.analysisId), String(analysis._id));
+  assert.equal(analysis.projectName, "Site");
+  assert.deepEqual(
+    analysis.issues.map((issue) => issue.ruleId),
+    ["missing-alt-text"],
+  );
+  assert.equal(analysis.ai.provider, "fallback");
+  assert.equal(fs.existsSync(filePath), false);
+});
+
+test("fails the stage that threw and keeps the error", async () => {
+  const filePath = path.join(tmp, "broken.zip");
+  fs.writeFileSync(filePath, "not a zip");
+  const job = createJob({ input: { mode: "static", filePath } });
+  enqueueJob(job._id);
+  await finished(job);
+
+  assert.equal(job.status, "failed");
+  assert.equal(
+    job.error,
+    "Invalid ZIP file. Please upload a valid ZIP archive.",
+  );
+  assert.deepEqual(
+    job.stages.map((stage) => stage.status),
+    ["failed", "pending", "pending", "pending"],
+  );
+});
+
+test("on restart, fails interrupted jobs and runs queued ones", async () => {
+  const interrupted = createJob({ status: "running", stage: "scan" });
+  interrupted.stages[1].status = "running";
+  const queued = createJob({
+    input: {
+      mode: "static",
+      filePath: writeZip("queued.zip", { "index.html": "<p>Hi</p>" }),
+    },
+  });
+
+  await resumeJobs();
+  assert.equal(interrupted.status, "failed");
+  assert.equal(
+    interrupted.error,
+    "The server restarted while this job was running.",
+  );
+  assert.equal(interrupted.stages[1].status, "failed");
+
+  await finished(queued);
+  assert.equal(queued.status, "completed", queued.error);
+});
+
+test("POST /upload removes the upload when the job can't be queued", async () => {
+  Project.findOneAndUpdate = async () => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: "Site",
+  });
+  Job.create = async () => {
+    throw new Error("database unavailable");
+  };
+
+  const name = `upload-test-${process.pid}.zip`;
+  const body = new FormData();
+  body.append(
+    "project",
+    new Blob([fs.readFileSync(writeZip(name, { "index.html": "<p>Hi</p>" }))], {
+      type: "application/zip",
+    }),
+    name,
+  );
+  body.append("projectName", "Site");
+  const token = jwt.sign(
+    { id: userId },
+    process.env.JWT_SECRET || "your-secret-key",
+  );
+  const response = await fetch(`${appUrl}/api/analysis/upload`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}` },
+    body,
+  });
+  assert.equal(response.status, 500);
+  assert.equal((await response.json()).message, "Error queuing analysis");
+
+  // Removal is asynchronous
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  const uploads = path.join(os.tmpdir(), "uploads");
+  assert.deepEqual(
+    fs.readdirSync(uploads).filter((file) => file.endsWith(`-${name}`)),
+    [],
+  );
+});
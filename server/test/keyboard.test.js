@@ -0,0 +1,108 @@
+// backend/test/keyboard.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runRules } from "../analyzer/engine.js";
+import { getRules } from "../rules/index.js";
+
+const KEYBOARD_RULES = [
+  "click-events-have-key-events",
+  "interactive-supports-focus",
+  "mouse-events-have-key-events",
+  "no-autofocus",
+  "no-positive-tabindex",
+];
+
+const keyboardIssues = (files) =>
+  runRules(
+    files,
+    getRules().filter((rule) => KEYBOARD_RULES.includes(rule.id)),
+  ).issues.map((issue) => [
+    `${issue.file}:${issue.line}`,
+    issue.ruleId,
+    issue.description,
+  ]);
+
+test("flags handlers and focus order keyboard users can't follow", () => {
+  const issues = keyboardIssues([
+    {
+      name: "Menu.jsx",
+      content: `export const Menu = ({ open, show }) => (
+  <nav>
+    <div onClick={open}>Open</div>
+    <span role="button" onClick={open} onKeyDown={open}>Go</span>
+    <li onMouseOver={show}>Tip</li>
+    <input autoFocus />
+    <a href="/" tabIndex={2}>Skip</a>
+  </nav>
+);`,
+    },
+  ]);
+  assert.deepEqual(issues, [
+    [
+      "Menu.jsx:3",
+      "click-events-have-key-events",
+      "Element has an onClick handler but no onKeyDown or onKeyUp handler, so keyboard users can't activate it",
+    ],
+    [
+      "Menu.jsx:3",
+      "interactive-supports-focus",
+      "Element has an onClick handler but no tabIndex, so keyboard users can't reach it",
+    ],
+    [
+      "Menu.jsx:4",
+      "interactive-supports-focus",
+      `Element with role="button" has no tabIndex, so keyboard users can't reach it`,
+    ],
+    [
+      "Menu.jsx:5",
+      "mouse-events-have-key-events",
+      "onMouseOver has no matching onFocus handler, so keyboard users miss what it does",
+    ],
+    [
+      "Menu.jsx:6",
+      "no-autofocus",
+      "autoFocus moves focus on page load, skipping content screen reader users haven't heard yet",
+    ],
+    [
+      "Menu.jsx:7",
+      "no-positive-tabindex",
+      `tabIndex="2" moves the element ahead of the page's natural focus order`,
+    ],
+  ]);
+});
+
+test("leaves native controls, spreads, hidden elements and dialogs alone", () => {
+  const issues = keyboardIssues([
+    {
+      name: "Menu.jsx",
+      content: `export const Menu = ({ open, props }) => (
+  <nav>
+    <button onClick={open}>Fine</button>
+    <a href="/docs" onClick={open}>Docs</a>
+    <div role="button" tabIndex={0} onClick={open} onKeyDown={open}>Ok</div>
+    <div {...props} onClick={open} />
+    <div aria-hidden="true" onClick={open} />
+    <dialog><input autoFocus /></dialog>
+  </nav>
+);`,
+    },
+  ]);
+  assert.deepEqual(issues, []);
+});
+
+test("names handlers the way HTML spells them", () => {
+  const issues = keyboardIssues([
+    {
+      name: "index.html",
+      content:
+        '<html lang="en"><body><div onmouseout="hide()" tabindex="0">x</div></body></html>',
+    },
+  ]);
+  assert.deepEqual(issues, [
+    [
+      "index.html:1",
+      "mouse-events-have-key-events",
+      "onmouseout has no matching onblur handler, so keyboard users miss what it does",
+    ],
+  ]);
+});
@@ -0,0 +1,75 @@
+// backend/test/parsers.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isParsable, parseFile } from "../analyzer/parsers.js";
+import { attrValue, getTextContent } from "../analyzer/elements.js";
+import { analyzeAccessibility } from "../controllers/analysisController.js";
+
+test("builds one element tree for JSX", () => {
+  const { elements } = parseFile({
+    name: "App.jsx",
+    content: `export const App = (props) => (
+  <label htmlFor="q" className="field">
+    Search <input id="q" {...props} />
+  </label>
+);`,
+  });
+  const [label, input] = elements;
+  assert.equal(label.tag, "label");
+  assert.equal(label.syntax, "jsx");
+  assert.deepEqual([label.line, label.column], [2, 3]);
+  // JSX aliases are stored under their HTML names
+  assert.equal(attrValue(label, "for"), "q");
+  assert.equal(attrValue(label, "className"), "field");
+  assert.equal(label.code, '<label htmlFor="q" className="field">');
+
+  assert.equal(input.parent, label);
+  assert.equal(input.spread, true);
+  assert.equal(getTextContent(label).text, "Search");
+});
+
+test("builds the same shape for HTML, with its comments", () => {
+  const { elements, comments } = parseFile({
+    name: "index.html",
+    content:
+      '<html lang="en">\n<body>\n<!-- note -->\n<img src="x.png">\n</body></html>',
+  });
+  assert.deepEqual(
+    elements.map((el) => [el.tag, el.line]),
+    [
+      ["html", 1],
+      ["body", 2],
+      ["img", 4],
+    ],
+  );
+  assert.equal(elements[2].syntax, "html");
+  assert.equal(elements[2].code, '<img src="x.png">');
+  assert.deepEqual(comments, [{ value: " note ", line: 3, endLine: 3 }]);
+});
+
+test("only parses files it has a parser for", () => {
+  assert.equal(isParsable("src/App.tsx"), true);
+  assert.equal(isParsable("styles/site.scss"), true);
+  assert.equal(isParsable("README.txt"), false);
+});
+
+test("finds issues in markup a line-based check gets wrong", () => {
+  const { issues } = analyzeAccessibility([
+    {
+      name: "App.jsx",
+      content: `export const A = () => (
+  <div>
+    <img
+      src="a.png"
+    />
+    <img src="b.png" alt={label} />
+    {/* <img src="c.png"> */}
+  </div>
+);`,
+    },
+  ]);
+  assert.deepEqual(
+    issues.map((issue) => [issue.ruleId, issue.line, issue.code]),
+    [["missing-alt-text", 3, '<img src="a.png" />']],
+  );
+});
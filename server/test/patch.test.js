@@ -0,0 +1,120 @@
+// backend/test/patch.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyHunks,
+  createUnifiedDiff,
+  extractDiff,
+  formatUnifiedDiff,
+  parseUnifiedDiff,
+} from "../analyzer/patch.js";
+
+const before = "a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n";
+
+test("creates the same diff as diff -u", () => {
+  assert.equal(
+    createUnifiedDiff("x.txt", before, "a\nb\nC\nd\ne\nf\ng\nh\ni\nj\nk"),
+    `--- a/x.txt
++++ b/x.txt
+@@ -1,6 +1,6 @@
+ a
+ b
+-c
++C
+ d
+ e
+ f
+@@ -8,3 +8,4 @@
+ h
+ i
+ j
++k
+\\ No newline at end of file
+`,
+  );
+  assert.equal(createUnifiedDiff("x.txt", before, before), "");
+});
+
+test("parses hunks, skipping file headers and trailing blank lines", () => {
+  const hunks = parseUnifiedDiff(`diff --git a/App.jsx b/App.jsx
+--- a/App.jsx
++++ b/App.jsx
+@@ -2,3 +2,3 @@ export default function App() {
+ <main>
+
+-  <img src="logo.png" />
++  <img src="logo.png" alt="Logo" />
+\\ No newline at end of file
+
+`);
+  assert.deepEqual(hunks, [
+    {
+      oldStart: 2,
+      lines: [
+        { op: " ", text: "<main>" },
+        { op: " ", text: "" },
+        { op: "-", text: '  <img src="logo.png" />' },
+        { op: "+", text: '  <img src="logo.png" alt="Logo" />' },
+      ],
+    },
+  ]);
+
+  assert.throws(() => parseUnifiedDiff("Looks fine to me."), {
+    message: "no diff hunks found",
+  });
+  assert.throws(() => parseUnifiedDiff("@@ -1 +1 @@\n a\n"), {
+    message: "the diff doesn't change anything",
+  });
+});
+
+test("places hunks by their context when the line numbers are off", () => {
+  const { content, hunks } = applyHunks(
+    before,
+    parseUnifiedDiff(`@@ -1,3 +1,3 @@
+ b
+-c
++C
+@@ -1,2 +1,3 @@
+ h
++h2
+ i
+`),
+  );
+  assert.equal(content, "a\nb\nC\nd\ne\nf\ng\nh\nh2\ni\nj\n");
+  assert.deepEqual(
+    hunks.map((h) => [h.oldStart, h.oldLines, h.newStart, h.newLines]),
+    [
+      [2, 2, 2, 2],
+      [8, 2, 8, 3],
+    ],
+  );
+  assert.equal(
+    formatUnifiedDiff("x.txt", hunks),
+    "--- a/x.txt\n+++ b/x.txt\n@@ -2,2 +2,2 @@\n b\n-c\n+C\n@@ -8,2 +8,3 @@\n h\n+h2\n i\n",
+  );
+});
+
+test("rejects hunks that don't match the file", () => {
+  assert.throws(
+    () =>
+      applyHunks(
+        before,
+        parseUnifiedDiff("@@ -1 +1 @@\n-a\n+A\n@@ -5 +5 @@\n-z\n+Z\n"),
+      ),
+    { message: "hunk 2 doesn't match the file" },
+  );
+});
+
+test("round-trips a created diff through parse and apply", () => {
+  const after = "a\nB\nc\nd\ne\nf\ng\nh\nj\nk\n";
+  const diff = createUnifiedDiff("x.txt", before, after);
+  assert.equal(applyHunks(before, parseUnifiedDiff(diff)).content, after);
+});
+
+test("finds the diff in a model reply", () => {
+  assert.equal(
+    extractDiff("Here is the fix:\n```diff\n@@ -1 +1 @@\n-a\n+A\n```\nDone."),
+    "@@ -1 +1 @@\n-a\n+A\n",
+  );
+  assert.equal(extractDiff("@@ -1 +1 @@\n-a\n+A"), "@@ -1 +1 @@\n-a\n+A");
+});
@@ -0,0 +1,151 @@
+// backend/test/projects.test.js
+// Projects with the models' database calls replaced by in-memory
+// collections.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import express from "express";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Analysis from "../models/Analysis.js";
+import Project from "../models/Project.js";
+import User from "../models/User.js";
+import projectRoutes from "../routes/projects.js";
+import {
+  assignLegacyAnalyses,
+  resolveProject,
+} from "../controllers/projectController.js";
+
+let appServer;
+let appUrl;
+
+const userId = new mongoose.Types.ObjectId();
+const projects = [];
+const analyses = [];
+
+const matches = (doc, query) =>
+  Object.entries(query).every(([key, value]) =>
+    value?.$exists === false
+      ? doc[key] === undefined
+      : String(doc[key]) === String(value),
+  );
+
+before(async () => {
+  User.findById = () => ({ select: async () => ({ _id: userId }) });
+  Project.findOne = (query) => {
+    const found = projects.find((p) => matches(p, query)) || null;
+    return Object.assign(Promise.resolve(found), { lean: async () => found });
+  };
+  Project.findOneAndUpdate = async (query, update) => {
+    let project = projects.find((p) => matches(p, query));
+    if (!project) {
+      project = {
+        _id: new mongoose.Types.ObjectId(),
+        userId: query.userId,
+        normalizedName: query.normalizedName,
+        ...update.$setOnInsert,
+      };
+      projects.push(project);
+    }
+    return project;
+  };
+  Analysis.find = (query) => {
+    const found = analyses.filter((a) => matches(a, query));
+    return {
+      select: async () => found,
+      sort: () => ({ select: () => ({ lean: async () => found }) }),
+    };
+  };
+  Analysis.updateOne = async (query, update) => {
+    Object.assign(
+      analyses.find((a) => matches(a, query)),
+      update,
+    );
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api/projects", projectRoutes);
+  appServer = http.createServer(app);
+  await new Promise((resolve) => appServer.listen(0, "127.0.0.1", resolve));
+  appUrl = `http://127.0.0.1:${appServer.address().port}`;
+});
+
+after(() => {
+  appServer.close();
+});
+
+const token = jwt.sign(
+  { id: userId },
+  process.env.JWT_SECRET || "your-secret-key",
+);
+
+const api = (route, init = {}) =>
+  fetch(`${appUrl}/api/projects${route}`, {
+    ...init,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+  });
+
+test("uploads go into the project with that name, ignoring case and spacing", async () => {
+  const first = await resolveProject(userId, { projectName: "  My   Site " });
+  const second = await resolveProject(userId, { projectName: "my site" });
+  assert.equal(String(first._id), String(second._id));
+  assert.equal(first.name, "My Site");
+
+  const untitled = await resolveProject(userId, {
+    projectName: " ",
+    defaultName: "repo",
+  });
+  assert.equal(untitled.name, "repo");
+  assert.equal(await resolveProject(userId, { projectId: "nope" }), null);
+});
+
+test("groups analyses saved before projects existed by name", async () => {
+  analyses.push(
+    { _id: new mongoose.Types.ObjectId(), userId, projectName: "Legacy" },
+    { _id: new mongoose.Types.ObjectId(), userId, projectName: "legacy " },
+  );
+  await assignLegacyAnalyses();
+  const [a, b] = analyses;
+  assert.ok(a.projectId);
+  assert.equal(String(a.projectId), String(b.projectId));
+  assert.equal(b.projectName, "Legacy");
+});
+
+test("POST / rejects blank and duplicate names", async () => {
+  const blank = await api("/", {
+    method: "POST",
+    body: JSON.stringify({ name: "  " }),
+  });
+  assert.equal(blank.status, 400);
+
+  const created = await api("/", {
+    method: "POST",
+    body: JSON.stringify({ name: "Docs" }),
+  });
+  assert.equal(created.status, 201);
+
+  const duplicate = await api("/", {
+    method: "POST",
+    body: JSON.stringify({ name: "DOCS" }),
+  });
+  assert.equal(duplicate.status, 400);
+  assert.deepEqual(await duplicate.json(), {
+    message: 'You already have a project named "Docs"',
+  });
+});
+
+test("GET /:id returns the project's runs for the trend", async () => {
+  const project = projects.find((p) => p.name === "Legacy");
+  const response = await api(`/${project._id}`);
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.name, "Legacy");
+  assert.equal(body.runs.length, 2);
+
+  assert.equal((await api("/not-an-id")).status, 404);
+  assert.equal((await api(`/${new mongoose.Types.ObjectId()}`)).status, 404);
+});
@@ -0,0 +1,80 @@
+// backend/test/providers.test.js
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  defaultProviderId,
+  fitPrompt,
+  generateText,
+  listProviders,
+  selectProvider,
+} from "../ai/index.js";
+
+beforeEach(() => {
+  ["AI_PROVIDER", "GEMINI_API_KEY", "OPENAI_BASE_URL", "OPENAI_MODEL"].forEach(
+    (name) => delete process.env[name],
+  );
+});
+
+test("picks the configured default and falls back without a model", () => {
+  assert.equal(defaultProviderId(), "fallback");
+  process.env.GEMINI_API_KEY = "key";
+  assert.equal(defaultProviderId(), "gemini");
+
+  // Chosen but not configured
+  process.env.AI_PROVIDER = "openai";
+  assert.equal(defaultProviderId(), "fallback");
+  process.env.OPENAI_BASE_URL = "http://127.0.0.1:8080/v1/";
+  process.env.OPENAI_MODEL = "llama";
+  assert.equal(defaultProviderId(), "openai");
+  assert.equal(
+    selectProvider("openai").settings().baseUrl,
+    "http://127.0.0.1:8080/v1",
+  );
+});
+
+test("uses the user's provider only when the server has it configured", () => {
+  process.env.AI_PROVIDER = "fallback";
+  assert.equal(selectProvider("gemini").id, "fallback");
+  process.env.GEMINI_API_KEY = "key";
+  assert.equal(selectProvider("gemini").id, "gemini");
+  assert.equal(selectProvider("nope").id, "fallback");
+  assert.deepEqual(
+    listProviders().map((provider) => [provider.id, provider.available]),
+    [
+      ["gemini", true],
+      ["openai", false],
+      ["fallback", true],
+    ],
+  );
+});
+
+test("drops sample items until the prompt fits the input budget", () => {
+  const build = (count) => "x".repeat(40 * count + 20);
+  assert.equal(fitPrompt(build, 10, 60).length, 220);
+  assert.equal(fitPrompt(build, 10, 1).length, 20);
+});
+
+test("retries failures that may pass on a second try", async () => {
+  const provider = (failures) => {
+    const calls = [];
+    return {
+      calls,
+      settings: () => ({ timeoutMs: 1000, retries: 1 }),
+      generate: async () => {
+        const error = failures[calls.length];
+        calls.push(error);
+        if (error) throw error;
+        return "ok";
+      },
+    };
+  };
+  const unavailable = Object.assign(new Error("busy"), { status: 503 });
+  const retried = provider([unavailable]);
+  assert.equal(await generateText(retried, "prompt"), "ok");
+  assert.equal(retried.calls.length, 2);
+
+  const badKey = Object.assign(new Error("bad key"), { status: 401 });
+  const rejected = provider([badKey]);
+  await assert.rejects(generateText(rejected, "prompt"), badKey);
+  assert.equal(rejected.calls.length, 1);
+});
@@ -0,0 +1,151 @@
+// backend/test/recommendations.test.js
+// Structured recommendations: validating model replies, the built-in
+// fallback, and falling back when a stub OpenAI-compatible server replies
+// with something unusable.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import mongoose from "mongoose";
+import { parseRecommendations } from "../ai/recommendations.js";
+import { generateFallbackRecommendations } from "../ai/fallback.js";
+import { getAIRecommendations } from "../controllers/analysisController.js";
+import { describeCriterion } from "../rules/wcag.js";
+
+let modelServer;
+let reply = "";
+
+const issue = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  ruleId: "missing-alt-text",
+  type: "Missing Alt Text",
+  severity: "critical",
+  file: "index.html",
+  line: 3,
+  suggestion: "Add an alt attribute",
+  wcag: [describeCriterion("1.1.1")],
+  ...overrides,
+});
+
+before(async () => {
+  modelServer = http.createServer((req, res) => {
+    req.resume();
+    req.on("end", () => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ choices: [{ message: { content: reply } }] }));
+    });
+  });
+  await new Promise((resolve) => modelServer.listen(0, "127.0.0.1", resolve));
+  Object.assign(process.env, {
+    AI_PROVIDER: "openai",
+    OPENAI_BASE_URL: `http://127.0.0.1:${modelServer.address().port}/v1`,
+    OPENAI_MODEL: "test-model",
+    OPENAI_RETRIES: "0",
+  });
+});
+
+after(() => {
+  modelServer.close();
+});
+
+test("keeps the valid parts of a reply and links blockers to issues", () => {
+  const sample = [issue(), issue({ line: 9 })];
+  const recommendations = parseRecommendations(
+    `Here you go:
+\`\`\`json
+{
+  "health": "## **Needs work**",
+  "blockers": [
+    { "title": "Images lack alt text", "impact": "Blind users miss them", "issues": [2, "1", 2, 7] },
+    { "impact": "No title" }
+  ],
+  "quickWins": [{ "title": "Add alt", "detail": "On every image" }, "not an object"],
+  "principles": [
+    { "principle": "robust", "explanation": "Not affected" },
+    { "principle": "perceivable", "explanation": "Images have no text" },
+    { "principle": "Readable", "explanation": "Not a principle" }
+  ]
+}
+\`\`\``,
+    sample,
+  );
+  assert.deepEqual(recommendations, {
+    health: "Needs work",
+    blockers: [
+      {
+        title: "Images lack alt text",
+        impact: "Blind users miss them",
+        issueIds: [sample[1]._id, sample[0]._id],
+      },
+    ],
+    quickWins: [{ title: "Add alt", detail: "On every image" }],
+    longTerm: [],
+    principles: [
+      { principle: "Perceivable", explanation: "Images have no text" },
+      { principle: "Robust", explanation: "Not affected" },
+    ],
+  });
+});
+
+test("rejects replies that can't be used", () => {
+  const rejects = (text, message) =>
+    assert.throws(() => parseRecommendations(text, []), { message });
+  rejects("Sorry, I can't help with that.", "no JSON object found");
+  rejects("{ health: 1 }", /^invalid JSON/);
+  rejects('{ "blockers": [] }', '"health" is missing');
+  rejects('{ "health": "Ok", "quickWins": {} }', '"quickWins" must be a list');
+});
+
+test("the fallback groups critical and high issues into blockers", () => {
+  const issues = [
+    issue(),
+    issue({ file: "about.html" }),
+    issue({
+      ruleId: "missing-lang",
+      type: "Missing Language Attribute",
+      severity: "medium",
+      wcag: [describeCriterion("3.1.1")],
+    }),
+  ];
+  const recommendations = generateFallbackRecommendations(issues);
+  assert.match(recommendations.health, /^Attention Required: .* 2 critical/);
+  assert.deepEqual(recommendations.blockers, [
+    {
+      title: "Missing Alt Text (critical)",
+      impact: "2 issues in index.html, about.html. Fix: Add an alt attribute",
+      issueIds: [issues[0]._id, issues[1]._id],
+    },
+  ]);
+  assert.deepEqual(
+    recommendations.quickWins.map((win) => win.title),
+    ["Add alt attributes to images", "Add lang attribute to HTML"],
+  );
+  assert.deepEqual(
+    recommendations.principles.map((entry) => entry.principle),
+    ["Perceivable", "Understandable"],
+  );
+});
+
+test("uses the model's recommendations when the reply is valid", async () => {
+  const issues = [issue()];
+  reply = JSON.stringify({
+    health: "One blocker",
+    blockers: [{ title: "Alt text", impact: "Missing", issues: [1] }],
+  });
+  const result = await getAIRecommendations(issues);
+  assert.equal(result.provider, "openai");
+  assert.equal(result.model, "test-model");
+  assert.deepEqual(result.recommendations.blockers[0].issueIds, [
+    issues[0]._id,
+  ]);
+});
+
+test("falls back to the built-in recommendations on an unusable reply", async () => {
+  reply = "The site looks mostly fine.";
+  const result = await getAIRecommendations([issue()]);
+  assert.equal(result.provider, "fallback");
+  assert.equal(
+    result.error,
+    "OpenAI-compatible: unusable recommendations: no JSON object found",
+  );
+  assert.equal(result.recommendations.blockers.length, 1);
+});
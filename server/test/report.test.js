@@ -0,0 +1,97 @@
+// backend/test/report.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { buildReport, renderHtmlReport } from "../analyzer/report.js";
+import { renderPdfReport } from "../analyzer/reportPdf.js";
+import { describeCriterion } from "../rules/wcag.js";
+
+const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+const analysis = (overrides = {}) => ({
+  projectName: "Site <beta>",
+  createdAt: new Date("2026-03-01T12:00:00Z"),
+  filesAnalyzed: 2,
+  accessibilityScore: 72,
+  summary: { low: 1, critical: 1 },
+  issues: [
+    {
+      _id: ids[0],
+      ruleId: "missing-lang",
+      type: "Missing Language Attribute",
+      severity: "low",
+      file: "index.html",
+      line: 1,
+      suggestion: "Add lang",
+      wcag: [describeCriterion("3.1.1")],
+    },
+    {
+      _id: ids[1],
+      ruleId: "missing-alt-text",
+      type: "Missing Alt Text",
+      severity: "critical",
+      file: "index.html",
+      line: 3,
+      code: '<img src="a.png">',
+      suggestion: "Add an alt attribute",
+      wcag: [describeCriterion("1.1.1")],
+    },
+  ],
+  recommendations: {
+    health: "Needs work",
+    blockers: [{ title: "Alt text", impact: "Images", issueIds: [ids[1]] }],
+    quickWins: [],
+    longTerm: [],
+    principles: [],
+  },
+  ...overrides,
+});
+
+test("orders issues by severity and counts the WCAG criteria affected", () => {
+  const report = buildReport(analysis());
+  assert.equal(report.title, "Accessibility Audit: Site <beta>");
+  assert.equal(report.rating, "Good");
+  assert.deepEqual(
+    report.issues.map((issue) => issue.ruleId),
+    ["missing-alt-text", "missing-lang"],
+  );
+  assert.deepEqual(
+    report.criteria.map((c) => [c.criterion, c.issues]),
+    [
+      ["1.1.1", 1],
+      ["3.1.1", 1],
+    ],
+  );
+  assert.deepEqual(report.recommendations.blockers[0].issues, [1]);
+});
+
+test("the HTML report escapes project content and links blockers to issues", () => {
+  const html = renderHtmlReport(analysis());
+  assert.match(html, /<title>Accessibility Audit: Site &lt;beta&gt;<\/title>/);
+  assert.match(html, /<code>&lt;img src=&quot;a.png&quot;&gt;<\/code>/);
+  assert.match(
+    html,
+    /<strong>Alt text<\/strong>: Images \(see <a href="#issue-0">issue 1<\/a>\)/,
+  );
+  assert.doesNotMatch(html, /<script/);
+});
+
+test("Markdown recommendations from older analyses can't inject HTML", () => {
+  const html = renderHtmlReport(
+    analysis({
+      recommendations: undefined,
+      aiSuggestions:
+        "# Plan\n<script>alert(1)</script>\n[click](javascript:alert(1)) [docs](https://www.w3.org/)",
+    }),
+  );
+  assert.match(html, /<h3>Plan<\/h3>/);
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  assert.doesNotMatch(html, /href="javascript:/);
+  assert.match(html, /<a href="https:\/\/www.w3.org\/">docs<\/a>/);
+});
+
+test("renders a PDF", async () => {
+  const pdf = await renderPdfReport(analysis());
+  assert.equal(pdf.subarray(0, 8).toString(), "%PDF-1.7");
+  assert.ok(pdf.length > 1000);
+});
@@ -0,0 +1,125 @@
+// backend/test/repository.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  checkoutRepository,
+  listRepositoryFiles,
+  readCheckoutFile,
+  removeCheckout,
+  validateRepository,
+} from "../jobs/repository.js";
+
+let tmp;
+let origin;
+let secret;
+let commit;
+
+const git = (args, cwd) =>
+  execFileSync(
+    "git",
+    ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args],
+    { cwd, encoding: "utf8" },
+  ).trim();
+
+const write = (name, content) => {
+  fs.mkdirSync(path.dirname(path.join(origin, name)), { recursive: true });
+  fs.writeFileSync(path.join(origin, name), content);
+};
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "accesswai-test-"));
+  origin = path.join(tmp, "origin");
+  secret = path.join(tmp, "secret.txt");
+  fs.writeFileSync(secret, "SECRET=1\n");
+  fs.mkdirSync(origin);
+  git(["init", "--quiet", "--initial-branch", "main"], origin);
+  write("index.html", '<html lang="en"><body></body></html>\n');
+  write("src/App.jsx", "export default () => <main />;\n");
+  write("dist/bundle.js", "built\n");
+  write(".gitignore", "dist/\n");
+  fs.symlinkSync(secret, path.join(origin, "leak.html"));
+  fs.symlinkSync("../secret.txt", path.join(origin, "src/leak.jsx"));
+  // Committed before it was ignored, so it's tracked but ignored
+  git(["add", "-A", "-f"], origin);
+  git(["commit", "--quiet", "-m", "Initial"], origin);
+  commit = git(["rev-parse", "HEAD"], origin);
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test("rejects local repositories when ALLOW_LOCAL_REPOS is off", () => {
+  const previous = process.env.ALLOW_LOCAL_REPOS;
+  process.env.ALLOW_LOCAL_REPOS = "false";
+  try {
+    assert.equal(
+      validateRepository(`file://${origin}`),
+      "Local repositories are disabled on this server",
+    );
+    assert.equal(
+      validateRepository(origin),
+      "Local repositories are disabled on this server",
+    );
+    assert.equal(validateRepository("https://example.com/repo.git"), null);
+  } finally {
+    if (previous === undefined) delete process.env.ALLOW_LOCAL_REPOS;
+    else process.env.ALLOW_LOCAL_REPOS = previous;
+  }
+});
+
+test("checks out the default branch of a local repository", async () => {
+  const checkout = await checkoutRepository(`file://${origin}`);
+  try {
+    assert.equal(checkout.commit, commit);
+    assert.equal(checkout.branch, "main");
+    assert.equal(
+      readCheckoutFile(checkout.dir, "src/App.jsx", "utf8"),
+      "export default () => <main />;\n",
+    );
+  } finally {
+    removeCheckout(checkout.dir);
+  }
+});
+
+test("lists tracked files minus ignored ones and symlinks", async () => {
+  const checkout = await checkoutRepository(origin, "main");
+  try {
+    const files = await listRepositoryFiles(checkout.dir);
+    assert.deepEqual(files.sort(), [".gitignore", "index.html", "src/App.jsx"]);
+  } finally {
+    removeCheckout(checkout.dir);
+  }
+});
+
+test("never reads through a committed symlink", async () => {
+  const checkout = await checkoutRepository(origin);
+  try {
+    for (const name of ["leak.html", "src/leak.jsx"]) {
+      let content;
+      try {
+        content = readCheckoutFile(checkout.dir, name, "utf8");
+      } catch {
+        continue;
+      }
+      assert.doesNotMatch(content, /SECRET/);
+    }
+    // A symlink placed in the checkout after the fact is refused
+    fs.rmSync(path.join(checkout.dir, "leak.html"), { force: true });
+    fs.symlinkSync(secret, path.join(checkout.dir, "leak.html"));
+    assert.throws(
+      () => readCheckoutFile(checkout.dir, "leak.html", "utf8"),
+      /not a regular file/,
+    );
+    assert.throws(
+      () => readCheckoutFile(checkout.dir, "../secret.txt", "utf8"),
+      /outside the repository/,
+    );
+  } finally {
+    removeCheckout(checkout.dir);
+  }
+});
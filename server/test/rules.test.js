@@ -0,0 +1,74 @@
+// backend/test/rules.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runRules } from "../analyzer/engine.js";
+import { getRule, getRules, registerRule } from "../rules/index.js";
+import { describeCriterion } from "../rules/wcag.js";
+
+const rule = (overrides = {}) => ({
+  id: "test-rule",
+  severity: "low",
+  level: "A",
+  wcag: ["1.1.1"],
+  check: () => {},
+  ...overrides,
+});
+
+test("every registered rule has the metadata reports need", () => {
+  const rules = getRules();
+  assert.equal(new Set(rules.map((r) => r.id)).size, rules.length);
+  rules.forEach((r) => {
+    assert.ok(r.type && r.description && r.suggestion, r.id);
+    assert.match(r.docs, /^https:\/\//, r.id);
+    assert.ok(r.wcag.length > 0, r.id);
+    assert.ok(["static", "dom"].includes(r.source), r.id);
+  });
+  assert.equal(getRule("missing-alt-text").source, "static");
+  assert.equal(getRule("duplicate-id").source, "dom");
+});
+
+test("rejects rules with invalid metadata", () => {
+  const rejects = (overrides, message) =>
+    assert.throws(() => registerRule(rule(overrides)), { message });
+  rejects({ check: undefined }, "A rule needs an id and a check function");
+  rejects(
+    { id: "missing-alt-text" },
+    'Rule "missing-alt-text" is already registered',
+  );
+  rejects(
+    { severity: "error" },
+    'Rule "test-rule" has invalid severity "error"',
+  );
+  rejects({ level: "AAAA" }, 'Rule "test-rule" has invalid level "AAAA"');
+  rejects(
+    { source: "runtime" },
+    'Rule "test-rule" has invalid source "runtime"',
+  );
+  rejects(
+    { wcag: ["1.1.1", "9.9.9"] },
+    'Rule "test-rule" maps to unknown WCAG criteria: 9.9.9',
+  );
+  assert.equal(getRule("test-rule"), undefined);
+});
+
+test("issues carry the rule's WCAG criteria and docs", () => {
+  const [issue] = runRules(
+    [
+      {
+        name: "index.html",
+        content: '<html lang="en"><img src="a.png"></html>',
+      },
+    ],
+    [getRule("missing-alt-text")],
+  ).issues;
+  assert.equal(issue.ruleId, "missing-alt-text");
+  assert.equal(issue.helpUrl, getRule("missing-alt-text").docs);
+  assert.deepEqual(issue.wcag, [describeCriterion("1.1.1")]);
+  assert.deepEqual(describeCriterion("1.1.1"), {
+    criterion: "1.1.1",
+    name: "Non-text Content",
+    level: "A",
+    principle: "Perceivable",
+    url: "https://www.w3.org/WAI/WCAG21/Understanding/non-text-content",
+  });
+});
@@ -0,0 +1,114 @@
+// backend/test/suppressions.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runRules } from "../analyzer/engine.js";
+import { collectSuppressions } from "../analyzer/suppressions.js";
+import { getRule } from "../rules/index.js";
+
+const altRule = [getRule("missing-alt-text")];
+const at = (issue) => `${issue.file}:${issue.line}`;
+
+test("suppresses the next line or the same line in JSX", () => {
+  const { issues, suppressed } = runRules(
+    [
+      {
+        name: "App.jsx",
+        content: `export const A = () => (
+  <div>
+    {/* accesswai-disable-next-line missing-alt-text -- decorative */}
+    <img src="a.png" />
+    <img src="b.png" /> {/* accesswai-disable-line */}
+    <img src="c.png" />
+  </div>
+);`,
+      },
+    ],
+    altRule,
+  );
+  assert.deepEqual(issues.map(at), ["App.jsx:6"]);
+  assert.deepEqual(
+    suppressed.map((issue) => [at(issue), issue.suppressedBy]),
+    [
+      ["App.jsx:4", { directive: "accesswai-disable-next-line", line: 3 }],
+      ["App.jsx:5", { directive: "accesswai-disable-line", line: 5 }],
+    ],
+  );
+});
+
+test("suppresses a block in HTML until it is enabled again", () => {
+  const { issues, suppressed } = runRules(
+    [
+      {
+        name: "index.html",
+        content: `<html lang="en"><body>
+<!-- accesswai-disable missing-alt-text -->
+<img src="x.png">
+<img src="y.png">
+<!-- accesswai-enable missing-alt-text -->
+<img src="z.png">
+</body></html>`,
+      },
+    ],
+    altRule,
+  );
+  assert.deepEqual(issues.map(at), ["index.html:6"]);
+  assert.deepEqual(suppressed.map(at), ["index.html:3", "index.html:4"]);
+});
+
+test("only suppresses the rules a directive names", () => {
+  const { issues, suppressed } = runRules(
+    [
+      {
+        name: "App.jsx",
+        content: `// accesswai-disable-file empty-alt-text
+export const A = () => <img src="a.png" />;`,
+      },
+    ],
+    [getRule("missing-alt-text"), getRule("empty-alt-text")],
+  );
+  assert.deepEqual(issues.map(at), ["App.jsx:2"]);
+  assert.deepEqual(suppressed, []);
+});
+
+test("reports directives that suppress nothing, unless their rules didn't run", () => {
+  const { unusedSuppressions } = runRules(
+    [
+      {
+        name: "App.jsx",
+        content: `export const A = () => (
+  <div>
+    {/* accesswai-disable-next-line missing-alt-text */}
+    <img src="a.png" alt="A" />
+    {/* accesswai-disable-next-line color-contrast */}
+    <p>Text</p>
+  </div>
+);`,
+      },
+    ],
+    altRule,
+  );
+  assert.deepEqual(unusedSuppressions, [
+    {
+      directive: "accesswai-disable-next-line",
+      rules: ["missing-alt-text"],
+      line: 3,
+      file: "App.jsx",
+    },
+  ]);
+});
+
+test("a bare enable closes every open block", () => {
+  const suppressions = collectSuppressions([
+    { value: " accesswai-disable missing-alt-text ", line: 2, endLine: 2 },
+    { value: " accesswai-disable color-contrast ", line: 3, endLine: 3 },
+    { value: " accesswai-enable ", line: 9, endLine: 9 },
+    { value: " not a directive ", line: 10, endLine: 10 },
+  ]);
+  assert.deepEqual(
+    suppressions.map((s) => [s.rules, s.fromLine, s.toLine]),
+    [
+      [["missing-alt-text"], 2, 9],
+      [["color-contrast"], 3, 9],
+    ],
+  );
+});
@@ -0,0 +1,62 @@
+// backend/test/tailwind.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runRules } from "../analyzer/engine.js";
+import { getRule } from "../rules/index.js";
+
+const config = {
+  name: "tailwind.config.js",
+  content:
+    'module.exports = { theme: { extend: { colors: { brand: { light: "#f0f0f0" } } } } };',
+};
+
+const tailwindIssues = (content, files = [config]) =>
+  runRules(
+    [...files, { name: "A.jsx", content }],
+    [getRule("tailwind-focus-visible"), getRule("color-contrast")],
+  ).issues.map((issue) => [issue.line, issue.ruleId, issue.description]);
+
+test("flags removed outlines without a replacement focus style", () => {
+  const issues = tailwindIssues(`export const A = ({ tone }) => (
+  <div>
+    <button className="focus:outline-none p-2">a</button>
+    <a href="/" className="outline-none focus-visible:ring-2">b</a>
+    <input className="focus:outline-none focus:ring-2" />
+    <button className={\`outline-none \${tone}\`}>c</button>
+    <p className="outline-none">d</p>
+  </div>
+);`);
+  assert.deepEqual(issues, [
+    [
+      3,
+      "tailwind-focus-visible",
+      "focus:outline-none removes the focus indicator and no focus:ring or focus-visible: style replaces it",
+    ],
+  ]);
+});
+
+test("measures contrast with the project's theme colors", () => {
+  const issues = tailwindIssues(`export const A = ({ tone }) => (
+  <div>
+    <p className="bg-white text-brand-light">a</p>
+    <p className="bg-white text-gray-900">b</p>
+    <p className="bg-gradient-to-r from-white to-gray-100 text-gray-200">c</p>
+    <p className={\`bg-white text-\${tone}\`}>d</p>
+  </div>
+);`);
+  assert.deepEqual(issues, [
+    [
+      3,
+      "color-contrast",
+      "Text color #f0f0f0 on background #ffffff has a contrast ratio of 1.13:1, below the 4.5:1 minimum for normal text",
+    ],
+  ]);
+});
+
+test("only runs on Tailwind projects", () => {
+  const issues = tailwindIssues(
+    'export const A = () => <button className="outline-none bg-white text-gray-100">a</button>;',
+    [],
+  );
+  assert.deepEqual(issues, []);
+});